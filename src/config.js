@@ -1,5 +1,34 @@
 import 'dotenv/config';
 
+/**
+ * Integer environment variable, or `fallback` when it is unset or not a
+ * number. Unlike `parseInt(...) || fallback`, an explicit 0 is kept.
+ *
+ * @param {string} name
+ * @param {number} fallback
+ * @returns {number}
+ */
+function intEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Decimal environment variable, or `fallback` when it is unset or not a
+ * number. An explicit 0 is kept, as in intEnv().
+ *
+ * @param {string} name
+ * @param {number} fallback
+ * @returns {number}
+ */
+function floatEnv(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+const thresholdDegraded = floatEnv('THRESHOLD_DEGRADED', 0.25);
+const thresholdFucked = floatEnv('THRESHOLD_FUCKED', 0.5);
+
 /**
  * Centralized configuration module.
  * All environment variable access goes through here with sensible defaults.
@@ -17,25 +46,197 @@ const config = {
   /** BVG data source type: 'hafas' or 'rest-api' */
   bvgApiType: process.env.BVG_API_TYPE || 'hafas',
 
-  /** Polling interval in milliseconds */
+  /** Base URL of the transport.rest API (only used if bvgApiType is 'rest-api') */
+  restApiUrl: process.env.BVG_REST_API_URL || 'https://v6.vbb.transport.rest',
+
+  /** Base polling interval in milliseconds */
   refreshInterval: parseInt(process.env.REFRESH_INTERVAL, 10) || 60000,
 
+  /** Adaptive polling schedule (see services/poll-schedule.js) */
+  polling: {
+    /** Time-of-day slots, e.g. "01:00-05:00=300000,07:00-09:00=30000" (ms per slot) */
+    profile: process.env.POLL_PROFILE || '',
+    /** Time zone the profile slots are written in */
+    timeZone: process.env.POLL_TIMEZONE || 'Europe/Berlin',
+    /** Interval factor while the headline is DEGRADED or FUCKED (1 = no change, 0 = minInterval) */
+    factors: {
+      DEGRADED: floatEnv('POLL_FACTOR_DEGRADED', 0.5),
+      FUCKED: floatEnv('POLL_FACTOR_FUCKED', 0.5),
+    },
+    /** Lower bound for the interval in milliseconds */
+    minInterval: parseInt(process.env.POLL_MIN_INTERVAL, 10) || 15000,
+    /** Upper bound for the interval, including error backoff, in milliseconds */
+    maxInterval: parseInt(process.env.POLL_MAX_INTERVAL, 10) || 600000,
+  },
+
+  /** Retries and per-station circuit breaker for BVG requests (see services/resilience.js) */
+  resilience: {
+    /** Retries after a transient failure (timeout, network error) */
+    retries: intEnv('BVG_RETRIES', 2),
+    /** Backoff base in milliseconds; each retry waits a random time up to base × 2^n */
+    retryBaseDelay: parseInt(process.env.BVG_RETRY_BASE_DELAY, 10) || 500,
+    /** Upper bound for a single retry delay in milliseconds */
+    retryMaxDelay: parseInt(process.env.BVG_RETRY_MAX_DELAY, 10) || 4000,
+    /** Consecutive failed requests after which a station is skipped */
+    breakerThreshold: parseInt(process.env.BREAKER_THRESHOLD, 10) || 3,
+    /** How long a station is skipped before a trial request, in milliseconds */
+    breakerCooldown: parseInt(process.env.BREAKER_COOLDOWN, 10) || 180000,
+  },
+
   /** Log level: debug, info, warn, error */
   logLevel: process.env.LOG_LEVEL || 'info',
 
-  /** Status thresholds (percentage as decimal 0-1) */
+  /** Status thresholds (disruption score / 100, as decimal 0-1) */
   thresholds: {
     /** Disruption ratio above which status is DEGRADED */
-    degraded: parseFloat(process.env.THRESHOLD_DEGRADED) || 0.25,
+    degraded: thresholdDegraded,
+    /** Smoothed ratio below which a DEGRADED verdict is left again */
+    degradedExit: floatEnv('THRESHOLD_DEGRADED_EXIT', thresholdDegraded - 0.05),
     /** Disruption ratio above which status is FUCKED */
-    fucked: parseFloat(process.env.THRESHOLD_FUCKED) || 0.5,
+    fucked: thresholdFucked,
+    /** Smoothed ratio below which a FUCKED verdict is left again */
+    fuckedExit: floatEnv('THRESHOLD_FUCKED_EXIT', thresholdFucked - 0.05),
     /** Delay in seconds above which a departure counts as disrupted */
     delay: parseInt(process.env.DELAY_THRESHOLD, 10) || 300,
   },
 
+  /**
+   * Per-product overrides of the thresholds above for the transit boxes,
+   * as "<product>:<value>" pairs with HAFAS product names (suburban,
+   * subway, tram, bus, ferry, regional, express), e.g. "bus:600,subway:180"
+   * for delay seconds; "other" sets the state thresholds of the Sonstige box
+   */
+  productThresholds: {
+    /** Delay in seconds above which a departure of the product counts as delayed */
+    delay: process.env.PRODUCT_DELAY_THRESHOLDS || '',
+    /** Disruption ratio above which the product is DEGRADED */
+    degraded: process.env.PRODUCT_DEGRADED_THRESHOLDS || '',
+    /** Disruption ratio above which the product is FUCKED */
+    fucked: process.env.PRODUCT_FUCKED_THRESHOLDS || '',
+  },
+
+  /** Severity-weighted disruption score the state is derived from (see models/disruption-score.js) */
+  scoring: {
+    /** Delay buckets as "<seconds>:<weight>" pairs; a delay above the seconds gets the weight */
+    delayBuckets: process.env.SCORE_DELAY_BUCKETS || '120:0.25,300:1,600:1.25,1200:1.5',
+    /** Weight of a cancelled departure */
+    cancelledWeight: parseFloat(process.env.SCORE_CANCELLED_WEIGHT) || 2,
+    /** Product weights as "<product>:<weight>" pairs, e.g. "suburban:1.5,bus:0.75" (unlisted = 1) */
+    productWeights: process.env.SCORE_PRODUCT_WEIGHTS || '',
+  },
+
+  /** Detail lists of disrupted departures below the transit boxes */
+  disruptedDepartures: {
+    /** Departures listed per transit box; the rest are only counted */
+    limit: parseInt(process.env.DISRUPTED_LIST_LIMIT, 10) || 10,
+  },
+
+  /** Smoothing of the headline verdict (EWMA + hysteresis + dwell time) */
+  smoothing: {
+    /** Set SMOOTHING=off to report each poll's raw verdict */
+    enabled: process.env.SMOOTHING !== 'off',
+    /** EWMA weight of the newest sample (0-1) */
+    alpha: parseFloat(process.env.SMOOTHING_ALPHA) || 0.5,
+    /** Number of polls in the rolling window */
+    window: parseInt(process.env.SMOOTHING_WINDOW, 10) || 5,
+    /** Minimum time in a state before it may change, in milliseconds */
+    minDwell: parseInt(process.env.SMOOTHING_MIN_DWELL, 10) || 180000,
+  },
+
+  /** Rolling window of observed trips the status is computed over (see services/trip-window.js) */
+  tripWindow: {
+    /** Set TRIP_WINDOW=off to compute the status from each poll's departures only */
+    enabled: process.env.TRIP_WINDOW !== 'off',
+    /** How long an observed trip stays in the window, in milliseconds */
+    span: parseInt(process.env.TRIP_WINDOW_SPAN, 10) || 900000,
+  },
+
+  /** Detection of suspended lines and line segments (see services/suspension-tracker.js) */
+  suspensions: {
+    /** Set SUSPENSIONS=off to disable the line-down alerts */
+    enabled: process.env.SUSPENSIONS !== 'off',
+    /** Consecutive polls a line must be down at a station before it is reported */
+    polls: parseInt(process.env.SUSPENSION_POLLS, 10) || 3,
+    /** Distinct cancelled trips needed, so that one cancelled trip is not a suspension */
+    minTrips: parseInt(process.env.SUSPENSION_MIN_TRIPS, 10) || 2,
+    /** Consecutive polls a line must have run at a station to count as normally appearing there */
+    history: parseInt(process.env.SUSPENSION_HISTORY, 10) || 10,
+    /** How long a line that vanished from a board is reported, in milliseconds */
+    vanishedMaxAge: parseInt(process.env.SUSPENSION_VANISHED_MAX_AGE, 10) || 1800000,
+    /**
+     * Local hours ("HH:MM-HH:MM", in POLL_TIMEZONE) in which lines missing
+     * from a board count as suspended; empty = always
+     */
+    serviceHours: process.env.SUSPENSION_SERVICE_HOURS ?? '05:00-00:00',
+  },
+
+  /** Cause classification of HAFAS warnings (see models/causes.js) */
+  causes: {
+    /** Extra keywords as "<cause>:<keyword>|<keyword>" pairs, e.g. "weather:*gewitter*,drone:drohne*" */
+    keywords: process.env.CAUSE_KEYWORDS || '',
+    /** Cause labels as "<cause>:<label>" pairs, e.g. "drone:Drohnensichtung" */
+    labels: process.env.CAUSE_LABELS || '',
+  },
+
+  /** Confidence of the verdict, based on sample size and failed stations */
+  confidence: {
+    /** Departures needed for the sample size to count as sufficient */
+    minSamples: parseInt(process.env.CONFIDENCE_MIN_SAMPLES, 10) || 20,
+    /** Confidence score (0-1) below which the verdict drops to UNKNOWN */
+    floor: parseFloat(process.env.CONFIDENCE_FLOOR) || 0.25,
+  },
+
   /** Staleness threshold in milliseconds - data older than this = UNKNOWN */
   stalenessThreshold: parseInt(process.env.STALENESS_THRESHOLD, 10) || 300000,
 
+  /**
+   * JSON Lines file that poll snapshots are appended to for /api/history.
+   * Set HISTORY_FILE to an empty string to keep history in memory only.
+   */
+  historyFile: process.env.HISTORY_FILE ?? 'data/history.jsonl',
+
+  /**
+   * JSON file the latest status is saved to and restored from on restart.
+   * Set STATE_FILE to an empty string to disable the warm start.
+   */
+  stateFile: process.env.STATE_FILE ?? 'data/state.json',
+
+  /** How long poll snapshots are kept, in milliseconds (default 7 days) */
+  historyRetention: parseInt(process.env.HISTORY_RETENTION, 10) || 7 * 24 * 60 * 60 * 1000,
+
+  /** Incidents: disrupted periods of the network or a line (see services/incidents.js) */
+  incidents: {
+    /** How long the network or a line must be undisrupted before its incident closes, in milliseconds */
+    recovery: parseInt(process.env.INCIDENT_RECOVERY, 10) || 600000,
+    /** How long closed incidents are kept, in milliseconds (default 30 days) */
+    retention: parseInt(process.env.INCIDENT_RETENTION, 10) || 30 * 24 * 60 * 60 * 1000,
+    /**
+     * JSON file incidents are saved to and restored from on restart.
+     * Set INCIDENTS_FILE to an empty string to keep incidents in memory only.
+     */
+    file: process.env.INCIDENTS_FILE ?? 'data/incidents.json',
+  },
+
+  /** Outgoing webhooks fired on headline state transitions */
+  webhooks: {
+    /** Comma-separated receiver URLs registered at startup */
+    urls: (process.env.WEBHOOK_URLS || '')
+      .split(',')
+      .map((url) => url.trim())
+      .filter(Boolean),
+    /** Shared HMAC-SHA256 secret for the signature header (unsigned if unset) */
+    secret: process.env.WEBHOOK_SECRET || null,
+    /** Retries after a failed delivery attempt */
+    retries: intEnv('WEBHOOK_RETRIES', 3),
+    /** Delay before the first retry in milliseconds, doubled for each further retry */
+    backoff: parseInt(process.env.WEBHOOK_BACKOFF, 10) || 2000,
+    /** Timeout per delivery attempt in milliseconds */
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT, 10) || 5000,
+  },
+
+  /** Bearer token for the admin API (/api/webhooks); disabled if unset */
+  adminToken: process.env.ADMIN_TOKEN || null,
+
   /** Redis URL (only needed if bvgApiType is 'rest-api') */
   redisUrl: process.env.REDIS_URL || null,
 };
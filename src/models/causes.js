@@ -0,0 +1,279 @@
+import config from '../config.js';
+
+/**
+ * Built-in cause catalog, in priority order: a remark is tagged with the
+ * first cause that one of its keywords matches.
+ *
+ * Keywords are German first (the language of the BVG remarks), with a few
+ * English ones for the translated texts. They match whole words, case
+ * insensitively and with umlauts folded (ä = ae, ß = ss); `*` stands for
+ * any letters, so that compounds match ("*polizei*" also matches
+ * "Bundespolizeieinsatz"), and a space for any whitespace.
+ *
+ * Specific causes come before generic ones: "Personenunfall" is a person
+ * on the tracks rather than an accident, "Notarzteinsatz nach Unfall" a
+ * medical emergency.
+ *
+ * @type {Array<{ id: string, label: string, keywords: string[] }>}
+ */
+const CAUSES = [
+  {
+    id: 'person',
+    label: 'Personen im Gleis',
+    keywords: ['person* im gleis*', 'person* auf de* gleis*', 'personenunfall*', 'unbefugte*'],
+  },
+  {
+    id: 'medical',
+    label: 'Notarzteinsatz',
+    keywords: ['*notarzt*', '*rettungseinsatz*', 'rettungsdienst*', 'medizinische* notfall*', 'ärztliche* versorgung', 'erkrankte* fahrgast*', 'medical emergency'],
+  },
+  {
+    id: 'police',
+    label: 'Polizeieinsatz',
+    keywords: ['*polizei*', 'police*'],
+  },
+  {
+    id: 'fire',
+    label: 'Feuerwehreinsatz',
+    keywords: ['*feuerwehr*', '*brand', 'brandes', 'feuer', 'fire*'],
+  },
+  {
+    id: 'strike',
+    label: 'Streik',
+    keywords: ['*streik*', 'strike*'],
+  },
+  {
+    id: 'signal',
+    label: 'Signalstörung',
+    keywords: ['signal*', '*stellwerk*'],
+  },
+  {
+    id: 'switch',
+    label: 'Weichenstörung',
+    keywords: ['*weiche*', 'switch failure*'],
+  },
+  {
+    id: 'power',
+    label: 'Stromstörung',
+    keywords: ['*oberleitung*', 'stromschiene*', '*stromversorgung*', 'stromausfall*', 'power failure*'],
+  },
+  {
+    id: 'vehicle',
+    label: 'Fahrzeugstörung',
+    keywords: ['*fahrzeugstörung*', '*fahrzeugschaden*', 'zugstörung*', 'defekte* fahrzeug*', 'defekte* zug*', 'technische* störung am zug', 'vehicle*'],
+  },
+  {
+    id: 'weather',
+    label: 'Unwetter',
+    keywords: ['*unwetter*', 'sturm*', 'glätte', 'glatteis', '*schnee*', 'hochwasser', 'baum im gleis', 'umgestürzte* baum*', 'storm*', 'severe weather'],
+  },
+  {
+    id: 'construction',
+    label: 'Bauarbeiten',
+    keywords: ['*bauarbeit*', '*baumaßnahme*', 'baustelle*', 'gleisbau*', 'gleisarbeit*', 'construction*', 'engineering works'],
+  },
+  {
+    id: 'event',
+    label: 'Veranstaltung',
+    keywords: ['demonstration*', 'demo', 'kundgebung*', '*veranstaltung*', 'marathon*', 'staatsbesuch*'],
+  },
+  {
+    id: 'traffic',
+    label: 'Verkehrsbehinderung',
+    keywords: ['*unfall*', 'stau*', 'hohe* verkehrsaufkommen*', 'falschpark*', '*verkehrsbehinderung*', 'traffic*', 'accident*'],
+  },
+  {
+    id: 'staff',
+    label: 'Personalmangel',
+    keywords: ['personal*', 'staff*'],
+  },
+];
+
+/** Cause of remarks that match no keyword */
+const UNKNOWN_CAUSE = { id: 'unknown', label: 'Unbekannt' };
+
+/**
+ * Lower-case a text and fold umlauts and ß, so that "Weichenstörung" and
+ * "Weichenstoerung" read the same.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function fold(text) {
+  return text
+    .toLowerCase()
+    .replace(/ä/g, 'ae')
+    .replace(/ö/g, 'oe')
+    .replace(/ü/g, 'ue')
+    .replace(/ß/g, 'ss');
+}
+
+/**
+ * Compile a catalog keyword into a whole-word pattern over folded text.
+ *
+ * @param {string} keyword - e.g. "*polizei*" or "person* im gleis*"
+ * @returns {RegExp}
+ */
+function compileKeyword(keyword) {
+  const source = fold(keyword.trim())
+    .split(/\s+/)
+    .map((word) => word.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[\\p{L}\\d]*'))
+    .join('\\s+');
+  return new RegExp(`(?<![\\p{L}\\d])${source}(?![\\p{L}\\d])`, 'u');
+}
+
+/**
+ * Parse extra cause keywords.
+ *
+ * Format: comma-separated `<cause>:<keyword>|<keyword>` pairs, e.g.
+ * `weather:*gewitter*|blitz*,drone:drohne*`. Keywords of a built-in cause
+ * are added to it; other causes are appended to the catalog. Malformed
+ * pairs are skipped.
+ *
+ * @param {string} value
+ * @returns {Record<string, string[]>}
+ */
+export function parseCauseKeywords(value) {
+  const keywords = {};
+
+  for (const part of (value || '').split(',')) {
+    const match = /^\s*([a-zA-Z][\w-]*)\s*:(.+)$/.exec(part);
+    if (!match) {
+      continue;
+    }
+
+    const list = match[2].split('|').map((keyword) => keyword.trim()).filter(Boolean);
+    if (list.length > 0) {
+      const id = match[1].toLowerCase();
+      keywords[id] = [...(keywords[id] || []), ...list];
+    }
+  }
+
+  return keywords;
+}
+
+/**
+ * Parse cause labels.
+ *
+ * Format: comma-separated `<cause>:<label>` pairs, e.g.
+ * `drone:Drohnensichtung,staff:Personalausfall`. Malformed pairs are
+ * skipped.
+ *
+ * @param {string} value
+ * @returns {Record<string, string>}
+ */
+export function parseCauseLabels(value) {
+  const labels = {};
+
+  for (const part of (value || '').split(',')) {
+    const match = /^\s*([a-zA-Z][\w-]*)\s*:(.+)$/.exec(part);
+    if (match && match[2].trim()) {
+      labels[match[1].toLowerCase()] = match[2].trim();
+    }
+  }
+
+  return labels;
+}
+
+/**
+ * Build the cause catalog: the built-in causes with extra keywords and
+ * labels applied, followed by the causes only the extras define (labelled
+ * with their ID unless a label is given).
+ *
+ * @param {object} [extras]
+ * @param {Record<string, string[]>} [extras.keywords] - See parseCauseKeywords()
+ * @param {Record<string, string>} [extras.labels]     - See parseCauseLabels()
+ * @returns {Array<{ id: string, label: string, patterns: RegExp[] }>} In priority order
+ */
+export function buildCauseCatalog({ keywords = {}, labels = {} } = {}) {
+  const causes = CAUSES.map((cause) => ({
+    id: cause.id,
+    label: labels[cause.id] || cause.label,
+    keywords: [...cause.keywords, ...(keywords[cause.id] || [])],
+  }));
+
+  for (const [id, list] of Object.entries(keywords)) {
+    if (!causes.some((cause) => cause.id === id)) {
+      causes.push({ id, label: labels[id] || id, keywords: list });
+    }
+  }
+
+  return causes.map((cause) => ({
+    id: cause.id,
+    label: cause.label,
+    patterns: cause.keywords.map(compileKeyword),
+  }));
+}
+
+/**
+ * Cause catalog from config.causes.
+ *
+ * @returns {ReturnType<typeof buildCauseCatalog>}
+ */
+export function configuredCatalog() {
+  return buildCauseCatalog({
+    keywords: parseCauseKeywords(config.causes.keywords),
+    labels: parseCauseLabels(config.causes.labels),
+  });
+}
+
+/**
+ * Classify a HAFAS remark (or disruption feed entry) by its cause.
+ *
+ * The summary is matched first, as it names the cause most directly
+ * ("U2: Signalstörung"); the text only when the summary names none.
+ *
+ * @param {{ summary?: string|null, text?: string|null }} remark
+ * @param {Array} [catalog] - See buildCauseCatalog() (default config.causes)
+ * @returns {{ id: string, label: string }} The unknown cause if no keyword matches
+ */
+export function classifyCause(remark, catalog = configuredCatalog()) {
+  for (const field of [remark.summary, remark.text]) {
+    if (!field) {
+      continue;
+    }
+
+    const folded = fold(field);
+    const cause = catalog.find((candidate) => candidate.patterns.some((pattern) => pattern.test(folded)));
+    if (cause) {
+      return { id: cause.id, label: cause.label };
+    }
+  }
+
+  return { ...UNKNOWN_CAUSE };
+}
+
+/**
+ * Count disruptions and the departures carrying them per cause.
+ *
+ * The main cause is the classified cause carrying the most departures
+ * (more disruptions break a tie); unclassified warnings are counted but
+ * never the main cause.
+ *
+ * @param {Array<{ cause?: { id: string, label: string }, departures?: number }>} disruptions
+ *   Disruption feed entries (see disruptions.js)
+ * @returns {{ main: { id: string, label: string }|null, counts: Array<{ id: string, label: string, disruptions: number, departures: number }> }}
+ *   Counts sorted by departures, most first
+ */
+export function aggregateCauses(disruptions) {
+  /** @type {Map<string, object>} */
+  const byId = new Map();
+
+  for (const disruption of disruptions || []) {
+    const cause = disruption.cause || UNKNOWN_CAUSE;
+    if (!byId.has(cause.id)) {
+      byId.set(cause.id, { id: cause.id, label: cause.label, disruptions: 0, departures: 0 });
+    }
+
+    const entry = byId.get(cause.id);
+    entry.disruptions += 1;
+    entry.departures += disruption.departures || 0;
+  }
+
+  const counts = [...byId.values()].sort(
+    (a, b) => b.departures - a.departures || b.disruptions - a.disruptions
+  );
+  const main = counts.find((entry) => entry.id !== UNKNOWN_CAUSE.id);
+
+  return { main: main ? { id: main.id, label: main.label } : null, counts };
+}
@@ -0,0 +1,164 @@
+import config from '../config.js';
+
+/**
+ * Parse delay buckets.
+ *
+ * Format: comma-separated `<seconds>:<weight>` pairs, e.g.
+ * `120:0.25,300:1,600:1.25,1200:1.5`. A departure delayed by more than a
+ * bucket's seconds gets that bucket's weight (the highest matching bucket
+ * wins). Malformed pairs are skipped.
+ *
+ * @param {string} value
+ * @returns {Array<{ above: number, weight: number }>} Buckets, ascending
+ */
+export function parseDelayBuckets(value) {
+  const buckets = [];
+
+  for (const part of (value || '').split(',')) {
+    const match = /^\s*(\d+)\s*:\s*(\d+(?:\.\d+)?)\s*$/.exec(part);
+    if (match) {
+      buckets.push({ above: Number(match[1]), weight: Number(match[2]) });
+    }
+  }
+
+  return buckets.sort((a, b) => a.above - b.above);
+}
+
+/**
+ * Parse per-product values (score weights, thresholds).
+ *
+ * Format: comma-separated `<product>:<number>` pairs using HAFAS product
+ * names, e.g. `suburban:1.5,subway:1.5,bus:0.75`. Malformed pairs are
+ * skipped; callers decide the value of products not listed.
+ *
+ * @param {string} value
+ * @returns {Record<string, number>}
+ */
+export function parseProductValues(value) {
+  const values = {};
+
+  for (const part of (value || '').split(',')) {
+    const match = /^\s*([a-zA-Z]+)\s*:\s*(\d+(?:\.\d+)?)\s*$/.exec(part);
+    if (match) {
+      values[match[1]] = Number(match[2]);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Scoring model from config.scoring.
+ *
+ * @returns {{ delayBuckets: Array<{ above: number, weight: number }>, cancelledWeight: number, productWeights: Record<string, number> }}
+ */
+function configuredModel() {
+  return {
+    delayBuckets: parseDelayBuckets(config.scoring.delayBuckets),
+    cancelledWeight: config.scoring.cancelledWeight,
+    productWeights: parseProductValues(config.scoring.productWeights),
+  };
+}
+
+/**
+ * Severity weight of a single departure: the cancellation weight, the
+ * weight of the highest delay bucket it exceeds, or 0.
+ *
+ * @param {{ cancelled?: boolean, delay?: number|null }} departure
+ * @param {ReturnType<typeof configuredModel>} model
+ * @returns {number}
+ */
+function severityWeight(departure, model) {
+  if (departure.cancelled === true) {
+    return model.cancelledWeight;
+  }
+  if (typeof departure.delay !== 'number') {
+    return 0;
+  }
+
+  let weight = 0;
+  for (const bucket of model.delayBuckets) {
+    if (departure.delay > bucket.above) {
+      weight = bucket.weight;
+    }
+  }
+  return weight;
+}
+
+/**
+ * Compute the 0-100 "Fuck-o-meter" score of a set of departures.
+ *
+ * Each departure contributes its severity weight (delay bucket or
+ * cancellation) times its product weight; the sum is divided by the total
+ * product weight, scaled to 0-100 and capped at 100:
+ *
+ *   score = min(100, 100 × Σ(severity × product) / Σ product)
+ *
+ * With the default model a departure more than 5 minutes late weighs 1,
+ * so the score of a network with only such delays equals the old
+ * percentage of disrupted departures; smaller delays count a little,
+ * longer delays and cancellations more.
+ *
+ * @param {Array} departures - Normalized departures
+ * @param {object} [model]   - Scoring model (default config.scoring)
+ * @returns {number} Score rounded to one decimal; 0 for no departures
+ */
+export function scoreDepartures(departures, model = configuredModel()) {
+  if (!Array.isArray(departures) || departures.length === 0) {
+    return 0;
+  }
+
+  let weighted = 0;
+  let total = 0;
+
+  for (const departure of departures) {
+    const product = departure.line && departure.line.product;
+    const productWeight = model.productWeights[product] ?? 1;
+
+    weighted += severityWeight(departure, model) * productWeight;
+    total += productWeight;
+  }
+
+  if (total === 0) {
+    return 0;
+  }
+
+  return Math.round(Math.min(100, (100 * weighted) / total) * 10) / 10;
+}
+
+/**
+ * Nearest-rank percentile of an ascending array.
+ *
+ * @param {number[]} sorted
+ * @param {number} p - Percentile, 0-100
+ * @returns {number}
+ */
+function percentile(sorted, p) {
+  const rank = Math.max(1, Math.ceil((p / 100) * sorted.length));
+  return sorted[rank - 1];
+}
+
+/**
+ * Distribution of the delays of departures that are not cancelled and
+ * have real-time data.
+ *
+ * @param {Array} departures
+ * @returns {{ median: number|null, p90: number|null, max: number|null }} Seconds;
+ *          null when no departure has a known delay
+ */
+export function delayDistribution(departures) {
+  const delays = (Array.isArray(departures) ? departures : [])
+    .filter((d) => d && !d.cancelled && typeof d.delay === 'number')
+    .map((d) => d.delay)
+    .sort((a, b) => a - b);
+
+  if (delays.length === 0) {
+    return { median: null, p90: null, max: null };
+  }
+
+  return {
+    median: percentile(delays, 50),
+    p90: percentile(delays, 90),
+    max: delays[delays.length - 1],
+  };
+}
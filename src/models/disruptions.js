@@ -0,0 +1,110 @@
+import { classifyCause, configuredCatalog } from './causes.js';
+
+/**
+ * Collect the HAFAS warnings attached to departures into a disruption feed.
+ *
+ * The same warning (e.g. "Bauarbeiten zwischen Ostkreuz und Lichtenberg")
+ * is attached to every departure it affects, at every polled station.
+ * Entries are therefore deduplicated by HAFAS message ID (or, for
+ * messages without one, by their summary and text), and the affected
+ * lines and stations are merged.
+ *
+ * Only remarks that describe a disruption are collected: 'warning'
+ * remarks, and 'status' remarks that carry a HAFAS message ID. Plain
+ * hints ("barrier-free", "bicycle conveyance") are ignored. Each entry is
+ * tagged with its cause (see causes.js).
+ *
+ * @param {Array}  departures   - Normalized departures (see bvg-client.js)
+ * @param {number} [now]        - Reference time for the validity check (ms)
+ * @returns {Array<{ id: string, summary: string|null, text: string|null, url: string|null, validFrom: string|null, validUntil: string|null, lines: string[], stations: Array<{ id: string, name: string }>, departures: number, cause: { id: string, label: string } }>}
+ *   Active disruptions, most widespread first
+ */
+export function collectDisruptions(departures, now = Date.now()) {
+  if (!Array.isArray(departures) || departures.length === 0) {
+    return [];
+  }
+
+  /** @type {Map<string, object>} */
+  const byKey = new Map();
+
+  for (const departure of departures) {
+    if (!departure || !Array.isArray(departure.remarks)) {
+      continue;
+    }
+
+    for (const remark of departure.remarks) {
+      if (!isDisruptionRemark(remark) || !isActive(remark, now)) {
+        continue;
+      }
+
+      const key = remark.id || `${remark.summary || ''}|${remark.text || ''}`;
+
+      if (!byKey.has(key)) {
+        byKey.set(key, {
+          id: remark.id || key,
+          summary: remark.summary || null,
+          text: remark.text || null,
+          url: remark.url || null,
+          validFrom: remark.validFrom || null,
+          validUntil: remark.validUntil || null,
+          lines: new Set(),
+          stations: new Map(),
+          departures: 0,
+        });
+      }
+
+      const entry = byKey.get(key);
+      entry.departures++;
+
+      if (departure.line && departure.line.name) {
+        entry.lines.add(departure.line.name);
+      }
+      if (departure.stop && departure.stop.id) {
+        entry.stations.set(departure.stop.id, departure.stop.name || departure.stop.id);
+      }
+    }
+  }
+
+  // Built once per call, not once per entry
+  const catalog = configuredCatalog();
+
+  return [...byKey.values()]
+    .map((entry) => ({
+      ...entry,
+      lines: [...entry.lines].sort(),
+      stations: [...entry.stations].map(([id, name]) => ({ id, name })),
+      cause: classifyCause(entry, catalog),
+    }))
+    .sort((a, b) => b.departures - a.departures);
+}
+
+/**
+ * Whether a remark describes a disruption rather than a static hint.
+ *
+ * @param {object} remark
+ * @returns {boolean}
+ */
+function isDisruptionRemark(remark) {
+  if (!remark || !(remark.summary || remark.text)) {
+    return false;
+  }
+  return remark.type === 'warning' || (remark.type === 'status' && Boolean(remark.id));
+}
+
+/**
+ * Whether `now` falls inside the remark's validity window.
+ * Missing bounds are treated as open-ended.
+ *
+ * @param {object} remark
+ * @param {number} now
+ * @returns {boolean}
+ */
+function isActive(remark, now) {
+  if (remark.validFrom && Date.parse(remark.validFrom) > now) {
+    return false;
+  }
+  if (remark.validUntil && Date.parse(remark.validUntil) < now) {
+    return false;
+  }
+  return true;
+}
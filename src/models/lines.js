@@ -0,0 +1,113 @@
+/** Most lines accepted in one filter */
+const MAX_LINES = 20;
+
+/** Longest accepted line name */
+const MAX_LINE_LENGTH = 20;
+
+/**
+ * Comparison key of a line name: "u8", "U 8" and "U8" are the same line.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function lineKey(name) {
+  return String(name).replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Parse a line filter from a query string value, e.g. `?lines=U8,S41`.
+ *
+ * Accepts a comma-separated string or an array of them (a repeated
+ * `?lines=` parameter). Names are trimmed, duplicates (by lineKey) and
+ * empty or overlong names dropped, and the list is capped at 20 lines.
+ *
+ * @param {string|string[]|undefined} value
+ * @returns {string[]} Line names in the given order; empty for no filter
+ */
+export function parseLineFilter(value) {
+  const parts = (Array.isArray(value) ? value : [value])
+    .filter((part) => typeof part === 'string')
+    .flatMap((part) => part.split(','));
+
+  const lines = [];
+  const seen = new Set();
+
+  for (const part of parts) {
+    const name = part.trim();
+    if (!name || name.length > MAX_LINE_LENGTH || seen.has(lineKey(name))) {
+      continue;
+    }
+
+    seen.add(lineKey(name));
+    lines.push(name);
+    if (lines.length === MAX_LINES) {
+      break;
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Keep the departures of the given lines (server-side counterpart of
+ * `filterByLines` in the legacy js/line-filter.js, but matching by
+ * lineKey).
+ *
+ * @param {Array} departures - Normalized departures
+ * @param {string[]} lines   - Line names; an empty list keeps everything
+ * @returns {Array}
+ */
+export function filterByLines(departures, lines) {
+  const list = Array.isArray(departures) ? departures : [];
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return list;
+  }
+
+  const keys = new Set(lines.map(lineKey));
+  return list.filter((d) => d && d.line && d.line.name && keys.has(lineKey(d.line.name)));
+}
+
+/**
+ * Unique lines of a set of departures (server-side counterpart of
+ * `extractUniqueLines` in the legacy js/line-filter.js), with the HAFAS
+ * product of each. Lines are told apart by lineKey and sorted by name,
+ * numbers in natural order (M4 before M10).
+ *
+ * @param {Array} departures - Normalized departures
+ * @returns {Array<{ name: string, product: string|null }>}
+ */
+export function extractLines(departures) {
+  /** @type {Map<string, { name: string, product: string|null }>} */
+  const byKey = new Map();
+
+  for (const departure of Array.isArray(departures) ? departures : []) {
+    const line = departure && departure.line;
+    if (line && line.name && !byKey.has(lineKey(line.name))) {
+      byKey.set(lineKey(line.name), { name: line.name, product: line.product || null });
+    }
+  }
+
+  return [...byKey.values()].sort((a, b) =>
+    a.name.localeCompare(b.name, 'de', { numeric: true })
+  );
+}
+
+/**
+ * Stations a line was observed at, in order of first observation.
+ *
+ * @param {Array} departures - Departures of the line (see filterByLines())
+ * @returns {Array<{ id: string, name: string }>}
+ */
+export function lineStations(departures) {
+  /** @type {Map<string, string>} */
+  const stations = new Map();
+
+  for (const departure of Array.isArray(departures) ? departures : []) {
+    const stop = departure && departure.stop;
+    if (stop && stop.id && !stations.has(stop.id)) {
+      stations.set(stop.id, stop.name || stop.id);
+    }
+  }
+
+  return [...stations].map(([id, name]) => ({ id, name }));
+}
@@ -1,4 +1,5 @@
 import config from '../config.js';
+import { scoreDepartures, delayDistribution, parseProductValues } from './disruption-score.js';
 
 /**
  * Determine the overall transit status from an array of departures.
@@ -7,14 +8,18 @@ import config from '../config.js';
  *   - delay: number|null  (seconds of delay; null means no data)
  *   - cancelled: boolean
  *
- * A departure is "delayed" when its delay exceeds config.thresholds.delay
- * (default 300 s / 5 min). A departure is "disrupted" if it is delayed OR
- * cancelled.
+ * The state is derived from the 0-100 disruption score (see
+ * disruption-score.js), which weighs delays by magnitude, cancellations
+ * more heavily, and optionally by product.
+ *
+ * The counts stay binary: a departure is "delayed" when its delay exceeds
+ * config.thresholds.delay (default 300 s / 5 min), and "disrupted" if it
+ * is delayed OR cancelled.
  *
  * Status states:
- *   FUCKED   – more than 50 % of departures are disrupted
- *   DEGRADED – 25-50 % disrupted
- *   FINE     – less than 25 % disrupted
+ *   FUCKED   – score above 50
+ *   DEGRADED – score 25-50
+ *   FINE     – score below 25
  *   UNKNOWN  – no departure data available
  *
  * @param {Array} departures - Array of HAFAS departure objects
@@ -32,6 +37,8 @@ export function determineStatus(departures) {
         percentDelayed: 0,
         percentCancelled: 0,
         percentDisrupted: 0,
+        score: 0,
+        delays: delayDistribution([]),
       },
     };
   }
@@ -48,16 +55,17 @@ export function determineStatus(departures) {
   ).length;
 
   const disruptedCount = delayedCount + cancelledCount;
-  const disruptionRatio = disruptedCount / totalServices;
 
   const percentDelayed = Math.round((delayedCount / totalServices) * 100);
   const percentCancelled = Math.round((cancelledCount / totalServices) * 100);
-  const percentDisrupted = Math.round(disruptionRatio * 100);
+  const percentDisrupted = Math.round((disruptedCount / totalServices) * 100);
+
+  const score = scoreDepartures(departures);
 
   let state;
-  if (disruptionRatio > thresholds.fucked) {
+  if (score > thresholds.fucked * 100) {
     state = 'FUCKED';
-  } else if (disruptionRatio > thresholds.degraded) {
+  } else if (score > thresholds.degraded * 100) {
     state = 'DEGRADED';
   } else {
     state = 'FINE';
@@ -73,80 +81,302 @@ export function determineStatus(departures) {
       percentDelayed,
       percentCancelled,
       percentDisrupted,
+      score,
+      delays: delayDistribution(departures),
     },
   };
 }
 
+/**
+ * Transit boxes in display order, with the HAFAS products each covers.
+ *
+ * Together they cover every product of the BVG profile; `other` also
+ * takes departures without a known product, so the box totals always add
+ * up to the number of departures.
+ *
+ * @type {Array<{ box: string, products: string[] }>}
+ */
+const TRANSIT_BOXES = [
+  { box: 'bus', products: ['bus'] },
+  { box: 'ubahn', products: ['subway'] },
+  { box: 'tram', products: ['tram'] },
+  { box: 'sbahn', products: ['suburban'] },
+  { box: 'ferry', products: ['ferry'] },
+  { box: 'other', products: ['regional', 'express'] },
+];
+
+/** @type {Map<string, string>} HAFAS product → box */
+const BOX_BY_PRODUCT = new Map(
+  TRANSIT_BOXES.flatMap(({ box, products }) => products.map((product) => [product, box]))
+);
+
+/**
+ * Transit box a departure belongs to.
+ *
+ * @param {{ line?: { product?: string } }} departure
+ * @returns {string} Box key; 'other' for unknown or missing products
+ */
+export function transitBoxOf(departure) {
+  const product = departure && departure.line && departure.line.product;
+  return BOX_BY_PRODUCT.get(product) || 'other';
+}
+
+/**
+ * Thresholds that apply to a product: the per-product overrides from
+ * config.productThresholds, falling back to the global thresholds.
+ *
+ * @param {string} product - HAFAS product name (or 'other' for the mixed box)
+ * @returns {{ delay: number, degraded: number, fucked: number }}
+ */
+export function productThresholds(product) {
+  const { thresholds, productThresholds: overrides } = config;
+  const delay = parseProductValues(overrides.delay);
+  const degraded = parseProductValues(overrides.degraded);
+  const fucked = parseProductValues(overrides.fucked);
+
+  return {
+    delay: delay[product] ?? thresholds.delay,
+    degraded: degraded[product] ?? thresholds.degraded,
+    fucked: fucked[product] ?? thresholds.fucked,
+  };
+}
+
 /**
  * Aggregate disruptions by transit type for the status boxes.
  *
- * Takes an array of HAFAS departure objects and groups them by transit type,
- * counting delayed and cancelled departures for each type.
+ * Takes an array of HAFAS departure objects, groups them by transit type
+ * and computes a status per type, using that product's thresholds (see
+ * productThresholds()) — buses may tolerate more delay than the U-Bahn.
  *
  * Transit type mapping (HAFAS product to display name):
  *   - 'bus' → Bus
  *   - 'subway' → U-Bahn
  *   - 'tram' → Tram
  *   - 'suburban' → S-Bahn
+ *   - 'ferry' → Fähre
+ *   - 'regional', 'express', unknown → Sonstige
  *
- * A departure is "delayed" when: !cancelled AND delay > threshold
+ * A departure is "delayed" when: !cancelled AND delay > its product's delay threshold
  * A departure is "cancelled" when: cancelled === true
  *
+ * The state is derived from the share of disrupted (delayed or cancelled)
+ * departures: FUCKED above the product's `fucked` threshold, DEGRADED
+ * above `degraded`, FINE otherwise, and UNKNOWN without departures. The
+ * mixed `other` box uses the thresholds configured for 'other'.
+ *
  * @param {Array} departures - Array of HAFAS departure objects
- * @returns {Object} Aggregated counts by transit type:
+ * @returns {Object} Aggregated figures by transit type:
  *   {
- *     bus: { delayed: number, cancelled: number },
- *     ubahn: { delayed: number, cancelled: number },
- *     tram: { delayed: number, cancelled: number },
- *     sbahn: { delayed: number, cancelled: number }
+ *     bus:   { total, delayed, cancelled, percent, state },
+ *     ubahn: { ... },
+ *     tram:  { ... },
+ *     sbahn: { ... },
+ *     ferry: { ... },
+ *     other: { ... }
  *   }
  */
 export function aggregateDisruptionsByType(departures) {
-  const result = {
-    bus: { delayed: 0, cancelled: 0 },
-    ubahn: { delayed: 0, cancelled: 0 },
-    tram: { delayed: 0, cancelled: 0 },
-    sbahn: { delayed: 0, cancelled: 0 },
-  };
+  const list = Array.isArray(departures) ? departures : [];
+  const disruptionOf = createDisruptionCheck();
 
-  if (!Array.isArray(departures) || departures.length === 0) {
-    return result;
+  /** @type {Record<string, { total: number, delayed: number, cancelled: number }>} */
+  const counts = {};
+  for (const { box } of TRANSIT_BOXES) {
+    counts[box] = { total: 0, delayed: 0, cancelled: 0 };
   }
 
-  const { thresholds } = config;
-
-  for (const departure of departures) {
-    if (!departure.line || !departure.line.product) {
+  for (const departure of list) {
+    if (!departure) {
       continue;
     }
 
-    const product = departure.line.product;
-    const isDelayed = !departure.cancelled &&
-                      typeof departure.delay === 'number' &&
-                      departure.delay > thresholds.delay;
-    const isCancelled = departure.cancelled === true;
-
-    switch (product) {
-      case 'bus':
-        if (isDelayed) {result.bus.delayed++;}
-        if (isCancelled) {result.bus.cancelled++;}
-        break;
-      case 'subway':
-        if (isDelayed) {result.ubahn.delayed++;}
-        if (isCancelled) {result.ubahn.cancelled++;}
-        break;
-      case 'tram':
-        if (isDelayed) {result.tram.delayed++;}
-        if (isCancelled) {result.tram.cancelled++;}
-        break;
-      case 'suburban':
-        if (isDelayed) {result.sbahn.delayed++;}
-        if (isCancelled) {result.sbahn.cancelled++;}
-        break;
-      default:
-        break;
+    const entry = counts[transitBoxOf(departure)];
+    const disruption = disruptionOf(departure);
+
+    entry.total++;
+    if (disruption) {
+      entry[disruption]++;
+    }
+  }
+
+  const result = {};
+
+  for (const { box, products } of TRANSIT_BOXES) {
+    const { total, delayed, cancelled } = counts[box];
+    const limits = productThresholds(products.length === 1 ? products[0] : box);
+    const ratio = total > 0 ? (delayed + cancelled) / total : 0;
+
+    let state;
+    if (total === 0) {
+      state = 'UNKNOWN';
+    } else if (ratio > limits.fucked) {
+      state = 'FUCKED';
+    } else if (ratio > limits.degraded) {
+      state = 'DEGRADED';
+    } else {
+      state = 'FINE';
+    }
+
+    result[box] = {
+      total,
+      delayed,
+      cancelled,
+      percent: Math.round(ratio * 100),
+      state,
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Create a check that classifies a departure as 'cancelled', 'delayed'
+ * (beyond its product's delay threshold) or not disrupted (null).
+ *
+ * The per-product thresholds are parsed once per check, not once per
+ * departure.
+ *
+ * @returns {(departure: object) => 'cancelled'|'delayed'|null}
+ */
+function createDisruptionCheck() {
+  /** @type {Map<string, ReturnType<typeof productThresholds>>} */
+  const limitsByProduct = new Map();
+
+  return (departure) => {
+    if (departure.cancelled === true) {
+      return 'cancelled';
+    }
+
+    const product = departure.line && departure.line.product;
+    if (!limitsByProduct.has(product)) {
+      limitsByProduct.set(product, productThresholds(product));
+    }
+
+    const { delay } = limitsByProduct.get(product);
+    return typeof departure.delay === 'number' && departure.delay > delay ? 'delayed' : null;
+  };
+}
+
+/**
+ * List the disrupted departures of each transit box, for the detail
+ * accordions below the boxes.
+ *
+ * Uses the same classification as aggregateDisruptionsByType(), so each
+ * list holds exactly the departures counted as delayed or cancelled in
+ * its box. Cancellations come first, then the longest delays. Each list
+ * is capped at `limit` entries; `omitted` says how many were left out.
+ *
+ * @param {Array} departures - Normalized departures
+ * @param {number} [limit]   - Entries per box (default config.disruptedDepartures.limit)
+ * @returns {Record<string, { departures: Array<{ tripId: string|null, line: string|null, product: string|null, direction: string|null, stop: string|null, plannedWhen: string|null, when: string|null, delay: number|null, cancelled: boolean, url: string|null }>, omitted: number }>}
+ */
+export function listDisruptedDepartures(departures, limit = config.disruptedDepartures.limit) {
+  const list = Array.isArray(departures) ? departures : [];
+  const disruptionOf = createDisruptionCheck();
+
+  /** @type {Record<string, Array>} */
+  const byBox = {};
+  for (const { box } of TRANSIT_BOXES) {
+    byBox[box] = [];
+  }
+
+  for (const departure of list) {
+    if (departure && disruptionOf(departure)) {
+      byBox[transitBoxOf(departure)].push(departure);
     }
   }
 
+  const result = {};
+
+  for (const { box } of TRANSIT_BOXES) {
+    const disrupted = byBox[box].sort(bySeverity);
+
+    result[box] = {
+      departures: disrupted.slice(0, limit).map(describeDeparture),
+      omitted: Math.max(0, disrupted.length - limit),
+    };
+  }
+
   return result;
 }
+
+/**
+ * Sort order of disrupted departures: cancellations first, then by delay
+ * (longest first), then by planned departure time.
+ *
+ * @param {object} a
+ * @param {object} b
+ * @returns {number}
+ */
+function bySeverity(a, b) {
+  if (a.cancelled !== b.cancelled) {
+    return a.cancelled ? -1 : 1;
+  }
+  if ((b.delay || 0) !== (a.delay || 0)) {
+    return (b.delay || 0) - (a.delay || 0);
+  }
+  return String(a.plannedWhen || '').localeCompare(String(b.plannedWhen || ''));
+}
+
+/**
+ * The fields of a disrupted departure shown in the detail list. The
+ * source link is the first remark that carries a URL.
+ *
+ * @param {object} departure - Normalized departure
+ * @returns {object}
+ */
+function describeDeparture(departure) {
+  const remark = (departure.remarks || []).find((r) => r && r.url);
+
+  return {
+    tripId: departure.tripId || null,
+    line: (departure.line && departure.line.name) || null,
+    product: (departure.line && departure.line.product) || null,
+    direction: departure.direction || null,
+    stop: (departure.stop && departure.stop.name) || null,
+    plannedWhen: departure.plannedWhen || null,
+    when: departure.when || null,
+    delay: typeof departure.delay === 'number' ? departure.delay : null,
+    cancelled: departure.cancelled === true,
+    url: remark ? remark.url : null,
+  };
+}
+
+/**
+ * Score how much the verdict can be trusted.
+ *
+ * The score (0-1) is the share of stations that answered, scaled down
+ * when fewer than config.confidence.minSamples departures were sampled:
+ *
+ *   score = (stationsSucceeded / stationsTotal) * min(1, totalServices / minSamples)
+ *
+ * Confidence levels:
+ *   high   – score >= 0.75
+ *   medium – score >= config.confidence.floor (default 0.25)
+ *   low    – below the floor; the poller reports UNKNOWN instead of a verdict
+ *
+ * @param {{ stationsTotal: number, stationsSucceeded: number, totalServices: number }} sample
+ * @returns {{ level: string, score: number }}
+ */
+export function assessConfidence({ stationsTotal, stationsSucceeded, totalServices }) {
+  const { confidence } = config;
+
+  if (!stationsTotal || !stationsSucceeded || !totalServices) {
+    return { level: 'low', score: 0 };
+  }
+
+  const stationFactor = stationsSucceeded / stationsTotal;
+  const sampleFactor = Math.min(1, totalServices / confidence.minSamples);
+  const score = Math.round(stationFactor * sampleFactor * 100) / 100;
+
+  let level;
+  if (score >= 0.75) {
+    level = 'high';
+  } else if (score >= confidence.floor) {
+    level = 'medium';
+  } else {
+    level = 'low';
+  }
+
+  return { level, score };
+}
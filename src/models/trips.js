@@ -0,0 +1,63 @@
+/**
+ * Rank how badly a departure is disrupted, for picking the copy of a
+ * trip that counts.
+ *
+ * Cancelled beats any delay; otherwise the larger delay wins.
+ *
+ * @param {{ cancelled?: boolean, delay?: number|null }} departure
+ * @returns {number}
+ */
+function severity(departure) {
+  if (departure.cancelled === true) {
+    return Infinity;
+  }
+  return typeof departure.delay === 'number' ? departure.delay : -Infinity;
+}
+
+/**
+ * Keep each trip only once across all polled stations.
+ *
+ * An S-Bahn trip through Hauptbahnhof, Friedrichstraße and
+ * Alexanderplatz is returned by all three stations; counted three
+ * times, one late train would weigh like three. Departures are grouped
+ * by HAFAS `tripId` and the most disrupted copy is kept (a trip that is
+ * cancelled or late at any polled station counts as disrupted once).
+ * Departures without a `tripId` cannot be matched and are all kept.
+ *
+ * The order of the first occurrence of each trip is preserved.
+ *
+ * @param {Array} departures - Normalized departures (see bvg-client.js)
+ * @returns {{ departures: Array, duplicates: number }} Unique departures
+ *          and the number of copies removed
+ */
+export function deduplicateTrips(departures) {
+  if (!Array.isArray(departures) || departures.length === 0) {
+    return { departures: [], duplicates: 0 };
+  }
+
+  /** @type {Map<string, number>} tripId → index in `unique` */
+  const seen = new Map();
+  const unique = [];
+
+  for (const departure of departures) {
+    const tripId = departure && departure.tripId;
+
+    if (!tripId) {
+      unique.push(departure);
+      continue;
+    }
+
+    if (!seen.has(tripId)) {
+      seen.set(tripId, unique.length);
+      unique.push(departure);
+      continue;
+    }
+
+    const index = seen.get(tripId);
+    if (severity(departure) > severity(unique[index])) {
+      unique[index] = departure;
+    }
+  }
+
+  return { departures: unique, duplicates: departures.length - unique.length };
+}
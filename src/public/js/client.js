@@ -1,9 +1,12 @@
 /**
  * Client-side JavaScript for BVG Status Page.
  *
- * Auto-refreshes status every 60 seconds via fetch('/api/status') and
- * surgically patches only the changed DOM elements — no full page reload.
- * Falls back to window.location.reload() if the fetch fails.
+ * Receives live status pushes from the /api/stream Server-Sent Events
+ * endpoint and surgically patches only the changed DOM elements — no full
+ * page reload. Where EventSource is unavailable or the stream cannot be
+ * opened, falls back to refreshing via fetch('/api/status') right after
+ * the server's next poll (every 60 seconds if the server does not say),
+ * and to window.location.reload() if that fails.
  *
  * Also handles dark mode theme detection and initialization.
  */
@@ -12,6 +15,9 @@
   'use strict';
 
   const REFRESH_INTERVAL = 60;
+
+  /** Seconds to wait after the server's next poll is due, so it has finished */
+  const POLL_GRACE = 3;
   let secondsRemaining = REFRESH_INTERVAL;
   let timerInterval = null;
 
@@ -131,12 +137,24 @@
   }
 
   /**
-   * Fetch the latest status from /api/status and patch the DOM in place.
+   * Query string that keeps the page's line filter (the ?lines= of the
+   * index page, or the line of a /linie/ page) in live updates.
+   *
+   * @returns {string} '?lines=…', or '' for the whole network
+   */
+  function linesQuery() {
+    const lines = document.body.getAttribute('data-lines');
+    return lines ? '?lines=' + encodeURIComponent(lines) : '';
+  }
+
+  /**
+   * Fetch the latest status from /api/status (with the page's line filter)
+   * and patch the DOM in place.
    * Falls back to a full page reload if the fetch or parsing fails.
    * Restarts the countdown timer after a successful patch.
    */
   function fetchAndPatch() {
-    fetch('/api/status')
+    fetch('/api/status' + linesQuery())
       .then(function (response) {
         if (!response.ok) {
           throw new Error('HTTP ' + response.status);
@@ -145,19 +163,106 @@
       })
       .then(function (data) {
         patchDOM(data);
-        startTimer();
+        startTimer(secondsUntilNextPoll(data));
+        fetchAndPatchStations();
       })
       .catch(function () {
         window.location.reload();
       });
   }
 
+  /**
+   * Fetch the per-station breakdown from /api/stations and patch the
+   * station table in place. Failures are ignored — the table simply
+   * keeps its previous values until the next refresh.
+   */
+  function fetchAndPatchStations() {
+    if (!document.querySelector('.stations-table')) {
+      return;
+    }
+
+    fetch('/api/stations')
+      .then(function (response) {
+        if (!response.ok) {
+          throw new Error('HTTP ' + response.status);
+        }
+        return response.json();
+      })
+      .then(function (data) {
+        patchStations(data.stations || []);
+      })
+      .catch(function () {});
+  }
+
+  /**
+   * Patch the station table rows (matched by data-station) with fresh data.
+   *
+   * @param {Array} stations - Station entries from /api/stations
+   */
+  function patchStations(stations) {
+    for (const station of stations) {
+      const row = document.querySelector('.station-row[data-station="' + station.id + '"]');
+      if (!row) {
+        continue;
+      }
+
+      row.className = 'station-row ' + (station.cssClass || '');
+
+      const emojiEl = row.querySelector('.station-emoji');
+      if (emojiEl) {
+        emojiEl.textContent = station.emoji || '';
+      }
+
+      const disruptedEl = row.querySelector('.station-disrupted');
+      if (disruptedEl) {
+        disruptedEl.textContent = (station.metrics.percentDisrupted || 0) + '%';
+      }
+
+      const totalEl = row.querySelector('.station-total');
+      if (totalEl) {
+        totalEl.textContent = String(station.metrics.totalServices || 0);
+      }
+
+      const latencyEl = row.querySelector('.station-latency');
+      if (latencyEl) {
+        latencyEl.textContent = station.latency === null ? '–' : station.latency + ' ms';
+      }
+
+      // Error and circuit notes, rebuilt as in index.pug: the last error
+      // only while no fetch has succeeded since
+      const nameEl = row.querySelector('.station-name');
+      if (nameEl) {
+        nameEl.querySelectorAll('.station-error').forEach(function (el) {
+          el.remove();
+        });
+
+        const error = station.lastError;
+        if (error && (station.lastSuccess === null || error.timestamp > station.lastSuccess)) {
+          const errorEl = document.createElement('span');
+          errorEl.className = 'station-error';
+          errorEl.title = error.message || '';
+          errorEl.textContent = ' Fehler: ' + (error.code || 'unbekannt');
+          nameEl.appendChild(errorEl);
+        }
+
+        const circuit = station.circuit && station.circuit.state;
+        if (circuit === 'open' || circuit === 'half-open') {
+          const circuitEl = document.createElement('span');
+          circuitEl.className = 'station-error station-circuit';
+          circuitEl.textContent = circuit === 'open' ? 'Pausiert nach wiederholten Fehlern' : 'Wird erneut versucht';
+          nameEl.appendChild(circuitEl);
+        }
+      }
+    }
+  }
+
   /**
    * Patch the DOM in place with fresh data from the API response.
    * Only the changed elements are updated — no re-render or flicker.
    *
    * @param {Object} data - Parsed JSON from /api/status:
-   *   { state, metrics, transitBoxes, message, emoji, cssClass, timestamp, stale }
+   *   { state, metrics, transitBoxes, disruptedDepartures, suspensions, causes, explanation,
+   *     coverage, confidence, message, emoji, cssClass, timestamp, stale, restored }
    */
   function patchDOM(data) {
     // (1) Body className and .status className to the new status CSS class
@@ -187,8 +292,8 @@
       metricValues[2].textContent = String(data.metrics.totalServices || 0);
     }
 
-    // (5) Transit box counts — mirrors app.js updateTransitBoxes() exactly
-    const transitTypes = ['bus', 'ubahn', 'tram', 'sbahn'];
+    // (5) Transit boxes — counts as in app.js updateTransitBoxes(), plus share and state
+    const transitTypes = ['bus', 'ubahn', 'tram', 'sbahn', 'ferry', 'other'];
     if (data.transitBoxes) {
       for (const type of transitTypes) {
         if (!data.transitBoxes[type]) {
@@ -206,6 +311,19 @@
         if (cancelledEl) {
           cancelledEl.textContent = String(typeData.cancelled || 0);
         }
+
+        const percentEl = document.getElementById(type + '-percent');
+        if (percentEl) {
+          percentEl.textContent = (typeData.percent || 0) + '% von ' + (typeData.total || 0);
+        }
+
+        // Per-product state → box class, as rendered by index.pug
+        const boxEl = document.querySelector('.transit-box[data-type="' + type + '"]');
+        if (boxEl && typeData.state) {
+          const boxState = typeData.state.toLowerCase();
+          boxEl.className = 'transit-box box-' + boxState;
+          boxEl.setAttribute('data-state', boxState);
+        }
       }
     }
 
@@ -233,13 +351,242 @@
       timestampEl.textContent =
         'Zuletzt aktualisiert: ' + new Date(data.timestamp).toLocaleString('de-DE');
     }
+
+    // (8) Coverage and confidence — create as first .footer-info child if missing
+    if (data.timestamp && data.coverage && data.confidence) {
+      let coverageEl = document.querySelector('.coverage');
+      if (!coverageEl) {
+        const footer = document.querySelector('.footer-info');
+        if (footer) {
+          coverageEl = document.createElement('div');
+          footer.insertBefore(coverageEl, footer.firstChild);
+        }
+      }
+      if (coverageEl) {
+        coverageEl.className = 'coverage confidence-' + data.confidence.level;
+        coverageEl.textContent =
+          'Datenbasis: ' + data.coverage.stationsSucceeded + ' von ' +
+          data.coverage.stationsTotal + ' Stationen \u00B7 Verl\u00E4sslichkeit: ' +
+          data.confidence.label;
+      }
+    }
+
+    // (9) Warm-start notice — shown until the first poll after a restart replaces the restored data
+    const restoredNotice = document.querySelector('.restored-notice');
+    if (data.restored) {
+      if (!restoredNotice) {
+        const notice = document.createElement('div');
+        notice.className = 'restored-notice';
+        notice.textContent = 'Letzter bekannter Stand vor dem Neustart \u2013 wird aktualisiert \u2026';
+        const footerInfo = document.querySelector('.footer-info');
+        if (footerInfo) {
+          footerInfo.parentNode.insertBefore(notice, footerInfo);
+        }
+      }
+    } else if (restoredNotice) {
+      restoredNotice.parentNode.removeChild(restoredNotice);
+    }
+
+    // (10) Disrupted departure lists — rebuilt with the same markup and wording as index.pug
+    if (data.disruptedDepartures) {
+      for (const type of transitTypes) {
+        const listData = data.disruptedDepartures[type];
+        const listEl = document.getElementById(type + '-disruption-list');
+        if (!listData || !listEl) {
+          continue;
+        }
+
+        const countEl = document.getElementById(type + '-disrupted-count');
+        if (countEl) {
+          countEl.textContent = String(listData.departures.length + listData.omitted);
+        }
+
+        listEl.textContent = '';
+        for (const item of listData.departures) {
+          const time = item.plannedWhen
+            ? new Date(item.plannedWhen).toLocaleTimeString('de-DE', {
+              hour: '2-digit',
+              minute: '2-digit',
+              timeZone: 'Europe/Berlin',
+            })
+            : null;
+          const where = [
+            time,
+            item.stop ? 'Ab ' + item.stop : null,
+            item.direction ? 'Richtung ' + item.direction : null,
+          ].filter(Boolean).join(' \u00B7 ');
+          const what = item.cancelled
+            ? 'Ausfall'
+            : 'Versp\u00E4tung: ' + Math.round(item.delay / 60) + ' Min.';
+
+          const itemEl = document.createElement('div');
+          itemEl.className = 'disruption-item ' +
+            (item.cancelled ? 'disruption-cancelled' : 'disruption-delayed');
+
+          const lineEl = document.createElement('div');
+          lineEl.className = 'disruption-line';
+          lineEl.textContent = item.line || 'Unbekannte Linie';
+          itemEl.appendChild(lineEl);
+
+          const detailsEl = document.createElement('div');
+          detailsEl.className = 'disruption-details';
+          detailsEl.textContent = where ? where + ' \u2014 ' + what : what;
+          itemEl.appendChild(detailsEl);
+
+          if (item.url) {
+            const sourceEl = document.createElement('div');
+            sourceEl.className = 'disruption-source';
+            const linkEl = document.createElement('a');
+            linkEl.href = item.url;
+            linkEl.target = '_blank';
+            linkEl.rel = 'noopener noreferrer';
+            linkEl.textContent = 'Quelle: BVG Meldung';
+            sourceEl.appendChild(linkEl);
+            itemEl.appendChild(sourceEl);
+          }
+
+          listEl.appendChild(itemEl);
+        }
+
+        if (listData.departures.length === 0) {
+          const emptyEl = document.createElement('p');
+          emptyEl.className = 'disruption-empty';
+          emptyEl.textContent = 'Keine St\u00F6rungen';
+          listEl.appendChild(emptyEl);
+        }
+
+        if (listData.omitted) {
+          const moreEl = document.createElement('p');
+          moreEl.className = 'disruption-more';
+          moreEl.textContent = 'und ' + listData.omitted + ' weitere';
+          listEl.appendChild(moreEl);
+        }
+      }
+    }
+
+    // (11) Suspended line alerts — rebuilt with the same markup and wording as includes/suspension-alert.pug
+    const alertsEl = document.getElementById('suspension-alerts');
+    if (alertsEl && Array.isArray(data.suspensions)) {
+      alertsEl.textContent = '';
+      for (const suspension of data.suspensions) {
+        const since = new Date(suspension.since).toLocaleTimeString('de-DE', {
+          hour: '2-digit',
+          minute: '2-digit',
+          timeZone: 'Europe/Berlin',
+        });
+        const reason = suspension.stations.some(function (station) {
+          return station.reason === 'cancelled';
+        })
+          ? 'Alle Fahrten fallen aus'
+          : 'Nicht mehr auf den Abfahrtstafeln';
+
+        const alertEl = document.createElement('div');
+        alertEl.className = 'suspension-alert suspension-' + suspension.scope;
+        alertEl.setAttribute('data-line', suspension.line);
+
+        const messageEl = document.createElement('strong');
+        messageEl.className = 'suspension-message';
+        messageEl.textContent = suspension.message;
+        alertEl.appendChild(messageEl);
+
+        const detailsEl = document.createElement('div');
+        detailsEl.className = 'suspension-details';
+        detailsEl.textContent = reason + ' \u00B7 seit ' + since + ' Uhr';
+        alertEl.appendChild(detailsEl);
+
+        alertsEl.appendChild(alertEl);
+      }
+    }
+
+    // (12) Explanation of the verdict — empty (and hidden) when there is none
+    const explanationEl = document.getElementById('status-explanation');
+    if (explanationEl && data.explanation !== undefined) {
+      explanationEl.textContent = data.explanation || '';
+    }
+
+    // (13) Main cause — named only while disrupted, as in index.pug
+    const causeEl = document.getElementById('main-cause');
+    if (causeEl && data.causes) {
+      const disrupted = data.state === 'DEGRADED' || data.state === 'FUCKED';
+      causeEl.textContent = disrupted && data.causes.main
+        ? 'Hauptursache: ' + data.causes.main.label
+        : '';
+    }
+  }
+
+  /**
+   * Subscribe to /api/stream and patch the DOM on every 'status' event.
+   *
+   * EventSource reconnects (with Last-Event-ID) on its own after a dropped
+   * connection. Only if the stream never delivered an event, or the browser
+   * gave up on it, do we close it and fall back to the countdown loop.
+   */
+  function startStream() {
+    if (typeof window.EventSource !== 'function') {
+      startTimer();
+      return;
+    }
+
+    const source = new window.EventSource('/api/stream' + linesQuery());
+    let received = false;
+
+    source.addEventListener('status', function (event) {
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch (e) {
+        return;
+      }
+
+      received = true;
+      patchDOM(data);
+      fetchAndPatchStations();
+
+      const indicator = document.querySelector('.refresh-indicator');
+      if (indicator) {
+        indicator.textContent = 'Live-Aktualisierung aktiv';
+      }
+    });
+
+    source.addEventListener('error', function () {
+      if (!received || source.readyState === window.EventSource.CLOSED) {
+        source.close();
+        startTimer();
+      }
+    });
+  }
+
+  /**
+   * Seconds until fresh data is available, from the polling schedule in
+   * the /api/status payload. Falls back to the interval alone when
+   * nextPollAt is missing or implausible (e.g. clock skew).
+   *
+   * @param {Object} data - Parsed JSON from /api/status
+   * @returns {number}
+   */
+  function secondsUntilNextPoll(data) {
+    const polling = data && data.polling;
+    if (!polling || !polling.interval) {
+      return REFRESH_INTERVAL;
+    }
+
+    const interval = Math.round(polling.interval / 1000);
+    if (polling.nextPollAt) {
+      const seconds = Math.ceil((polling.nextPollAt - Date.now()) / 1000) + POLL_GRACE;
+      if (seconds > 0 && seconds <= interval + POLL_GRACE) {
+        return seconds;
+      }
+    }
+    return interval + POLL_GRACE;
   }
 
   /**
    * Start the auto-refresh countdown timer.
+   *
+   * @param {number} [seconds] - Countdown length (default 60)
    */
-  function startTimer() {
-    secondsRemaining = REFRESH_INTERVAL;
+  function startTimer(seconds) {
+    secondsRemaining = seconds || REFRESH_INTERVAL;
     updateCountdown();
     timerInterval = setInterval(tick, 1000);
   }
@@ -262,14 +609,22 @@
   /* Set up system preference change listener */
   initSystemPreferenceListener();
 
-  /* Kick off timer and initialize theme toggle once the DOM is ready */
+  /**
+   * Start live updates on pages showing a status (the status and line
+   * pages) and initialize the theme toggle. Other pages using the layout,
+   * such as the incident log and error pages, only get the theme.
+   */
+  function init() {
+    if (document.querySelector('.status')) {
+      startStream();
+    }
+    initThemeToggle();
+  }
+
+  /* Initialize once the DOM is ready */
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', function() {
-      startTimer();
-      initThemeToggle();
-    });
+    document.addEventListener('DOMContentLoaded', init);
   } else {
-    startTimer();
-    initThemeToggle();
+    init();
   }
 })();
@@ -0,0 +1,71 @@
+/**
+ * JSON shapes shared by the API routes.
+ *
+ * The poller cache carries display text as a nested `text` object for the
+ * Pug templates; the JSON API flattens it into message/emoji/cssClass.
+ * Keeping the shapes here lets /api/status and the /api/stream events
+ * serve exactly the same payload.
+ */
+
+/**
+ * Shape the poller status for JSON output (/api/status, /api/stream).
+ *
+ * @param {object} status - Status from poller.getStatus()
+ * @returns {object}
+ */
+export function formatStatus(status) {
+  return {
+    state: status.state,
+    metrics: status.metrics,
+    transitBoxes: status.transitBoxes,
+    disruptedDepartures: status.disruptedDepartures ?? null,
+    suspensions: status.suspensions ?? [],
+    causes: status.causes ?? { main: null, counts: [] },
+    explanation: status.explanation ?? null,
+    coverage: status.coverage,
+    confidence: status.confidence,
+    raw: status.raw,
+    smoothed: status.smoothed,
+    window: status.window ?? null,
+    lines: status.lines ?? null,
+    message: status.text.message,
+    emoji: status.text.emoji,
+    cssClass: status.text.cssClass,
+    timestamp: status.timestamp,
+    stale: status.stale,
+    restored: status.restored === true,
+    polling: status.polling,
+  };
+}
+
+/**
+ * Shape a per-station entry from the poller cache for JSON output,
+ * flattening its display text the same way /api/status does.
+ *
+ * @param {object} station - Entry from status.stations
+ * @returns {object}
+ */
+export function formatStation({ text, ...station }) {
+  return {
+    ...station,
+    message: text.message,
+    emoji: text.emoji,
+    cssClass: text.cssClass,
+  };
+}
+
+/**
+ * Shape a line entry from poller.getLines() / getLine() for JSON output,
+ * flattening its display text the same way /api/status does.
+ *
+ * @param {object} line
+ * @returns {object}
+ */
+export function formatLine({ text, ...line }) {
+  return {
+    ...line,
+    message: text.message,
+    emoji: text.emoji,
+    cssClass: text.cssClass,
+  };
+}
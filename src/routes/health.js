@@ -0,0 +1,94 @@
+/**
+ * Health check route handlers for container orchestrators.
+ *
+ *   GET /healthz — liveness: 200 while the process is up.
+ *   GET /readyz  — readiness: 200 once the poller has fresh data from a
+ *                  poll of its own in which at least one station
+ *                  answered, 503 before that (also while serving a status
+ *                  restored on a warm start, or after polls in which every
+ *                  station failed) and while the data is older than
+ *                  config.stalenessThreshold.
+ *
+ * Both return the same JSON body, including each station's last
+ * successful fetch and circuit breaker state, so a failing probe can be
+ * traced to its cause.
+ *
+ * The router is mounted at the root by the parent router in index.js.
+ */
+
+import { Router } from 'express';
+import config from '../config.js';
+
+/**
+ * Build the health body from the current poller status.
+ *
+ * @param {object} status - Status from poller.getStatus()
+ * @returns {{ ready: boolean, reason: string|null, lastPoll: number|null, lastSuccessfulPoll: number|null, age: number|null, stalenessThreshold: number, restored: boolean, uptime: number, stations: Array<object> }}
+ */
+function healthReport(status) {
+  const lastPoll = status.timestamp ?? null;
+  // A poll in which no station answered sets the timestamp, but brings no data
+  const lastSuccessfulPoll = status.lastSuccessfulPoll ?? null;
+
+  let reason = null;
+  if (lastSuccessfulPoll === null || status.restored === true) {
+    // A restored status is served, but this instance has not fetched data yet
+    reason = 'No successful poll yet.';
+  } else if (status.stale) {
+    reason = 'Data is older than the staleness threshold.';
+  }
+
+  return {
+    ready: reason === null,
+    reason,
+    lastPoll,
+    lastSuccessfulPoll,
+    age: lastSuccessfulPoll === null ? null : Date.now() - lastSuccessfulPoll,
+    stalenessThreshold: config.stalenessThreshold,
+    restored: status.restored === true,
+    uptime: Math.round(process.uptime()),
+    stations: (status.stations || []).map((station) => ({
+      id: station.id,
+      name: station.name,
+      lastSuccess: station.lastSuccess,
+      lastError: station.lastError,
+      circuit: station.circuit ?? null,
+    })),
+  };
+}
+
+/**
+ * Create health check route handlers wired to the given poller.
+ *
+ * @param {{ getStatus: Function }} poller
+ * @returns {Router}
+ */
+export function createHealthRoutes(poller) {
+  const router = Router();
+
+  /**
+   * GET /healthz — Liveness probe.
+   *
+   * Always 200; a process that can answer is alive even if BVG is not.
+   */
+  router.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', ...healthReport(poller.getStatus()) });
+  });
+
+  /**
+   * GET /readyz — Readiness probe.
+   *
+   * 503 until there is fresh data to serve, so that traffic is not
+   * routed to an instance that would only answer UNKNOWN.
+   */
+  router.get('/readyz', (req, res) => {
+    const report = healthReport(poller.getStatus());
+
+    res.status(report.ready ? 200 : 503).json({
+      status: report.ready ? 'ok' : 'unavailable',
+      ...report,
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,110 @@
+/**
+ * History route handlers.
+ *
+ *   GET /?from=&to=&resolution=  — recorded poll snapshots as a time series.
+ *
+ * The router is mounted at /api/history by the parent router in index.js.
+ */
+
+import { Router } from 'express';
+
+/** Default look-back window when `from` is omitted: 24 hours. */
+const DEFAULT_RANGE_MS = 24 * 60 * 60 * 1000;
+
+/** Smallest accepted bucket size: one minute. */
+const MIN_RESOLUTION_MS = 60 * 1000;
+
+/** Unit suffixes accepted by `resolution`, in milliseconds. */
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a point in time given as epoch milliseconds or an ISO 8601 string.
+ *
+ * @param {string} value
+ * @returns {number|null} Timestamp in ms, or null if unparseable
+ */
+function parseTime(value) {
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Parse a bucket size given as plain seconds ("300") or with a unit
+ * suffix ("5m", "1h", "1d").
+ *
+ * @param {string} value
+ * @returns {number|null} Duration in ms, or null if unparseable
+ */
+function parseDuration(value) {
+  const match = /^(\d+)([smhd])?$/.exec(value);
+  if (!match) {
+    return null;
+  }
+  return parseInt(match[1], 10) * DURATION_UNITS[match[2] || 's'];
+}
+
+/**
+ * Create history route handlers wired to the given poller.
+ *
+ * @param {{ getHistory: Function }} poller
+ * @returns {Router}
+ */
+export function createHistoryRoutes(poller) {
+  const router = Router();
+
+  /**
+   * GET / — Poll snapshots between `from` and `to`.
+   *
+   * Query parameters (all optional):
+   *   from       — start time, epoch ms or ISO 8601 (default: 24 h ago)
+   *   to         — end time, epoch ms or ISO 8601 (default: now)
+   *   resolution — bucket size, seconds or "5m"/"1h"/"1d" (default: raw)
+   *
+   * Responds 400 with `{ error }` for unparseable parameters.
+   */
+  router.get('/', (req, res) => {
+    const now = Date.now();
+
+    const to = req.query.to ? parseTime(String(req.query.to)) : now;
+    if (to === null) {
+      return res.status(400).json({ error: 'Invalid "to" parameter.' });
+    }
+
+    const from = req.query.from
+      ? parseTime(String(req.query.from))
+      : to - DEFAULT_RANGE_MS;
+    if (from === null) {
+      return res.status(400).json({ error: 'Invalid "from" parameter.' });
+    }
+    if (from > to) {
+      return res.status(400).json({ error: '"from" must not be after "to".' });
+    }
+
+    let resolution = null;
+    if (req.query.resolution) {
+      resolution = parseDuration(String(req.query.resolution));
+      if (resolution === null || resolution < MIN_RESOLUTION_MS) {
+        return res.status(400).json({
+          error: 'Invalid "resolution" parameter (minimum 60 seconds).',
+        });
+      }
+    }
+
+    res.json({
+      from,
+      to,
+      resolution,
+      points: poller.getHistory({ from, to, resolution }),
+    });
+  });
+
+  return router;
+}
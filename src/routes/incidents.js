@@ -0,0 +1,79 @@
+/**
+ * Incident route handlers.
+ *
+ *   GET /     — incidents, newest first (?status=open|closed, ?line=, ?limit=).
+ *   GET /:id  — one incident.
+ *
+ * The router is mounted at /api/incidents by the parent router in index.js.
+ */
+
+import { Router } from 'express';
+
+/** Incidents returned when `limit` is omitted. */
+const DEFAULT_LIMIT = 50;
+
+/** Largest accepted `limit`. */
+const MAX_LIMIT = 500;
+
+/**
+ * Create incident route handlers wired to the given incident tracker.
+ *
+ * @param {ReturnType<import('../services/incidents.js').createIncidentTracker>} incidents
+ * @returns {Router}
+ */
+export function createIncidentRoutes(incidents) {
+  const router = Router();
+
+  /**
+   * GET / — Incidents, newest first, with the number of matching ones.
+   *
+   * Query parameters (all optional):
+   *   status — `open` or `closed` (default: both)
+   *   line   — only incidents affecting this line (case and spaces ignored)
+   *   limit  — at most this many, 1-500 (default 50)
+   *
+   * Responds 400 with `{ error }` for invalid parameters.
+   */
+  router.get('/', (req, res) => {
+    const { status, line } = req.query;
+    if (status !== undefined && status !== 'open' && status !== 'closed') {
+      return res.status(400).json({ error: 'Invalid "status" parameter (open or closed).' });
+    }
+    if (line !== undefined && (typeof line !== 'string' || !line.trim())) {
+      return res.status(400).json({ error: 'Invalid "line" parameter.' });
+    }
+
+    let limit = DEFAULT_LIMIT;
+    if (req.query.limit !== undefined) {
+      limit = /^\d+$/.test(String(req.query.limit)) ? parseInt(req.query.limit, 10) : 0;
+      if (limit < 1 || limit > MAX_LIMIT) {
+        return res.status(400).json({ error: `Invalid "limit" parameter (1-${MAX_LIMIT}).` });
+      }
+    }
+
+    const matching = incidents.list({
+      open: status === undefined ? undefined : status === 'open',
+      line: line ? line.trim() : undefined,
+    });
+
+    // `count` is every matching incident, also beyond the limit
+    res.json({ count: matching.length, incidents: matching.slice(0, limit) });
+  });
+
+  /**
+   * GET /:id — One incident.
+   *
+   * Responds 404 with `{ error }` for unknown (or expired) incidents.
+   */
+  router.get('/:id', (req, res) => {
+    const incident = incidents.get(req.params.id);
+
+    if (!incident) {
+      return res.status(404).json({ error: `Unknown incident "${req.params.id}".` });
+    }
+
+    res.json({ incident });
+  });
+
+  return router;
+}
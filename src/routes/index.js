@@ -11,6 +11,14 @@
 
 import { Router } from 'express';
 import { createVoiceRoutes } from './voice.js';
+import { createHistoryRoutes } from './history.js';
+import { createStreamRoutes } from './stream.js';
+import { createWebhookRoutes } from './webhooks.js';
+import { createHealthRoutes } from './health.js';
+import { createLineRoutes } from './lines.js';
+import { createIncidentRoutes } from './incidents.js';
+import { formatStatus, formatStation } from './format.js';
+import { parseLineFilter } from '../models/lines.js';
 
 /**
  * Create route handlers wired to the given poller.
@@ -18,10 +26,17 @@ import { createVoiceRoutes } from './voice.js';
  * All status data is pre-computed by the poller — getStatus() returns
  * instantly from the in-memory cache so no async handling is needed.
  *
- * @param {{ getStatus: Function }} poller
+ * @param {{ getStatus: Function, getHistory: Function, on?: Function }} poller
+ * @param {object} [services]
+ * @param {object} [services.webhooks] - Webhook dispatcher (see services/webhooks.js);
+ *                                       the admin API is not mounted when omitted
+ * @param {object} [services.metrics]  - Prometheus metrics (see services/metrics.js);
+ *                                       /metrics is not mounted when omitted
+ * @param {object} [services.incidents] - Incident tracker (see services/incidents.js);
+ *                                       /api/incidents and /stoerungen are not mounted when omitted
  * @returns {Router}
  */
-export function createRoutes(poller) {
+export function createRoutes(poller, services = {}) {
   const router = Router();
 
   /**
@@ -29,23 +44,37 @@ export function createRoutes(poller) {
    *
    * Reads pre-computed status from the poller cache and passes the
    * display properties directly to index.pug (no logic in the route).
+   * `?lines=U8,S41` shows the status of those lines only.
    */
   router.get('/', (req, res) => {
-    const status = poller.getStatus();
+    const lines = parseLineFilter(req.query.lines);
+    const status = poller.getStatus({ lines });
 
     const timestamp = status.timestamp
       ? new Date(status.timestamp).toLocaleString('de-DE')
       : null;
 
     res.render('index', {
-      title: 'Ist BVG gefickt?',
+      title: lines.length ? `Ist ${lines.join(', ')} gefickt?` : 'Ist BVG gefickt?',
+      lines,
+      liveLines: lines.length ? lines.join(',') : undefined,
       bodyClass: status.text.cssClass,
       statusClass: status.text.cssClass,
+      state: status.state,
       message: status.text.message,
       emoji: status.text.emoji,
+      explanation: status.explanation,
       metrics: status.metrics,
       transitBoxes: status.transitBoxes,
+      disruptedDepartures: status.disruptedDepartures,
+      suspensions: status.suspensions || [],
+      causes: status.causes,
+      stations: status.stations,
+      coverage: status.coverage,
+      confidence: status.confidence,
       stale: status.stale,
+      restored: status.restored === true,
+      polling: status.polling,
       timestamp,
     });
   });
@@ -55,22 +84,112 @@ export function createRoutes(poller) {
    *
    * Returns the current status as JSON. CORS headers are applied by
    * the middleware in server.js so any origin can consume this endpoint.
+   * `?lines=U8,S41` computes the status over those lines only.
    */
   router.get('/api/status', (req, res) => {
+    res.json(formatStatus(poller.getStatus({ lines: parseLineFilter(req.query.lines) })));
+  });
+
+  /**
+   * GET /linie/:name — Status page of one line.
+   *
+   * Renders line.pug from poller.getLine(); lines not seen in recent polls
+   * get the error page with 404.
+   */
+  router.get('/linie/:name', (req, res) => {
     const status = poller.getStatus();
+    const line = poller.getLine(req.params.name);
+
+    if (!line) {
+      return res.status(404).render('error', {
+        title: 'Linie nicht gefunden - Ist BVG gefickt?',
+        bodyClass: 'status-unknown',
+        errorMessage: `Die Linie ${req.params.name} wurde in den letzten Abfragen nicht gesehen.`,
+      });
+    }
+
+    res.render('line', {
+      title: `Ist ${line.name} gefickt?`,
+      bodyClass: line.text.cssClass,
+      liveLines: line.name,
+      line,
+      stale: status.stale,
+      timestamp: status.timestamp
+        ? new Date(status.timestamp).toLocaleString('de-DE')
+        : null,
+    });
+  });
+
+  /**
+   * GET /api/stream — Server-Sent Events push of status updates.
+   *
+   * Delegated to the stream sub-router; see routes/stream.js for details.
+   */
+  router.use('/api/stream', createStreamRoutes(poller));
+
+  /**
+   * GET /api/disruptions — Active HAFAS warnings.
+   *
+   * Each entry names the affected lines and stations, its validity window
+   * and the warning text, deduplicated across all polled stations.
+   * Stale data yields an empty list, like the UNKNOWN status.
+   */
+  router.get('/api/disruptions', (req, res) => {
+    const status = poller.getStatus();
+    const disruptions = status.disruptions || [];
 
     res.json({
-      state: status.state,
-      metrics: status.metrics,
-      transitBoxes: status.transitBoxes,
-      message: status.text.message,
-      emoji: status.text.emoji,
-      cssClass: status.text.cssClass,
+      count: disruptions.length,
+      disruptions,
+      timestamp: status.timestamp,
+      stale: status.stale,
+    });
+  });
+
+  /**
+   * GET /api/stations — Per-station breakdown.
+   *
+   * Lists each polled station with its own state, metrics, transit boxes,
+   * fetch latency, last success and last error, so that a bad headline
+   * can be traced to the station causing it.
+   */
+  router.get('/api/stations', (req, res) => {
+    const status = poller.getStatus();
+
+    res.json({
+      stations: (status.stations || []).map(formatStation),
       timestamp: status.timestamp,
       stale: status.stale,
     });
   });
 
+  /**
+   * GET /api/stations/:id — One station from the breakdown.
+   *
+   * Responds 404 with `{ error }` for stations that are not polled.
+   */
+  router.get('/api/stations/:id', (req, res) => {
+    const status = poller.getStatus();
+    const station = (status.stations || []).find((s) => s.id === req.params.id);
+
+    if (!station) {
+      return res.status(404).json({ error: `Unknown station "${req.params.id}".` });
+    }
+
+    res.json({
+      station: formatStation(station),
+      timestamp: status.timestamp,
+      stale: status.stale,
+    });
+  });
+
+  /**
+   * /api/lines — Per-line status.
+   *
+   * Delegated to the lines sub-router; see routes/lines.js for details.
+   */
+  router.use('/api/lines', createLineRoutes(poller));
+
   /**
    * /api/voice — Voice-assistant endpoints (Siri Shortcuts & Google Assistant).
    *
@@ -78,5 +197,63 @@ export function createRoutes(poller) {
    */
   router.use('/api/voice', createVoiceRoutes(poller));
 
+  /**
+   * /api/history — Recorded poll snapshots with optional downsampling.
+   *
+   * Delegated to the history sub-router; see routes/history.js for details.
+   */
+  router.use('/api/history', createHistoryRoutes(poller));
+
+  if (services.incidents) {
+    /**
+     * GET /stoerungen — Incident log page.
+     *
+     * Renders incidents.pug with the latest 100 incidents, newest first.
+     */
+    router.get('/stoerungen', (req, res) => {
+      const status = poller.getStatus();
+
+      res.render('incidents', {
+        title: 'Störungsverlauf - Ist BVG gefickt?',
+        bodyClass: status.text.cssClass,
+        incidents: services.incidents.list({ limit: 100 }),
+      });
+    });
+
+    /**
+     * GET /api/incidents, GET /api/incidents/:id — Incident log.
+     *
+     * Delegated to the incidents sub-router; see routes/incidents.js for details.
+     */
+    router.use('/api/incidents', createIncidentRoutes(services.incidents));
+  }
+
+  /**
+   * /api/webhooks — Token-protected webhook registration and delivery log.
+   *
+   * Delegated to the webhooks sub-router; see routes/webhooks.js for details.
+   */
+  if (services.webhooks) {
+    router.use('/api/webhooks', createWebhookRoutes(services.webhooks));
+  }
+
+  /**
+   * GET /healthz, GET /readyz — Liveness and readiness probes.
+   *
+   * Delegated to the health sub-router; see routes/health.js for details.
+   */
+  router.use(createHealthRoutes(poller));
+
+  /**
+   * GET /metrics — Prometheus scrape endpoint.
+   *
+   * Poller, per-station and HTTP metrics in the text exposition format.
+   */
+  if (services.metrics) {
+    router.get('/metrics', (req, res) => {
+      res.type('text/plain; version=0.0.4').send(services.metrics.render());
+    });
+  }
+
   return router;
 }
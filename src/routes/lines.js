@@ -0,0 +1,60 @@
+/**
+ * Per-line route handlers.
+ *
+ *   GET /       — every line seen in recent polls with its metrics and state.
+ *   GET /:name  — one line, with its stations, HAFAS warnings and
+ *                 disrupted departures.
+ *
+ * The router is mounted at /api/lines by the parent router in index.js.
+ */
+
+import { Router } from 'express';
+import { formatLine } from './format.js';
+
+/**
+ * Create line route handlers wired to the given poller.
+ *
+ * @param {{ getStatus: Function, getLines: Function, getLine: Function }} poller
+ * @returns {Router}
+ */
+export function createLineRoutes(poller) {
+  const router = Router();
+
+  /**
+   * GET / — Lines seen in the trips behind the current status, sorted by
+   * name. Stale data yields an empty list, like the UNKNOWN status.
+   */
+  router.get('/', (req, res) => {
+    const status = poller.getStatus();
+    const lines = poller.getLines();
+
+    res.json({
+      count: lines.length,
+      lines: lines.map(formatLine),
+      timestamp: status.timestamp,
+      stale: status.stale,
+    });
+  });
+
+  /**
+   * GET /:name — One line; the name ignores case and spaces ("u8" = "U8").
+   *
+   * Responds 404 with `{ error }` for lines not seen in recent polls.
+   */
+  router.get('/:name', (req, res) => {
+    const status = poller.getStatus();
+    const line = poller.getLine(req.params.name);
+
+    if (!line) {
+      return res.status(404).json({ error: `Unknown line "${req.params.name}".` });
+    }
+
+    res.json({
+      line: formatLine(line),
+      timestamp: status.timestamp,
+      stale: status.stale,
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,181 @@
+/**
+ * Server-Sent Events route handler.
+ *
+ *   GET /  — text/event-stream of status updates.
+ *
+ * Events:
+ *   status     — full /api/status payload, sent on connect and after every poll.
+ *   transition — { previous, current, timestamp } whenever the headline state changes.
+ *
+ * Every event carries an increasing `id`. A reconnecting EventSource sends
+ * it back as Last-Event-ID and receives the buffered events it missed.
+ * Comment lines are sent as heartbeats so that proxies keep the
+ * connection open.
+ *
+ * With `?lines=U8,S41` the status events carry the status of those lines
+ * (as /api/status?lines=…). Such a stream is not resumable: the buffer
+ * holds network-wide events, so a reconnect starts from a fresh snapshot.
+ *
+ * The router is mounted at /api/stream by the parent router in index.js.
+ */
+
+import { Router } from 'express';
+import { formatStatus } from './format.js';
+import { lineKey, parseLineFilter } from '../models/lines.js';
+
+/** Interval between heartbeat comments in milliseconds. */
+const DEFAULT_HEARTBEAT_MS = 15000;
+
+/** Number of past events kept for Last-Event-ID resume. */
+const BUFFER_SIZE = 100;
+
+/** Reconnect delay suggested to EventSource clients, in milliseconds. */
+const RETRY_MS = 5000;
+
+/**
+ * Serialize one event in text/event-stream format.
+ *
+ * @param {{ id: number, event: string, data: object }} entry
+ * @returns {string}
+ */
+function serializeEvent({ id, event, data }) {
+  return `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Create the SSE route handler wired to the given poller.
+ *
+ * Subscribes to the poller's 'poll' and 'transition' events once and fans
+ * them out to every connected client. Pollers without an event interface
+ * (e.g. test mocks) still get the initial status event on connect.
+ *
+ * @param {{ getStatus: Function, on?: Function }} poller
+ * @param {object} [overrides]
+ * @param {number} [overrides.heartbeat] - Heartbeat interval in ms (default 15 s)
+ * @returns {Router}
+ */
+export function createStreamRoutes(poller, overrides = {}) {
+  const router = Router();
+  const heartbeatMs = overrides.heartbeat || DEFAULT_HEARTBEAT_MS;
+
+  /**
+   * Connected clients and the lines each one filters by (empty for none).
+   * @type {Map<import('express').Response, string[]>}
+   */
+  const clients = new Map();
+
+  /** @type {Array<{ id: number, event: string, data: object }>} */
+  const buffer = [];
+
+  let lastId = 0;
+
+  /**
+   * Record an event in the resume buffer and send it to all clients.
+   *
+   * Status events are computed per line filter (see `filtered`), once for
+   * all clients filtering by the same set of lines; every other event is
+   * the same for all.
+   *
+   * @param {string} event
+   * @param {object} data
+   * @param {(lines: string[]) => object} [filtered] - Event data for a line filter
+   */
+  function broadcast(event, data, filtered) {
+    const entry = { id: ++lastId, event, data };
+
+    buffer.push(entry);
+    if (buffer.length > BUFFER_SIZE) {
+      buffer.shift();
+    }
+
+    const chunk = serializeEvent(entry);
+    /** @type {Map<string, string>} Serialized event by sorted line keys */
+    const byFilter = new Map();
+
+    for (const [res, lines] of clients) {
+      if (!filtered || lines.length === 0) {
+        res.write(chunk);
+        continue;
+      }
+
+      const key = lines.map(lineKey).sort().join(',');
+      if (!byFilter.has(key)) {
+        byFilter.set(key, serializeEvent({ ...entry, data: filtered(lines) }));
+      }
+      res.write(byFilter.get(key));
+    }
+  }
+
+  if (typeof poller.on === 'function') {
+    poller.on('poll', () => {
+      broadcast(
+        'status',
+        formatStatus(poller.getStatus()),
+        (lines) => formatStatus(poller.getStatus({ lines }))
+      );
+    });
+
+    poller.on('transition', ({ previous, current, status }) => {
+      broadcast('transition', { previous, current, timestamp: status.timestamp });
+    });
+  }
+
+  /**
+   * GET / — Open an event stream.
+   *
+   * With a Last-Event-ID header (or ?lastEventId= for clients that cannot
+   * set headers) the missed events still in the buffer are replayed;
+   * otherwise the current status is sent right away.
+   */
+  router.get('/', (req, res) => {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Disable response buffering in nginx
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const lines = parseLineFilter(req.query.lines);
+    const resumeFrom = parseInt(req.get('Last-Event-ID') ?? req.query.lastEventId, 10);
+
+    // Resumable only if every event after resumeFrom is still buffered
+    const canResume = lines.length === 0 && !Number.isNaN(resumeFrom) && resumeFrom <= lastId &&
+      (resumeFrom === lastId || (buffer.length > 0 && buffer[0].id <= resumeFrom + 1));
+
+    if (canResume) {
+      for (const entry of buffer) {
+        if (entry.id > resumeFrom) {
+          res.write(serializeEvent(entry));
+        }
+      }
+    } else {
+      // New client, or the gap is older than the buffer — start from a snapshot
+      res.write(serializeEvent({
+        id: lastId,
+        event: 'status',
+        data: formatStatus(poller.getStatus({ lines })),
+      }));
+    }
+
+    clients.set(res, lines);
+
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+    }, heartbeatMs);
+
+    if (heartbeat.unref) {
+      heartbeat.unref();
+    }
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(res);
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,123 @@
+/**
+ * Webhook admin route handlers.
+ *
+ *   GET    /            — registered webhooks
+ *   POST   /            — register a webhook ({ url, secret? })
+ *   DELETE /:id         — remove a webhook registered here
+ *   GET    /deliveries  — recent deliveries, newest first (?limit=)
+ *
+ * Every request needs `Authorization: Bearer <ADMIN_TOKEN>`; without a
+ * configured token the admin API answers 403 to everything.
+ *
+ * The router is mounted at /api/webhooks by the parent router in index.js.
+ */
+
+import crypto from 'crypto';
+import express, { Router } from 'express';
+import config from '../config.js';
+
+/**
+ * Compare two strings in constant time.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Create webhook admin route handlers.
+ *
+ * @param {ReturnType<import('../services/webhooks.js').createWebhookDispatcher>} webhooks
+ * @param {object} [overrides]
+ * @param {string|null} [overrides.token] - Admin bearer token (default config.adminToken)
+ * @returns {Router}
+ */
+export function createWebhookRoutes(webhooks, overrides = {}) {
+  const router = Router();
+  const token = overrides.token !== undefined ? overrides.token : config.adminToken;
+
+  /**
+   * Bearer token check for every admin route.
+   */
+  router.use((req, res, next) => {
+    if (!token) {
+      return res.status(403).json({ error: 'Admin API is disabled (ADMIN_TOKEN is not set).' });
+    }
+
+    const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    if (!match || !safeEqual(match[1], token)) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Missing or invalid admin token.' });
+    }
+
+    next();
+  });
+
+  router.use(express.json());
+
+  /**
+   * GET / — Registered webhooks (secrets are never returned).
+   */
+  router.get('/', (req, res) => {
+    res.json({ webhooks: webhooks.list() });
+  });
+
+  /**
+   * POST / — Register a webhook.
+   *
+   * Body: { url: string, secret?: string }. Responds 201 with the webhook,
+   * or 400 with `{ error }` for a missing or non-http(s) URL.
+   */
+  router.post('/', (req, res) => {
+    const { url, secret } = req.body || {};
+
+    if (typeof url !== 'string' || (secret !== undefined && typeof secret !== 'string')) {
+      return res.status(400).json({ error: 'Expected a JSON body with "url" and optional "secret" strings.' });
+    }
+
+    try {
+      res.status(201).json({ webhook: webhooks.register({ url, secret }) });
+    } catch (err) {
+      if (err.code !== 'EINVAL') {
+        throw err;
+      }
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  /**
+   * GET /deliveries — Recent deliveries with their attempts, newest first.
+   */
+  router.get('/deliveries', (req, res) => {
+    const limit = parseInt(req.query.limit, 10);
+
+    res.json({ deliveries: webhooks.deliveries(limit > 0 ? limit : undefined) });
+  });
+
+  /**
+   * DELETE /:id — Remove a webhook registered through this API.
+   *
+   * Responds 404 for unknown IDs and 409 for webhooks from WEBHOOK_URLS.
+   */
+  router.delete('/:id', (req, res) => {
+    try {
+      if (!webhooks.unregister(req.params.id)) {
+        return res.status(404).json({ error: `Unknown webhook "${req.params.id}".` });
+      }
+    } catch (err) {
+      if (err.code !== 'EREADONLY') {
+        throw err;
+      }
+      return res.status(409).json({ error: err.message });
+    }
+
+    res.status(204).end();
+  });
+
+  return router;
+}
@@ -21,6 +21,11 @@ import { fileURLToPath } from 'url';
 
 import config from './config.js';
 import { createPoller } from './services/bvg-poller.js';
+import { createHistoryStore } from './services/history-store.js';
+import { createStateStore } from './services/state-store.js';
+import { createWebhookDispatcher } from './services/webhooks.js';
+import { createMetrics } from './services/metrics.js';
+import { createIncidentTracker } from './services/incidents.js';
 import { createRoutes } from './routes/index.js';
 
 /* ------------------------------------------------------------------ */
@@ -34,7 +39,15 @@ const __dirname = path.dirname(__filename);
 /*  Create poller and Express app                                     */
 /* ------------------------------------------------------------------ */
 
-const poller = createPoller();
+const poller = createPoller({
+  history: createHistoryStore(),
+  state: createStateStore(),
+});
+const webhooks = createWebhookDispatcher();
+webhooks.attach(poller);
+const metrics = createMetrics(poller);
+const incidents = createIncidentTracker();
+incidents.attach(poller);
 const app = express();
 
 /* ------------------------------------------------------------------ */
@@ -48,6 +61,9 @@ app.enable('trust proxy');
 app.set('view engine', 'pug');
 app.set('views', path.join(__dirname, 'views'));
 
+// Request counters for /metrics (registered first so every request is counted)
+app.use(metrics.middleware);
+
 // Static files (CSS, client JS)
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -70,7 +86,7 @@ app.use('/api', (req, res, next) => {
 /*  Routes                                                            */
 /* ------------------------------------------------------------------ */
 
-app.use(createRoutes(poller));
+app.use(createRoutes(poller, { webhooks, metrics, incidents }));
 
 /* ------------------------------------------------------------------ */
 /*  Error-handling middleware                                          */
@@ -117,5 +133,5 @@ if (process.argv[1] === fileURLToPath(import.meta.url)) {
 /*  Exports (for testing with Supertest)                              */
 /* ------------------------------------------------------------------ */
 
-export { app, poller };
+export { app, poller, webhooks, incidents };
 export default app;
@@ -84,16 +84,64 @@ export function createBvgClient(overrides = {}) {
  * Normalize a HAFAS departure object to the shape expected by
  * the transit-status model.
  *
+ * Shared with rest-client.js — transport.rest serves the same
+ * hafas-client departure format over HTTP.
+ *
  * @param {object} dep - Raw HAFAS departure
- * @returns {{ delay: number|null, cancelled: boolean, when: string|null, plannedWhen: string|null, direction: string|null, line: object|null }}
+ * @returns {{ tripId: string|null, stop: object|null, delay: number|null, cancelled: boolean, when: string|null, plannedWhen: string|null, platform: string|null, plannedPlatform: string|null, direction: string|null, line: object|null, remarks: Array }}
  */
-function normalizeDeparture(dep) {
+export function normalizeDeparture(dep) {
   return {
+    tripId: dep.tripId || null,
+    stop: dep.stop ? { id: dep.stop.id || null, name: dep.stop.name || null } : null,
     delay: typeof dep.delay === 'number' ? dep.delay : null,
     cancelled: dep.cancelled === true,
     when: dep.when || null,
     plannedWhen: dep.plannedWhen || null,
+    platform: dep.platform || null,
+    plannedPlatform: dep.plannedPlatform || null,
     direction: dep.direction || null,
     line: dep.line || null,
+    remarks: Array.isArray(dep.remarks) ? dep.remarks.map(normalizeRemark) : [],
+  };
+}
+
+/**
+ * Normalize a HAFAS remark (hint, status or warning) to the fields the
+ * disruption feed needs.
+ *
+ * @param {object} remark - Raw HAFAS remark
+ * @returns {{ type: string|null, id: string|null, code: string|null, summary: string|null, text: string|null, validFrom: string|null, validUntil: string|null, url: string|null }}
+ */
+function normalizeRemark(remark) {
+  return {
+    type: remark.type || null,
+    id: remark.id || null,
+    code: remark.code || null,
+    summary: remark.summary || null,
+    text: remark.text || null,
+    validFrom: remark.validFrom || null,
+    validUntil: remark.validUntil || null,
+    url: normalizeUrl(remark.url),
   };
 }
+
+/**
+ * Keep a remark link only if it is an absolute http(s) URL. `url` is not a
+ * standard HAFAS field, and it ends up in an `href` on the status page.
+ *
+ * @param {*} value
+ * @returns {string|null}
+ */
+function normalizeUrl(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:' ? value : null;
+  } catch {
+    return null;
+  }
+}
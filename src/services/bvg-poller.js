@@ -1,7 +1,25 @@
+import { EventEmitter } from 'events';
 import config from '../config.js';
 import { createBvgClient } from './bvg-client.js';
-import { determineStatus, aggregateDisruptionsByType } from '../models/transit-status.js';
-import { getStatusText } from './status-text.js';
+import { createRestClient } from './rest-client.js';
+import {
+  determineStatus,
+  aggregateDisruptionsByType,
+  listDisruptedDepartures,
+  transitBoxOf,
+  assessConfidence,
+} from '../models/transit-status.js';
+import { collectDisruptions } from '../models/disruptions.js';
+import { aggregateCauses } from '../models/causes.js';
+import { deduplicateTrips } from '../models/trips.js';
+import { filterByLines, lineKey, extractLines, lineStations } from '../models/lines.js';
+import { getStatusText, getConfidenceLabel, getSuspensionMessage } from './status-text.js';
+import { createStatusSmoother } from './status-smoother.js';
+import { createPollSchedule } from './poll-schedule.js';
+import { createTripWindow } from './trip-window.js';
+import { createSuspensionTracker } from './suspension-tracker.js';
+import { explainStatus } from './explanation.js';
+import { createResilientClient } from './resilience.js';
 
 /**
  * Major BVG stations used as a representative sample.
@@ -15,6 +33,49 @@ const STATIONS = [
   { id: '900120005', name: 'Ostkreuz' },
 ];
 
+/**
+ * Create the departure client selected by config.bvgApiType.
+ *
+ * Both clients share the `getDepartures(stationId, options)` contract,
+ * so the rest of the poller does not care which backend is in use.
+ * Either is wrapped with retries and a per-station circuit breaker.
+ *
+ * @returns {{ getDepartures: Function, getCircuit: Function }}
+ */
+function createDefaultClient() {
+  const client = config.bvgApiType === 'rest-api' ? createRestClient() : createBvgClient();
+  return createResilientClient(client);
+}
+
+/**
+ * Compute the per-station breakdown entry for one station.
+ *
+ * Reuses the same model functions as the global status so that a
+ * station's figures are directly comparable to the headline. `cause` is
+ * the main cause of the HAFAS warnings on the station's board, if any.
+ *
+ * @param {{ id: string, name: string }} station
+ * @param {Array} departures - This station's departures from the latest poll
+ * @param {{ latency: number|null, lastSuccess: number|null, lastError: object|null, circuit: object|null }} health
+ * @returns {object}
+ */
+function stationStatus(station, departures, health) {
+  const { state, metrics } = determineStatus(departures);
+  return {
+    id: station.id,
+    name: station.name,
+    state,
+    metrics,
+    text: getStatusText(state),
+    transitBoxes: aggregateDisruptionsByType(departures),
+    cause: aggregateCauses(collectDisruptions(departures)).main,
+    latency: health.latency,
+    lastSuccess: health.lastSuccess,
+    lastError: health.lastError,
+    circuit: health.circuit,
+  };
+}
+
 /**
  * Build an UNKNOWN status object used to prime the cache on startup
  * and returned when data becomes stale.
@@ -22,51 +83,191 @@ const STATIONS = [
  * Follows the IsSeptaFcked pattern of never leaving the cache empty
  * so that routes always have something to serve.
  *
+ * @param {Array<{ id: string, name: string }>} [stations] - Polled stations
+ * @param {Map<string, object>} [health] - Per-station fetch health by ID
  * @returns {object}
  */
-function unknownStatus() {
+function unknownStatus(stations = [], health = new Map()) {
   const { state, metrics } = determineStatus([]);
   const text = getStatusText(state);
   const transitBoxes = aggregateDisruptionsByType([]);
   return {
     state,
-    metrics,
+    metrics: { ...metrics, duplicatesRemoved: 0 },
     text,
     transitBoxes,
+    disruptedDepartures: listDisruptedDepartures([]),
+    disruptions: [],
+    causes: aggregateCauses([]),
+    suspensions: [],
+    explanation: null,
+    stations: stations.map((station) =>
+      stationStatus(station, [], health.get(station.id) || emptyHealth())
+    ),
+    coverage: {
+      stationsTotal: stations.length,
+      stationsSucceeded: 0,
+      stationsFailed: 0,
+      failedStations: [],
+    },
+    confidence: { level: 'low', score: 0, label: getConfidenceLabel('low') },
+    raw: { state, ratio: 0 },
+    smoothed: { state, ratio: 0 },
+    window: null,
     timestamp: null,
+    lastSuccessfulPoll: null,
     stale: true,
+    restored: false,
   };
 }
 
+/**
+ * Round a 0-1 ratio to three decimals for the API.
+ *
+ * @param {number} ratio
+ * @returns {number}
+ */
+function roundRatio(ratio) {
+  return Math.round(ratio * 1000) / 1000;
+}
+
+/**
+ * Fetch health of a station that has not been polled yet.
+ *
+ * @returns {{ latency: null, lastSuccess: null, lastError: null, circuit: null }}
+ */
+function emptyHealth() {
+  return { latency: null, lastSuccess: null, lastError: null, circuit: null };
+}
+
 /**
  * Create a BVG poller instance.
  *
  * Follows the IsSeptaFcked poll-and-cache pattern:
  *   boot()  → prime cache with UNKNOWN, fire first poll immediately,
- *             then schedule recurring polls via setInterval.
- *   poll()  → fetch departures from STATIONS, run determineStatus(),
- *             store pre-computed status/metrics/text in memory cache.
- *   stop()  → clear the interval.
+ *             then schedule recurring polls via setTimeout, each one
+ *             waiting as long as the poll schedule says.
+ *   poll()  → fetch departures from STATIONS, run determineStatus()
+ *             globally and per station, store pre-computed
+ *             status/metrics/text in memory cache.
+ *   stop()  → clear the pending timer.
  *
  * @param {object} [overrides]
- * @param {object} [overrides.client]   - BVG client (for test injection)
- * @param {number} [overrides.interval] - Poll interval in ms
+ * @param {object} [overrides.client]   - BVG client (for test injection);
+ *                                        defaults to the config.bvgApiType client
+ *                                        behind retries and a circuit breaker
+ * @param {number} [overrides.interval] - Base poll interval in ms
+ * @param {object} [overrides.schedule] - Poll schedule (see poll-schedule.js);
+ *                                        defaults to one built on `interval`
  * @param {string[]} [overrides.stations] - Station IDs to poll
- * @returns {{ start: Function, stop: Function, getStatus: Function }}
+ * @param {object} [overrides.history]  - Snapshot store (see history-store.js);
+ *                                        history is not recorded when omitted
+ * @param {object} [overrides.state]    - Status store for warm starts (see state-store.js);
+ *                                        nothing is saved or restored when omitted
+ * @param {object|null} [overrides.smoother] - Verdict smoother (see status-smoother.js);
+ *                                        null reports each poll's raw verdict
+ * @param {object|null} [overrides.window] - Rolling trip window (see trip-window.js);
+ *                                        null computes the status per poll
+ * @param {object|null} [overrides.suspensions] - Suspension tracker (see suspension-tracker.js);
+ *                                        null reports no suspended lines
+ * @returns {{ start: Function, stop: Function, getStatus: Function, getLines: Function, getLine: Function, getHistory: Function, on: Function, off: Function }}
  */
 export function createPoller(overrides = {}) {
-  const client = overrides.client || createBvgClient();
+  const client = overrides.client || createDefaultClient();
   const interval = overrides.interval ?? config.refreshInterval;
+  const schedule = overrides.schedule || createPollSchedule({ interval });
   const stations = overrides.stations
     ? overrides.stations.map((id) => ({ id, name: id }))
     : STATIONS;
+  const history = overrides.history || null;
+  const stateStore = overrides.state || null;
+  const smoother = overrides.smoother !== undefined
+    ? overrides.smoother
+    : config.smoothing.enabled ? createStatusSmoother() : null;
+  const tripWindow = overrides.window !== undefined
+    ? overrides.window
+    : config.tripWindow.enabled ? createTripWindow() : null;
+  const suspensionTracker = overrides.suspensions !== undefined
+    ? overrides.suspensions
+    : config.suspensions.enabled ? createSuspensionTracker() : null;
+
+  /**
+   * Per-station fetch health, kept across polls so that the last error
+   * and last success survive a later failure or recovery.
+   * @type {Map<string, { latency: number|null, lastSuccess: number|null, lastError: object|null, circuit: object|null }>}
+   */
+  const health = new Map();
 
   /** @type {ReturnType<typeof unknownStatus>} */
-  let cache = unknownStatus();
+  let cache = unknownStatus(stations, health);
+
+  /**
+   * Departures behind the cache: every departure the latest poll returned,
+   * and the deduplicated trips the status was computed over. Kept for
+   * line-filtered views (see getStatus()).
+   * @type {{ polled: Array, observed: Array }}
+   */
+  let latest = { polled: [], observed: [] };
 
-  /** @type {ReturnType<typeof setInterval> | null} */
+  /** @type {ReturnType<typeof setTimeout> | null} */
   let timer = null;
 
+  /** Consecutive polls in which no station answered (drives the backoff) */
+  let failures = 0;
+
+  /**
+   * End of the latest poll in which at least one station answered, in ms.
+   * Staleness (and thus readiness) is measured from it rather than from
+   * the cache timestamp, which a poll without any answer also sets.
+   * @type {number|null}
+   */
+  let lastSuccessfulPoll = null;
+
+  /** Start time of the latest scheduled poll, in ms */
+  let lastTick = 0;
+
+  /**
+   * Interval in effect, why it was chosen and when the next poll is due
+   * (null while the poller is not running).
+   * @type {{ interval: number, reason: string, nextPollAt: number|null }}
+   */
+  let polling = { ...schedule.next({ state: cache.state }), nextPollAt: null };
+
+  /**
+   * Emits 'poll' (status, { duration }) after every successful poll,
+   * 'transition' ({ previous, current, status }) when the headline
+   * state changes, 'fetch' ({ station, ok, latency }) for every station
+   * request and 'failure' (error) when a poll fails unexpectedly.
+   */
+  const events = new EventEmitter();
+
+  /**
+   * Emit an event to each listener in turn.
+   *
+   * A listener that throws (or rejects) is logged and skipped, so that a
+   * bug in a consumer (SSE, webhooks, metrics, incidents) neither fails
+   * the poll nor keeps the other listeners from being notified.
+   *
+   * @param {string} event
+   * @param {...*} args
+   */
+  function emit(event, ...args) {
+    for (const listener of events.rawListeners(event)) {
+      const report = (err) => {
+        process.stderr.write(`[bvg-poller] '${event}' listener error: ${err && err.message}\n`);
+      };
+
+      try {
+        const result = listener(...args);
+        if (result && typeof result.catch === 'function') {
+          result.catch(report);
+        }
+      } catch (err) {
+        report(err);
+      }
+    }
+  }
+
   /**
    * Fetch departures from all configured stations, compute status,
    * and update the in-memory cache.
@@ -77,68 +278,301 @@ export function createPoller(overrides = {}) {
   async function poll() {
     try {
       const allDepartures = [];
+      const started = Date.now();
+      const latencies = [];
 
       // Fetch departures from each station concurrently
       const results = await Promise.allSettled(
-        stations.map((station) =>
-          client.getDepartures(station.id, { results: 30 })
+        stations.map((station, i) =>
+          client.getDepartures(station.id, { results: 30 }).finally(() => {
+            latencies[i] = Date.now() - started;
+          })
         )
       );
 
-      for (const result of results) {
+      const finished = Date.now();
+      const stationStatuses = results.map((result, i) => {
+        const station = stations[i];
+        const entry = health.get(station.id) || emptyHealth();
+        entry.latency = latencies[i] ?? null;
+
+        let departures = [];
         if (result.status === 'fulfilled') {
-          allDepartures.push(...result.value);
+          departures = result.value;
+          allDepartures.push(...departures);
+          entry.lastSuccess = finished;
+        } else {
+          // Partial data is still useful — the failure is recorded per station
+          const reason = result.reason;
+          entry.lastError = {
+            message: reason instanceof Error ? reason.message : String(reason),
+            code: (reason && reason.code) || null,
+            timestamp: finished,
+          };
+        }
+
+        // Circuit breaker state, if the client has one (see resilience.js)
+        entry.circuit = client.getCircuit ? client.getCircuit(station.id) : null;
+
+        health.set(station.id, entry);
+        emit('fetch', {
+          station,
+          ok: result.status === 'fulfilled',
+          latency: entry.latency,
+        });
+        return stationStatus(station, departures, { ...entry });
+      });
+
+      const failedStations = stations
+        .filter((station, i) => results[i].status === 'rejected')
+        .map((station) => station.id);
+      const coverage = {
+        stationsTotal: stations.length,
+        stationsSucceeded: stations.length - failedStations.length,
+        stationsFailed: failedStations.length,
+        failedStations,
+      };
+
+      // No station answered at all — treat as an upstream outage and back off
+      failures = coverage.stationsSucceeded === 0 ? failures + 1 : 0;
+      if (coverage.stationsSucceeded > 0) {
+        lastSuccessfulPoll = finished;
+      }
+
+      // A trip seen at several polled stations counts once in the headline
+      // (per-station figures and the disruption feed keep every copy)
+      const trips = deduplicateTrips(allDepartures);
+
+      // The headline covers every trip observed within the window, not
+      // just this poll's snapshot
+      let observed = trips.departures;
+      if (tripWindow) {
+        tripWindow.add(trips.departures, finished);
+        observed = tripWindow.departures(finished);
+      }
+
+      const determined = determineStatus(observed);
+      const metrics = { ...determined.metrics, duplicatesRemoved: trips.duplicates };
+      const window = tripWindow
+        ? {
+          span: tripWindow.span,
+          trips: metrics.totalServices,
+          delayed: metrics.delayedCount,
+          cancelled: metrics.cancelledCount,
+        }
+        : null;
+      const confidence = assessConfidence({
+        ...coverage,
+        totalServices: metrics.totalServices,
+      });
+      confidence.label = getConfidenceLabel(confidence.level);
+
+      // Too few stations or departures for a verdict — keep the metrics,
+      // but do not claim FINE or FUCKED on the strength of them
+      const rawState = confidence.level === 'low' ? 'UNKNOWN' : determined.state;
+      // The smoother works on the disruption score as a 0-1 ratio
+      const rawRatio = metrics.score / 100;
+      const raw = { state: rawState, ratio: roundRatio(rawRatio) };
+
+      // The headline follows the smoothed verdict; UNKNOWN polls bypass
+      // the smoother so that missing data never shifts its average, and
+      // keep its verdict (with low confidence) until the dwell time has
+      // passed, so that one bad poll does not flip the headline
+      let smoothed = raw;
+      if (smoother) {
+        const result = rawState === 'UNKNOWN'
+          ? smoother.hold(Date.now())
+          : smoother.update(rawRatio, Date.now());
+        if (result) {
+          smoothed = { state: result.state, ratio: roundRatio(result.ratio) };
         }
-        // Rejected fetches are silently skipped — partial data is still useful
       }
+      const state = smoothed.state;
 
-      const { state, metrics } = determineStatus(allDepartures);
       const text = getStatusText(state);
-      const transitBoxes = aggregateDisruptionsByType(allDepartures);
+      const transitBoxes = aggregateDisruptionsByType(observed);
+      const disruptedDepartures = listDisruptedDepartures(observed);
+      const disruptions = collectDisruptions(allDepartures);
+      const causes = aggregateCauses(disruptions);
+
+      // Lines down at a station for several polls in a row, per station
+      // board (stations that did not answer keep their earlier verdict)
+      const suspensions = suspensionTracker
+        ? suspensionTracker
+          .update(
+            stations.map((station, i) => ({
+              station,
+              departures: results[i].status === 'fulfilled' ? results[i].value : null,
+            })),
+            finished
+          )
+          .map((suspension) => ({ ...suspension, message: getSuspensionMessage(suspension) }))
+        : [];
+
+      const previousState = cache.state;
 
+      latest = { polled: allDepartures, observed };
+      const explanation = explainStatus(
+        { state, metrics, transitBoxes, disruptions, stations: stationStatuses, coverage },
+        latest
+      );
       cache = {
         state,
         metrics,
         text,
         transitBoxes,
-        timestamp: Date.now(),
+        disruptedDepartures,
+        disruptions,
+        causes,
+        suspensions,
+        explanation,
+        stations: stationStatuses,
+        coverage,
+        confidence,
+        raw,
+        smoothed,
+        window,
+        timestamp: finished,
+        lastSuccessfulPoll,
         stale: false,
+        restored: false,
       };
+
+      if (history) {
+        // Recorded in the background — a slow disk must not delay the cache
+        history.append(cache).catch((err) => {
+          if (config.logLevel === 'debug') {
+            process.stderr.write(`[bvg-poller] history error: ${err.message}\n`);
+          }
+        });
+      }
+
+      if (stateStore) {
+        // Saved in the background for the next warm start
+        stateStore.save(cache).catch((err) => {
+          if (config.logLevel === 'debug') {
+            process.stderr.write(`[bvg-poller] state save error: ${err.message}\n`);
+          }
+        });
+      }
+
+      emit('poll', cache, { duration: Date.now() - started });
+      if (state !== previousState) {
+        emit('transition', { previous: previousState, current: state, status: cache });
+      }
     } catch (err) {
       // Unexpected error (not per-station — those are caught by allSettled).
       // Keep serving the previous cache; staleness check will handle it.
       if (config.logLevel === 'debug') {
         process.stderr.write(`[bvg-poller] poll error: ${err.message}\n`);
       }
+      failures += 1;
+      emit('failure', err);
+    }
+
+    // Re-plan the pending poll now that state and failures are up to date
+    if (timer !== null) {
+      plan();
     }
   }
 
+  /**
+   * (Re)arm the timer for the next poll.
+   *
+   * The interval comes from the poll schedule, given the latest state and
+   * failure count, and is measured from the start of the latest scheduled
+   * poll — so a poll that turns the state FUCKED pulls the next one in.
+   */
+  function plan() {
+    const next = schedule.next({ state: cache.state, failures });
+    const nextPollAt = lastTick + next.interval;
+    polling = { ...next, nextPollAt };
+
+    clearTimeout(timer);
+    timer = setTimeout(tick, Math.max(0, nextPollAt - Date.now()));
+
+    // Allow the process to exit even if the timer is still active
+    if (timer.unref) {
+      timer.unref();
+    }
+  }
+
+  /**
+   * Scheduled poll: arm the next timer first, then poll.
+   */
+  function tick() {
+    lastTick = Date.now();
+    plan();
+    poll();
+  }
+
+  /**
+   * Restore the status saved by a previous process.
+   *
+   * Only a status younger than config.stalenessThreshold is restored —
+   * older data would be reported UNKNOWN anyway. The restored cache is
+   * flagged `restored: true` until the first poll replaces it, and the
+   * smoother and station health continue from where they left off.
+   *
+   * @returns {object|null} The restored cache, or null
+   */
+  function restore() {
+    const saved = stateStore ? stateStore.load() : null;
+    // Saved before lastSuccessfulPoll was recorded: count the poll as one
+    const succeeded = saved ? saved.lastSuccessfulPoll ?? saved.timestamp : null;
+
+    if (succeeded === null || Date.now() - succeeded > config.stalenessThreshold) {
+      return null;
+    }
+
+    for (const station of saved.stations || []) {
+      health.set(station.id, {
+        latency: station.latency ?? null,
+        lastSuccess: station.lastSuccess ?? null,
+        lastError: station.lastError ?? null,
+        // Breakers start closed in a new process
+        circuit: null,
+      });
+    }
+
+    if (smoother && saved.smoothed && saved.state !== 'UNKNOWN') {
+      smoother.seed(saved.state, saved.smoothed.ratio, saved.timestamp);
+    }
+
+    lastSuccessfulPoll = succeeded;
+
+    return {
+      ...saved,
+      text: getStatusText(saved.state),
+      lastSuccessfulPoll: succeeded,
+      stale: false,
+      restored: true,
+    };
+  }
+
   /**
    * Start the poller.
    *
-   * 1. Primes the cache with UNKNOWN (race-condition protection).
+   * 1. Primes the cache with the restored status, or UNKNOWN if there is
+   *    none (race-condition protection).
    * 2. Fires the first poll immediately.
-   * 3. Schedules recurring polls via setInterval.
+   * 3. Schedules recurring polls via setTimeout, re-planned after every
+   *    poll (see plan()).
    */
   function start() {
-    // Already running — avoid duplicate intervals
+    // Already running — avoid duplicate timers
     if (timer !== null) {
       return;
     }
 
-    // Prime cache (already done in createPoller, but explicit for clarity)
-    cache = unknownStatus();
-
-    // Fire first poll immediately (don't await — runs in background)
-    poll();
-
-    // Schedule recurring polls
-    timer = setInterval(poll, interval);
+    // Prime cache (warm start if a recent status was saved)
+    lastSuccessfulPoll = null;
+    cache = restore() || unknownStatus(stations, health);
+    latest = { polled: [], observed: [] };
 
-    // Allow the process to exit even if the timer is still active
-    if (timer.unref) {
-      timer.unref();
-    }
+    // Schedule the next poll and fire the first one immediately
+    // (don't await — runs in background)
+    tick();
   }
 
   /**
@@ -146,35 +580,229 @@ export function createPoller(overrides = {}) {
    */
   function stop() {
     if (timer !== null) {
-      clearInterval(timer);
+      clearTimeout(timer);
       timer = null;
+      polling = { ...polling, nextPollAt: null };
     }
   }
 
   /**
    * Return the current cached status.
    *
-   * If the cache timestamp is older than config.stalenessThreshold (default 5 min),
-   * the status is overridden to UNKNOWN with stale: true.
+   * If no station has answered for config.stalenessThreshold (default
+   * 5 min) — or ever, although polls have run — the status is overridden
+   * to UNKNOWN with stale: true.
+   *
+   * The polling schedule in effect is attached as `polling`.
+   *
+   * With `lines`, the status is computed over the departures of those
+   * lines only (see lineStatus()) and the filter is attached as `lines`.
    *
+   * @param {object} [options]
+   * @param {string[]} [options.lines] - Line names to filter by (see models/lines.js)
    * @returns {object} The pre-computed status object
    */
-  function getStatus() {
-    // No successful poll yet — return primed UNKNOWN
+  function getStatus({ lines = [] } = {}) {
+    let status;
+
     if (cache.timestamp === null) {
-      return { ...cache };
+      // No successful poll yet — return primed UNKNOWN
+      status = { ...cache, polling: { ...polling } };
+    } else if (lastSuccessfulPoll === null || Date.now() - lastSuccessfulPoll > config.stalenessThreshold) {
+      status = unknownStatus(stations, health);
+      status.timestamp = cache.timestamp;
+      status.lastSuccessfulPoll = lastSuccessfulPoll;
+      status.polling = { ...polling };
+    } else {
+      status = { ...cache, polling: { ...polling } };
+      if (lines.length > 0) {
+        status = lineStatus(status, lines);
+      }
+    }
+
+    return lines.length > 0 ? { ...status, lines } : status;
+  }
+
+  /**
+   * Status of a few lines, computed on demand from the departures behind
+   * the cache with the same model functions as the headline.
+   *
+   * The verdict is the raw one: the smoother tracks the whole network, so
+   * raw and smoothed are the same here. A line that none of the polled
+   * stations serves has no departures and is UNKNOWN. The per-station
+   * breakdown and the polling schedule are those of the whole network.
+   *
+   * @param {object} status   - Current (fresh) cached status
+   * @param {string[]} lines  - Line names
+   * @returns {object}
+   */
+  function lineStatus(status, lines) {
+    const { observed, polled, state, metrics, confidence } = lineVerdict(status, lines);
+    const verdict = { state, ratio: roundRatio(metrics.score / 100) };
+    const keys = new Set(lines.map(lineKey));
+    const disruptions = lineDisruptions(status, lines);
+    const transitBoxes = aggregateDisruptionsByType(observed);
+
+    return {
+      ...status,
+      state,
+      metrics,
+      text: getStatusText(state),
+      transitBoxes,
+      disruptedDepartures: listDisruptedDepartures(observed),
+      disruptions,
+      causes: aggregateCauses(disruptions),
+      suspensions: (status.suspensions || []).filter((s) => keys.has(lineKey(s.line))),
+      explanation: explainStatus(
+        { state, metrics, transitBoxes, disruptions, stations: status.stations, coverage: status.coverage },
+        { observed, polled }
+      ),
+      confidence,
+      raw: verdict,
+      smoothed: verdict,
+      window: status.window
+        ? {
+          span: status.window.span,
+          trips: metrics.totalServices,
+          delayed: metrics.delayedCount,
+          cancelled: metrics.cancelledCount,
+        }
+        : null,
+    };
+  }
+
+  /**
+   * HAFAS warnings affecting any of a few lines.
+   *
+   * @param {object} status  - Current (fresh) cached status
+   * @param {string[]} lines - Line names
+   * @returns {Array<object>}
+   */
+  function lineDisruptions(status, lines) {
+    const keys = new Set(lines.map(lineKey));
+    return (status.disruptions || []).filter((d) => d.lines.some((name) => keys.has(lineKey(name))));
+  }
+
+  /**
+   * Verdict over the departures of a few lines: metrics, confidence and
+   * state as for the headline, including the drop to UNKNOWN when the
+   * confidence is low.
+   *
+   * @param {object} status  - Current (fresh) cached status
+   * @param {string[]} lines - Line names
+   * @returns {{ observed: Array, polled: Array, state: string, metrics: object, confidence: object }}
+   */
+  function lineVerdict(status, lines) {
+    const observed = filterByLines(latest.observed, lines);
+    const polled = filterByLines(latest.polled, lines);
+    const { duplicates } = deduplicateTrips(polled);
+
+    const determined = determineStatus(observed);
+    const metrics = { ...determined.metrics, duplicatesRemoved: duplicates };
+    const confidence = assessConfidence({
+      ...status.coverage,
+      totalServices: metrics.totalServices,
+    });
+    confidence.label = getConfidenceLabel(confidence.level);
+
+    const state = confidence.level === 'low' ? 'UNKNOWN' : determined.state;
+    return { observed, polled, state, metrics, confidence };
+  }
+
+  /**
+   * Summary of one line: its verdict, the stations it was observed at
+   * (in the latest poll or within the trip window) and the main cause of
+   * the HAFAS warnings affecting it, if any.
+   *
+   * @param {object} status - Current (fresh) cached status
+   * @param {{ name: string, product: string|null }} line
+   * @returns {{ name: string, product: string|null, box: string, state: string, metrics: object, confidence: object, text: object, stations: Array<{ id: string, name: string }>, cause: object|null }}
+   */
+  function lineSummary(status, line) {
+    const { observed, polled, state, metrics, confidence } = lineVerdict(status, [line.name]);
+
+    return {
+      name: line.name,
+      product: line.product,
+      box: transitBoxOf({ line }),
+      state,
+      metrics,
+      confidence,
+      text: getStatusText(state),
+      stations: lineStations([...polled, ...observed]),
+      cause: aggregateCauses(lineDisruptions(status, [line.name])).main,
+    };
+  }
+
+  /**
+   * Return every line seen in the trips behind the cache, each with its
+   * own verdict (see lineSummary()).
+   *
+   * @returns {Array<object>} Empty before the first poll and while the data is stale
+   */
+  function getLines() {
+    const status = getStatus();
+    if (status.stale) {
+      return [];
     }
 
-    const age = Date.now() - cache.timestamp;
+    return extractLines([...latest.polled, ...latest.observed]).map((line) => lineSummary(status, line));
+  }
 
-    if (age > config.stalenessThreshold) {
-      const stale = unknownStatus();
-      stale.timestamp = cache.timestamp;
-      return stale;
+  /**
+   * Return the details of one line: its summary plus the HAFAS warnings
+   * affecting it, its disrupted departures and its suspension, if any.
+   *
+   * @param {string} name - Line name (case and spaces are ignored)
+   * @returns {object|null} null if the line was not seen, or the data is stale
+   */
+  function getLine(name) {
+    const status = getStatus();
+    const [line] = extractLines(filterByLines([...latest.polled, ...latest.observed], [name]));
+    if (status.stale || !line) {
+      return null;
     }
 
-    return { ...cache };
+    const summary = lineSummary(status, line);
+    const detail = lineStatus(status, [line.name]);
+
+    return {
+      ...summary,
+      disruptions: detail.disruptions,
+      disruptedDepartures: detail.disruptedDepartures[summary.box],
+      suspension: detail.suspensions[0] || null,
+    };
+  }
+
+  /**
+   * Return recorded snapshots for a time range.
+   *
+   * @param {{ from?: number, to?: number, resolution?: number }} [range]
+   * @returns {Array<object>} Empty when no history store is configured
+   */
+  function getHistory(range) {
+    return history ? history.query(range) : [];
+  }
+
+  /**
+   * Subscribe to poller events ('poll', 'transition', 'fetch', 'failure').
+   *
+   * @param {string} event
+   * @param {Function} listener
+   */
+  function on(event, listener) {
+    events.on(event, listener);
+  }
+
+  /**
+   * Unsubscribe a listener added with on().
+   *
+   * @param {string} event
+   * @param {Function} listener
+   */
+  function off(event, listener) {
+    events.off(event, listener);
   }
 
-  return { start, stop, getStatus, poll };
+  return { start, stop, getStatus, getLines, getLine, getHistory, poll, on, off };
 }
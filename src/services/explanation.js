@@ -0,0 +1,285 @@
+/**
+ * Explain a verdict in one or two German sentences, e.g.
+ * "Vor allem S-Bahn Ring und U8 (Signalstörung) betroffen, 12 Ausfälle am
+ * Ostkreuz. Am stärksten gestört: S-Bahn (40 %)."
+ *
+ * The explanation names what contributes most to the verdict: the lines
+ * and the station with the most delayed or cancelled departures (each with
+ * the main cause of its HAFAS warnings, see models/causes.js) and the
+ * transit boxes with the highest disrupted share. Counts use the same
+ * model functions as the headline, so they match the page's figures.
+ */
+
+import { determineStatus } from '../models/transit-status.js';
+import { lineKey } from '../models/lines.js';
+import { aggregateCauses } from '../models/causes.js';
+
+/** Lines named together, as passengers know them */
+const LINE_GROUPS = {
+  S41: 'S-Bahn Ring',
+  S42: 'S-Bahn Ring',
+};
+
+/** Transit box names, as on the status page */
+const BOX_LABELS = {
+  bus: 'Bus',
+  ubahn: 'U-Bahn',
+  tram: 'Tram',
+  sbahn: 'S-Bahn',
+  ferry: 'Fähre',
+  other: 'Regional- und Fernzüge',
+};
+
+/** Most lines named */
+const MAX_LINES = 3;
+
+/** Most transit boxes named */
+const MAX_BOXES = 2;
+
+/** Disrupted departures a line or station needs to be named */
+const MIN_DISRUPTED = 2;
+
+/**
+ * Name a line is explained under ("S-Bahn Ring" for S41 and S42).
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function groupName(name) {
+  return LINE_GROUPS[lineKey(name)] || name;
+}
+
+/**
+ * Join names the German way: "A", "A und B", "A, B und C".
+ *
+ * @param {string[]} names
+ * @returns {string}
+ */
+function enumerate(names) {
+  return names.length > 1
+    ? `${names.slice(0, -1).join(', ')} und ${names[names.length - 1]}`
+    : names[0];
+}
+
+/**
+ * "1 Ausfall", "12 Ausfälle".
+ *
+ * @param {number} count
+ * @param {string} singular
+ * @param {string} plural
+ * @returns {string}
+ */
+function quantity(count, singular, plural) {
+  return `${count} ${count === 1 ? singular : plural}`;
+}
+
+/**
+ * Where a station is, with the article its name takes: "am Ostkreuz",
+ * "an der Friedrichstraße", "an der Station Zoologischer Garten".
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function atStation(name) {
+  if (/(straße|str\.|allee|brücke)$/i.test(name)) {
+    return `an der ${name}`;
+  }
+  return /\s/.test(name) ? `an der Station ${name}` : `am ${name}`;
+}
+
+/**
+ * Append a cause to a name: "U8 (Signalstörung)".
+ *
+ * @param {string} name
+ * @param {{ label: string }|null} cause
+ * @returns {string}
+ */
+function withCause(name, cause) {
+  return cause ? `${name} (${cause.label})` : name;
+}
+
+/**
+ * Split departures into groups, keeping the first-seen order.
+ *
+ * @param {Array} departures
+ * @param {Function} keyOf - Group key of a departure, or null to skip it
+ * @returns {Map<string, Array>}
+ */
+function groupBy(departures, keyOf) {
+  const groups = new Map();
+  for (const departure of departures) {
+    const key = keyOf(departure);
+    if (key === null) {
+      continue;
+    }
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(departure);
+  }
+  return groups;
+}
+
+/**
+ * The lines with the most disrupted departures: at most MAX_LINES, each
+ * with at least half as many as the worst one.
+ *
+ * @param {Array} observed - Departures the verdict was computed over
+ * @param {Array<object>} disruptions - HAFAS warnings (see disruptions.js)
+ * @returns {Array<{ name: string, cause: object|null }>} With the main cause of each line's warnings
+ */
+function topLines(observed, disruptions) {
+  const groups = groupBy(observed, (departure) =>
+    departure.line && departure.line.name ? groupName(departure.line.name) : null
+  );
+
+  const ranked = [...groups]
+    .map(([name, departures]) => ({ name, disrupted: determineStatus(departures).metrics.disruptedCount }))
+    .filter((line) => line.disrupted >= MIN_DISRUPTED)
+    .sort((a, b) => b.disrupted - a.disrupted || a.name.localeCompare(b.name));
+
+  if (ranked.length === 0) {
+    return [];
+  }
+
+  return ranked
+    .filter((line) => line.disrupted * 2 >= ranked[0].disrupted)
+    .slice(0, MAX_LINES)
+    .map((line) => ({
+      name: line.name,
+      cause: aggregateCauses(disruptions.filter((d) => d.lines.some((name) => groupName(name) === line.name))).main,
+    }));
+}
+
+/**
+ * The station with the most disrupted departures, with its cancellations
+ * and delays: "12 Ausfälle und 3 Verspätungen am Ostkreuz".
+ *
+ * @param {Array} polled - Departures of the latest poll, every station's copy
+ * @param {Array<{ id: string, name: string }>} stations - Polled stations (their names win, unless only the ID)
+ * @param {Array<object>} disruptions - HAFAS warnings (see disruptions.js)
+ * @returns {{ text: string, cause: object|null }|null} With the main cause of the station's warnings
+ */
+function worstStation(polled, stations, disruptions) {
+  const groups = groupBy(polled, (departure) => (departure.stop && departure.stop.id) || null);
+
+  let worst = null;
+  for (const [id, departures] of groups) {
+    const { metrics } = determineStatus(departures);
+    if (metrics.disruptedCount >= MIN_DISRUPTED && (!worst || metrics.disruptedCount > worst.metrics.disruptedCount)) {
+      const station = stations.find((candidate) => candidate.id === id && candidate.name !== id);
+      worst = { id, name: station ? station.name : departures[0].stop.name || id, metrics };
+    }
+  }
+
+  if (!worst) {
+    return null;
+  }
+
+  const counts = [
+    worst.metrics.cancelledCount > 0 ? quantity(worst.metrics.cancelledCount, 'Ausfall', 'Ausfälle') : null,
+    worst.metrics.delayedCount > 0 ? quantity(worst.metrics.delayedCount, 'Verspätung', 'Verspätungen') : null,
+  ].filter(Boolean);
+
+  return {
+    text: `${counts.join(' und ')} ${atStation(worst.name)}`,
+    cause: aggregateCauses(disruptions.filter((d) => d.stations.some((station) => station.id === worst.id))).main,
+  };
+}
+
+/**
+ * The transit boxes that are not FINE with the highest disrupted share:
+ * "S-Bahn (40 %) und U-Bahn (30 %)".
+ *
+ * @param {Record<string, { state: string, percent: number }>} transitBoxes
+ * @returns {string|null}
+ */
+function worstBoxes(transitBoxes) {
+  const boxes = Object.entries(transitBoxes || {})
+    .filter(([, box]) => box.state === 'DEGRADED' || box.state === 'FUCKED')
+    .sort(([, a], [, b]) => b.percent - a.percent)
+    .slice(0, MAX_BOXES)
+    .map(([type, box]) => `${BOX_LABELS[type] || type} (${box.percent} %)`);
+
+  return boxes.length > 0 ? enumerate(boxes) : null;
+}
+
+/**
+ * Explain a DEGRADED or FUCKED verdict.
+ *
+ * @param {object} status
+ * @param {{ observed: Array, polled: Array }} departures
+ * @returns {string}
+ */
+function explainDisrupted(status, { observed, polled }) {
+  const disruptions = status.disruptions || [];
+  const lines = topLines(observed, disruptions);
+  const station = worstStation(polled, status.stations || [], disruptions);
+  const boxes = worstBoxes(status.transitBoxes);
+
+  // A cause already named for a line is not repeated for the station
+  const named = new Set(lines.map((line) => line.cause && line.cause.id));
+  const where = [
+    lines.length > 0 ? `Vor allem ${enumerate(lines.map((line) => withCause(line.name, line.cause)))} betroffen` : null,
+    station ? withCause(station.text, station.cause && !named.has(station.cause.id) ? station.cause : null) : null,
+  ]
+    .filter(Boolean)
+    .join(', ');
+
+  const sentences = [];
+  if (where) {
+    sentences.push(`${where.charAt(0).toUpperCase()}${where.slice(1)}.`);
+  }
+  if (boxes) {
+    sentences.push(`Am stärksten gestört: ${boxes}.`);
+  }
+
+  // Disruptions scattered too thinly to name anything
+  if (sentences.length === 0) {
+    const { disruptedCount, totalServices } = status.metrics;
+    sentences.push(`${disruptedCount} von ${quantity(totalServices, 'Abfahrt', 'Abfahrten')} verspätet oder ausgefallen.`);
+  }
+
+  return sentences.join(' ');
+}
+
+/**
+ * Explain an UNKNOWN verdict of a poll: no station answered, or too few
+ * departures were sampled for a confident verdict.
+ *
+ * @param {object} status
+ * @returns {string}
+ */
+function explainUnknown({ coverage, metrics }) {
+  if (coverage.stationsSucceeded === 0) {
+    return `Keine der ${quantity(coverage.stationsTotal, 'Station', 'Stationen')} hat geantwortet.`;
+  }
+  if (metrics.totalServices === 0) {
+    return 'Keine Abfahrten an den abgefragten Stationen.';
+  }
+  return `Zu wenige Daten für ein Urteil: ${quantity(metrics.totalServices, 'Abfahrt', 'Abfahrten')} von ${coverage.stationsSucceeded} der ${quantity(coverage.stationsTotal, 'Station', 'Stationen')}.`;
+}
+
+/**
+ * Explain why the verdict of a status is what it is.
+ *
+ * FINE needs no explanation. UNKNOWN is explained by the missing data,
+ * DEGRADED and FUCKED by what contributes most (see the module comment);
+ * when nothing stands out, by the number of disrupted departures.
+ *
+ * @param {{ state: string, metrics: object, transitBoxes: object, disruptions?: Array, stations?: Array, coverage: object }} status
+ *   Status as the poller computes it
+ * @param {{ observed?: Array, polled?: Array }} [departures]
+ *   The departures the verdict was computed over (`observed`, one per
+ *   trip) and those of the latest poll (`polled`, every station's copy)
+ * @returns {string|null} null for FINE
+ */
+export function explainStatus(status, { observed = [], polled = [] } = {}) {
+  if (status.state === 'DEGRADED' || status.state === 'FUCKED') {
+    return explainDisrupted(status, { observed, polled });
+  }
+  if (status.state === 'UNKNOWN' && status.coverage) {
+    return explainUnknown(status);
+  }
+  return null;
+}
@@ -0,0 +1,264 @@
+import fs from 'fs';
+import path from 'path';
+import config from '../config.js';
+
+/**
+ * Severity rank per state, used to pick the worst state in a bucket.
+ * @type {Record<string, number>}
+ */
+const STATE_SEVERITY = {
+  UNKNOWN: 0,
+  FINE: 1,
+  DEGRADED: 2,
+  FUCKED: 3,
+};
+
+/**
+ * Create a file-backed store for poll snapshots.
+ *
+ * Snapshots are appended as JSON Lines to `file` and mirrored in memory
+ * so that queries never touch the disk. Entries older than `retention`
+ * are pruned; the file is rewritten (atomically, via a temp file) once
+ * enough pruned lines have accumulated.
+ *
+ * When `file` is empty the store keeps its history in memory only.
+ *
+ * @param {object} [overrides]
+ * @param {string} [overrides.file]      - JSONL file path (default config.historyFile)
+ * @param {number} [overrides.retention] - Max snapshot age in ms (default config.historyRetention)
+ * @returns {{ append: Function, query: Function }}
+ */
+export function createHistoryStore(overrides = {}) {
+  const file = overrides.file ?? config.historyFile;
+  const retention = overrides.retention ?? config.historyRetention;
+
+  /** @type {Array<object>|null} Lazily loaded on first access */
+  let entries = null;
+
+  /** Lines in the file that have been pruned from memory but not rewritten */
+  let prunedSinceCompaction = 0;
+
+  /**
+   * Chain of pending writes, so that an append never lands between
+   * compaction's snapshot of the entries and its rename
+   */
+  let pending = Promise.resolve();
+
+  /**
+   * Load existing snapshots from disk once.
+   *
+   * Unparseable lines (e.g. a torn write after a crash) are skipped.
+   *
+   * @returns {Array<object>}
+   */
+  function load() {
+    if (entries !== null) {
+      return entries;
+    }
+
+    entries = [];
+
+    if (!file || !fs.existsSync(file)) {
+      return entries;
+    }
+
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        const entry = JSON.parse(line);
+        if (typeof entry.timestamp === 'number') {
+          entries.push(entry);
+        }
+      } catch {
+        prunedSinceCompaction++;
+      }
+    }
+
+    entries.sort((a, b) => a.timestamp - b.timestamp);
+    return entries;
+  }
+
+  /**
+   * Drop entries older than the retention window.
+   *
+   * @param {number} now
+   */
+  function prune(now) {
+    const cutoff = now - retention;
+    let drop = 0;
+    while (drop < entries.length && entries[drop].timestamp < cutoff) {
+      drop++;
+    }
+    if (drop > 0) {
+      entries.splice(0, drop);
+      prunedSinceCompaction += drop;
+    }
+  }
+
+  /**
+   * Queue a file write behind the pending ones.
+   *
+   * @param {Function} write - Async write
+   * @returns {Promise<void>}
+   */
+  function enqueue(write) {
+    pending = pending.catch(() => {}).then(write);
+    return pending;
+  }
+
+  /**
+   * Rewrite the file with only the retained entries.
+   *
+   * The entries are captured when compaction is queued; appends queued
+   * after it land in the rewritten file. Written to a temp file first and
+   * renamed so a crash never leaves a half-written history behind.
+   *
+   * @returns {Promise<void>}
+   */
+  function compact() {
+    const tmp = `${file}.tmp`;
+    const body = entries.map((entry) => JSON.stringify(entry)).join('\n');
+    prunedSinceCompaction = 0;
+
+    return enqueue(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(tmp, body ? `${body}\n` : '');
+      await fs.promises.rename(tmp, file);
+    });
+  }
+
+  /**
+   * Record a poll snapshot.
+   *
+   * @param {{ timestamp: number, state: string, metrics: object, transitBoxes: object }} snapshot
+   * @returns {Promise<void>}
+   */
+  function append(snapshot) {
+    load();
+
+    const entry = {
+      timestamp: snapshot.timestamp,
+      state: snapshot.state,
+      metrics: snapshot.metrics,
+      transitBoxes: snapshot.transitBoxes,
+    };
+
+    entries.push(entry);
+    prune(entry.timestamp);
+
+    if (!file) {
+      return Promise.resolve();
+    }
+
+    // Rewrite once the file carries more dead lines than live ones
+    if (prunedSinceCompaction > entries.length) {
+      return compact();
+    }
+
+    const line = `${JSON.stringify(entry)}\n`;
+    return enqueue(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, line);
+    });
+  }
+
+  /**
+   * Return the snapshots between `from` and `to` (inclusive), optionally
+   * downsampled into buckets of `resolution` milliseconds.
+   *
+   * @param {object} [range]
+   * @param {number} [range.from]       - Start timestamp in ms (default: everything)
+   * @param {number} [range.to]         - End timestamp in ms (default: now)
+   * @param {number} [range.resolution] - Bucket size in ms (default: raw snapshots)
+   * @returns {Array<object>}
+   */
+  function query({ from = 0, to = Infinity, resolution = null } = {}) {
+    const selected = load().filter(
+      (entry) => entry.timestamp >= from && entry.timestamp <= to
+    );
+
+    if (!resolution) {
+      return selected.map((entry) => ({ ...entry, samples: 1 }));
+    }
+
+    return downsample(selected, resolution);
+  }
+
+  return { append, query };
+}
+
+/**
+ * Group snapshots into fixed-size time buckets.
+ *
+ * Each bucket reports the worst state seen in it and the mean of every
+ * numeric metric and transit-box count (rounded to integers, like the
+ * live metrics).
+ *
+ * @param {Array<object>} entries    - Snapshots sorted by timestamp
+ * @param {number}        resolution - Bucket size in ms
+ * @returns {Array<{ timestamp: number, samples: number, state: string, metrics: object, transitBoxes: object }>}
+ */
+export function downsample(entries, resolution) {
+  const buckets = new Map();
+
+  for (const entry of entries) {
+    const start = Math.floor(entry.timestamp / resolution) * resolution;
+    if (!buckets.has(start)) {
+      buckets.set(start, []);
+    }
+    buckets.get(start).push(entry);
+  }
+
+  return [...buckets.entries()].map(([timestamp, group]) => {
+    let state = group[0].state;
+    for (const entry of group) {
+      if ((STATE_SEVERITY[entry.state] ?? 0) > (STATE_SEVERITY[state] ?? 0)) {
+        state = entry.state;
+      }
+    }
+
+    return {
+      timestamp,
+      samples: group.length,
+      state,
+      metrics: averageNumbers(group.map((entry) => entry.metrics)),
+      transitBoxes: averageNumbers(group.map((entry) => entry.transitBoxes)),
+    };
+  });
+}
+
+/**
+ * Average the numeric leaves of a list of same-shaped objects.
+ *
+ * Non-numeric leaves take the value from the last object.
+ *
+ * @param {Array<object>} objects
+ * @returns {object|null}
+ */
+function averageNumbers(objects) {
+  const present = objects.filter((obj) => obj && typeof obj === 'object');
+  if (present.length === 0) {
+    return null;
+  }
+
+  const result = {};
+  const keys = new Set(present.flatMap((obj) => Object.keys(obj)));
+
+  for (const key of keys) {
+    const values = present.map((obj) => obj[key]).filter((v) => v !== undefined);
+
+    if (values.every((v) => typeof v === 'number')) {
+      const sum = values.reduce((acc, v) => acc + v, 0);
+      result[key] = Math.round(sum / values.length);
+    } else if (values.every((v) => v && typeof v === 'object' && !Array.isArray(v))) {
+      result[key] = averageNumbers(values);
+    } else {
+      result[key] = values[values.length - 1];
+    }
+  }
+
+  return result;
+}
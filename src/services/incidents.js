@@ -0,0 +1,394 @@
+import fs from 'fs';
+import path from 'path';
+import config from '../config.js';
+import { lineKey } from '../models/lines.js';
+
+/**
+ * Severity rank per disrupted state, used to track an incident's peak.
+ * @type {Record<string, number>}
+ */
+const SEVERITY = {
+  DEGRADED: 1,
+  FUCKED: 2,
+};
+
+/** Scope key of the network-wide incident */
+const NETWORK = 'network';
+
+/**
+ * Whether a state counts as disrupted (opens or extends an incident).
+ *
+ * @param {string} state
+ * @returns {boolean}
+ */
+function isDisrupted(state) {
+  return state in SEVERITY;
+}
+
+/**
+ * URL-safe incident ID from its scope and start, e.g. "u8-1769425200000".
+ *
+ * @param {string} key   - NETWORK or a line key
+ * @param {number} start - Start time in ms
+ * @returns {string}
+ */
+function incidentId(key, start) {
+  return `${key.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${start}`;
+}
+
+/**
+ * Create a tracker that groups disrupted periods into incidents.
+ *
+ * After every poll the network verdict and the verdict of every line are
+ * fed to update(). A scope (the network, or one line) whose state turns
+ * DEGRADED or FUCKED opens an incident; a suspended line (see
+ * suspension-tracker.js) counts as FUCKED. While open, the incident
+ * records its peak severity, the lines and stations affected and the
+ * HAFAS warnings seen, merged across polls.
+ *
+ * An incident closes once its scope has not been disrupted for
+ * `recovery` ms; a relapse within that window continues the same
+ * incident. Its `end` is the first poll it was no longer disrupted in.
+ * UNKNOWN verdicts and lines that are no longer seen count towards the
+ * recovery, so that no incident stays open forever.
+ *
+ * Incidents are saved to `file` (atomically, via a temp file) after every
+ * change and loaded on creation; closed incidents are kept for
+ * `retention` ms. When `file` is empty they are kept in memory only.
+ *
+ * @param {object} [overrides]
+ * @param {number} [overrides.recovery]  - Undisrupted time before an incident closes, in ms
+ * @param {number} [overrides.retention] - How long closed incidents are kept, in ms
+ * @param {string} [overrides.file]      - JSON file path (default config.incidents.file)
+ * @returns {{ update: Function, list: Function, get: Function, attach: Function }}
+ */
+export function createIncidentTracker(overrides = {}) {
+  const recovery = overrides.recovery ?? config.incidents.recovery;
+  const retention = overrides.retention ?? config.incidents.retention;
+  const file = overrides.file ?? config.incidents.file;
+
+  /** @type {Array<object>} Oldest first */
+  const incidents = load();
+
+  /** Chain of pending writes, so that an older list never overwrites a newer one */
+  let pending = Promise.resolve();
+
+  /**
+   * Read the saved incidents. Synchronous, as it runs once on creation.
+   *
+   * @returns {Array<object>} Empty if there is no file or it is unreadable
+   */
+  function load() {
+    if (!file || !fs.existsSync(file)) {
+      return [];
+    }
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return Array.isArray(saved) ? saved.filter((incident) => incident && typeof incident.id === 'string') : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Persist all incidents atomically.
+   *
+   * @returns {Promise<void>}
+   */
+  function save() {
+    if (!file) {
+      return Promise.resolve();
+    }
+
+    const body = JSON.stringify(incidents);
+
+    const write = async () => {
+      const tmp = `${file}.tmp`;
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(tmp, body);
+      await fs.promises.rename(tmp, file);
+    };
+
+    pending = pending.catch(() => {}).then(write);
+    return pending;
+  }
+
+  /**
+   * Open incident of a scope.
+   *
+   * @param {string} key - NETWORK or a line key
+   * @returns {object|undefined}
+   */
+  function openIncident(key) {
+    return incidents.find((incident) => incident.open && incident.key === key);
+  }
+
+  /**
+   * Merge lines, stations and warnings into an incident.
+   *
+   * @param {object} incident
+   * @param {{ lines: string[], stations: Array<{ id: string, name: string }>, remarks: Array }} affected
+   */
+  function merge(incident, affected) {
+    for (const name of affected.lines) {
+      if (!incident.lines.some((known) => lineKey(known) === lineKey(name))) {
+        incident.lines.push(name);
+      }
+    }
+
+    for (const station of affected.stations) {
+      if (!incident.stations.some((known) => known.id === station.id)) {
+        incident.stations.push({ id: station.id, name: station.name });
+      }
+    }
+
+    for (const remark of affected.remarks) {
+      const entry = {
+        id: remark.id,
+        summary: remark.summary,
+        text: remark.text,
+        url: remark.url,
+        validFrom: remark.validFrom,
+        validUntil: remark.validUntil,
+        lines: remark.lines,
+      };
+      const index = incident.remarks.findIndex((known) => known.id === remark.id);
+      if (index === -1) {
+        incident.remarks.push(entry);
+      } else {
+        // The latest version of a warning wins (texts get updated)
+        incident.remarks[index] = entry;
+      }
+    }
+  }
+
+  /**
+   * Record one poll's verdict of a scope.
+   *
+   * @param {string} key
+   * @param {{ line: string|null, product: string|null, state: string, score: number, lines: string[], stations: Array, remarks: Array }} observation
+   * @param {number} now
+   * @returns {boolean} Whether an incident changed
+   */
+  function observe(key, observation, now) {
+    let incident = openIncident(key);
+
+    if (!isDisrupted(observation.state)) {
+      return incident ? recover(incident, now) : false;
+    }
+
+    if (!incident) {
+      incident = {
+        id: incidentId(key, now),
+        key,
+        scope: key === NETWORK ? 'network' : 'line',
+        line: observation.line,
+        product: observation.product,
+        open: true,
+        start: now,
+        end: null,
+        lastDisrupted: now,
+        recoveringSince: null,
+        polls: 0,
+        peak: { state: observation.state, score: observation.score, at: now },
+        lines: [],
+        stations: [],
+        remarks: [],
+      };
+      incidents.push(incident);
+    }
+
+    const peak = incident.peak;
+    if (
+      SEVERITY[observation.state] > SEVERITY[peak.state] ||
+      (observation.state === peak.state && observation.score > peak.score)
+    ) {
+      incident.peak = { state: observation.state, score: observation.score, at: now };
+    }
+
+    incident.lastDisrupted = now;
+    incident.recoveringSince = null;
+    incident.polls += 1;
+    merge(incident, observation);
+    return true;
+  }
+
+  /**
+   * Advance the recovery of an open incident whose scope was not
+   * disrupted in this poll, closing it once the window has passed.
+   *
+   * @param {object} incident
+   * @param {number} now
+   * @returns {boolean} Whether the incident changed
+   */
+  function recover(incident, now) {
+    if (incident.recoveringSince === null) {
+      incident.recoveringSince = now;
+      return true;
+    }
+
+    if (now - incident.recoveringSince >= recovery) {
+      incident.open = false;
+      incident.end = incident.recoveringSince;
+      incident.recoveringSince = null;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Drop closed incidents that ended before the retention window.
+   *
+   * @param {number} now
+   * @returns {boolean} Whether any were dropped
+   */
+  function prune(now) {
+    const before = incidents.length;
+    for (let i = incidents.length - 1; i >= 0; i -= 1) {
+      if (!incidents[i].open && incidents[i].end < now - retention) {
+        incidents.splice(i, 1);
+      }
+    }
+    return incidents.length !== before;
+  }
+
+  /**
+   * Record the verdicts of one poll.
+   *
+   * @param {object} status - Network status (the poller cache)
+   * @param {Array<object>} [lines] - Line summaries (see poller.getLines())
+   * @param {number} [now] - Poll time in ms (default status.timestamp)
+   */
+  function update(status, lines = [], now = status.timestamp ?? Date.now()) {
+    if (status.stale) {
+      return;
+    }
+
+    const disruptions = status.disruptions || [];
+    const suspended = new Map((status.suspensions || []).map((s) => [lineKey(s.line), s]));
+
+    /** @type {Map<string, object>} Line observations by line key */
+    const observations = new Map();
+
+    for (const line of lines) {
+      const key = lineKey(line.name);
+      const suspension = suspended.get(key);
+      observations.set(key, {
+        line: line.name,
+        product: line.product,
+        state: suspension ? 'FUCKED' : line.state,
+        score: line.metrics.score,
+        lines: [line.name],
+        stations: suspension ? suspension.stations : line.stations,
+        remarks: disruptions.filter((d) => d.lines.some((name) => lineKey(name) === key)),
+      });
+    }
+
+    // Lines that vanished from the boards have no trips, but are down
+    for (const [key, suspension] of suspended) {
+      if (!observations.has(key)) {
+        observations.set(key, {
+          line: suspension.line,
+          product: suspension.product,
+          state: 'FUCKED',
+          score: 100,
+          lines: [suspension.line],
+          stations: suspension.stations,
+          remarks: disruptions.filter((d) => d.lines.some((name) => lineKey(name) === key)),
+        });
+      }
+    }
+
+    let changed = observe(NETWORK, {
+      line: null,
+      product: null,
+      state: status.state,
+      score: status.metrics.score,
+      lines: [...observations.values()].filter((o) => isDisrupted(o.state)).map((o) => o.line),
+      stations: (status.stations || []).filter((station) => isDisrupted(station.state)),
+      remarks: disruptions,
+    }, now);
+
+    for (const [key, observation] of observations) {
+      changed = observe(key, observation, now) || changed;
+    }
+
+    // Lines no longer seen count as recovering
+    for (const incident of incidents) {
+      if (incident.open && incident.key !== NETWORK && !observations.has(incident.key)) {
+        changed = recover(incident, now) || changed;
+      }
+    }
+
+    changed = prune(now) || changed;
+
+    if (changed) {
+      save().catch((err) => {
+        if (config.logLevel === 'debug') {
+          process.stderr.write(`[incidents] save error: ${err.message}\n`);
+        }
+      });
+    }
+  }
+
+  /**
+   * Shape an incident for output: internal fields dropped, duration added.
+   *
+   * @param {object} incident
+   * @param {number} now
+   * @returns {object}
+   */
+  function present({ key: _key, ...incident }, now) {
+    return {
+      ...incident,
+      duration: (incident.end ?? now) - incident.start,
+    };
+  }
+
+  /**
+   * Incidents, newest first.
+   *
+   * @param {object} [filter]
+   * @param {boolean} [filter.open] - Only open (true) or closed (false) incidents
+   * @param {string} [filter.line]  - Only incidents affecting this line
+   * @param {number} [filter.limit] - At most this many
+   * @returns {Array<object>}
+   */
+  function list({ open, line, limit } = {}) {
+    const now = Date.now();
+    const key = line ? lineKey(line) : null;
+
+    const matching = incidents
+      .filter((incident) => open === undefined || incident.open === open)
+      .filter((incident) => !key || incident.lines.some((name) => lineKey(name) === key))
+      .sort((a, b) => b.start - a.start);
+
+    return (limit ? matching.slice(0, limit) : matching).map((incident) => present(incident, now));
+  }
+
+  /**
+   * One incident by ID.
+   *
+   * @param {string} id
+   * @returns {object|null}
+   */
+  function get(id) {
+    const incident = incidents.find((candidate) => candidate.id === id);
+    return incident ? present(incident, Date.now()) : null;
+  }
+
+  /**
+   * Feed the poller's 'poll' events, with the verdict of every line.
+   *
+   * @param {{ on: Function, getLines: Function }} poller
+   */
+  function attach(poller) {
+    poller.on('poll', (status) => {
+      update(status, poller.getLines());
+    });
+  }
+
+  return { update, list, get, attach };
+}
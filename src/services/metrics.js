@@ -0,0 +1,373 @@
+/**
+ * Prometheus metrics.
+ *
+ * A small in-process registry that renders the Prometheus text exposition
+ * format (version 0.0.4) — enough for counters, gauges and histograms
+ * without pulling in a client library.
+ */
+
+/**
+ * Default buckets for the poll duration histogram, in seconds.
+ * @type {number[]}
+ */
+const POLL_BUCKETS = [0.25, 0.5, 1, 2.5, 5, 10, 20, 30];
+
+/**
+ * Default buckets for the per-station fetch latency histogram, in seconds.
+ * @type {number[]}
+ */
+const FETCH_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * States exported by the bvg_state gauge, one series each.
+ * @type {string[]}
+ */
+const STATES = ['FINE', 'DEGRADED', 'FUCKED', 'UNKNOWN'];
+
+/**
+ * Escape a label value for the text format.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a sample value ("+Inf", "-Inf" and "NaN" as Prometheus expects).
+ *
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * Render a label set as `{a="1",b="2"}`, or '' when empty.
+ *
+ * @param {Record<string, string|number>} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Series key for a label set, independent of property order.
+ *
+ * @param {string[]} labelNames
+ * @param {Record<string, string|number>} labels
+ * @returns {string}
+ */
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+}
+
+/**
+ * Pick the declared labels from a label set, in declaration order.
+ *
+ * @param {string[]} labelNames
+ * @param {Record<string, string|number>} labels
+ * @returns {Record<string, string>}
+ */
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map((name) => [name, String(labels[name] ?? '')]));
+}
+
+/**
+ * Create a metrics registry.
+ *
+ * @returns {{ counter: Function, gauge: Function, histogram: Function, collect: Function, render: Function }}
+ */
+export function createRegistry() {
+  /** @type {Array<{ name: string, help: string, type: string, lines: Function }>} */
+  const metrics = [];
+
+  /** @type {Function[]} Run before each render to refresh gauges */
+  const collectors = [];
+
+  /**
+   * Register a counter or gauge.
+   *
+   * @param {'counter'|'gauge'} type
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} labelNames
+   * @returns {{ inc: Function, set: Function }}
+   */
+  function scalar(type, name, help, labelNames) {
+    /** @type {Map<string, { labels: object, value: number }>} */
+    const series = new Map();
+
+    function entry(labels) {
+      const key = seriesKey(labelNames, labels);
+      if (!series.has(key)) {
+        series.set(key, { labels: pickLabels(labelNames, labels), value: 0 });
+      }
+      return series.get(key);
+    }
+
+    metrics.push({
+      name,
+      help,
+      type,
+      lines: () => [...series.values()].map(
+        ({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`
+      ),
+    });
+
+    return {
+      inc(labels = {}, amount = 1) {
+        entry(labels).value += amount;
+      },
+      set(labels = {}, value = 0) {
+        entry(labels).value = value;
+      },
+    };
+  }
+
+  /**
+   * Register a counter.
+   *
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   * @returns {{ inc: Function }}
+   */
+  function counter(name, help, labelNames = []) {
+    const { inc } = scalar('counter', name, help, labelNames);
+    return { inc };
+  }
+
+  /**
+   * Register a gauge.
+   *
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   * @returns {{ set: Function, inc: Function }}
+   */
+  function gauge(name, help, labelNames = []) {
+    return scalar('gauge', name, help, labelNames);
+  }
+
+  /**
+   * Register a histogram.
+   *
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} labelNames
+   * @param {number[]} buckets - Upper bounds, ascending (+Inf is implied)
+   * @returns {{ observe: Function }}
+   */
+  function histogram(name, help, labelNames, buckets) {
+    /** @type {Map<string, { labels: object, counts: number[], sum: number, count: number }>} */
+    const series = new Map();
+
+    metrics.push({
+      name,
+      help,
+      type: 'histogram',
+      lines: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((le, i) =>
+          `${name}_bucket${formatLabels({ ...labels, le: formatValue(le) })} ${counts[i]}`
+        ),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+        `${name}_count${formatLabels(labels)} ${count}`,
+      ]),
+    });
+
+    return {
+      observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        if (!series.has(key)) {
+          series.set(key, {
+            labels: pickLabels(labelNames, labels),
+            counts: buckets.map(() => 0),
+            sum: 0,
+            count: 0,
+          });
+        }
+        const entry = series.get(key);
+        buckets.forEach((le, i) => {
+          if (value <= le) {
+            entry.counts[i] += 1;
+          }
+        });
+        entry.sum += value;
+        entry.count += 1;
+      },
+    };
+  }
+
+  /**
+   * Register a callback that refreshes gauges right before rendering.
+   *
+   * @param {Function} fn
+   */
+  function collect(fn) {
+    collectors.push(fn);
+  }
+
+  /**
+   * Render all metrics in the Prometheus text exposition format.
+   *
+   * @returns {string}
+   */
+  function render() {
+    collectors.forEach((fn) => fn());
+
+    return metrics
+      .map(({ name, help, type, lines }) =>
+        [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines()].join('\n')
+      )
+      .join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, collect, render };
+}
+
+/**
+ * Create the application metrics wired to the given poller.
+ *
+ * Poll and fetch figures are recorded from the poller's events; the
+ * state, ratio and freshness gauges are read from getStatus() at scrape
+ * time so that they follow the staleness check like /api/status does.
+ *
+ * @param {{ getStatus: Function, on: Function }} poller
+ * @returns {{ render: Function, middleware: Function }}
+ */
+export function createMetrics(poller) {
+  const registry = createRegistry();
+
+  const pollDuration = registry.histogram(
+    'bvg_poll_duration_seconds',
+    'Duration of a complete poll across all stations.',
+    [],
+    POLL_BUCKETS
+  );
+  const polls = registry.counter(
+    'bvg_polls_total',
+    'Polls by result (success, or failure when no station answered or the poll failed).',
+    ['result']
+  );
+  const lastSuccess = registry.gauge(
+    'bvg_last_successful_poll_timestamp_seconds',
+    'Unix time of the last poll in which at least one station answered.'
+  );
+  const fetches = registry.counter(
+    'bvg_station_fetches_total',
+    'Departure requests per station by result (success or failure).',
+    ['station', 'name', 'result']
+  );
+  const fetchDuration = registry.histogram(
+    'bvg_station_fetch_duration_seconds',
+    'Departure request latency per station.',
+    ['station', 'name'],
+    FETCH_BUCKETS
+  );
+  const state = registry.gauge(
+    'bvg_state',
+    'Current headline state (1 for the active state, 0 otherwise).',
+    ['state']
+  );
+  const ratio = registry.gauge(
+    'bvg_disruption_ratio',
+    'Disruption score of the latest poll / 100 (0-1), raw and smoothed.',
+    ['kind']
+  );
+  const score = registry.gauge(
+    'bvg_disruption_score',
+    'Severity-weighted disruption score (0-100) of the latest poll.'
+  );
+  const departures = registry.gauge(
+    'bvg_departures',
+    'Departures counted in the latest poll.'
+  );
+  const duplicates = registry.gauge(
+    'bvg_duplicate_departures',
+    'Departures of a trip already seen at another station, removed in the latest poll.'
+  );
+  const confidence = registry.gauge(
+    'bvg_confidence_score',
+    'Confidence of the verdict (0-1).'
+  );
+  const stale = registry.gauge(
+    'bvg_data_stale',
+    '1 if the cached data is older than the staleness threshold.'
+  );
+  const httpRequests = registry.counter(
+    'http_requests_total',
+    'HTTP requests by method, route and status code.',
+    ['method', 'route', 'status']
+  );
+
+  poller.on('poll', (status, { duration }) => {
+    // A poll in which no station answered is an upstream outage, not a success
+    const answered = Boolean(status.coverage) && status.coverage.stationsSucceeded > 0;
+    polls.inc({ result: answered ? 'success' : 'failure' });
+    pollDuration.observe({}, duration / 1000);
+    if (answered) {
+      lastSuccess.set({}, status.timestamp / 1000);
+    }
+  });
+
+  poller.on('failure', () => {
+    polls.inc({ result: 'failure' });
+  });
+
+  poller.on('fetch', ({ station, ok, latency }) => {
+    const labels = { station: station.id, name: station.name };
+    fetches.inc({ ...labels, result: ok ? 'success' : 'failure' });
+    if (latency !== null) {
+      fetchDuration.observe(labels, latency / 1000);
+    }
+  });
+
+  registry.collect(() => {
+    const status = poller.getStatus();
+
+    for (const name of STATES) {
+      state.set({ state: name }, status.state === name ? 1 : 0);
+    }
+    ratio.set({ kind: 'raw' }, status.raw ? status.raw.ratio : 0);
+    ratio.set({ kind: 'smoothed' }, status.smoothed ? status.smoothed.ratio : 0);
+    score.set({}, status.metrics ? status.metrics.score || 0 : 0);
+    departures.set({}, status.metrics ? status.metrics.totalServices : 0);
+    duplicates.set({}, status.metrics ? status.metrics.duplicatesRemoved || 0 : 0);
+    confidence.set({}, status.confidence ? status.confidence.score : 0);
+    stale.set({}, status.stale ? 1 : 0);
+  });
+
+  /**
+   * Express middleware counting requests by their matched route pattern
+   * (e.g. /api/stations/:id), so that IDs do not create new series.
+   * Requests that match no route (static files, 404s) count as "other".
+   *
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   */
+  function middleware(req, res, next) {
+    res.on('finish', () => {
+      // Sub-router roots ("/api/history" + "/") are reported without the trailing slash
+      const route = req.route
+        ? `${req.baseUrl}${req.route.path}`.replace(/(.)\/$/, '$1')
+        : 'other';
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    });
+    next();
+  }
+
+  return { render: registry.render, middleware };
+}
@@ -0,0 +1,140 @@
+import config from '../config.js';
+
+/**
+ * Parse a time-of-day profile.
+ *
+ * Format: comma-separated `HH:MM-HH:MM=<interval ms>` slots, e.g.
+ * `01:00-05:00=300000,07:00-09:00=30000`. A slot whose end is before its
+ * start wraps midnight (`22:00-06:00`). Malformed slots are skipped.
+ *
+ * @param {string} value
+ * @returns {Array<{ from: number, to: number, interval: number }>} Slots with
+ *          start/end as minutes after midnight (end exclusive)
+ */
+export function parseProfile(value) {
+  const slots = [];
+
+  for (const part of (value || '').split(',')) {
+    const match = /^\s*(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})=(\d+)\s*$/.exec(part);
+    if (!match) {
+      continue;
+    }
+
+    const [, fromH, fromM, toH, toM, interval] = match.map(Number);
+    if (fromH > 24 || toH > 24 || fromM > 59 || toM > 59 || interval <= 0) {
+      continue;
+    }
+
+    slots.push({ from: fromH * 60 + fromM, to: toH * 60 + toM, interval });
+  }
+
+  return slots;
+}
+
+/**
+ * Create a clock that reads the minutes after local midnight of a time.
+ *
+ * @param {string} timeZone - IANA zone, e.g. "Europe/Berlin"
+ * @returns {(now: number) => number}
+ */
+export function createClock(timeZone) {
+  const format = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  });
+
+  return (now) => {
+    const parts = format.formatToParts(new Date(now));
+    const hour = Number(parts.find((p) => p.type === 'hour').value);
+    const minute = Number(parts.find((p) => p.type === 'minute').value);
+    return hour * 60 + minute;
+  };
+}
+
+/**
+ * Whether a time-of-day slot covers a minute; a slot whose end is before
+ * its start wraps midnight.
+ *
+ * @param {{ from: number, to: number }} slot - Minutes after midnight (end exclusive)
+ * @param {number} minute
+ * @returns {boolean}
+ */
+export function slotCovers({ from, to }, minute) {
+  return from <= to ? minute >= from && minute < to : minute >= from || minute < to;
+}
+
+/**
+ * Create the scheduler that decides how long the poller waits before
+ * its next poll.
+ *
+ * The interval starts from the time-of-day profile slot that covers the
+ * current local time (or the base interval outside any slot), then:
+ *   - backs off exponentially (×2 per failure) after polls in which no
+ *     station answered, so that an outage upstream is not hammered;
+ *   - otherwise shrinks by the state's factor while DEGRADED or FUCKED,
+ *     so that a meltdown is tracked more closely (a factor of 0 means
+ *     minInterval).
+ * The result is clamped to [minInterval, maxInterval].
+ *
+ * @param {object} [overrides]
+ * @param {number} [overrides.interval]    - Base interval in ms (default config.refreshInterval)
+ * @param {string|Array} [overrides.profile] - Time-of-day profile (string or parsed slots)
+ * @param {Record<string, number>} [overrides.factors] - Interval factor per state
+ * @param {number} [overrides.minInterval] - Lower bound in ms
+ * @param {number} [overrides.maxInterval] - Upper bound in ms
+ * @param {string} [overrides.timeZone]    - IANA zone the profile is written in
+ * @returns {{ next: Function }}
+ */
+export function createPollSchedule(overrides = {}) {
+  const base = overrides.interval ?? config.refreshInterval;
+  const rawProfile = overrides.profile ?? config.polling.profile;
+  const profile = Array.isArray(rawProfile) ? rawProfile : parseProfile(rawProfile);
+  const factors = overrides.factors || config.polling.factors;
+  const maxInterval = Math.max(overrides.maxInterval ?? config.polling.maxInterval, base);
+  // An explicitly short base interval is never raised to the lower bound
+  const minInterval = Math.min(overrides.minInterval ?? config.polling.minInterval, base);
+
+  const minuteOfDay = createClock(overrides.timeZone || config.polling.timeZone);
+
+  /**
+   * Profile slot covering the given time, if any.
+   *
+   * @param {number} now
+   * @returns {{ from: number, to: number, interval: number }|undefined}
+   */
+  function slotAt(now) {
+    const minute = minuteOfDay(now);
+    return profile.find((slot) => slotCovers(slot, minute));
+  }
+
+  /**
+   * Interval until the next poll.
+   *
+   * @param {object} [context]
+   * @param {string} [context.state]    - Headline state of the latest poll
+   * @param {number} [context.failures] - Consecutive polls without any answering station
+   * @param {number} [context.now]      - Current time in ms
+   * @returns {{ interval: number, reason: 'base'|'profile'|'state'|'backoff' }}
+   */
+  function next({ state, failures = 0, now = Date.now() } = {}) {
+    const slot = slotAt(now);
+    let interval = slot ? slot.interval : base;
+    let reason = slot ? 'profile' : 'base';
+
+    if (failures > 0) {
+      interval *= 2 ** failures;
+      reason = 'backoff';
+    } else if (typeof factors[state] === 'number' && factors[state] !== 1) {
+      // A factor of 0 (or below) polls as fast as minInterval allows
+      interval *= Math.max(0, factors[state]);
+      reason = 'state';
+    }
+
+    interval = Math.round(Math.min(maxInterval, Math.max(minInterval, interval)));
+    return { interval, reason };
+  }
+
+  return { next };
+}
@@ -0,0 +1,257 @@
+import config from '../config.js';
+
+/**
+ * Error codes of failures that are worth retrying: timeouts and
+ * network-level errors that say nothing about the request itself.
+ * @type {Set<string>}
+ */
+const TRANSIENT_CODES = new Set([
+  'ETIMEDOUT',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'EPIPE',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_SOCKET',
+]);
+
+/**
+ * Whether a client error is transient and the request should be retried.
+ *
+ * Permanent HAFAS errors (unknown station, invalid request, access
+ * denied, quota exceeded) are not retried; a HAFAS SERVER_ERROR and
+ * HTTP 5xx/429 from transport.rest are.
+ *
+ * @param {Error & { code?: string, status?: number, cause?: object }} err
+ * @returns {boolean}
+ */
+export function isTransientError(err) {
+  if (!err) {
+    return false;
+  }
+
+  const cause = err.cause || {};
+  if (cause.isHafasError) {
+    return cause.code === 'SERVER_ERROR';
+  }
+
+  if (err.code === 'EHTTP') {
+    return err.status >= 500 || err.status === 429;
+  }
+
+  return TRANSIENT_CODES.has(err.code) || TRANSIENT_CODES.has(cause.code);
+}
+
+/**
+ * Wait for the given number of milliseconds.
+ *
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Run `fn` and retry transient failures with exponential backoff and
+ * full jitter (a random delay between 0 and base × 2^attempt, capped).
+ *
+ * @param {Function} fn - Returns a promise; called once per attempt
+ * @param {object} [options]
+ * @param {number} [options.retries=2]       - Retries after the first attempt
+ * @param {number} [options.baseDelay=500]   - Backoff base in ms
+ * @param {number} [options.maxDelay=4000]   - Backoff cap in ms
+ * @param {Function} [options.isRetryable]   - Error predicate (default isTransientError)
+ * @param {Function} [options.random]        - Random source 0-1 (for test injection)
+ * @returns {Promise<*>} The first successful result
+ */
+export async function withRetry(fn, options = {}) {
+  const retries = options.retries ?? 2;
+  const baseDelay = options.baseDelay ?? 500;
+  const maxDelay = options.maxDelay ?? 4000;
+  const isRetryable = options.isRetryable || isTransientError;
+  const random = options.random || Math.random;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err)) {
+        err.attempts = attempt + 1;
+        throw err;
+      }
+      await sleep(Math.round(random() * Math.min(maxDelay, baseDelay * 2 ** attempt)));
+    }
+  }
+}
+
+/**
+ * Create a set of circuit breakers, one per key (e.g. station ID).
+ *
+ *   closed    → requests pass; `threshold` consecutive failures open it.
+ *   open      → requests are rejected without being sent until
+ *               `cooldown` ms have passed.
+ *   half-open → one trial request passes; success closes the circuit,
+ *               failure opens it for another cooldown.
+ *
+ * @param {object} [options]
+ * @param {number} [options.threshold] - Consecutive failures that open a circuit
+ * @param {number} [options.cooldown]  - Time a circuit stays open, in ms
+ * @returns {{ canRequest: Function, success: Function, failure: Function, get: Function }}
+ */
+export function createCircuitBreaker(options = {}) {
+  const threshold = options.threshold || config.resilience.breakerThreshold;
+  const cooldown = options.cooldown || config.resilience.breakerCooldown;
+
+  /** @type {Map<string, { failures: number, openedAt: number|null, trial: boolean }>} */
+  const circuits = new Map();
+
+  function entry(key) {
+    if (!circuits.has(key)) {
+      circuits.set(key, { failures: 0, openedAt: null, trial: false });
+    }
+    return circuits.get(key);
+  }
+
+  /**
+   * Current state of a circuit.
+   *
+   * @param {string} key
+   * @param {number} [now]
+   * @returns {{ state: 'closed'|'open'|'half-open', failures: number, openedAt: number|null, retryAt: number|null }}
+   */
+  function get(key, now = Date.now()) {
+    const { failures, openedAt } = entry(key);
+
+    if (openedAt === null) {
+      return { state: 'closed', failures, openedAt: null, retryAt: null };
+    }
+
+    const retryAt = openedAt + cooldown;
+    return {
+      state: now >= retryAt ? 'half-open' : 'open',
+      failures,
+      openedAt,
+      retryAt,
+    };
+  }
+
+  /**
+   * Whether a request may be sent now. In half-open state only the
+   * first caller gets through, as the trial request.
+   *
+   * @param {string} key
+   * @param {number} [now]
+   * @returns {boolean}
+   */
+  function canRequest(key, now = Date.now()) {
+    const { state } = get(key, now);
+
+    if (state === 'closed') {
+      return true;
+    }
+    if (state === 'half-open' && !entry(key).trial) {
+      entry(key).trial = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Record a successful request: closes the circuit.
+   *
+   * @param {string} key
+   */
+  function success(key) {
+    circuits.set(key, { failures: 0, openedAt: null, trial: false });
+  }
+
+  /**
+   * Record a failed request: opens the circuit at the threshold, or
+   * re-opens it after a failed trial.
+   *
+   * @param {string} key
+   * @param {number} [now]
+   */
+  function failure(key, now = Date.now()) {
+    const circuit = entry(key);
+    circuit.failures += 1;
+
+    if (circuit.trial || circuit.failures >= threshold) {
+      circuit.openedAt = now;
+      circuit.trial = false;
+    }
+  }
+
+  return { canRequest, success, failure, get };
+}
+
+/**
+ * Wrap a departure client with retries and a per-station circuit breaker.
+ *
+ * Keeps the `getDepartures(stationId, options)` contract, so the poller
+ * can use it like any other client, and adds `getCircuit(stationId)` for
+ * the per-station status. A station whose circuit is open is rejected
+ * right away with code 'ECIRCUITOPEN' instead of costing a timeout.
+ *
+ * @param {{ getDepartures: Function }} client
+ * @param {object} [overrides]
+ * @param {number} [overrides.retries]   - Retries per request (default config.resilience.retries)
+ * @param {number} [overrides.baseDelay] - Retry backoff base in ms
+ * @param {number} [overrides.maxDelay]  - Retry backoff cap in ms
+ * @param {Function} [overrides.random]  - Jitter source (for test injection)
+ * @param {ReturnType<typeof createCircuitBreaker>} [overrides.breaker]
+ * @returns {{ getDepartures: Function, getCircuit: Function }}
+ */
+export function createResilientClient(client, overrides = {}) {
+  const breaker = overrides.breaker || createCircuitBreaker();
+  const retryOptions = {
+    retries: overrides.retries ?? config.resilience.retries,
+    baseDelay: overrides.baseDelay ?? config.resilience.retryBaseDelay,
+    maxDelay: overrides.maxDelay ?? config.resilience.retryMaxDelay,
+    random: overrides.random,
+  };
+
+  /**
+   * Fetch departures through the breaker, retrying transient errors.
+   *
+   * @param {string} stationId
+   * @param {object} [options] - Passed through to the wrapped client
+   * @returns {Promise<Array>}
+   */
+  async function getDepartures(stationId, options) {
+    if (!breaker.canRequest(stationId)) {
+      const { retryAt } = breaker.get(stationId);
+      const err = new Error(
+        `Circuit open for station ${stationId} until ${new Date(retryAt).toISOString()}`
+      );
+      err.code = 'ECIRCUITOPEN';
+      throw err;
+    }
+
+    try {
+      const departures = await withRetry(() => client.getDepartures(stationId, options), retryOptions);
+      breaker.success(stationId);
+      return departures;
+    } catch (err) {
+      breaker.failure(stationId);
+      throw err;
+    }
+  }
+
+  /**
+   * Circuit state for a station.
+   *
+   * @param {string} stationId
+   * @returns {{ state: string, failures: number, openedAt: number|null, retryAt: number|null }}
+   */
+  function getCircuit(stationId) {
+    return breaker.get(stationId);
+  }
+
+  return { getDepartures, getCircuit };
+}
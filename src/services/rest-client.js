@@ -0,0 +1,102 @@
+import config from '../config.js';
+import { normalizeDeparture } from './bvg-client.js';
+
+/**
+ * Default request timeout in milliseconds.
+ * @type {number}
+ */
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * Default number of departure results per request.
+ * @type {number}
+ */
+const DEFAULT_RESULTS = 30;
+
+/**
+ * Create a transport.rest HTTP client wrapper.
+ *
+ * Talks to a hafas-rest-api deployment such as v6.vbb.transport.rest
+ * (the same API the legacy browser code in js/app.js consumes) and
+ * exposes the same `getDepartures(stationId, options)` contract as
+ * createBvgClient(), so the poller can use either interchangeably.
+ *
+ * @param {object} [overrides]
+ * @param {string} [overrides.baseUrl] - API base URL (default config.restApiUrl)
+ * @param {number} [overrides.timeout] - Request timeout in ms (default 5000)
+ * @param {Function} [overrides.fetch]  - fetch implementation (for test injection)
+ * @returns {{ getDepartures: Function }}
+ */
+export function createRestClient(overrides = {}) {
+  const baseUrl = (overrides.baseUrl || config.restApiUrl).replace(/\/+$/, '');
+  const timeoutMs = overrides.timeout || DEFAULT_TIMEOUT_MS;
+  const fetchImpl = overrides.fetch || globalThis.fetch;
+
+  /**
+   * Fetch departures for a station with timeout protection.
+   *
+   * @param {string} stationId - HAFAS station ID (e.g. '900003201')
+   * @param {object} [options]
+   * @param {number} [options.results]  - Max number of results (default 30)
+   * @param {number} [options.duration] - Look-ahead window in minutes
+   * @returns {Promise<Array>} Normalized departure objects
+   */
+  async function getDepartures(stationId, options = {}) {
+    const abort = new AbortController();
+    const timer = setTimeout(() => abort.abort(), timeoutMs);
+
+    const query = new URLSearchParams();
+    query.set('results', String(options.results || DEFAULT_RESULTS));
+    if (options.duration) {
+      query.set('duration', String(options.duration));
+    }
+
+    const url = `${baseUrl}/stops/${encodeURIComponent(stationId)}/departures?${query}`;
+
+    try {
+      const response = await fetchImpl(url, {
+        headers: { Accept: 'application/json' },
+        signal: abort.signal,
+      });
+
+      if (!response.ok) {
+        const httpErr = new Error(`HTTP ${response.status}`);
+        httpErr.code = 'EHTTP';
+        httpErr.status = response.status;
+        throw httpErr;
+      }
+
+      const body = await response.json();
+
+      // hafas-rest-api v6 returns { departures, realtimeDataUpdatedAt }
+      const departures = Array.isArray(body && body.departures)
+        ? body.departures
+        : Array.isArray(body)
+          ? body
+          : [];
+
+      return departures.map(normalizeDeparture);
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        const timeoutErr = new Error(
+          `BVG REST API request timed out after ${timeoutMs}ms for station ${stationId}`
+        );
+        timeoutErr.code = 'ETIMEDOUT';
+        throw timeoutErr;
+      }
+      const wrapped = new Error(
+        `BVG REST API error for station ${stationId}: ${err.message}`
+      );
+      wrapped.code = err.code || (err.cause && err.cause.code) || 'EAPI';
+      wrapped.cause = err;
+      if (err.status) {
+        wrapped.status = err.status;
+      }
+      throw wrapped;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return { getDepartures };
+}
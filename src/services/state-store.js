@@ -0,0 +1,76 @@
+import fs from 'fs';
+import path from 'path';
+import config from '../config.js';
+
+/**
+ * Create a file-backed store for the poller's latest status.
+ *
+ * The poller saves its cache after every successful poll and restores
+ * it on start(), so that a restart serves the last known status instead
+ * of UNKNOWN until the first poll finishes.
+ *
+ * Writes go to a temp file that is renamed over the target, so a crash
+ * mid-write leaves the previous state intact. When `file` is empty,
+ * nothing is saved or restored.
+ *
+ * @param {object} [overrides]
+ * @param {string} [overrides.file] - JSON file path (default config.stateFile)
+ * @returns {{ save: Function, load: Function }}
+ */
+export function createStateStore(overrides = {}) {
+  const file = overrides.file ?? config.stateFile;
+
+  /** Chain of pending writes, so that an older status never overwrites a newer one */
+  let pending = Promise.resolve();
+
+  /**
+   * Persist a status atomically.
+   *
+   * @param {object} status - Poller cache
+   * @returns {Promise<void>}
+   */
+  function save(status) {
+    if (!file) {
+      return Promise.resolve();
+    }
+
+    const body = JSON.stringify(status);
+
+    const write = async () => {
+      const tmp = `${file}.tmp`;
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(tmp, body);
+      await fs.promises.rename(tmp, file);
+    };
+
+    pending = pending.catch(() => {}).then(write);
+    return pending;
+  }
+
+  /**
+   * Read the saved status.
+   *
+   * Synchronous, because it runs once in the poller's start() before the
+   * first request is served.
+   *
+   * @returns {object|null} The saved status, or null if there is none or
+   *                        the file is unreadable
+   */
+  function load() {
+    if (!file || !fs.existsSync(file)) {
+      return null;
+    }
+
+    try {
+      const status = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (!status || typeof status.timestamp !== 'number' || typeof status.state !== 'string') {
+        return null;
+      }
+      return status;
+    } catch {
+      return null;
+    }
+  }
+
+  return { save, load };
+}
@@ -0,0 +1,173 @@
+import config from '../config.js';
+
+/**
+ * Severity rank per smoothed state.
+ * @type {Record<string, number>}
+ */
+const LEVELS = {
+  FINE: 0,
+  DEGRADED: 1,
+  FUCKED: 2,
+};
+
+/**
+ * Create a smoother that turns per-poll disruption ratios into a stable
+ * headline state.
+ *
+ * Three mechanisms keep the verdict from flapping when the ratio hovers
+ * around a threshold:
+ *   1. EWMA — the ratio is an exponentially weighted moving average over
+ *      the last `window` samples (newest weighted by `alpha`).
+ *   2. Hysteresis — a state is entered above its `enter` threshold but
+ *      only left once the ratio falls below its lower `exit` threshold.
+ *   3. Dwell time — after a transition the state is held for at least
+ *      `minDwell` ms before it may change again.
+ *
+ * The first sample is adopted immediately, so a fresh process does not
+ * wait out a dwell period before reporting anything. Polls without a
+ * confident sample hold the verdict (see hold()) rather than feed it.
+ *
+ * @param {object} [overrides]
+ * @param {number} [overrides.alpha]     - EWMA weight of the newest sample, 0-1
+ * @param {number} [overrides.window]    - Number of samples in the rolling window
+ * @param {number} [overrides.minDwell]  - Minimum time in a state, in ms
+ * @param {{ degraded: { enter: number, exit: number }, fucked: { enter: number, exit: number } }} [overrides.thresholds]
+ * @returns {{ update: Function, hold: Function, seed: Function, reset: Function }}
+ */
+export function createStatusSmoother(overrides = {}) {
+  const alpha = overrides.alpha ?? config.smoothing.alpha;
+  const windowSize = Math.max(1, overrides.window ?? config.smoothing.window);
+  const minDwell = overrides.minDwell ?? config.smoothing.minDwell;
+  const thresholds = overrides.thresholds || {
+    degraded: { enter: config.thresholds.degraded, exit: config.thresholds.degradedExit },
+    fucked: { enter: config.thresholds.fucked, exit: config.thresholds.fuckedExit },
+  };
+
+  /** @type {number[]} Raw ratios, oldest first */
+  let samples = [];
+
+  /** @type {string|null} */
+  let state = null;
+
+  /** @type {number} */
+  let enteredAt = 0;
+
+  /** @type {number} Time of the latest sample */
+  let sampledAt = 0;
+
+  /**
+   * Exponentially weighted moving average over the rolling window.
+   *
+   * @returns {number}
+   */
+  function ewma() {
+    let value = samples[0];
+    for (let i = 1; i < samples.length; i++) {
+      value = alpha * samples[i] + (1 - alpha) * value;
+    }
+    return value;
+  }
+
+  /**
+   * State the smoothed ratio points to, given the current state
+   * (exit thresholds apply only to states we are already in).
+   *
+   * @param {number} ratio
+   * @returns {string}
+   */
+  function targetState(ratio) {
+    const level = state ? LEVELS[state] : -1;
+
+    if (ratio > thresholds.fucked.enter) {
+      return 'FUCKED';
+    }
+    if (level >= LEVELS.FUCKED && ratio >= thresholds.fucked.exit) {
+      return 'FUCKED';
+    }
+    if (ratio > thresholds.degraded.enter) {
+      return 'DEGRADED';
+    }
+    if (level >= LEVELS.DEGRADED && ratio >= thresholds.degraded.exit) {
+      return 'DEGRADED';
+    }
+    return 'FINE';
+  }
+
+  /**
+   * Feed one poll's disruption ratio into the smoother.
+   *
+   * @param {number} ratio - Raw disruption ratio (0-1)
+   * @param {number} [now] - Sample time in ms
+   * @returns {{ state: string, ratio: number }} Smoothed state and ratio
+   */
+  function update(ratio, now = Date.now()) {
+    samples.push(ratio);
+    if (samples.length > windowSize) {
+      samples = samples.slice(-windowSize);
+    }
+
+    sampledAt = now;
+
+    const smoothed = ewma();
+    const target = targetState(smoothed);
+
+    if (state === null) {
+      state = target;
+      enteredAt = now;
+    } else if (target !== state && now - enteredAt >= minDwell) {
+      state = target;
+      enteredAt = now;
+    }
+
+    return { state, ratio: smoothed };
+  }
+
+  /**
+   * Keep the verdict through a poll without a confident sample (e.g. most
+   * stations failed), so that one bad poll does not flip the headline.
+   *
+   * Like any other change, the switch to UNKNOWN waits out the dwell time:
+   * the verdict is held until `minDwell` ms after the latest sample. After
+   * that the smoother starts over, adopting the next sample outright.
+   *
+   * @param {number} [now] - Poll time in ms
+   * @returns {{ state: string, ratio: number }|null} The held verdict, or null once UNKNOWN is due
+   */
+  function hold(now = Date.now()) {
+    if (state === null || now - sampledAt >= minDwell) {
+      reset();
+      return null;
+    }
+    return { state, ratio: ewma() };
+  }
+
+  /**
+   * Continue from a previously reported verdict (e.g. restored after a
+   * restart) instead of adopting the next sample outright.
+   *
+   * @param {string} seedState - Smoothed state to continue from
+   * @param {number} ratio     - Smoothed ratio to continue from
+   * @param {number} at        - Time the state was reported, in ms
+   */
+  function seed(seedState, ratio, at) {
+    if (!(seedState in LEVELS)) {
+      return;
+    }
+    samples = [ratio];
+    state = seedState;
+    enteredAt = at;
+    sampledAt = at;
+  }
+
+  /**
+   * Forget all samples and the current state.
+   */
+  function reset() {
+    samples = [];
+    state = null;
+    enteredAt = 0;
+    sampledAt = 0;
+  }
+
+  return { update, hold, seed, reset };
+}
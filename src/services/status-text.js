@@ -30,6 +30,13 @@ const STATUS_MAP = {
   },
 };
 
+/** @type {Record<string, string>} */
+const CONFIDENCE_LABELS = {
+  high: 'hoch',
+  medium: 'mittel',
+  low: 'niedrig',
+};
+
 /**
  * Return display properties for the given status state.
  *
@@ -69,3 +76,33 @@ export function getMessage(state) {
 export function getEmoji(state) {
   return (STATUS_MAP[state] || STATUS_MAP.UNKNOWN).emoji;
 }
+
+/**
+ * Return the German label for a confidence level.
+ *
+ * @param {string} level - One of high, medium, low
+ * @returns {string}
+ */
+export function getConfidenceLabel(level) {
+  return CONFIDENCE_LABELS[level] || CONFIDENCE_LABELS.low;
+}
+
+/**
+ * Return the German alert text for a suspended line (see
+ * services/suspension-tracker.js), e.g. "U8 fährt nicht." or
+ * "U8 fährt nicht ab Alexanderplatz und Hauptbahnhof.".
+ *
+ * @param {{ line: string, scope: string, stations: Array<{ name: string }> }} suspension
+ * @returns {string}
+ */
+export function getSuspensionMessage(suspension) {
+  if (suspension.scope === 'line') {
+    return `${suspension.line} fährt nicht.`;
+  }
+
+  const names = suspension.stations.map((station) => station.name);
+  const where = names.length > 1
+    ? `${names.slice(0, -1).join(', ')} und ${names[names.length - 1]}`
+    : names[0];
+  return `${suspension.line} fährt nicht ab ${where}.`;
+}
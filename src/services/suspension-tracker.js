@@ -0,0 +1,269 @@
+import config from '../config.js';
+import { lineKey } from '../models/lines.js';
+import { createClock, slotCovers } from './poll-schedule.js';
+
+/**
+ * Parse the service hours in which lines are expected on the boards.
+ *
+ * Format: `HH:MM-HH:MM`, e.g. `05:00-00:00`; an end before the start wraps
+ * midnight. Empty or malformed values mean "always".
+ *
+ * @param {string} value
+ * @returns {{ from: number, to: number }|null} Minutes after midnight (end exclusive), or null for always
+ */
+export function parseServiceHours(value) {
+  const match = /^\s*(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})\s*$/.exec(value || '');
+  if (!match) {
+    return null;
+  }
+
+  const [, fromH, fromM, toH, toM] = match.map(Number);
+  if (fromH > 24 || toH > 24 || fromM > 59 || toM > 59) {
+    return null;
+  }
+
+  return { from: fromH * 60 + fromM, to: toH * 60 + toM };
+}
+
+/**
+ * Departure time in ms (realtime if known, else planned).
+ *
+ * @param {object} departure
+ * @returns {number} NaN without a time
+ */
+function departureTime(departure) {
+  return Date.parse(departure.when || departure.plannedWhen);
+}
+
+/**
+ * Expected time between departures of a line at a station: the mean gap
+ * between its distinct planned departures on the board.
+ *
+ * @param {Array} departures - The line's departures at the station
+ * @returns {number|null} In ms; null with fewer than two timed departures
+ */
+function estimateHeadway(departures) {
+  const times = [...new Set(
+    departures.map((d) => Date.parse(d.plannedWhen || d.when)).filter((t) => !Number.isNaN(t))
+  )].sort((a, b) => a - b);
+
+  return times.length < 2 ? null : (times[times.length - 1] - times[0]) / (times.length - 1);
+}
+
+/**
+ * Create a tracker that detects suspended lines and line segments.
+ *
+ * The tracker follows every line at every polled station (a "segment")
+ * across polls. A segment is down when, in a poll in which its station
+ * answered, either
+ *   - every departure of the line at the station is cancelled
+ *     (reason 'cancelled'), or
+ *   - the line is missing from the board although it ran at the station
+ *     in each of the last `history` polls before, and should be on it
+ *     (reason 'vanished'): its headway, estimated from its departures
+ *     while it ran, fits inside the time the board covers.
+ *
+ * A segment is reported once it has been down for `polls` consecutive
+ * polls; a 'cancelled' segment also needs `minTrips` distinct cancelled
+ * trips, as a single cancelled trip stays on the board for several polls.
+ * The start of a suspension is the first poll the segment was down in.
+ *
+ * A line that stops running also vanishes from the board at the end of
+ * service, so missing lines — also those whose cancelled trips have left
+ * the board — are not looked for outside `serviceHours` (local time in
+ * `timeZone`), and a segment missing from the board is dropped once it
+ * has been down for `vanishedMaxAge` ms. Low-frequency lines that drop
+ * out of a busy station's board are not missed either, as their headway
+ * is longer than the board's time horizon.
+ * Stations that did not answer leave their segments untouched.
+ *
+ * @param {object} [overrides]
+ * @param {number} [overrides.polls]          - Consecutive polls before a segment is reported
+ * @param {number} [overrides.minTrips]       - Distinct cancelled trips before a segment is reported
+ * @param {number} [overrides.history]        - Polls a line must have run to be missed when gone
+ * @param {number} [overrides.vanishedMaxAge] - How long a segment missing from the board is reported, in ms
+ * @param {string} [overrides.serviceHours]   - Hours missing lines are looked for (see parseServiceHours())
+ * @param {string} [overrides.timeZone]       - IANA zone the service hours are written in
+ * @returns {{ update: Function, reset: Function }}
+ */
+export function createSuspensionTracker(overrides = {}) {
+  const polls = Math.max(1, overrides.polls ?? config.suspensions.polls);
+  const minTrips = Math.max(1, overrides.minTrips ?? config.suspensions.minTrips);
+  const history = Math.max(1, overrides.history ?? config.suspensions.history);
+  const vanishedMaxAge = overrides.vanishedMaxAge ?? config.suspensions.vanishedMaxAge;
+  const serviceHours = parseServiceHours(overrides.serviceHours ?? config.suspensions.serviceHours);
+  const minuteOfDay = createClock(overrides.timeZone || config.polling.timeZone);
+
+  /**
+   * Tracked segments by station ID and line key.
+   * @type {Map<string, { line: string, product: string|null, station: { id: string, name: string }, running: number, headway: number|null, down: { reason: string, since: number, polls: number, trips: Set<string> }|null }>}
+   */
+  const segments = new Map();
+
+  /**
+   * Mark a segment as down for one more poll, starting a new streak if it
+   * was up or down for another reason.
+   *
+   * @param {object} segment
+   * @param {string} reason - 'cancelled' or 'vanished'
+   * @param {number} now
+   */
+  function markDown(segment, reason, now) {
+    if (!segment.down || segment.down.reason !== reason) {
+      segment.down = { reason, since: now, polls: 0, trips: new Set() };
+    }
+    segment.down.polls += 1;
+    segment.running = 0;
+  }
+
+  /**
+   * Record the departures of one station in one poll.
+   *
+   * @param {{ id: string, name: string }} station
+   * @param {Array} departures
+   * @param {number} now
+   */
+  function observe(station, departures, now) {
+    /** @type {Map<string, { name: string, product: string|null, departures: Array }>} */
+    const byLine = new Map();
+
+    for (const departure of departures) {
+      const line = departure && departure.line;
+      if (!line || !line.name) {
+        continue;
+      }
+      const key = lineKey(line.name);
+      if (!byLine.has(key)) {
+        byLine.set(key, { name: line.name, product: line.product || null, departures: [] });
+      }
+      byLine.get(key).departures.push(departure);
+    }
+
+    for (const [key, line] of byLine) {
+      const id = `${station.id}|${key}`;
+      const segment = segments.get(id) || { running: 0, headway: null, down: null };
+      Object.assign(segment, { line: line.name, product: line.product, station });
+      segments.set(id, segment);
+
+      // A single departure on the board says nothing about the headway
+      segment.headway = estimateHeadway(line.departures) ?? segment.headway;
+
+      if (line.departures.every((d) => d.cancelled === true)) {
+        markDown(segment, 'cancelled', now);
+        for (const departure of line.departures) {
+          segment.down.trips.add(departure.tripId || `${departure.plannedWhen}|${departure.direction}`);
+        }
+      } else {
+        segment.down = null;
+        segment.running = Math.min(history, segment.running + 1);
+      }
+    }
+
+    // How far ahead the board reaches; a line running more often than
+    // that would be on it
+    const times = departures.map(departureTime).filter((t) => !Number.isNaN(t));
+    const horizon = times.length > 0 ? Math.max(...times) - now : 0;
+    const inService = !serviceHours || slotCovers(serviceHours, minuteOfDay(now));
+
+    for (const [id, segment] of segments) {
+      if (segment.station.id !== station.id || byLine.has(lineKey(segment.line))) {
+        continue;
+      }
+
+      const expected = inService && segment.headway !== null && segment.headway <= horizon;
+
+      if (inService && segment.down && segment.down.reason === 'cancelled') {
+        // Cancelled trips usually leave the board before the line returns
+        segment.down.polls += 1;
+        segment.running = 0;
+      } else if (expected && (segment.down || segment.running >= history)) {
+        markDown(segment, 'vanished', now);
+      } else {
+        // Not frequent enough to be missed, or out of service — forget it
+        // until it runs again
+        segments.delete(id);
+        continue;
+      }
+
+      if (segment.down && now - segment.down.since > vanishedMaxAge) {
+        segments.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Whether a segment has been down long enough to be reported.
+   *
+   * @param {object} segment
+   * @returns {boolean}
+   */
+  function isSuspended(segment) {
+    if (!segment.down || segment.down.polls < polls) {
+      return false;
+    }
+    return segment.down.reason !== 'cancelled' || segment.down.trips.size >= minTrips;
+  }
+
+  /**
+   * Record one poll and return the suspensions now in effect, one per
+   * line, longest-running first.
+   *
+   * A suspension covers the whole line (`scope: 'line'`) when the line is
+   * down at every polled station it was tracked at, and a segment of it
+   * (`scope: 'segment'`) otherwise.
+   *
+   * @param {Array<{ station: { id: string, name: string }, departures: Array|null }>} results
+   *        Departures per polled station; null for a station that did not answer
+   * @param {number} [now] - Poll time in ms
+   * @returns {Array<{ line: string, product: string|null, scope: string, since: number, stations: Array<{ id: string, name: string, reason: string, since: number, polls: number }> }>}
+   */
+  function update(results, now = Date.now()) {
+    for (const { station, departures } of results || []) {
+      if (Array.isArray(departures)) {
+        observe(station, departures, now);
+      }
+    }
+
+    /** @type {Map<string, { line: string, product: string|null, tracked: number, stations: Array }>} */
+    const byLine = new Map();
+
+    for (const segment of segments.values()) {
+      const key = lineKey(segment.line);
+      if (!byLine.has(key)) {
+        byLine.set(key, { line: segment.line, product: segment.product, tracked: 0, stations: [] });
+      }
+
+      const entry = byLine.get(key);
+      entry.tracked += 1;
+      if (isSuspended(segment)) {
+        entry.stations.push({
+          id: segment.station.id,
+          name: segment.station.name,
+          reason: segment.down.reason,
+          since: segment.down.since,
+          polls: segment.down.polls,
+        });
+      }
+    }
+
+    return [...byLine.values()]
+      .filter((entry) => entry.stations.length > 0)
+      .map(({ line, product, tracked, stations }) => ({
+        line,
+        product,
+        scope: stations.length === tracked ? 'line' : 'segment',
+        since: Math.min(...stations.map((station) => station.since)),
+        stations,
+      }))
+      .sort((a, b) => a.since - b.since || a.line.localeCompare(b.line, 'de', { numeric: true }));
+  }
+
+  /**
+   * Forget all tracked segments.
+   */
+  function reset() {
+    segments.clear();
+  }
+
+  return { update, reset };
+}
@@ -0,0 +1,84 @@
+import config from '../config.js';
+
+/**
+ * Create a rolling window of observed trips.
+ *
+ * A single poll only sees the next ~30 departures per station, so one
+ * burst of late trains (or one quiet poll) swings the ratio. The window
+ * keeps every trip observed in the last `span` ms, keyed by HAFAS
+ * `tripId`, and the status is computed over all of them:
+ *   - a trip observed again replaces its earlier observation, so its
+ *     delay is always the latest known one;
+ *   - a trip not observed for `span` ms drops out of the window.
+ *
+ * Departures without a `tripId` cannot be followed across polls; they
+ * count for the poll that returned them only.
+ *
+ * @param {object} [overrides]
+ * @param {number} [overrides.span] - Window length in ms (default config.tripWindow.span)
+ * @returns {{ span: number, add: Function, departures: Function, reset: Function }}
+ */
+export function createTripWindow(overrides = {}) {
+  const span = overrides.span || config.tripWindow.span;
+
+  /** @type {Map<string, { departure: object, seenAt: number }>} */
+  const trips = new Map();
+
+  /** @type {Array} Untracked departures of the latest poll */
+  let untracked = [];
+
+  /**
+   * Drop trips that were last observed before the window start.
+   *
+   * @param {number} now
+   */
+  function prune(now) {
+    for (const [tripId, entry] of trips) {
+      if (entry.seenAt < now - span) {
+        trips.delete(tripId);
+      }
+    }
+  }
+
+  /**
+   * Record the departures of one poll.
+   *
+   * @param {Array} departures - One departure per trip (see models/trips.js)
+   * @param {number} [now]     - Observation time in ms
+   */
+  function add(departures, now = Date.now()) {
+    untracked = [];
+
+    for (const departure of departures || []) {
+      if (departure && departure.tripId) {
+        trips.set(departure.tripId, { departure, seenAt: now });
+      } else {
+        untracked.push(departure);
+      }
+    }
+
+    prune(now);
+  }
+
+  /**
+   * Departures in the window: the latest observation of every trip seen
+   * in the last `span` ms, plus the latest poll's untracked departures.
+   *
+   * @param {number} [now]
+   * @returns {Array}
+   */
+  function departures(now = Date.now()) {
+    prune(now);
+    return [...Array.from(trips.values(), (entry) => entry.departure), ...untracked];
+  }
+
+  /**
+   * Forget all observed trips.
+   */
+  function reset() {
+    trips.clear();
+    untracked = [];
+  }
+
+  return { span, add, departures, reset };
+}
@@ -3,9 +3,10 @@
  *
  * Follows the STATUS_MAP pattern from status-text.js: each state maps to a
  * pre-computed German sentence.  formatVoiceResponse() assembles that base
- * sentence together with the live metrics and an optional stale-data caveat,
- * then produces both a plain-text field and an SSML-wrapped field with
- * <break> elements for natural pacing between sentences.
+ * sentence together with any suspended lines, the live metrics, the
+ * explanation of the verdict and an optional stale-data caveat, then
+ * produces both a plain-text field and an SSML-wrapped field with <break>
+ * elements for natural pacing between sentences.
  */
 
 /**
@@ -32,6 +33,37 @@ const VOICE_MAP = {
 /** Appended (text) / appended after a break (SSML) when poller data is stale. */
 const STALE_WARNING = 'Hinweis: Diese Daten k\u00F6nnen veraltet sein.';
 
+/** XML entities of the characters that cannot appear literally in SSML text. */
+const XML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;',
+};
+
+/**
+ * Escape text for use inside <speak>.  Station and line names and cause
+ * labels (CAUSE_LABELS) are free-form and may contain e.g. "&".
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => XML_ENTITIES[char]);
+}
+
+/**
+ * Build the alert that names suspended lines, using the alert texts of the
+ * status page (see getSuspensionMessage() in status-text.js).
+ *
+ * @param {Array<{ message: string }>} suspensions
+ * @returns {string}
+ */
+function buildSuspensionText(suspensions) {
+  return `Achtung: ${suspensions.map((suspension) => suspension.message).join(' ')}`;
+}
+
 /**
  * Build the metrics sentence that names total services and disruption
  * percentage.  Only called for states where metrics are meaningful.
@@ -48,22 +80,34 @@ function buildMetricsText(metrics) {
  *
  * The returned *text* is a plain German sentence suitable for display or as
  * input to a TTS engine.  The returned *ssml* is the same content wrapped in
- * <speak> with <break> elements between sentences for natural pacing.
+ * <speak> with <break> elements between sentences for natural pacing, its
+ * text XML-escaped. Suspended lines are announced right after the verdict,
+ * whatever the state; the explanation (see services/explanation.js)
+ * follows the metrics.
  *
- * @param {{ state: string, metrics: { totalServices: number, percentDisrupted: number }, stale: boolean }} status
+ * @param {{ state: string, metrics: { totalServices: number, percentDisrupted: number }, stale: boolean, suspensions?: Array<{ message: string }>, explanation?: string|null }} status
  * @returns {{ text: string, ssml: string, state: string, stale: boolean }}
  */
-export function formatVoiceResponse({ state, metrics, stale }) {
+export function formatVoiceResponse({ state, metrics, stale, suspensions, explanation }) {
   const entry = VOICE_MAP[state] || VOICE_MAP.UNKNOWN;
   const resolvedState = VOICE_MAP[state] ? state : 'UNKNOWN';
+  const suspended = Array.isArray(suspensions) && suspensions.length > 0;
 
   // --- plain text --------------------------------------------------------
   const textParts = [entry.message];
 
+  if (suspended) {
+    textParts.push(buildSuspensionText(suspensions));
+  }
+
   if (metrics && resolvedState !== 'UNKNOWN') {
     textParts.push(buildMetricsText(metrics));
   }
 
+  if (explanation) {
+    textParts.push(explanation);
+  }
+
   if (stale) {
     textParts.push(STALE_WARNING);
   }
@@ -71,14 +115,22 @@ export function formatVoiceResponse({ state, metrics, stale }) {
   const text = textParts.join(' ');
 
   // --- SSML (breaks between sentences for natural pacing) ---------------
-  const ssmlParts = [entry.message];
+  const ssmlParts = [escapeXml(entry.message)];
+
+  if (suspended) {
+    ssmlParts.push(`<break time="500ms"/>${escapeXml(buildSuspensionText(suspensions))}`);
+  }
 
   if (metrics && resolvedState !== 'UNKNOWN') {
-    ssmlParts.push(`<break time="800ms"/>${buildMetricsText(metrics)}`);
+    ssmlParts.push(`<break time="800ms"/>${escapeXml(buildMetricsText(metrics))}`);
+  }
+
+  if (explanation) {
+    ssmlParts.push(`<break time="500ms"/>${escapeXml(explanation)}`);
   }
 
   if (stale) {
-    ssmlParts.push(`<break time="500ms"/>${STALE_WARNING}`);
+    ssmlParts.push(`<break time="500ms"/>${escapeXml(STALE_WARNING)}`);
   }
 
   const ssml = `<speak>${ssmlParts.join(' ')}</speak>`;
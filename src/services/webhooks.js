@@ -0,0 +1,331 @@
+import crypto from 'crypto';
+import config from '../config.js';
+
+/**
+ * Number of deliveries kept in the in-memory delivery log.
+ * @type {number}
+ */
+const DEFAULT_LOG_SIZE = 100;
+
+/**
+ * HTTP statuses that are worth retrying; any other 4xx means the
+ * receiver rejected the payload and a retry would fail the same way.
+ * @type {Set<number>}
+ */
+const RETRYABLE_STATUSES = new Set([408, 425, 429]);
+
+/**
+ * Wait for the given number of milliseconds.
+ *
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    if (timer.unref) {
+      timer.unref();
+    }
+  });
+}
+
+/**
+ * Compute the signature header value for a payload.
+ *
+ * Receivers verify it by computing the same HMAC over the raw request
+ * body and comparing in constant time.
+ *
+ * @param {string} body   - Raw JSON body
+ * @param {string} secret - Shared secret
+ * @returns {string} `sha256=<hex digest>`
+ */
+export function signPayload(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Create a dispatcher that POSTs a JSON payload to every registered
+ * webhook when the poller's headline state changes.
+ *
+ * Webhooks come from two sources: the URLs in config.webhooks.urls
+ * (source 'config', read-only; malformed ones are skipped with a warning)
+ * and runtime registrations through the admin API (source 'api', kept in
+ * memory until the next restart).
+ *
+ * Each delivery is retried with exponential backoff on network errors,
+ * timeouts, 5xx and 408/425/429 responses, and recorded in a bounded
+ * delivery log.
+ *
+ * @param {object} [overrides]
+ * @param {string[]} [overrides.urls]    - Receiver URLs registered at startup
+ * @param {string|null} [overrides.secret] - Default HMAC secret
+ * @param {number} [overrides.retries]   - Retries after the first attempt
+ * @param {number} [overrides.backoff]   - Delay before the first retry in ms
+ * @param {number} [overrides.timeout]   - Timeout per attempt in ms
+ * @param {number} [overrides.logSize]   - Deliveries kept in the log
+ * @param {Function} [overrides.fetch]   - fetch implementation (for test injection)
+ * @returns {{ register: Function, unregister: Function, list: Function, deliveries: Function, dispatch: Function, attach: Function }}
+ */
+export function createWebhookDispatcher(overrides = {}) {
+  const defaultSecret = overrides.secret !== undefined ? overrides.secret : config.webhooks.secret;
+  const retries = overrides.retries ?? config.webhooks.retries;
+  const backoff = overrides.backoff ?? config.webhooks.backoff;
+  const timeoutMs = overrides.timeout || config.webhooks.timeout;
+  const logSize = overrides.logSize || DEFAULT_LOG_SIZE;
+  const fetchImpl = overrides.fetch || globalThis.fetch;
+
+  /** @type {Map<string, { id: string, url: string, secret: string|null, source: string, createdAt: number }>} */
+  const webhooks = new Map();
+
+  /** @type {Array<object>} Newest last */
+  const log = [];
+
+  /**
+   * Public view of a webhook — the secret never leaves the process.
+   *
+   * @param {object} webhook
+   * @returns {{ id: string, url: string, source: string, signed: boolean, createdAt: number }}
+   */
+  function describe({ secret, ...webhook }) {
+    return { ...webhook, signed: Boolean(secret || defaultSecret) };
+  }
+
+  /**
+   * Register a webhook.
+   *
+   * @param {object} options
+   * @param {string} options.url             - http(s) receiver URL
+   * @param {string} [options.secret]        - Per-webhook HMAC secret (default: shared secret)
+   * @param {string} [options.source='api']  - 'config' or 'api'
+   * @returns {object} The registered webhook (public view)
+   * @throws {Error} With code 'EINVAL' if the URL is not http(s)
+   */
+  function register({ url, secret = null, source = 'api' }) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      const err = new Error(`Invalid webhook URL "${url}".`);
+      err.code = 'EINVAL';
+      throw err;
+    }
+
+    const webhook = {
+      id: crypto.randomUUID(),
+      url: parsed.href,
+      secret: secret || null,
+      source,
+      createdAt: Date.now(),
+    };
+    webhooks.set(webhook.id, webhook);
+    return describe(webhook);
+  }
+
+  /**
+   * Remove a webhook registered through the admin API.
+   *
+   * @param {string} id
+   * @returns {boolean} false if no such webhook exists
+   * @throws {Error} With code 'EREADONLY' for webhooks from config
+   */
+  function unregister(id) {
+    const webhook = webhooks.get(id);
+    if (!webhook) {
+      return false;
+    }
+    if (webhook.source === 'config') {
+      const err = new Error('Webhooks from WEBHOOK_URLS cannot be removed at runtime.');
+      err.code = 'EREADONLY';
+      throw err;
+    }
+    webhooks.delete(id);
+    return true;
+  }
+
+  /**
+   * List all registered webhooks.
+   *
+   * @returns {object[]}
+   */
+  function list() {
+    return [...webhooks.values()].map(describe);
+  }
+
+  /**
+   * Recent deliveries, newest first.
+   *
+   * @param {number} [limit]
+   * @returns {object[]}
+   */
+  function deliveries(limit = logSize) {
+    return log.slice(-limit).reverse();
+  }
+
+  /**
+   * Append a delivery to the log, dropping the oldest beyond logSize.
+   *
+   * @param {object} delivery
+   */
+  function record(delivery) {
+    log.push(delivery);
+    if (log.length > logSize) {
+      log.shift();
+    }
+  }
+
+  /**
+   * Send one POST request.
+   *
+   * @param {string} url
+   * @param {string} body
+   * @param {object} headers
+   * @returns {Promise<{ status: number|null, error: string|null, retryable: boolean }>}
+   */
+  async function attempt(url, body, headers) {
+    const abort = new AbortController();
+    const timer = setTimeout(() => abort.abort(), timeoutMs);
+
+    try {
+      const response = await fetchImpl(url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: abort.signal,
+      });
+
+      if (response.ok) {
+        return { status: response.status, error: null, retryable: false };
+      }
+      return {
+        status: response.status,
+        error: `HTTP ${response.status}`,
+        retryable: response.status >= 500 || RETRYABLE_STATUSES.has(response.status),
+      };
+    } catch (err) {
+      const error = err.name === 'AbortError'
+        ? `Timed out after ${timeoutMs}ms`
+        : (err.cause && err.cause.message) || err.message;
+      return { status: null, error, retryable: true };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Deliver a payload to one webhook, retrying with exponential backoff.
+   *
+   * @param {object} webhook
+   * @param {object} payload
+   * @returns {Promise<object>} The finished delivery log entry
+   */
+  async function deliver(webhook, payload) {
+    const id = crypto.randomUUID();
+    const body = JSON.stringify({ ...payload, deliveryId: id });
+    const secret = webhook.secret || defaultSecret;
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'isbvgfuckedup-webhooks',
+      'X-Webhook-Event': payload.event,
+      'X-Webhook-Delivery': id,
+    };
+    if (secret) {
+      headers['X-Webhook-Signature-256'] = signPayload(body, secret);
+    }
+
+    const delivery = {
+      id,
+      webhookId: webhook.id,
+      url: webhook.url,
+      event: payload.event,
+      previous: payload.previous,
+      current: payload.current,
+      status: 'pending',
+      attempts: [],
+      createdAt: Date.now(),
+      completedAt: null,
+    };
+    record(delivery);
+
+    for (let i = 0; i <= retries; i++) {
+      if (i > 0) {
+        await sleep(backoff * 2 ** (i - 1));
+      }
+
+      const result = await attempt(webhook.url, body, headers);
+      delivery.attempts.push({ at: Date.now(), status: result.status, error: result.error });
+
+      if (!result.error) {
+        delivery.status = 'delivered';
+        break;
+      }
+      if (!result.retryable || i === retries) {
+        delivery.status = 'failed';
+        if (config.logLevel === 'debug') {
+          process.stderr.write(`[webhooks] delivery to ${webhook.url} failed: ${result.error}\n`);
+        }
+        break;
+      }
+    }
+
+    delivery.completedAt = Date.now();
+    return delivery;
+  }
+
+  /**
+   * Send a transition to every registered webhook.
+   *
+   * Never rejects — failures end up in the delivery log.
+   *
+   * @param {{ previous: string, current: string, status: object }} transition
+   * @returns {Promise<object[]>} Delivery log entries, one per webhook
+   */
+  function dispatch({ previous, current, status }) {
+    const payload = {
+      event: 'transition',
+      previous,
+      current,
+      message: status.text ? status.text.message : null,
+      metrics: status.metrics,
+      timestamp: status.timestamp,
+    };
+
+    return Promise.all([...webhooks.values()].map((webhook) => deliver(webhook, payload)));
+  }
+
+  /**
+   * Dispatch the poller's 'transition' events.
+   *
+   * The first verdict after boot (UNKNOWN → anything) is skipped so that
+   * receivers are not notified on every restart.
+   *
+   * @param {{ on: Function }} poller
+   */
+  function attach(poller) {
+    let settled = false;
+
+    poller.on('transition', (transition) => {
+      if (!settled) {
+        settled = true;
+        if (transition.previous === 'UNKNOWN') {
+          return;
+        }
+      }
+      dispatch(transition);
+    });
+  }
+
+  // A malformed entry is skipped rather than keeping the server from starting
+  for (const url of overrides.urls ?? config.webhooks.urls) {
+    try {
+      register({ url, source: 'config' });
+    } catch (err) {
+      process.stderr.write(`[webhooks] skipping WEBHOOK_URLS entry: ${err.message}\n`);
+    }
+  }
+
+  return { register, unregister, list, deliveries, dispatch, attach };
+}
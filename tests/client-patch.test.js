@@ -1,5 +1,5 @@
 /**
- * Unit tests for the patchDOM function in client.js.
+ * Unit tests for the patchDOM and patchStations functions in client.js.
  *
  * patchDOM surgically updates the status page DOM in place when fresh data
  * arrives from /api/status — replacing a full-page reload with a sub-
@@ -11,7 +11,11 @@
  *   - .status-text textContent            → data.message
  *   - .metric-value[0..2]                 → percentDelayed%, percentCancelled%, totalServices
  *   - {type}-{delayed|cancelled}-count    → data.transitBoxes counts
+ *   - #suspension-alerts                  → rebuilt from data.suspensions
+ *   - #status-explanation                 → data.explanation
+ *   - #main-cause                         → "Hauptursache: " + data.causes.main.label
  *   - .stale-warning                      → created / removed based on data.stale
+ *   - .restored-notice                    → created / removed based on data.restored
  *   - .timestamp                          → "Zuletzt aktualisiert: " + de-DE locale date
  *
  * The function should:
@@ -23,6 +27,11 @@
  *   - Remove the stale warning element when present and stale=false
  *   - Format timestamp with de-DE locale
  *   - Gracefully skip any DOM element that is missing
+ *
+ * patchStations updates the station table rows from /api/stations,
+ * rebuilding their error and circuit notes.
+ *
+ * The bootstrap opens the live stream only on pages showing a status.
  */
 
 import { Window } from 'happy-dom';
@@ -56,6 +65,16 @@ if (!patchDOMMatch) {
 
 const patchDOM = new Function('data', patchDOMMatch[1]);
 
+const patchStationsMatch = clientSource.match(
+  /function patchStations\(stations\) \{([\s\S]*?)\r?\n {2}\}/
+);
+
+if (!patchStationsMatch) {
+  throw new Error('Could not extract patchStations from client.js — check the regex');
+}
+
+const patchStations = new Function('stations', patchStationsMatch[1]);
+
 // ---------------------------------------------------------------------------
 // Test setup: Create full page DOM fixture
 // ---------------------------------------------------------------------------
@@ -90,6 +109,17 @@ function createFullPageDOM({
         <div class="status-text">Alles läuft.</div>
       </div>
 
+      <div class="suspension-alerts" id="suspension-alerts" role="alert">
+        <div class="suspension-alert suspension-line" data-line="U8">
+          <strong class="suspension-message">U8 fährt nicht.</strong>
+          <div class="suspension-details">Alle Fahrten fallen aus · seit 11:58 Uhr</div>
+        </div>
+      </div>
+
+      <p class="status-explanation" id="status-explanation">Vor allem U8 betroffen.</p>
+
+      <p class="main-cause" id="main-cause">Hauptursache: Bauarbeiten</p>
+
       ${includeTransitBoxes ? `
       <div class="transit-boxes">
         <div class="transit-box" data-type="bus">
@@ -102,6 +132,10 @@ function createFullPageDOM({
             <span>Ausgefallen:</span>
             <span class="count" id="bus-cancelled-count">0</span>
           </div>
+          <div class="transit-share">
+            <span>Gestört:</span>
+            <span id="bus-percent">0% von 0</span>
+          </div>
         </div>
         <div class="transit-box" data-type="ubahn">
           <h3>U-Bahn</h3>
@@ -113,6 +147,10 @@ function createFullPageDOM({
             <span>Ausgefallen:</span>
             <span class="count" id="ubahn-cancelled-count">0</span>
           </div>
+          <div class="transit-share">
+            <span>Gestört:</span>
+            <span id="ubahn-percent">0% von 0</span>
+          </div>
         </div>
         <div class="transit-box" data-type="tram">
           <h3>Tram</h3>
@@ -124,6 +162,10 @@ function createFullPageDOM({
             <span>Ausgefallen:</span>
             <span class="count" id="tram-cancelled-count">0</span>
           </div>
+          <div class="transit-share">
+            <span>Gestört:</span>
+            <span id="tram-percent">0% von 0</span>
+          </div>
         </div>
         <div class="transit-box" data-type="sbahn">
           <h3>S-Bahn</h3>
@@ -135,6 +177,40 @@ function createFullPageDOM({
             <span>Ausgefallen:</span>
             <span class="count" id="sbahn-cancelled-count">0</span>
           </div>
+          <div class="transit-share">
+            <span>Gestört:</span>
+            <span id="sbahn-percent">0% von 0</span>
+          </div>
+        </div>
+        <div class="transit-box" data-type="ferry">
+          <h3>Fähre</h3>
+          <div>
+            <span>Verspätet:</span>
+            <span class="count" id="ferry-delayed-count">0</span>
+          </div>
+          <div>
+            <span>Ausgefallen:</span>
+            <span class="count" id="ferry-cancelled-count">0</span>
+          </div>
+          <div class="transit-share">
+            <span>Gestört:</span>
+            <span id="ferry-percent">0% von 0</span>
+          </div>
+        </div>
+        <div class="transit-box" data-type="other">
+          <h3>Sonstige</h3>
+          <div>
+            <span>Verspätet:</span>
+            <span class="count" id="other-delayed-count">0</span>
+          </div>
+          <div>
+            <span>Ausgefallen:</span>
+            <span class="count" id="other-cancelled-count">0</span>
+          </div>
+          <div class="transit-share">
+            <span>Gestört:</span>
+            <span id="other-percent">0% von 0</span>
+          </div>
         </div>
       </div>
       ` : ''}
@@ -156,6 +232,30 @@ function createFullPageDOM({
       </div>
       ` : ''}
 
+      <div class="disrupted-departures">
+        <details class="disruption-accordion" data-type="ubahn">
+          <summary>
+            <span>U-Bahn</span>
+            <span class="disruption-count" id="ubahn-disrupted-count">1</span>
+          </summary>
+          <div class="disruption-list" id="ubahn-disruption-list">
+            <div class="disruption-item disruption-delayed">
+              <div class="disruption-line">U8</div>
+              <div class="disruption-details">Verspätung: 6 Min.</div>
+            </div>
+          </div>
+        </details>
+        <details class="disruption-accordion" data-type="bus">
+          <summary>
+            <span>Bus</span>
+            <span class="disruption-count" id="bus-disrupted-count">0</span>
+          </summary>
+          <div class="disruption-list" id="bus-disruption-list">
+            <p class="disruption-empty">Keine Störungen</p>
+          </div>
+        </details>
+      </div>
+
       ${includeStaleWarning ? '<div class="stale-warning">Daten sind veraltet.</div>' : ''}
 
       <div class="footer-info">
@@ -406,6 +506,25 @@ describe('patchDOM', () => {
       delete global.document;
     });
 
+    it('updates the ferry and other boxes', () => {
+      const document = createFullPageDOM();
+      global.document = document;
+
+      patchDOM({
+        transitBoxes: {
+          ferry: { total: 4, delayed: 1, cancelled: 0, percent: 25, state: 'DEGRADED' },
+          other: { total: 12, delayed: 0, cancelled: 6, percent: 50, state: 'FUCKED' },
+        },
+      });
+
+      expect(document.getElementById('ferry-delayed-count').textContent).toBe('1');
+      expect(document.getElementById('ferry-percent').textContent).toBe('25% von 4');
+      expect(document.getElementById('other-cancelled-count').textContent).toBe('6');
+      expect(document.querySelector('.transit-box[data-type="other"]').className).toBe('transit-box box-fucked');
+
+      delete global.document;
+    });
+
     it('updates cancelled counts for all transit types', () => {
       const document = createFullPageDOM();
       global.document = document;
@@ -452,6 +571,31 @@ describe('patchDOM', () => {
       delete global.document;
     });
 
+    it('updates the share and per-product state of each box', () => {
+      const document = createFullPageDOM();
+      global.document = document;
+
+      patchDOM({
+        transitBoxes: {
+          bus: { total: 40, delayed: 5, cancelled: 2, percent: 18, state: 'FINE' },
+          ubahn: { total: 12, delayed: 3, cancelled: 4, percent: 58, state: 'FUCKED' },
+          tram: { total: 0, delayed: 0, cancelled: 0, percent: 0, state: 'UNKNOWN' },
+          sbahn: { delayed: 2, cancelled: 0 },
+        },
+      });
+
+      expect(document.getElementById('bus-percent').textContent).toBe('18% von 40');
+      expect(document.getElementById('ubahn-percent').textContent).toBe('58% von 12');
+      const ubahn = document.querySelector('.transit-box[data-type="ubahn"]');
+      expect(ubahn.className).toBe('transit-box box-fucked');
+      expect(ubahn.getAttribute('data-state')).toBe('fucked');
+      expect(document.querySelector('.transit-box[data-type="tram"]').className).toBe('transit-box box-unknown');
+      // A box without a state keeps its class
+      expect(document.querySelector('.transit-box[data-type="sbahn"]').className).toBe('transit-box');
+
+      delete global.document;
+    });
+
     it('leaves counts unchanged when transitBoxes field is missing', () => {
       const document = createFullPageDOM();
       global.document = document;
@@ -487,6 +631,197 @@ describe('patchDOM', () => {
     });
   });
 
+  // ---------------------------------------------------------------------------
+  // Disrupted departure lists
+  // ---------------------------------------------------------------------------
+
+  describe('disrupted departure lists', () => {
+    it('rebuilds a list with the server-rendered markup', () => {
+      const document = createFullPageDOM();
+      global.document = document;
+
+      patchDOM({
+        disruptedDepartures: {
+          ubahn: {
+            departures: [
+              {
+                line: 'U2', direction: 'Ruhleben', stop: 'Alexanderplatz',
+                plannedWhen: '2026-01-26T12:00:00+01:00', delay: null, cancelled: true,
+                url: 'https://www.bvg.de/de/verbindungen/stoerungsmeldungen',
+              },
+              { line: 'U5', direction: null, stop: null, plannedWhen: null, delay: 420, cancelled: false, url: null },
+            ],
+            omitted: 2,
+          },
+        },
+      });
+
+      const items = document.querySelectorAll('#ubahn-disruption-list .disruption-item');
+      expect(items).toHaveLength(2);
+      expect(items[0].className).toBe('disruption-item disruption-cancelled');
+      expect(items[0].querySelector('.disruption-details').textContent)
+        .toBe('12:00 · Ab Alexanderplatz · Richtung Ruhleben — Ausfall');
+      expect(items[0].querySelector('a').getAttribute('href'))
+        .toBe('https://www.bvg.de/de/verbindungen/stoerungsmeldungen');
+      expect(items[1].querySelector('.disruption-details').textContent).toBe('Verspätung: 7 Min.');
+      expect(document.querySelector('#ubahn-disruption-list .disruption-more').textContent).toBe('und 2 weitere');
+      expect(document.getElementById('ubahn-disrupted-count').textContent).toBe('4');
+
+      delete global.document;
+    });
+
+    it('shows the empty message when a list clears', () => {
+      const document = createFullPageDOM();
+      global.document = document;
+
+      patchDOM({ disruptedDepartures: { ubahn: { departures: [], omitted: 0 } } });
+
+      expect(document.querySelector('#ubahn-disruption-list .disruption-item')).toBeNull();
+      expect(document.querySelector('#ubahn-disruption-list .disruption-empty').textContent).toBe('Keine Störungen');
+      expect(document.getElementById('ubahn-disrupted-count').textContent).toBe('0');
+
+      delete global.document;
+    });
+
+    it('leaves lists missing from the payload untouched', () => {
+      const document = createFullPageDOM();
+      global.document = document;
+
+      patchDOM({ disruptedDepartures: { bus: { departures: [], omitted: 0 } } });
+
+      expect(document.querySelector('#ubahn-disruption-list .disruption-line').textContent).toBe('U8');
+
+      delete global.document;
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Suspended line alerts
+  // ---------------------------------------------------------------------------
+
+  describe('suspended line alerts', () => {
+    it('rebuilds the alerts with the server-rendered markup', () => {
+      const document = createFullPageDOM();
+      global.document = document;
+
+      patchDOM({
+        suspensions: [
+          {
+            line: 'S41', scope: 'segment', since: Date.parse('2026-01-26T12:04:00+01:00'),
+            message: 'S41 fährt nicht ab Ostkreuz.',
+            stations: [{ id: '900120005', name: 'Ostkreuz', reason: 'vanished' }],
+          },
+        ],
+      });
+
+      const alerts = document.querySelectorAll('#suspension-alerts .suspension-alert');
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0].className).toBe('suspension-alert suspension-segment');
+      expect(alerts[0].getAttribute('data-line')).toBe('S41');
+      expect(alerts[0].querySelector('.suspension-message').textContent).toBe('S41 fährt nicht ab Ostkreuz.');
+      expect(alerts[0].querySelector('.suspension-details').textContent)
+        .toBe('Nicht mehr auf den Abfahrtstafeln · seit 12:04 Uhr');
+
+      delete global.document;
+    });
+
+    it('empties the alerts when every line runs again', () => {
+      const document = createFullPageDOM();
+      global.document = document;
+
+      patchDOM({ suspensions: [] });
+
+      expect(document.getElementById('suspension-alerts').children).toHaveLength(0);
+
+      delete global.document;
+    });
+
+    it('leaves the alerts untouched when suspensions are missing from the payload', () => {
+      const document = createFullPageDOM();
+      global.document = document;
+
+      patchDOM({ state: 'FINE' });
+
+      expect(document.querySelector('#suspension-alerts .suspension-message').textContent).toBe('U8 fährt nicht.');
+
+      delete global.document;
+    });
+  });
+
+  describe('verdict explanation', () => {
+    it('replaces the explanation', () => {
+      const document = createFullPageDOM();
+      global.document = document;
+
+      patchDOM({ state: 'FUCKED', explanation: 'Am stärksten gestört: S-Bahn (70 %).' });
+
+      expect(document.getElementById('status-explanation').textContent).toBe('Am stärksten gestört: S-Bahn (70 %).');
+
+      delete global.document;
+    });
+
+    it('empties the explanation when there is none', () => {
+      const document = createFullPageDOM();
+      global.document = document;
+
+      patchDOM({ state: 'FINE', explanation: null });
+
+      expect(document.getElementById('status-explanation').textContent).toBe('');
+
+      delete global.document;
+    });
+
+    it('leaves the explanation untouched when it is missing from the payload', () => {
+      const document = createFullPageDOM();
+      global.document = document;
+
+      patchDOM({ state: 'FINE' });
+
+      expect(document.getElementById('status-explanation').textContent).toBe('Vor allem U8 betroffen.');
+
+      delete global.document;
+    });
+  });
+
+  describe('main cause', () => {
+    const causes = { main: { id: 'signal', label: 'Signalstörung' }, counts: [] };
+
+    it('names the main cause while the network is disrupted', () => {
+      const document = createFullPageDOM();
+      global.document = document;
+
+      patchDOM({ state: 'DEGRADED', causes });
+
+      expect(document.getElementById('main-cause').textContent).toBe('Hauptursache: Signalstörung');
+
+      delete global.document;
+    });
+
+    it('empties the line when the network is fine or no cause is known', () => {
+      const document = createFullPageDOM();
+      global.document = document;
+
+      patchDOM({ state: 'FINE', causes });
+      expect(document.getElementById('main-cause').textContent).toBe('');
+
+      patchDOM({ state: 'FUCKED', causes: { main: null, counts: [] } });
+      expect(document.getElementById('main-cause').textContent).toBe('');
+
+      delete global.document;
+    });
+
+    it('leaves the line untouched when causes are missing from the payload', () => {
+      const document = createFullPageDOM();
+      global.document = document;
+
+      patchDOM({ state: 'FINE' });
+
+      expect(document.getElementById('main-cause').textContent).toBe('Hauptursache: Bauarbeiten');
+
+      delete global.document;
+    });
+  });
+
   // ---------------------------------------------------------------------------
   // Stale warning creation
   // ---------------------------------------------------------------------------
@@ -640,6 +975,97 @@ describe('patchDOM', () => {
     });
   });
 
+  // ---------------------------------------------------------------------------
+  // Coverage and confidence
+  // ---------------------------------------------------------------------------
+
+  describe('coverage and confidence', () => {
+    const coverageData = {
+      timestamp: '2026-02-04T10:00:00.000Z',
+      coverage: { stationsSucceeded: 1, stationsTotal: 5 },
+      confidence: { level: 'low', label: 'niedrig' },
+    };
+
+    it('creates the coverage line as first footer child when missing', () => {
+      const document = createFullPageDOM();
+      global.document = document;
+
+      patchDOM(coverageData);
+
+      const coverageEl = document.querySelector('.footer-info').firstElementChild;
+      expect(coverageEl.className).toBe('coverage confidence-low');
+      expect(coverageEl.textContent).toBe(
+        'Datenbasis: 1 von 5 Stationen \u00B7 Verl\u00E4sslichkeit: niedrig'
+      );
+
+      delete global.document;
+    });
+
+    it('updates an existing coverage line in place', () => {
+      const document = createFullPageDOM();
+      global.document = document;
+
+      patchDOM(coverageData);
+      patchDOM({
+        ...coverageData,
+        coverage: { stationsSucceeded: 5, stationsTotal: 5 },
+        confidence: { level: 'high', label: 'hoch' },
+      });
+
+      const coverageEls = document.querySelectorAll('.coverage');
+      expect(coverageEls).toHaveLength(1);
+      expect(coverageEls[0].className).toBe('coverage confidence-high');
+      expect(coverageEls[0].textContent).toContain('5 von 5');
+
+      delete global.document;
+    });
+
+    it('leaves the page alone when coverage is missing', () => {
+      const document = createFullPageDOM();
+      global.document = document;
+
+      patchDOM({ timestamp: coverageData.timestamp });
+
+      expect(document.querySelector('.coverage')).toBeNull();
+
+      delete global.document;
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Warm-start notice
+  // ---------------------------------------------------------------------------
+
+  describe('warm-start notice', () => {
+    it('creates the notice before .footer-info when restored=true', () => {
+      const document = createFullPageDOM();
+      global.document = document;
+
+      patchDOM({ restored: true });
+
+      const notice = document.querySelector('.restored-notice');
+      expect(notice).not.toBeNull();
+      expect(notice.nextElementSibling).toBe(document.querySelector('.footer-info'));
+      expect(notice.textContent).toContain('vor dem Neustart');
+
+      delete global.document;
+    });
+
+    it('removes the notice once fresh data arrives', () => {
+      const document = createFullPageDOM();
+      global.document = document;
+
+      patchDOM({ restored: true });
+      patchDOM({ restored: true });
+      expect(document.querySelectorAll('.restored-notice')).toHaveLength(1);
+
+      patchDOM({ restored: false });
+      expect(document.querySelector('.restored-notice')).toBeNull();
+
+      delete global.document;
+    });
+  });
+
   // ---------------------------------------------------------------------------
   // Missing DOM elements
   // ---------------------------------------------------------------------------
@@ -716,3 +1142,122 @@ describe('patchDOM', () => {
     });
   });
 });
+
+// ---------------------------------------------------------------------------
+// patchStations
+// ---------------------------------------------------------------------------
+
+describe('patchStations', () => {
+  /**
+   * A station table with one row that shows a fetch error and an open circuit.
+   *
+   * @returns {Document}
+   */
+  function createStationsDOM() {
+    const window = new Window();
+    const document = window.document;
+    document.body.innerHTML = `
+      <table class="stations-table"><tbody>
+        <tr class="station-row status-unknown" data-station="900120005">
+          <td class="station-name">Ostkreuz<span class="station-error" title="timed out"> Fehler: ETIMEDOUT</span><span class="station-error station-circuit">Pausiert nach wiederholten Fehlern</span></td>
+          <td class="station-emoji">❓</td>
+          <td class="station-disrupted">0%</td>
+          <td class="station-total">0</td>
+          <td class="station-latency">5000 ms</td>
+        </tr>
+      </tbody></table>
+    `;
+    return document;
+  }
+
+  const station = {
+    id: '900120005',
+    cssClass: 'status-fine',
+    emoji: '✅',
+    metrics: { percentDisrupted: 4, totalServices: 25 },
+    latency: 380,
+    lastSuccess: 1769425230000,
+    lastError: { message: 'timed out', code: 'ETIMEDOUT', timestamp: 1769425200000 },
+    circuit: { state: 'closed' },
+  };
+
+  it('removes the error and circuit notes once the station has been fetched again', () => {
+    const document = createStationsDOM();
+    global.document = document;
+
+    patchStations([station]);
+
+    const row = document.querySelector('.station-row');
+    expect(row.className).toBe('station-row status-fine');
+    expect(row.querySelector('.station-name').textContent).toBe('Ostkreuz');
+    expect(row.querySelector('.station-latency').textContent).toBe('380 ms');
+
+    delete global.document;
+  });
+
+  it('rebuilds the notes of a station that is still failing', () => {
+    const document = createStationsDOM();
+    global.document = document;
+
+    patchStations([{
+      ...station,
+      lastError: { message: 'circuit open', code: 'ECIRCUITOPEN', timestamp: 1769425260000 },
+      circuit: { state: 'half-open' },
+    }]);
+
+    const notes = document.querySelectorAll('.station-error');
+    expect(notes).toHaveLength(2);
+    expect(notes[0].textContent).toBe(' Fehler: ECIRCUITOPEN');
+    expect(notes[0].getAttribute('title')).toBe('circuit open');
+    expect(notes[1].textContent).toBe('Wird erneut versucht');
+
+    delete global.document;
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Bootstrap
+// ---------------------------------------------------------------------------
+
+describe('bootstrap', () => {
+  /**
+   * Run the whole client script against a page, with a stub EventSource
+   * that records the streams opened.
+   *
+   * @param {string} html - Body markup
+   * @returns {{ opened: string[], document: Document }}
+   */
+  function boot(html) {
+    const window = new Window();
+    window.document.body.className = 'status-fine';
+    window.document.body.innerHTML = html;
+
+    const opened = [];
+    window.EventSource = function (url) {
+      opened.push(url);
+      this.addEventListener = () => {};
+      this.close = () => {};
+    };
+    window.EventSource.CLOSED = 2;
+
+    new Function('window', 'document', 'localStorage', clientSource)(
+      window,
+      window.document,
+      window.localStorage
+    );
+    return { opened, document: window.document };
+  }
+
+  it('opens the live stream on a page showing a status', () => {
+    const { opened } = boot('<div class="status status-fine"><div class="status-text">Nein</div></div>');
+
+    expect(opened).toEqual(['/api/stream']);
+  });
+
+  it('leaves pages without a status alone', () => {
+    const { opened, document } = boot('<div class="status-container"><h1>Störungen</h1></div>');
+
+    expect(opened).toEqual([]);
+    expect(document.body.className).toBe('status-fine');
+  });
+});
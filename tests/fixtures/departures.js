@@ -461,6 +461,57 @@ export const singleCancelledDeparture = [
   makeDeparture({ stop: STATIONS.hauptbahnhof, line: LINES.s7, direction: 'S Potsdam Hbf', cancelled: true, platform: '13' }),
 ];
 
+// ---------------------------------------------------------------------------
+// REMARKS: HAFAS hints and warnings as attached to departures.
+//   The S7 construction warning appears at two stations and must be
+//   deduplicated; the expired warning and the hint must be ignored.
+// ---------------------------------------------------------------------------
+
+export const REMARKS = {
+  bikeHint: { type: 'hint', code: 'FB', text: 'Fahrradmitnahme begrenzt möglich' },
+  s7Construction: {
+    type: 'warning',
+    id: 'HIM_FREETEXT_123456',
+    summary: 'S7: Bauarbeiten zwischen Ostkreuz und Lichtenberg',
+    text: 'Wegen Bauarbeiten fahren die Züge der S7 in veränderten Abständen.',
+    validFrom: '2026-01-26T04:00:00+01:00',
+    validUntil: '2026-01-27T01:30:00+01:00',
+    url: 'https://sbahn.berlin/fahren/bauen-stoerung/',
+  },
+  u2Signal: {
+    type: 'status',
+    id: 'HIM_FREETEXT_654321',
+    summary: 'U2: Signalstörung',
+    text: 'Wegen einer Signalstörung kommt es zu unregelmäßigen Abständen.',
+    validFrom: '2026-01-26T11:00:00+01:00',
+    validUntil: null,
+  },
+  expired: {
+    type: 'warning',
+    id: 'HIM_FREETEXT_000001',
+    summary: 'Alte Meldung',
+    text: 'Diese Meldung ist abgelaufen.',
+    validFrom: '2026-01-20T00:00:00+01:00',
+    validUntil: '2026-01-21T00:00:00+01:00',
+  },
+};
+
+resetCounter();
+
+export const remarkDepartures = [
+  { ...makeDeparture({ stop: STATIONS.hauptbahnhof, line: LINES.s7, direction: 'S Ahrensfelde', delay: 420, platform: '15' }),
+    remarks: [REMARKS.bikeHint, REMARKS.s7Construction] },
+  { ...makeDeparture({ stop: STATIONS.friedrichstr, line: LINES.s7, direction: 'S Ahrensfelde', delay: 360, platform: '2' }),
+    remarks: [REMARKS.s7Construction, REMARKS.expired] },
+  { ...makeDeparture({ stop: STATIONS.alexanderplatz, line: LINES.u2, direction: 'U Pankow', delay: 600, platform: '2' }),
+    remarks: [REMARKS.u2Signal] },
+  { ...makeDeparture({ stop: STATIONS.alexanderplatz, line: LINES.u2, direction: 'U Ruhleben', delay: 0, platform: '1' }),
+    remarks: [REMARKS.u2Signal] },
+  { ...makeDeparture({ stop: STATIONS.friedrichstr, line: LINES.s7, direction: 'S Potsdam Hbf', delay: 0, platform: '1' }),
+    remarks: [REMARKS.s7Construction] },
+  makeDeparture({ stop: STATIONS.zoo, line: LINES.bus200, direction: 'Michelangelostr.', delay: 0, platform: null }),
+];
+
 // ---------------------------------------------------------------------------
 // ERROR scenarios: simulate malformed or partial data that the service may
 // encounter. These are used by error handling tests.
@@ -33,7 +33,8 @@ const srcDir = path.join(__dirname, '..', '..', 'src');
 // ---------------------------------------------------------------------------
 
 /**
- * Create a mock poller whose getStatus() returns the given status object.
+ * Create a mock poller whose getStatus() returns the given status object,
+ * with a line filter passed to getStatus() echoed back as `lines`.
  *
  * @param {object} statusOverrides - Partial status object
  * @returns {{ getStatus: Function }}
@@ -60,6 +61,8 @@ function createMockPoller(statusOverrides = {}) {
       ubahn: { delayed: 0, cancelled: 0 },
       tram: { delayed: 0, cancelled: 0 },
       sbahn: { delayed: 0, cancelled: 0 },
+      ferry: { delayed: 0, cancelled: 0 },
+      other: { delayed: 0, cancelled: 0 },
     },
     timestamp: Date.now(),
     stale: false,
@@ -68,7 +71,7 @@ function createMockPoller(statusOverrides = {}) {
   const status = { ...defaults, ...statusOverrides };
 
   return {
-    getStatus: () => ({ ...status }),
+    getStatus: ({ lines = [] } = {}) => (lines.length > 0 ? { ...status, lines } : { ...status }),
   };
 }
 
@@ -152,6 +155,137 @@ describe('API integration', () => {
       expect(res.text).toContain('Nein, BVG l\u00E4uft.');
     });
 
+    it('renders each transit box with its share and per-product state', async () => {
+      const transitBoxes = {
+        bus: { total: 40, delayed: 2, cancelled: 1, percent: 8, state: 'FINE' },
+        ubahn: { total: 10, delayed: 0, cancelled: 3, percent: 30, state: 'DEGRADED' },
+        tram: { total: 0, delayed: 0, cancelled: 0, percent: 0, state: 'UNKNOWN' },
+        sbahn: { total: 9, delayed: 4, cancelled: 2, percent: 67, state: 'FUCKED' },
+      };
+      const res = await request(createTestApp(createMockPoller({ transitBoxes }))).get('/');
+
+      expect(res.text).toContain('class="transit-box box-degraded" data-type="ubahn" data-state="degraded"');
+      expect(res.text).toContain('class="transit-box box-fucked" data-type="sbahn"');
+      expect(res.text).toContain('<span id="sbahn-percent">67% von 9</span>');
+      expect(res.text).toContain('<span class="count" id="bus-delayed-count">2</span>');
+    });
+
+    it('renders the disrupted departures of each box as accordions', async () => {
+      const disruptedDepartures = {
+        ubahn: {
+          departures: [
+            {
+              line: 'U2', direction: 'Ruhleben', stop: 'Alexanderplatz',
+              plannedWhen: '2026-01-26T12:00:00+01:00', delay: null, cancelled: true,
+              url: 'https://www.bvg.de/de/verbindungen/stoerungsmeldungen',
+            },
+            {
+              line: 'U8', direction: 'Wittenau', stop: null,
+              plannedWhen: null, delay: 420, cancelled: false, url: null,
+            },
+          ],
+          omitted: 3,
+        },
+        bus: { departures: [], omitted: 0 },
+      };
+      const res = await request(createTestApp(createMockPoller({ disruptedDepartures }))).get('/');
+
+      expect(res.text).toContain('<details class="disruption-accordion" data-type="ubahn">');
+      expect(res.text).toContain('<span class="disruption-count" id="ubahn-disrupted-count">5</span>');
+      expect(res.text).toContain(
+        '<div class="disruption-details">12:00 · Ab Alexanderplatz · Richtung Ruhleben — Ausfall</div>'
+      );
+      expect(res.text).toContain('<div class="disruption-details">Richtung Wittenau — Verspätung: 7 Min.</div>');
+      expect(res.text).toContain('href="https://www.bvg.de/de/verbindungen/stoerungsmeldungen"');
+      expect(res.text).toContain('<p class="disruption-more">und 3 weitere</p>');
+      expect(res.text).toMatch(/id="bus-disruption-list"><p class="disruption-empty">Keine Störungen<\/p>/);
+    });
+
+    it('renders suspended lines as alerts right below the verdict', async () => {
+      const suspensions = [
+        {
+          line: 'U8', product: 'subway', scope: 'segment', since: Date.parse('2026-01-26T11:58:00+01:00'),
+          message: 'U8 fährt nicht ab Alexanderplatz.',
+          stations: [{ id: '900100003', name: 'Alexanderplatz', reason: 'cancelled', since: 0, polls: 3 }],
+        },
+      ];
+      const res = await request(createTestApp(createMockPoller({ suspensions }))).get('/');
+
+      expect(res.text).toMatch(/class="status-text">[^<]*<\/div><\/div><div class="suspension-alerts" id="suspension-alerts"/);
+      expect(res.text).toContain('<div class="suspension-alert suspension-segment" data-line="U8">');
+      expect(res.text).toContain('<strong class="suspension-message">U8 fährt nicht ab Alexanderplatz.</strong>');
+      expect(res.text).toContain('<div class="suspension-details">Alle Fahrten fallen aus · seit 11:58 Uhr</div>');
+    });
+
+    it('explains the verdict under the headline', async () => {
+      const explanation = 'Vor allem U8 (Signalstörung) betroffen, 4 Ausfälle am Ostkreuz.';
+
+      const res = await request(createTestApp(createMockPoller({ state: 'DEGRADED', explanation }))).get('/');
+      const fine = await request(createTestApp(createMockPoller())).get('/');
+
+      expect(res.text).toContain(`<p class="status-explanation" id="status-explanation">${explanation}</p>`);
+      expect(fine.text).toContain('<p class="status-explanation" id="status-explanation"></p>');
+    });
+
+    it('names the main cause while the network is disrupted', async () => {
+      const causes = { main: { id: 'signal', label: 'Signalstörung' }, counts: [] };
+
+      const degraded = await request(createTestApp(createMockPoller({ state: 'DEGRADED', causes }))).get('/');
+      const fine = await request(createTestApp(createMockPoller({ causes }))).get('/');
+
+      expect(degraded.text).toContain('<p class="main-cause" id="main-cause">Hauptursache: Signalstörung</p>');
+      expect(fine.text).toContain('<p class="main-cause" id="main-cause"></p>');
+    });
+
+    it('renders an empty alert container when every line runs', async () => {
+      const res = await request(createTestApp(createMockPoller())).get('/');
+
+      expect(res.text).toContain('<div class="suspension-alerts" id="suspension-alerts" role="alert"></div>');
+    });
+
+    it('offers the line filter as a plain GET form', async () => {
+      const res = await request(createTestApp(createMockPoller())).get('/');
+
+      expect(res.text).toContain('<form class="line-filter" method="get" action="/">');
+      expect(res.text).toContain('name="lines" value=""');
+      expect(res.text).toContain('<h1 class="site-title">Ist BVG gefickt?</h1>');
+      expect(res.text).not.toContain('Alle Linien');
+    });
+
+    it('renders the status of the lines in ?lines=', async () => {
+      const res = await request(createTestApp(createMockPoller())).get('/?lines=U8,%20S41');
+
+      expect(res.text).toContain('<title>Ist U8, S41 gefickt?</title>');
+      expect(res.text).toContain('<meta property="og:title" content="Ist U8, S41 gefickt?">');
+      expect(res.text).toContain('<h1 class="site-title">Ist U8, S41 gefickt?</h1>');
+      expect(res.text).toContain('name="lines" value="U8, S41"');
+      expect(res.text).toContain('<a class="line-filter-reset" href="/">Alle Linien</a>');
+    });
+
+    it('says when no polled station serves the filtered lines', async () => {
+      const poller = createMockPoller({ metrics: { totalServices: 0 } });
+
+      const res = await request(createTestApp(poller)).get('/?lines=U55');
+
+      expect(res.text).toContain('Keine Abfahrten dieser Linien an den abgefragten Stationen.');
+    });
+
+    it('renders the ferry and other boxes', async () => {
+      const res = await request(createTestApp(createMockPoller())).get('/');
+
+      expect(res.text).toContain('<h3>Fähre</h3>');
+      expect(res.text).toContain('<h3>Sonstige</h3>');
+      expect(res.text).toContain('<span class="count" id="other-cancelled-count">0</span>');
+    });
+
+    it('shows the warm-start notice only for restored data', async () => {
+      const restored = await request(createTestApp(createMockPoller({ restored: true }))).get('/');
+      const fresh = await request(createTestApp(createMockPoller())).get('/');
+
+      expect(restored.text).toContain('restored-notice');
+      expect(fresh.text).not.toContain('restored-notice');
+    });
+
     it('includes the status CSS class on the body element', async () => {
       const poller = createMockPoller({
         state: 'FUCKED',
@@ -346,10 +480,10 @@ describe('API integration', () => {
 
     it('returns transitBoxes with the expected shape', async () => {
       const transitBoxes = {
-        bus: { delayed: 2, cancelled: 1 },
-        ubahn: { delayed: 0, cancelled: 3 },
-        tram: { delayed: 1, cancelled: 0 },
-        sbahn: { delayed: 4, cancelled: 2 },
+        bus: { total: 40, delayed: 2, cancelled: 1, percent: 8, state: 'FINE' },
+        ubahn: { total: 10, delayed: 0, cancelled: 3, percent: 30, state: 'DEGRADED' },
+        tram: { total: 0, delayed: 0, cancelled: 0, percent: 0, state: 'UNKNOWN' },
+        sbahn: { total: 9, delayed: 4, cancelled: 2, percent: 67, state: 'FUCKED' },
       };
       const poller = createMockPoller({ transitBoxes });
       const app = createTestApp(poller);
@@ -359,6 +493,60 @@ describe('API integration', () => {
       expect(res.body.transitBoxes).toEqual(transitBoxes);
     });
 
+    it('computes the status over the lines in ?lines=', async () => {
+      const poller = createMockPoller();
+
+      const filtered = await request(createTestApp(poller)).get('/api/status?lines=U8,S41&lines=M10');
+      const unfiltered = await request(createTestApp(poller)).get('/api/status');
+
+      expect(filtered.body.lines).toEqual(['U8', 'S41', 'M10']);
+      expect(unfiltered.body.lines).toBeNull();
+    });
+
+    it('returns the disrupted departure lists', async () => {
+      const disruptedDepartures = {
+        sbahn: { departures: [{ line: 'S5', delay: 600, cancelled: false }], omitted: 0 },
+      };
+      const poller = createMockPoller({ disruptedDepartures });
+
+      const res = await request(createTestApp(poller)).get('/api/status');
+
+      expect(res.body.disruptedDepartures).toEqual(disruptedDepartures);
+    });
+
+    it('returns the suspended lines, an empty list when there are none', async () => {
+      const suspensions = [{ line: 'U8', scope: 'line', since: 1, message: 'U8 fährt nicht.', stations: [] }];
+
+      const res = await request(createTestApp(createMockPoller({ suspensions }))).get('/api/status');
+      const none = await request(createTestApp(createMockPoller())).get('/api/status');
+
+      expect(res.body.suspensions).toEqual(suspensions);
+      expect(none.body.suspensions).toEqual([]);
+    });
+
+    it('returns the explanation of the verdict, null when there is none', async () => {
+      const explanation = 'Am stärksten gestört: S-Bahn (70 %).';
+
+      const res = await request(createTestApp(createMockPoller({ state: 'FUCKED', explanation }))).get('/api/status');
+      const none = await request(createTestApp(createMockPoller())).get('/api/status');
+
+      expect(res.body.explanation).toBe(explanation);
+      expect(none.body.explanation).toBeNull();
+    });
+
+    it('returns the counts per cause and the main cause', async () => {
+      const causes = {
+        main: { id: 'signal', label: 'Signalstörung' },
+        counts: [{ id: 'signal', label: 'Signalstörung', disruptions: 2, departures: 9 }],
+      };
+
+      const res = await request(createTestApp(createMockPoller({ causes }))).get('/api/status');
+      const none = await request(createTestApp(createMockPoller())).get('/api/status');
+
+      expect(res.body.causes).toEqual(causes);
+      expect(none.body.causes).toEqual({ main: null, counts: [] });
+    });
+
     it('includes CORS headers', async () => {
       const poller = createMockPoller();
       const app = createTestApp(poller);
@@ -369,6 +557,44 @@ describe('API integration', () => {
       expect(res.headers['access-control-allow-methods']).toBe('GET');
     });
 
+    it('returns raw and smoothed verdicts', async () => {
+      const raw = { state: 'DEGRADED', ratio: 0.27 };
+      const smoothed = { state: 'FINE', ratio: 0.21 };
+      const poller = createMockPoller({ raw, smoothed });
+      const app = createTestApp(poller);
+
+      const res = await request(app).get('/api/status');
+
+      expect(res.body.raw).toEqual(raw);
+      expect(res.body.smoothed).toEqual(smoothed);
+    });
+
+    it('returns the rolling trip window summary', async () => {
+      const window = { span: 900000, trips: 212, delayed: 31, cancelled: 4 };
+      const app = createTestApp(createMockPoller({ window }));
+
+      const res = await request(app).get('/api/status');
+
+      expect(res.body.window).toEqual(window);
+    });
+
+    it('returns the polling schedule in effect', async () => {
+      const polling = { interval: 30000, reason: 'state', nextPollAt: 1769425230000 };
+      const app = createTestApp(createMockPoller({ polling }));
+
+      const res = await request(app).get('/api/status');
+
+      expect(res.body.polling).toEqual(polling);
+    });
+
+    it('flags a status restored on a warm start', async () => {
+      const restoredApp = createTestApp(createMockPoller({ restored: true }));
+      const freshApp = createTestApp(createMockPoller());
+
+      expect((await request(restoredApp).get('/api/status')).body.restored).toBe(true);
+      expect((await request(freshApp).get('/api/status')).body.restored).toBe(false);
+    });
+
     it('returns complete JSON shape with all expected fields', async () => {
       const poller = createMockPoller();
       const app = createTestApp(poller);
@@ -386,6 +612,187 @@ describe('API integration', () => {
     });
   });
 
+  // -----------------------------------------------------------------------
+  // Coverage and confidence
+  // -----------------------------------------------------------------------
+
+  describe('coverage and confidence', () => {
+    const coverage = {
+      stationsTotal: 5,
+      stationsSucceeded: 3,
+      stationsFailed: 2,
+      failedStations: ['900100001', '900120005'],
+    };
+    const confidence = { level: 'medium', score: 0.6, label: 'mittel' };
+
+    it('returns coverage and confidence from /api/status', async () => {
+      const poller = createMockPoller({ coverage, confidence });
+      const app = createTestApp(poller);
+
+      const res = await request(app).get('/api/status');
+
+      expect(res.body.coverage).toEqual(coverage);
+      expect(res.body.confidence).toEqual(confidence);
+    });
+
+    it('renders the coverage line on the index page', async () => {
+      const poller = createMockPoller({ coverage, confidence });
+      const app = createTestApp(poller);
+
+      const res = await request(app).get('/');
+
+      expect(res.text).toContain('confidence-medium');
+      expect(res.text).toContain('Datenbasis: 3 von 5 Stationen');
+      expect(res.text).toContain('mittel');
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // GET /api/disruptions — Active HAFAS warnings
+  // -----------------------------------------------------------------------
+
+  describe('GET /api/disruptions', () => {
+    const disruption = {
+      id: 'HIM_FREETEXT_123456',
+      summary: 'S7: Bauarbeiten zwischen Ostkreuz und Lichtenberg',
+      text: 'Wegen Bauarbeiten fahren die Züge der S7 in veränderten Abständen.',
+      url: null,
+      validFrom: '2026-01-26T04:00:00+01:00',
+      validUntil: '2026-01-27T01:30:00+01:00',
+      lines: ['S7'],
+      stations: [{ id: '900120005', name: 'S Ostkreuz' }],
+      departures: 4,
+    };
+
+    it('returns the cached disruptions with count, timestamp and stale flag', async () => {
+      const timestamp = Date.now();
+      const poller = createMockPoller({ disruptions: [disruption], timestamp });
+      const app = createTestApp(poller);
+
+      const res = await request(app).get('/api/disruptions');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        count: 1,
+        disruptions: [disruption],
+        timestamp,
+        stale: false,
+      });
+    });
+
+    it('returns an empty list when the status carries no disruptions', async () => {
+      const poller = createMockPoller();
+      const app = createTestApp(poller);
+
+      const res = await request(app).get('/api/disruptions');
+
+      expect(res.body.count).toBe(0);
+      expect(res.body.disruptions).toEqual([]);
+    });
+
+    it('includes CORS headers', async () => {
+      const poller = createMockPoller();
+      const app = createTestApp(poller);
+
+      const res = await request(app).get('/api/disruptions');
+
+      expect(res.headers['access-control-allow-origin']).toBe('*');
+    });
+  });
+
+  // -----------------------------------------------------------------------
+  // GET /api/stations — Per-station breakdown
+  // -----------------------------------------------------------------------
+
+  describe('GET /api/stations', () => {
+    const stations = [
+      {
+        id: '900003201',
+        name: 'Berlin Hauptbahnhof',
+        state: 'FINE',
+        metrics: { totalServices: 30, percentDisrupted: 3 },
+        text: { cssClass: 'status-fine', message: 'Nein, BVG l\u00E4uft.', emoji: '\u2705' },
+        transitBoxes: {},
+        latency: 412,
+        lastSuccess: 1769425200000,
+        lastError: null,
+      },
+      {
+        id: '900120005',
+        name: 'Ostkreuz',
+        state: 'UNKNOWN',
+        metrics: { totalServices: 0, percentDisrupted: 0 },
+        text: { cssClass: 'status-unknown', message: 'Keine Daten verf\u00FCgbar.', emoji: '\u2753' },
+        transitBoxes: {},
+        latency: 5000,
+        lastSuccess: null,
+        lastError: { message: 'timed out', code: 'ETIMEDOUT', timestamp: 1769425200000 },
+      },
+    ];
+
+    it('lists every station with flattened display text', async () => {
+      const poller = createMockPoller({ stations });
+      const app = createTestApp(poller);
+
+      const res = await request(app).get('/api/stations');
+
+      expect(res.status).toBe(200);
+      expect(res.body.stations).toHaveLength(2);
+      expect(res.body.stations[0]).toEqual(expect.objectContaining({
+        id: '900003201',
+        state: 'FINE',
+        cssClass: 'status-fine',
+        latency: 412,
+      }));
+      expect(res.body.stations[0]).not.toHaveProperty('text');
+      expect(res.body.stations[1].lastError.code).toBe('ETIMEDOUT');
+    });
+
+    it('returns a single station by ID', async () => {
+      const poller = createMockPoller({ stations });
+      const app = createTestApp(poller);
+
+      const res = await request(app).get('/api/stations/900120005');
+
+      expect(res.status).toBe(200);
+      expect(res.body.station.name).toBe('Ostkreuz');
+      expect(res.body.station.cssClass).toBe('status-unknown');
+    });
+
+    it('returns 404 JSON for unknown stations', async () => {
+      const poller = createMockPoller({ stations });
+      const app = createTestApp(poller);
+
+      const res = await request(app).get('/api/stations/123');
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toContain('123');
+    });
+
+    it('renders the station table on the index page', async () => {
+      const poller = createMockPoller({ stations });
+      const app = createTestApp(poller);
+
+      const res = await request(app).get('/');
+
+      expect(res.text).toContain('data-station="900120005"');
+      expect(res.text).toContain('Berlin Hauptbahnhof');
+      expect(res.text).toContain('412 ms');
+      expect(res.text).toContain('Fehler: ETIMEDOUT');
+    });
+
+    it('drops the error of a station that has been fetched since', async () => {
+      const recovered = { ...stations[1], lastSuccess: stations[1].lastError.timestamp + 30000 };
+      const poller = createMockPoller({ stations: [stations[0], recovered] });
+      const app = createTestApp(poller);
+
+      const res = await request(app).get('/');
+
+      expect(res.text).toContain('data-station="900120005"');
+      expect(res.text).not.toContain('Fehler: ETIMEDOUT');
+    });
+  });
+
   // -----------------------------------------------------------------------
   // Error-handling middleware
   // -----------------------------------------------------------------------
@@ -0,0 +1,175 @@
+/**
+ * Integration tests for the liveness and readiness probes.
+ *
+ * Tests GET /healthz and GET /readyz against mock poller statuses and
+ * against a real poller with a mocked BVG client, covering:
+ *   - Liveness is always 200
+ *   - Readiness is 503 before the first poll, while no station has ever
+ *     answered, and when data is stale
+ *   - Per-station last-success times in the body
+ */
+
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+
+import config from '../../src/config.js';
+import { createRoutes } from '../../src/routes/index.js';
+import { createPoller } from '../../src/services/bvg-poller.js';
+import { fineDepartures } from '../fixtures/departures.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const NOW = Date.parse('2026-01-26T12:00:00Z');
+
+/**
+ * Build an app around a mock poller returning the given status.
+ *
+ * @param {object} status
+ * @returns {express.Application}
+ */
+function createTestApp(status) {
+  const app = express();
+  app.use(createRoutes({ getStatus: () => status }));
+  return app;
+}
+
+/** Station entries as the poller reports them. */
+const STATIONS = [
+  {
+    id: '900003201',
+    name: 'Berlin Hauptbahnhof',
+    lastSuccess: NOW - 30000,
+    lastError: null,
+    circuit: { state: 'closed', failures: 0, openedAt: null, retryAt: null },
+  },
+  {
+    id: '900100003',
+    name: 'Alexanderplatz',
+    lastSuccess: null,
+    lastError: { message: 'timeout', code: 'ETIMEDOUT', timestamp: NOW - 30000 },
+    circuit: { state: 'open', failures: 3, openedAt: NOW - 30000, retryAt: NOW + 150000 },
+  },
+];
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('health probes', () => {
+  /** @type {jest.SpyInstance | null} */
+  let dateNowSpy = null;
+
+  beforeEach(() => {
+    dateNowSpy = jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    dateNowSpy.mockRestore();
+  });
+
+  describe('GET /healthz', () => {
+    it('returns 200 even before the first poll', async () => {
+      const res = await request(createTestApp({ stations: STATIONS, timestamp: null, stale: true }))
+        .get('/healthz');
+
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe('ok');
+      expect(res.body.ready).toBe(false);
+      expect(typeof res.body.uptime).toBe('number');
+    });
+  });
+
+  describe('GET /readyz', () => {
+    it('returns 503 before the first successful poll', async () => {
+      const res = await request(createTestApp({ stations: STATIONS, timestamp: null, stale: true }))
+        .get('/readyz');
+
+      expect(res.status).toBe(503);
+      expect(res.body).toEqual(expect.objectContaining({
+        status: 'unavailable',
+        ready: false,
+        reason: 'No successful poll yet.',
+        lastPoll: null,
+        age: null,
+      }));
+    });
+
+    it('returns 503 while serving a status restored from disk', async () => {
+      const res = await request(createTestApp({ stations: STATIONS, timestamp: NOW - 30000, lastSuccessfulPoll: NOW - 30000, stale: false, restored: true }))
+        .get('/readyz');
+
+      expect(res.status).toBe(503);
+      expect(res.body).toEqual(expect.objectContaining({
+        ready: false,
+        reason: 'No successful poll yet.',
+        lastPoll: NOW - 30000,
+        restored: true,
+      }));
+    });
+
+    it('returns 503 when the data is stale', async () => {
+      const timestamp = NOW - config.stalenessThreshold - 1000;
+      const res = await request(createTestApp({ stations: STATIONS, timestamp, lastSuccessfulPoll: timestamp, stale: true }))
+        .get('/readyz');
+
+      expect(res.status).toBe(503);
+      expect(res.body.reason).toMatch(/staleness/);
+      expect(res.body.age).toBe(config.stalenessThreshold + 1000);
+    });
+
+    it('returns 200 with per-station last-success times and circuits when data is fresh', async () => {
+      const res = await request(createTestApp({ stations: STATIONS, timestamp: NOW - 30000, lastSuccessfulPoll: NOW - 30000, stale: false }))
+        .get('/readyz');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(expect.objectContaining({
+        status: 'ok',
+        ready: true,
+        reason: null,
+        lastPoll: NOW - 30000,
+        lastSuccessfulPoll: NOW - 30000,
+        age: 30000,
+        stalenessThreshold: config.stalenessThreshold,
+      }));
+      expect(res.body.stations).toEqual(STATIONS);
+    });
+
+    it('becomes ready after the first poll of a real poller', async () => {
+      const client = { getDepartures: jest.fn().mockResolvedValue(fineDepartures) };
+      const poller = createPoller({ client, stations: ['900003201'], smoother: null });
+      const app = express().use(createRoutes(poller));
+
+      expect((await request(app).get('/readyz')).status).toBe(503);
+
+      await poller.poll();
+      const res = await request(app).get('/readyz');
+
+      expect(res.status).toBe(200);
+      expect(res.body.stations).toEqual([
+        expect.objectContaining({ id: '900003201', lastSuccess: NOW }),
+      ]);
+    });
+
+    it('stays unavailable while no station of a real poller has answered', async () => {
+      const client = { getDepartures: jest.fn().mockRejectedValue(new Error('ETIMEDOUT')) };
+      const poller = createPoller({ client, stations: ['900003201', '900100003'], smoother: null });
+      const app = express().use(createRoutes(poller));
+
+      await poller.poll();
+      await poller.poll();
+      const res = await request(app).get('/readyz');
+
+      expect(res.status).toBe(503);
+      expect(res.body).toEqual(expect.objectContaining({
+        ready: false,
+        reason: 'No successful poll yet.',
+        lastPoll: NOW,
+        lastSuccessfulPoll: null,
+        age: null,
+      }));
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Integration tests for the history API endpoint.
+ *
+ * Tests GET /api/history with a mocked poller whose getHistory() is a
+ * jest mock, so the route's query parsing and validation can be checked
+ * without a real snapshot store.
+ *
+ * Covers:
+ *   - Default range (last 24 h, raw resolution)
+ *   - from/to as epoch ms and ISO 8601
+ *   - resolution in seconds and with unit suffixes
+ *   - 400 responses for invalid parameters
+ */
+
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+
+import { createRoutes } from '../../src/routes/index.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a mock poller with a stubbed getHistory().
+ *
+ * @param {Array} points - Points returned by getHistory()
+ * @returns {{ getStatus: Function, getHistory: jest.Mock }}
+ */
+function createMockPoller(points = []) {
+  return {
+    getStatus: () => ({}),
+    getHistory: jest.fn().mockReturnValue(points),
+  };
+}
+
+/**
+ * Build a minimal Express app around the real routes.
+ *
+ * @param {object} poller
+ * @returns {express.Application}
+ */
+function createTestApp(poller) {
+  const app = express();
+  app.use(createRoutes(poller));
+  return app;
+}
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('GET /api/history', () => {
+  /** @type {jest.SpyInstance | null} */
+  let dateNowSpy = null;
+  const NOW = Date.parse('2026-01-26T12:00:00Z');
+
+  beforeEach(() => {
+    dateNowSpy = jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    dateNowSpy.mockRestore();
+  });
+
+  it('returns the last 24 hours of raw points by default', async () => {
+    const points = [{ timestamp: NOW - 1000, state: 'FINE', samples: 1 }];
+    const poller = createMockPoller(points);
+
+    const res = await request(createTestApp(poller)).get('/api/history');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      from: NOW - 24 * 60 * 60 * 1000,
+      to: NOW,
+      resolution: null,
+      points,
+    });
+    expect(poller.getHistory).toHaveBeenCalledWith({
+      from: NOW - 24 * 60 * 60 * 1000,
+      to: NOW,
+      resolution: null,
+    });
+  });
+
+  it('accepts from/to as ISO 8601 and epoch milliseconds', async () => {
+    const poller = createMockPoller();
+
+    await request(createTestApp(poller))
+      .get('/api/history')
+      .query({ from: '2026-01-26T06:00:00Z', to: String(NOW) });
+
+    expect(poller.getHistory).toHaveBeenCalledWith({
+      from: Date.parse('2026-01-26T06:00:00Z'),
+      to: NOW,
+      resolution: null,
+    });
+  });
+
+  it.each([
+    ['300', 300_000],
+    ['15m', 900_000],
+    ['1h', 3_600_000],
+    ['1d', 86_400_000],
+  ])('parses resolution %s as %d ms', async (resolution, expected) => {
+    const poller = createMockPoller();
+
+    const res = await request(createTestApp(poller))
+      .get('/api/history')
+      .query({ resolution });
+
+    expect(res.status).toBe(200);
+    expect(res.body.resolution).toBe(expected);
+    expect(poller.getHistory.mock.calls[0][0].resolution).toBe(expected);
+  });
+
+  it.each([
+    [{ from: 'yesterday-ish' }, 'from'],
+    [{ to: 'later' }, 'to'],
+    [{ resolution: 'fast' }, 'resolution'],
+    [{ resolution: '10s' }, 'resolution'],
+  ])('returns 400 for invalid query %o', async (query, param) => {
+    const poller = createMockPoller();
+
+    const res = await request(createTestApp(poller)).get('/api/history').query(query);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain(param);
+    expect(poller.getHistory).not.toHaveBeenCalled();
+  });
+
+  it('returns 400 when from is after to', async () => {
+    const poller = createMockPoller();
+
+    const res = await request(createTestApp(poller))
+      .get('/api/history')
+      .query({ from: String(NOW), to: String(NOW - 1) });
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Integration tests for the incident endpoints.
+ *
+ * Runs a real poller with a mocked BVG client and an incident tracker
+ * attached to it, so that incidents are opened by actual poll results,
+ * covering:
+ *   - GET /api/incidents lists network and line incidents, with filters
+ *   - GET /api/incidents/:id, 404 for unknown incidents
+ *   - 400 for invalid query parameters
+ *   - GET /stoerungen renders the incident log
+ *   - routes are not mounted without an incident tracker
+ */
+
+import { jest } from '@jest/globals';
+import express from 'express';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import request from 'supertest';
+
+import { createRoutes } from '../../src/routes/index.js';
+import { createPoller } from '../../src/services/bvg-poller.js';
+import { createIncidentTracker } from '../../src/services/incidents.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const srcDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'src');
+
+const ALEX = { id: '900100003', name: 'S+U Alexanderplatz' };
+
+const SIGNAL_WARNING = {
+  type: 'warning',
+  id: 'HIM_FREETEXT_1',
+  summary: 'U8: Signalstörung',
+  text: 'Unregelmäßige Abstände.',
+  url: 'https://www.bvg.de/de/verbindungen/stoerungsmeldungen',
+};
+
+/**
+ * Departures of one line at Alexanderplatz, `late` of them 10 minutes late.
+ *
+ * @param {string} name
+ * @param {string} product
+ * @param {number} count
+ * @param {number} late
+ * @param {Array} [remarks]
+ * @returns {Array}
+ */
+function lineTrips(name, product, count, late, remarks = []) {
+  return Array.from({ length: count }, (_, i) => ({
+    tripId: `${name}-${i}`,
+    stop: ALEX,
+    delay: i < late ? 600 : 0,
+    cancelled: false,
+    plannedWhen: '2026-01-26T12:00:00+01:00',
+    direction: 'Wittenau',
+    line: { name, product },
+    remarks,
+  }));
+}
+
+// 8 of 20 trips late: the network is DEGRADED, the U8 FUCKED, the M10 FINE
+const DEPARTURES = [
+  ...lineTrips('U8', 'subway', 10, 8, [SIGNAL_WARNING]),
+  ...lineTrips('M10', 'tram', 10, 0),
+];
+
+/**
+ * Build an app around a real poller with an incident tracker attached,
+ * after one poll of the given departures.
+ *
+ * @param {Array} departures
+ * @returns {Promise<express.Application>}
+ */
+async function createTestApp(departures) {
+  const poller = createPoller({
+    client: { getDepartures: jest.fn().mockResolvedValue(departures) },
+    stations: ['900100003'],
+    smoother: null,
+    window: null,
+  });
+  const incidents = createIncidentTracker({ file: '' });
+  incidents.attach(poller);
+  await poller.poll();
+
+  const app = express();
+  app.set('view engine', 'pug');
+  app.set('views', path.join(srcDir, 'views'));
+  app.use(createRoutes(poller, { incidents }));
+  return app;
+}
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('GET /api/incidents', () => {
+  it('lists the network incident and one per disrupted line', async () => {
+    const res = await request(await createTestApp(DEPARTURES)).get('/api/incidents');
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(2);
+
+    const network = res.body.incidents.find((incident) => incident.scope === 'network');
+    expect(network).toEqual(expect.objectContaining({
+      open: true,
+      end: null,
+      lines: ['U8'],
+      // Stations given to the poller by ID are named by their ID
+      stations: [{ id: ALEX.id, name: ALEX.id }],
+    }));
+    expect(network.peak.state).toBe('DEGRADED');
+    expect(network.remarks.map((remark) => remark.summary)).toEqual(['U8: Signalstörung']);
+
+    const u8 = res.body.incidents.find((incident) => incident.scope === 'line');
+    expect(u8).toEqual(expect.objectContaining({ line: 'U8', product: 'subway' }));
+    expect(u8.peak.state).toBe('FUCKED');
+  });
+
+  it('filters by status and line and limits the list', async () => {
+    const app = await createTestApp(DEPARTURES);
+
+    expect((await request(app).get('/api/incidents?status=closed')).body.count).toBe(0);
+    expect((await request(app).get('/api/incidents?status=open&line=u8')).body.count).toBe(2);
+    expect((await request(app).get('/api/incidents?line=M10')).body.count).toBe(0);
+    const limited = (await request(app).get('/api/incidents?limit=1')).body;
+    expect(limited.incidents).toHaveLength(1);
+    expect(limited.count).toBe(2);
+  });
+
+  it('responds 400 for invalid parameters', async () => {
+    const app = await createTestApp(DEPARTURES);
+
+    const status = await request(app).get('/api/incidents?status=maybe');
+    const limit = await request(app).get('/api/incidents?limit=0');
+    const line = await request(app).get('/api/incidents?line=');
+
+    expect(status.status).toBe(400);
+    expect(status.body.error).toMatch(/status/);
+    expect(limit.status).toBe(400);
+    expect(limit.body.error).toMatch(/limit/);
+    expect(line.status).toBe(400);
+  });
+
+  it('is not mounted without an incident tracker', async () => {
+    const app = express();
+    app.use(createRoutes(createPoller({ client: { getDepartures: jest.fn() }, stations: ['900100003'] })));
+
+    expect((await request(app).get('/api/incidents')).status).toBe(404);
+    expect((await request(app).get('/stoerungen')).status).toBe(404);
+  });
+});
+
+describe('GET /api/incidents/:id', () => {
+  it('returns one incident', async () => {
+    const app = await createTestApp(DEPARTURES);
+    const { body } = await request(app).get('/api/incidents?line=U8');
+    const id = body.incidents.find((incident) => incident.scope === 'line').id;
+
+    const res = await request(app).get(`/api/incidents/${id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.incident).toEqual(expect.objectContaining({ id, line: 'U8' }));
+    expect(id).toMatch(/^u8-\d+$/);
+  });
+
+  it('responds 404 for unknown incidents', async () => {
+    const res = await request(await createTestApp(DEPARTURES)).get('/api/incidents/u8-0');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: 'Unknown incident "u8-0".' });
+  });
+});
+
+describe('GET /stoerungen', () => {
+  it('renders the incident log with open incidents expanded', async () => {
+    const res = await request(await createTestApp(DEPARTURES)).get('/stoerungen');
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('<title>Störungsverlauf - Ist BVG gefickt?</title>');
+    expect(res.text).toMatch(/<details class="incident incident-degraded" id="network-\d+" open>/);
+    expect(res.text).toContain('<span class="incident-title">Gesamtnetz</span>');
+    expect(res.text).toContain('<span class="incident-title">U8</span>');
+    expect(res.text).toContain('<a href="/linie/U8">U8</a>');
+    expect(res.text).toContain('<strong>U8: Signalstörung</strong>');
+    expect(res.text).not.toContain('incidents-empty');
+  });
+
+  it('says so when there are no incidents', async () => {
+    const res = await request(await createTestApp(lineTrips('M10', 'tram', 20, 0))).get('/stoerungen');
+
+    expect(res.text).toContain('<p class="incidents-empty">Bisher keine Störungen erfasst.</p>');
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Integration tests for the per-line endpoints.
+ *
+ * Runs a real poller with a mocked BVG client, so that the lines are
+ * extracted from actual poll results, covering:
+ *   - GET /api/lines lists every line with its metrics and state
+ *   - GET /api/lines/:name with stations, warnings, cause and disrupted departures
+ *   - GET /linie/:name renders the line page
+ *   - 404 for lines not seen, empty list before the first poll
+ */
+
+import { jest } from '@jest/globals';
+import express from 'express';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import request from 'supertest';
+
+import { createRoutes } from '../../src/routes/index.js';
+import { createPoller } from '../../src/services/bvg-poller.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const srcDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'src');
+
+const ALEX = { id: '900100003', name: 'S+U Alexanderplatz' };
+const HBF = { id: '900003201', name: 'S+U Berlin Hauptbahnhof' };
+
+const SIGNAL_WARNING = {
+  type: 'warning',
+  id: 'HIM_FREETEXT_1',
+  summary: 'U8: Signalstörung',
+  text: 'Unregelmäßige Abstände.',
+  url: null,
+};
+
+/**
+ * Departures of one line at one station, `late` of them 10 minutes late.
+ *
+ * @param {string} name
+ * @param {string} product
+ * @param {object} stop
+ * @param {number} count
+ * @param {number} late
+ * @param {Array} [remarks]
+ * @returns {Array}
+ */
+function lineTrips(name, product, stop, count, late, remarks = []) {
+  return Array.from({ length: count }, (_, i) => ({
+    tripId: `${name}-${stop.id}-${i}`,
+    stop,
+    delay: i < late ? 600 : 0,
+    cancelled: false,
+    plannedWhen: '2026-01-26T12:00:00+01:00',
+    direction: 'Wittenau',
+    line: { name, product },
+    remarks,
+  }));
+}
+
+/**
+ * Build an app around a real poller that polled the given departures once.
+ *
+ * @param {Array} departures
+ * @returns {Promise<express.Application>}
+ */
+async function createTestApp(departures) {
+  const poller = createPoller({
+    client: { getDepartures: jest.fn().mockResolvedValue(departures) },
+    stations: ['900100003'],
+    smoother: null,
+    window: null,
+  });
+  await poller.poll();
+
+  const app = express();
+  app.set('view engine', 'pug');
+  app.set('views', path.join(srcDir, 'views'));
+  app.use(createRoutes(poller));
+  return app;
+}
+
+const DEPARTURES = [
+  ...lineTrips('U8', 'subway', ALEX, 8, 6, [SIGNAL_WARNING]),
+  ...lineTrips('U8', 'subway', HBF, 2, 0),
+  ...lineTrips('M10', 'tram', ALEX, 10, 0),
+  ...lineTrips('M4', 'tram', ALEX, 10, 0),
+];
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('GET /api/lines', () => {
+  it('lists every line with its metrics and state, sorted by name', async () => {
+    const res = await request(await createTestApp(DEPARTURES)).get('/api/lines');
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(3);
+    expect(res.body.stale).toBe(false);
+    expect(res.body.lines.map((line) => line.name)).toEqual(['M4', 'M10', 'U8']);
+
+    const u8 = res.body.lines[2];
+    expect(u8).toEqual(expect.objectContaining({
+      product: 'subway',
+      box: 'ubahn',
+      state: 'FUCKED',
+      cssClass: 'status-fucked',
+      stations: [ALEX, HBF],
+    }));
+    expect(u8.metrics).toEqual(expect.objectContaining({ totalServices: 10, delayedCount: 6 }));
+    expect(u8.text).toBeUndefined();
+  });
+
+  it('is empty before the first poll', async () => {
+    const poller = createPoller({ client: { getDepartures: jest.fn() }, stations: ['900100003'] });
+    const app = express();
+    app.use(createRoutes(poller));
+
+    const res = await request(app).get('/api/lines');
+
+    expect(res.body).toEqual({ count: 0, lines: [], timestamp: null, stale: true });
+  });
+});
+
+describe('GET /api/lines/:name', () => {
+  it('returns one line with its warnings and disrupted departures', async () => {
+    const res = await request(await createTestApp(DEPARTURES)).get('/api/lines/u8');
+
+    expect(res.status).toBe(200);
+    expect(res.body.line.name).toBe('U8');
+    expect(res.body.line.disruptions.map((d) => d.summary)).toEqual(['U8: Signalstörung']);
+    expect(res.body.line.cause).toEqual({ id: 'signal', label: 'Signalstörung' });
+    expect(res.body.line.disruptedDepartures.departures).toHaveLength(6);
+    expect(res.body.line.disruptedDepartures.departures[0]).toEqual(expect.objectContaining({
+      line: 'U8',
+      delay: 600,
+    }));
+  });
+
+  it('responds 404 for a line not seen in recent polls', async () => {
+    const res = await request(await createTestApp(DEPARTURES)).get('/api/lines/U55');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: 'Unknown line "U55".' });
+  });
+});
+
+describe('GET /linie/:name', () => {
+  it('renders the status page of the line', async () => {
+    const res = await request(await createTestApp(DEPARTURES)).get('/linie/U8');
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('<h1 class="site-title">Ist U8 gefickt?</h1>');
+    expect(res.text).toContain('<body class="status-fucked" data-lines="U8">');
+    expect(res.text).toContain('<li>S+U Alexanderplatz</li><li>S+U Berlin Hauptbahnhof</li>');
+    expect(res.text).toContain('<strong>U8: Signalstörung</strong>');
+    expect(res.text).toContain('<p class="main-cause" id="main-cause">Hauptursache: Signalstörung</p>');
+    expect(res.text).toContain('<div class="disruption-list" id="ubahn-disruption-list">');
+    expect(res.text).toContain('Verspätung: 10 Min.');
+    expect(res.text).toContain('href="/?lines=U8"');
+  });
+
+  it('renders the error page with 404 for an unknown line', async () => {
+    const res = await request(await createTestApp(DEPARTURES)).get('/linie/U55');
+
+    expect(res.status).toBe(404);
+    expect(res.text).toContain('Die Linie U55 wurde in den letzten Abfragen nicht gesehen.');
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Integration tests for the Prometheus scrape endpoint.
+ *
+ * Tests GET /metrics and the request-counting middleware with a mock
+ * poller, covering:
+ *   - Content type and exposition format
+ *   - HTTP request counts labelled by route pattern
+ */
+
+import { EventEmitter } from 'node:events';
+import express from 'express';
+import request from 'supertest';
+
+import { createRoutes } from '../../src/routes/index.js';
+import { createMetrics } from '../../src/services/metrics.js';
+
+/**
+ * Build an app with metrics middleware and the real routes.
+ *
+ * @returns {express.Application}
+ */
+function createTestApp() {
+  const poller = new EventEmitter();
+  poller.getStatus = () => ({
+    state: 'FINE',
+    metrics: { totalServices: 50 },
+    transitBoxes: {},
+    stations: [{ id: '900100003', name: 'Alexanderplatz', text: { message: '', emoji: '', cssClass: '' } }],
+    text: { message: '', emoji: '', cssClass: 'status-fine' },
+    raw: { state: 'FINE', ratio: 0.1 },
+    smoothed: { state: 'FINE', ratio: 0.12 },
+    timestamp: 1769425200000,
+    stale: false,
+  });
+  poller.getHistory = () => [];
+
+  const metrics = createMetrics(poller);
+  const app = express();
+  app.use(metrics.middleware);
+  app.use(createRoutes(poller, { metrics }));
+  return app;
+}
+
+describe('GET /metrics', () => {
+  it('serves the Prometheus text format', async () => {
+    const res = await request(createTestApp()).get('/metrics');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain;/);
+    expect(res.headers['content-type']).toMatch(/version=0\.0\.4/);
+    expect(res.text).toContain('# TYPE bvg_state gauge');
+    expect(res.text).toContain('bvg_state{state="FINE"} 1');
+    expect(res.text).toContain('bvg_disruption_ratio{kind="smoothed"} 0.12');
+  });
+
+  it('counts HTTP requests by route pattern rather than by path', async () => {
+    const app = createTestApp();
+
+    await request(app).get('/api/status');
+    await request(app).get('/api/stations/900100003');
+    await request(app).get('/api/stations/unknown');
+    await request(app).get('/api/history');
+    await request(app).get('/nope');
+
+    const res = await request(app).get('/metrics');
+
+    expect(res.text).toContain('http_requests_total{method="GET",route="/api/status",status="200"} 1');
+    expect(res.text).toContain('http_requests_total{method="GET",route="/api/stations/:id",status="200"} 1');
+    expect(res.text).toContain('http_requests_total{method="GET",route="/api/stations/:id",status="404"} 1');
+    expect(res.text).toContain('http_requests_total{method="GET",route="/api/history",status="200"} 1');
+    expect(res.text).toContain('http_requests_total{method="GET",route="other",status="404"} 1');
+  });
+
+  it('is only mounted when metrics are passed to createRoutes()', async () => {
+    const app = express().use(createRoutes({ getStatus: () => ({}) }));
+
+    const res = await request(app).get('/metrics');
+
+    expect(res.status).toBe(404);
+  });
+});
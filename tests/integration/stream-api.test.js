@@ -0,0 +1,296 @@
+/**
+ * Integration tests for the Server-Sent Events endpoint.
+ *
+ * SSE responses never end, so instead of Supertest these tests start the
+ * app on a random local port and read the raw event stream with
+ * http.get(), closing the connection once the expected events arrived.
+ * The poller is a mock with a real EventEmitter, so tests can fire
+ * 'poll' and 'transition' events on demand.
+ *
+ * Covers:
+ *   - Headers and the initial status snapshot
+ *   - Live 'status' and 'transition' pushes
+ *   - Last-Event-ID resume
+ *   - Line-filtered streams
+ *   - Heartbeat comments
+ */
+
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'node:events';
+import http from 'node:http';
+import express from 'express';
+
+import { createRoutes } from '../../src/routes/index.js';
+import { createStreamRoutes } from '../../src/routes/stream.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a mock poller with an event interface. A line filter passed to
+ * getStatus() is echoed back as `lines`.
+ *
+ * @param {string} [state='FINE']
+ * @returns {{ getStatus: Function, on: Function, emit: Function, setState: Function }}
+ */
+function createMockPoller(state = 'FINE') {
+  const events = new EventEmitter();
+  let current = state;
+
+  return {
+    getStatus: ({ lines = [] } = {}) => ({
+      ...(lines.length > 0 ? { lines } : {}),
+      state: current,
+      metrics: { totalServices: 20 },
+      transitBoxes: {},
+      text: { cssClass: `status-${current.toLowerCase()}`, message: current, emoji: '' },
+      timestamp: 1769425200000,
+      stale: false,
+    }),
+    on: (event, listener) => events.on(event, listener),
+    emit: (event, payload) => events.emit(event, payload),
+    setState: (next) => {
+      current = next;
+    },
+  };
+}
+
+/**
+ * Start an app on a random port.
+ *
+ * @param {express.Router} router
+ * @returns {Promise<{ port: number, close: Function }>}
+ */
+function listen(router) {
+  const app = express();
+  app.use(router);
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        close: () => new Promise((done) => {
+          server.closeAllConnections();
+          server.close(done);
+        }),
+      });
+    });
+  });
+}
+
+/**
+ * Open the stream and collect parsed events until `count` events (or
+ * heartbeat comments, if `countComments`) have arrived.
+ *
+ * @param {number} port
+ * @param {object} [options]
+ * @param {string} [options.path]             - Request path (default /api/stream)
+ * @param {number} [options.count=1]          - Events to wait for
+ * @param {object} [options.headers]          - Request headers
+ * @param {Function} [options.onOpen]         - Called once the response starts
+ * @param {boolean} [options.countComments]   - Count ':' comment lines instead of events
+ * @returns {Promise<{ headers: object, events: Array<{ id: string, event: string, data: object }>, comments: string[] }>}
+ */
+function readStream(port, { path = '/api/stream', count = 1, headers = {}, onOpen, countComments = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ host: '127.0.0.1', port, path, headers }, (res) => {
+      const events = [];
+      const comments = [];
+      let buffer = '';
+
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+
+          const fields = {};
+          for (const line of block.split('\n')) {
+            if (line.startsWith(':')) {
+              comments.push(line);
+              continue;
+            }
+            const sep = line.indexOf(': ');
+            fields[line.slice(0, sep)] = line.slice(sep + 2);
+          }
+          if (fields.event) {
+            events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+          }
+        }
+
+        const seen = countComments ? comments.length : events.length;
+        if (seen >= count) {
+          req.destroy();
+          resolve({ headers: res.headers, events, comments });
+        }
+      });
+
+      if (onOpen) {
+        onOpen();
+      }
+    });
+    req.on('error', (err) => {
+      if (err.code !== 'ECONNRESET') {
+        reject(err);
+      }
+    });
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('GET /api/stream', () => {
+  let server = null;
+
+  afterEach(async () => {
+    if (server) {
+      await server.close();
+      server = null;
+    }
+  });
+
+  it('responds with an event stream and an initial status snapshot', async () => {
+    const poller = createMockPoller('DEGRADED');
+    server = await listen(createRoutes(poller));
+
+    const { headers, events } = await readStream(server.port);
+
+    expect(headers['content-type']).toMatch(/text\/event-stream/);
+    expect(headers['cache-control']).toMatch(/no-cache/);
+    expect(events[0].event).toBe('status');
+    expect(events[0].id).toBe('0');
+    expect(events[0].data).toEqual(expect.objectContaining({
+      state: 'DEGRADED',
+      cssClass: 'status-degraded',
+      timestamp: 1769425200000,
+    }));
+  });
+
+  it('pushes a status event after each poll and a transition on state change', async () => {
+    const poller = createMockPoller('FINE');
+    server = await listen(createRoutes(poller));
+
+    const { events } = await readStream(server.port, {
+      count: 3,
+      onOpen: () => {
+        setImmediate(() => {
+          poller.setState('FUCKED');
+          poller.emit('poll', poller.getStatus());
+          poller.emit('transition', { previous: 'FINE', current: 'FUCKED', status: poller.getStatus() });
+        });
+      },
+    });
+
+    expect(events.map((e) => e.event)).toEqual(['status', 'status', 'transition']);
+    expect(events[1]).toEqual(expect.objectContaining({ id: '1' }));
+    expect(events[1].data.state).toBe('FUCKED');
+    expect(events[2].data).toEqual({ previous: 'FINE', current: 'FUCKED', timestamp: 1769425200000 });
+  });
+
+  it('replays missed events after Last-Event-ID instead of a snapshot', async () => {
+    const poller = createMockPoller('FINE');
+    server = await listen(createRoutes(poller));
+
+    // Three events happen while the client is away
+    poller.emit('poll', poller.getStatus());
+    poller.setState('DEGRADED');
+    poller.emit('poll', poller.getStatus());
+    poller.emit('transition', { previous: 'FINE', current: 'DEGRADED', status: poller.getStatus() });
+
+    const { events } = await readStream(server.port, {
+      count: 2,
+      headers: { 'Last-Event-ID': '1' },
+    });
+
+    expect(events.map((e) => [e.id, e.event])).toEqual([
+      ['2', 'status'],
+      ['3', 'transition'],
+    ]);
+  });
+
+  it('falls back to a snapshot when Last-Event-ID is unknown', async () => {
+    const poller = createMockPoller('FINE');
+    server = await listen(createRoutes(poller));
+
+    const { events } = await readStream(server.port, { headers: { 'Last-Event-ID': '42' } });
+
+    expect(events[0].event).toBe('status');
+    expect(events[0].id).toBe('0');
+  });
+
+  it('streams the status of the lines in ?lines=', async () => {
+    const poller = createMockPoller('FINE');
+    server = await listen(createRoutes(poller));
+
+    const { events } = await readStream(server.port, {
+      path: '/api/stream?lines=U8,S41',
+      count: 2,
+      onOpen: () => {
+        setImmediate(() => poller.emit('poll', poller.getStatus()));
+      },
+    });
+
+    expect(events.map((e) => [e.id, e.event])).toEqual([['0', 'status'], ['1', 'status']]);
+    expect(events[0].data.lines).toEqual(['U8', 'S41']);
+    expect(events[1].data.lines).toEqual(['U8', 'S41']);
+  });
+
+  it('computes the status once per set of lines for all clients filtering by it', async () => {
+    const poller = createMockPoller('FINE');
+    const getStatus = jest.fn(poller.getStatus);
+    poller.getStatus = getStatus;
+    server = await listen(createRoutes(poller));
+
+    let opened = 0;
+    let before = 0;
+    const onOpen = () => {
+      opened += 1;
+      if (opened === 2) {
+        // Both snapshots have been sent once both responses started
+        before = getStatus.mock.calls.length;
+        setImmediate(() => poller.emit('poll', poller.getStatus()));
+      }
+    };
+
+    const streams = await Promise.all([
+      readStream(server.port, { path: '/api/stream?lines=U8,S41', count: 2, onOpen }),
+      readStream(server.port, { path: '/api/stream?lines=S41,U8', count: 2, onOpen }),
+    ]);
+
+    const filteredCalls = getStatus.mock.calls.slice(before).filter(([options]) => options && options.lines);
+    expect(filteredCalls).toHaveLength(1);
+    expect(streams.map(({ events }) => events[1].data.lines)).toEqual([['U8', 'S41'], ['U8', 'S41']]);
+  });
+
+  it('starts a line-filtered stream from a snapshot instead of replaying', async () => {
+    const poller = createMockPoller('FINE');
+    server = await listen(createRoutes(poller));
+
+    poller.emit('poll', poller.getStatus());
+    poller.emit('poll', poller.getStatus());
+
+    const { events } = await readStream(server.port, {
+      path: '/api/stream?lines=U8',
+      headers: { 'Last-Event-ID': '1' },
+    });
+
+    expect(events[0]).toEqual(expect.objectContaining({ id: '2', event: 'status' }));
+    expect(events[0].data.lines).toEqual(['U8']);
+  });
+
+  it('sends heartbeat comments', async () => {
+    const poller = createMockPoller('FINE');
+    const router = express.Router();
+    router.use('/api/stream', createStreamRoutes(poller, { heartbeat: 20 }));
+    server = await listen(router);
+
+    const { comments } = await readStream(server.port, { count: 1, countComments: true });
+
+    expect(comments[0]).toBe(': heartbeat');
+  });
+});
@@ -230,6 +230,66 @@ describe('Voice API integration', () => {
       expect(res.body.stale).toBe(true);
     });
 
+    it('announces suspended lines right after the verdict', async () => {
+      const poller = createMockPoller({
+        suspensions: [
+          { line: 'U8', scope: 'line', message: 'U8 fährt nicht.' },
+          { line: 'S41', scope: 'segment', message: 'S41 fährt nicht ab Ostkreuz.' },
+        ],
+      });
+      const app = createTestApp(poller);
+
+      const res = await request(app).get('/api/voice');
+
+      expect(res.body.text).toMatch(
+        /^Nein, BVG läuft\. Achtung: U8 fährt nicht\. S41 fährt nicht ab Ostkreuz\. Von 20/
+      );
+      expect(res.body.ssml).toContain('<break time="500ms"/>Achtung: U8 fährt nicht.');
+    });
+
+    it('escapes line and station names of suspensions in the SSML only', async () => {
+      const poller = createMockPoller({
+        suspensions: [{ line: 'S41', scope: 'segment', message: 'S41 fährt nicht ab Gesundbrunnen & Wedding.' }],
+      });
+      const app = createTestApp(poller);
+
+      const res = await request(app).get('/api/voice');
+
+      expect(res.body.text).toContain('Achtung: S41 fährt nicht ab Gesundbrunnen & Wedding.');
+      expect(res.body.ssml).toContain('<break time="500ms"/>Achtung: S41 fährt nicht ab Gesundbrunnen &amp; Wedding.');
+    });
+
+    it('explains the verdict after the metrics', async () => {
+      const poller = createMockPoller({ state: 'DEGRADED', explanation: 'Vor allem U8 betroffen, 4 Ausfälle am Ostkreuz.' });
+      const app = createTestApp(poller);
+
+      const res = await request(app).get('/api/voice');
+
+      expect(res.body.text).toMatch(/Prozent betroffen\. Vor allem U8 betroffen, 4 Ausfälle am Ostkreuz\.$/);
+      expect(res.body.ssml).toContain('<break time="500ms"/>Vor allem U8 betroffen, 4 Ausfälle am Ostkreuz.</speak>');
+    });
+
+    it('escapes the explanation in the SSML only', async () => {
+      const poller = createMockPoller({ state: 'DEGRADED', explanation: 'Vor allem Bauarbeiten <S-Bahn & "Tram">.' });
+      const app = createTestApp(poller);
+
+      const res = await request(app).get('/api/voice');
+
+      expect(res.body.text).toMatch(/Vor allem Bauarbeiten <S-Bahn & "Tram">\.$/);
+      expect(res.body.ssml).toContain(
+        '<break time="500ms"/>Vor allem Bauarbeiten &lt;S-Bahn &amp; &quot;Tram&quot;&gt;.</speak>'
+      );
+    });
+
+    it('mentions no suspensions when every line runs', async () => {
+      const poller = createMockPoller({ suspensions: [] });
+      const app = createTestApp(poller);
+
+      const res = await request(app).get('/api/voice');
+
+      expect(res.body.text).not.toContain('Achtung');
+    });
+
     it('response shape has all expected fields', async () => {
       const poller = createMockPoller();
       const app = createTestApp(poller);
@@ -0,0 +1,174 @@
+/**
+ * Integration tests for the webhook admin API.
+ *
+ * Tests /api/webhooks with a real dispatcher (fetch mocked) mounted
+ * through createRoutes(), covering:
+ *   - Bearer token authentication
+ *   - Registering, listing and removing webhooks
+ *   - Validation errors
+ *   - The delivery log
+ */
+
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+
+import { createRoutes } from '../../src/routes/index.js';
+import { createWebhookRoutes } from '../../src/routes/webhooks.js';
+import { createWebhookDispatcher } from '../../src/services/webhooks.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const TOKEN = 'admin-token';
+
+/**
+ * Build an app with the webhook admin API behind the given token.
+ *
+ * @param {object} webhooks - Webhook dispatcher
+ * @param {string|null} [token]
+ * @returns {express.Application}
+ */
+function createTestApp(webhooks, token = TOKEN) {
+  const app = express();
+  app.use('/api/webhooks', createWebhookRoutes(webhooks, { token }));
+  return app;
+}
+
+/**
+ * Create a dispatcher whose deliveries always succeed.
+ *
+ * @param {string[]} [urls]
+ * @returns {ReturnType<typeof createWebhookDispatcher>}
+ */
+function createDispatcher(urls = []) {
+  const fetch = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+  return createWebhookDispatcher({ urls, secret: null, fetch });
+}
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('/api/webhooks', () => {
+  describe('authentication', () => {
+    it('answers 403 when no admin token is configured', async () => {
+      const res = await request(createTestApp(createDispatcher(), null))
+        .get('/api/webhooks')
+        .set('Authorization', 'Bearer anything');
+
+      expect(res.status).toBe(403);
+      expect(res.body.error).toMatch(/ADMIN_TOKEN/);
+    });
+
+    it.each([
+      ['no header', null],
+      ['a wrong token', 'Bearer wrong'],
+      ['a different scheme', `Basic ${TOKEN}`],
+    ])('answers 401 with %s', async (label, header) => {
+      const req = request(createTestApp(createDispatcher())).get('/api/webhooks');
+      if (header) {
+        req.set('Authorization', header);
+      }
+
+      const res = await req;
+
+      expect(res.status).toBe(401);
+      expect(res.headers['www-authenticate']).toBe('Bearer');
+    });
+  });
+
+  describe('registration', () => {
+    it('registers, lists and removes a webhook', async () => {
+      const app = createTestApp(createDispatcher(['https://example.com/config']));
+      const auth = `Bearer ${TOKEN}`;
+
+      const created = await request(app)
+        .post('/api/webhooks')
+        .set('Authorization', auth)
+        .send({ url: 'https://example.com/bot', secret: 'abc' });
+
+      expect(created.status).toBe(201);
+      expect(created.body.webhook).toEqual(expect.objectContaining({
+        url: 'https://example.com/bot',
+        source: 'api',
+        signed: true,
+      }));
+      expect(created.body.webhook).not.toHaveProperty('secret');
+
+      const listed = await request(app).get('/api/webhooks').set('Authorization', auth);
+      expect(listed.body.webhooks.map((w) => w.source)).toEqual(['config', 'api']);
+
+      const removed = await request(app)
+        .delete(`/api/webhooks/${created.body.webhook.id}`)
+        .set('Authorization', auth);
+      expect(removed.status).toBe(204);
+
+      const after = await request(app).get('/api/webhooks').set('Authorization', auth);
+      expect(after.body.webhooks).toHaveLength(1);
+    });
+
+    it.each([
+      [{}],
+      [{ url: 42 }],
+      [{ url: 'https://example.com', secret: 1 }],
+      [{ url: 'javascript:alert(1)' }],
+    ])('answers 400 for body %j', async (body) => {
+      const res = await request(createTestApp(createDispatcher()))
+        .post('/api/webhooks')
+        .set('Authorization', `Bearer ${TOKEN}`)
+        .send(body);
+
+      expect(res.status).toBe(400);
+      expect(res.body).toHaveProperty('error');
+    });
+
+    it('answers 404 for unknown and 409 for config webhooks on DELETE', async () => {
+      const webhooks = createDispatcher(['https://example.com/config']);
+      const app = createTestApp(webhooks);
+      const auth = `Bearer ${TOKEN}`;
+
+      const unknown = await request(app).delete('/api/webhooks/nope').set('Authorization', auth);
+      expect(unknown.status).toBe(404);
+
+      const readonly = await request(app)
+        .delete(`/api/webhooks/${webhooks.list()[0].id}`)
+        .set('Authorization', auth);
+      expect(readonly.status).toBe(409);
+    });
+  });
+
+  describe('GET /api/webhooks/deliveries', () => {
+    it('returns the delivery log newest first', async () => {
+      const webhooks = createDispatcher(['https://example.com/hook']);
+      const status = { metrics: {}, text: { message: '' }, timestamp: 1 };
+      await webhooks.dispatch({ previous: 'FINE', current: 'DEGRADED', status });
+      await webhooks.dispatch({ previous: 'DEGRADED', current: 'FINE', status });
+
+      const res = await request(createTestApp(webhooks))
+        .get('/api/webhooks/deliveries?limit=1')
+        .set('Authorization', `Bearer ${TOKEN}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.deliveries).toEqual([
+        expect.objectContaining({
+          url: 'https://example.com/hook',
+          previous: 'DEGRADED',
+          current: 'FINE',
+          status: 'delivered',
+          attempts: [expect.objectContaining({ status: 200 })],
+        }),
+      ]);
+    });
+  });
+
+  it('is only mounted by createRoutes() when a dispatcher is passed', async () => {
+    const poller = { getStatus: () => ({}), getHistory: () => [] };
+    const withoutApp = express().use(createRoutes(poller));
+    const withApp = express().use(createRoutes(poller, { webhooks: createDispatcher() }));
+
+    expect((await request(withoutApp).get('/api/webhooks')).status).toBe(404);
+    expect((await request(withApp).get('/api/webhooks')).status).toBe(403);
+  });
+});
@@ -13,8 +13,14 @@
  */
 
 import { jest } from '@jest/globals';
+import config from '../../src/config.js';
 import { createPoller } from '../../src/services/bvg-poller.js';
-import { fineDepartures, fuckedDepartures } from '../fixtures/departures.js';
+import { createStatusSmoother } from '../../src/services/status-smoother.js';
+import { createPollSchedule } from '../../src/services/poll-schedule.js';
+import { createResilientClient } from '../../src/services/resilience.js';
+import { createTripWindow } from '../../src/services/trip-window.js';
+import { createSuspensionTracker } from '../../src/services/suspension-tracker.js';
+import { fineDepartures, fuckedDepartures, remarkDepartures } from '../fixtures/departures.js';
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -69,6 +75,15 @@ describe('BVG Poller', () => {
       expect(status.metrics.disruptedCount).toBe(0);
     });
 
+    it('starts with empty disrupted departure lists', () => {
+      const poller = createPoller({ client: createMockClient(), interval: TEST_INTERVAL, stations: TEST_STATION });
+
+      const { disruptedDepartures } = poller.getStatus();
+
+      expect(disruptedDepartures.ubahn).toEqual({ departures: [], omitted: 0 });
+      expect(disruptedDepartures.other).toEqual({ departures: [], omitted: 0 });
+    });
+
     it('includes UNKNOWN text display properties on startup', () => {
       const client = createMockClient();
       const poller = createPoller({ client, interval: TEST_INTERVAL, stations: TEST_STATION });
@@ -120,6 +135,22 @@ describe('BVG Poller', () => {
       expect(status.stale).toBe(false);
     });
 
+    it('explains a disrupted verdict, but not a fine one', async () => {
+      const fucked = createPoller({ client: createMockClient(fuckedDepartures), interval: TEST_INTERVAL, stations: TEST_STATION });
+      const fine = createPoller({ client: createMockClient(fineDepartures), interval: TEST_INTERVAL, stations: TEST_STATION });
+
+      expect(fucked.getStatus().explanation).toBeNull();
+
+      await fucked.poll();
+      await fine.poll();
+
+      expect(fucked.getStatus().explanation).toBe(
+        'Vor allem S7, S5 und U2 betroffen, 1 Ausfall und 2 Verspätungen an der Station S+U Berlin Hauptbahnhof. ' +
+        'Am stärksten gestört: U-Bahn (100 %) und S-Bahn (100 %).'
+      );
+      expect(fine.getStatus().explanation).toBeNull();
+    });
+
     it('fetches departures from all configured stations', async () => {
       const client = createMockClient([]);
       const stations = ['900003201', '900100003', '900023201'];
@@ -148,6 +179,42 @@ describe('BVG Poller', () => {
       expect(status.metrics.totalServices).toBe(10);
     });
 
+    it('collects deduplicated disruptions from departure remarks', async () => {
+      const client = {
+        getDepartures: jest.fn()
+          .mockResolvedValueOnce(remarkDepartures.slice(0, 3))
+          .mockResolvedValueOnce(remarkDepartures.slice(3)),
+      };
+      const stations = ['900003201', '900100003'];
+      const poller = createPoller({ client, interval: TEST_INTERVAL, stations });
+
+      // Fixture warnings are valid on 2026-01-26 only
+      const dateNowSpy = jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2026-01-26T12:00:00+01:00'));
+      await poller.poll();
+      const { disruptions } = poller.getStatus();
+      dateNowSpy.mockRestore();
+
+      expect(disruptions.map((d) => d.id)).toEqual(
+        expect.arrayContaining(['HIM_FREETEXT_123456', 'HIM_FREETEXT_654321'])
+      );
+    });
+
+    it('counts the causes of the disruptions and names the main one', async () => {
+      const poller = createPoller({ client: createMockClient(remarkDepartures), interval: TEST_INTERVAL, stations: TEST_STATION });
+
+      const dateNowSpy = jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2026-01-26T12:00:00+01:00'));
+      await poller.poll();
+      const { disruptions, causes } = poller.getStatus();
+      dateNowSpy.mockRestore();
+
+      expect(disruptions.map((d) => d.cause.id)).toEqual(['construction', 'signal']);
+      expect(causes.main).toEqual({ id: 'construction', label: 'Bauarbeiten' });
+      expect(causes.counts.map((c) => [c.id, c.disruptions, c.departures])).toEqual([
+        ['construction', 1, 3],
+        ['signal', 1, 2],
+      ]);
+    });
+
     it('includes text display properties after successful poll', async () => {
       const client = createMockClient(fineDepartures);
       const poller = createPoller({ client, interval: TEST_INTERVAL, stations: TEST_STATION });
@@ -160,6 +227,899 @@ describe('BVG Poller', () => {
     });
   });
 
+  // -------------------------------------------------------------------------
+  // Per-station breakdown
+  // -------------------------------------------------------------------------
+
+  describe('per-station breakdown', () => {
+    it('lists every configured station as UNKNOWN before the first poll', () => {
+      const poller = createPoller({ client: createMockClient(), stations: ['900003201', '900100003'] });
+
+      const { stations } = poller.getStatus();
+
+      expect(stations.map((s) => s.id)).toEqual(['900003201', '900100003']);
+      expect(stations.every((s) => s.state === 'UNKNOWN')).toBe(true);
+      expect(stations[0].lastSuccess).toBeNull();
+    });
+
+    it('computes state and metrics per station', async () => {
+      const client = {
+        getDepartures: jest.fn()
+          .mockResolvedValueOnce(fineDepartures)
+          .mockResolvedValueOnce(fuckedDepartures),
+      };
+      const poller = createPoller({ client, interval: TEST_INTERVAL, stations: ['900003201', '900120005'] });
+
+      await poller.poll();
+
+      const [hbf, ostkreuz] = poller.getStatus().stations;
+      expect(hbf.state).toBe('FINE');
+      expect(hbf.metrics.totalServices).toBe(fineDepartures.length);
+      expect(hbf.text.cssClass).toBe('status-fine');
+      expect(ostkreuz.state).toBe('FUCKED');
+      expect(ostkreuz.transitBoxes).toBeDefined();
+      expect(typeof hbf.latency).toBe('number');
+      expect(hbf.lastSuccess).toBe(poller.getStatus().timestamp);
+    });
+
+    it('names the main cause of the warnings on each station\'s board', async () => {
+      const client = {
+        getDepartures: jest.fn()
+          .mockResolvedValueOnce(remarkDepartures)
+          .mockResolvedValueOnce(fineDepartures),
+      };
+      const poller = createPoller({ client, interval: TEST_INTERVAL, stations: ['900003201', '900120005'] });
+
+      await poller.poll();
+
+      const [hbf, ostkreuz] = poller.getStatus().stations;
+      expect(hbf.cause).toEqual({ id: 'signal', label: 'Signalstörung' });
+      expect(ostkreuz.cause).toBeNull();
+    });
+
+    it('records the last error of a failing station and keeps its last success', async () => {
+      const failure = new Error('station offline');
+      failure.code = 'ETIMEDOUT';
+      const client = {
+        getDepartures: jest.fn()
+          .mockResolvedValueOnce(fineDepartures)
+          .mockRejectedValueOnce(failure),
+      };
+      const poller = createPoller({ client, interval: TEST_INTERVAL, stations: TEST_STATION });
+
+      await poller.poll();
+      const firstSuccess = poller.getStatus().stations[0].lastSuccess;
+      await poller.poll();
+
+      const [station] = poller.getStatus().stations;
+      expect(station.state).toBe('UNKNOWN');
+      expect(station.lastSuccess).toBe(firstSuccess);
+      expect(station.lastError).toEqual({
+        message: 'station offline',
+        code: 'ETIMEDOUT',
+        timestamp: expect.any(Number),
+      });
+    });
+
+    it('counts a trip seen at several stations once in the headline', async () => {
+      const late = { tripId: 'S5-1', delay: 600, cancelled: false, line: { product: 'suburban' } };
+      const onTime = { tripId: 'U2-1', delay: 0, cancelled: false, line: { product: 'subway' } };
+      const client = {
+        getDepartures: jest.fn()
+          .mockResolvedValueOnce([late, onTime])
+          .mockResolvedValueOnce([{ ...late, delay: 540 }]),
+      };
+      const poller = createPoller({ client, stations: ['900003201', '900100001'], smoother: null });
+
+      await poller.poll();
+
+      const status = poller.getStatus();
+      expect(status.metrics).toEqual(expect.objectContaining({
+        totalServices: 2,
+        disruptedCount: 1,
+        duplicatesRemoved: 1,
+      }));
+      expect(status.transitBoxes.sbahn.delayed).toBe(1);
+      expect(status.disruptedDepartures.sbahn.departures).toHaveLength(1);
+      // Each station still counts its own departures
+      expect(status.stations[1].metrics.totalServices).toBe(1);
+    });
+
+    it('reports no circuit for a client without a breaker', async () => {
+      const poller = createPoller({ client: createMockClient(fineDepartures), stations: TEST_STATION });
+
+      await poller.poll();
+
+      expect(poller.getStatus().stations[0].circuit).toBeNull();
+    });
+
+    it('exposes the circuit state of a resilient client per station', async () => {
+      const failure = new Error('unknown stop');
+      failure.code = 'EAPI';
+      const inner = {
+        getDepartures: jest.fn((id) =>
+          id === '900120005' ? Promise.reject(failure) : Promise.resolve(fineDepartures)
+        ),
+      };
+      const client = createResilientClient(inner, { retries: 0 });
+      const poller = createPoller({ client, stations: ['900003201', '900120005'], smoother: null });
+
+      for (let i = 0; i < config.resilience.breakerThreshold; i++) {
+        await poller.poll();
+      }
+      await poller.poll();
+
+      const [hbf, ostkreuz] = poller.getStatus().stations;
+      expect(hbf.circuit.state).toBe('closed');
+      expect(ostkreuz.circuit).toEqual(expect.objectContaining({
+        state: 'open',
+        failures: config.resilience.breakerThreshold,
+      }));
+      // The open circuit skipped the last poll's request
+      expect(ostkreuz.lastError.code).toBe('ECIRCUITOPEN');
+      expect(inner.getDepartures).toHaveBeenCalledTimes(2 * config.resilience.breakerThreshold + 1);
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  // Coverage and confidence
+  // -------------------------------------------------------------------------
+
+  describe('coverage and confidence', () => {
+    const FIVE_STATIONS = ['900003201', '900100003', '900023201', '900100001', '900120005'];
+
+    it('reports how many stations succeeded and which failed', async () => {
+      const client = {
+        getDepartures: jest.fn((id) =>
+          id === '900120005'
+            ? Promise.reject(new Error('station offline'))
+            : Promise.resolve(fineDepartures)
+        ),
+      };
+      const poller = createPoller({ client, interval: TEST_INTERVAL, stations: FIVE_STATIONS });
+
+      await poller.poll();
+
+      const status = poller.getStatus();
+      expect(status.coverage).toEqual({
+        stationsTotal: 5,
+        stationsSucceeded: 4,
+        stationsFailed: 1,
+        failedStations: ['900120005'],
+      });
+      expect(status.confidence).toEqual({ level: 'high', score: 0.8, label: 'hoch' });
+      expect(status.state).toBe('FINE');
+    });
+
+    it('drops the verdict to UNKNOWN when four of five stations fail', async () => {
+      const client = {
+        getDepartures: jest.fn((id) =>
+          id === '900003201'
+            ? Promise.resolve(fuckedDepartures)
+            : Promise.reject(new Error('station offline'))
+        ),
+      };
+      const poller = createPoller({ client, interval: TEST_INTERVAL, stations: FIVE_STATIONS });
+
+      await poller.poll();
+
+      const status = poller.getStatus();
+      expect(status.confidence.level).toBe('low');
+      expect(status.state).toBe('UNKNOWN');
+      expect(status.text.cssClass).toBe('status-unknown');
+      // Metrics from the one station are still reported
+      expect(status.metrics.totalServices).toBe(fuckedDepartures.length);
+    });
+
+    it('starts with low confidence and no failures before the first poll', () => {
+      const poller = createPoller({ client: createMockClient(), stations: FIVE_STATIONS });
+
+      const status = poller.getStatus();
+
+      expect(status.coverage.stationsTotal).toBe(5);
+      expect(status.coverage.stationsFailed).toBe(0);
+      expect(status.confidence.level).toBe('low');
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  // Verdict smoothing
+  // -------------------------------------------------------------------------
+
+  describe('verdict smoothing', () => {
+    it('exposes raw and smoothed state and ratio', async () => {
+      const client = createMockClient(fuckedDepartures);
+      const poller = createPoller({ client, interval: TEST_INTERVAL, stations: TEST_STATION });
+
+      await poller.poll();
+
+      const status = poller.getStatus();
+      expect(status.raw.state).toBe('FUCKED');
+      expect(status.raw.ratio).toBeGreaterThan(0.5);
+      expect(status.smoothed).toEqual(status.raw);
+    });
+
+    it('keeps the headline on the smoothed state while the raw state flips', async () => {
+      const client = {
+        getDepartures: jest.fn()
+          .mockResolvedValueOnce(fineDepartures)
+          .mockResolvedValueOnce(fuckedDepartures),
+      };
+      const smoother = createStatusSmoother({ alpha: 0.5, window: 5, minDwell: 10 * 60 * 1000 });
+      const poller = createPoller({ client, interval: TEST_INTERVAL, stations: TEST_STATION, smoother });
+
+      await poller.poll();
+      await poller.poll();
+
+      const status = poller.getStatus();
+      expect(status.raw.state).toBe('FUCKED');
+      expect(status.smoothed.state).toBe('FINE');
+      expect(status.state).toBe('FINE');
+      expect(status.text.cssClass).toBe('status-fine');
+    });
+
+    it('reports the raw verdict when smoothing is disabled', async () => {
+      const client = {
+        getDepartures: jest.fn()
+          .mockResolvedValueOnce(fineDepartures)
+          .mockResolvedValueOnce(fuckedDepartures),
+      };
+      const poller = createPoller({ client, interval: TEST_INTERVAL, stations: TEST_STATION, smoother: null });
+
+      await poller.poll();
+      await poller.poll();
+
+      expect(poller.getStatus().state).toBe('FUCKED');
+    });
+
+    it('does not feed UNKNOWN polls into the smoother', async () => {
+      const smoother = { update: jest.fn(), hold: jest.fn(() => null), reset: jest.fn() };
+      const client = { getDepartures: jest.fn().mockRejectedValue(new Error('down')) };
+      const poller = createPoller({ client, interval: TEST_INTERVAL, stations: TEST_STATION, smoother });
+
+      await poller.poll();
+
+      expect(smoother.update).not.toHaveBeenCalled();
+      expect(poller.getStatus().state).toBe('UNKNOWN');
+    });
+
+    it('holds the smoothed verdict through a low-confidence poll until the dwell time has passed', async () => {
+      let now = Date.parse('2026-01-26T12:00:00+01:00');
+      const dateNowSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+      const client = {
+        getDepartures: jest.fn()
+          .mockResolvedValueOnce(fuckedDepartures)
+          .mockRejectedValueOnce(new Error('down'))
+          .mockRejectedValueOnce(new Error('down')),
+      };
+      const smoother = createStatusSmoother({ minDwell: 10 * 60 * 1000 });
+      const poller = createPoller({ client, interval: TEST_INTERVAL, stations: TEST_STATION, smoother });
+      const transitions = [];
+      poller.on('transition', (event) => transitions.push(event.current));
+
+      await poller.poll();
+      now += 60 * 1000;
+      await poller.poll();
+
+      const held = poller.getStatus();
+      expect(held.raw.state).toBe('UNKNOWN');
+      expect(held.state).toBe('FUCKED');
+      expect(held.confidence.level).toBe('low');
+
+      now += 10 * 60 * 1000;
+      await poller.poll();
+      dateNowSpy.mockRestore();
+
+      expect(poller.getStatus().state).toBe('UNKNOWN');
+      expect(transitions).toEqual(['FUCKED', 'UNKNOWN']);
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  // Rolling trip window
+  // -------------------------------------------------------------------------
+
+  describe('rolling trip window', () => {
+    /**
+     * Departures of distinct trips, `late` of them 10 minutes late.
+     *
+     * @param {string} prefix - tripId prefix, unique per poll
+     * @param {number} count
+     * @param {number} late
+     * @returns {Array}
+     */
+    function trips(prefix, count, late) {
+      return Array.from({ length: count }, (_, i) => ({
+        tripId: `${prefix}-${i}`,
+        delay: i < late ? 600 : 0,
+        cancelled: false,
+        line: { product: 'bus' },
+      }));
+    }
+
+    it('computes the status over all trips observed within the span', async () => {
+      const client = {
+        getDepartures: jest.fn()
+          .mockResolvedValueOnce(trips('a', 20, 0))
+          .mockResolvedValueOnce(trips('b', 20, 12)),
+      };
+      const poller = createPoller({
+        client,
+        stations: TEST_STATION,
+        smoother: null,
+        window: createTripWindow({ span: 15 * 60 * 1000 }),
+      });
+
+      await poller.poll();
+      await poller.poll();
+
+      // 12 of 40 trips late (30 %) instead of 12 of 20 (60 %) in the snapshot
+      const status = poller.getStatus();
+      expect(status.state).toBe('DEGRADED');
+      expect(status.window).toEqual({ span: 15 * 60 * 1000, trips: 40, delayed: 12, cancelled: 0 });
+      expect(status.metrics.totalServices).toBe(40);
+    });
+
+    it('computes the status per poll when the window is disabled', async () => {
+      const client = {
+        getDepartures: jest.fn()
+          .mockResolvedValueOnce(trips('a', 20, 0))
+          .mockResolvedValueOnce(trips('b', 20, 12)),
+      };
+      const poller = createPoller({ client, stations: TEST_STATION, smoother: null, window: null });
+
+      await poller.poll();
+      await poller.poll();
+
+      const status = poller.getStatus();
+      expect(status.state).toBe('FUCKED');
+      expect(status.window).toBeNull();
+      expect(status.metrics.totalServices).toBe(20);
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  // Line filter
+  // -------------------------------------------------------------------------
+
+  describe('line filter', () => {
+    /**
+     * Departures of one line, `late` of them 10 minutes late.
+     *
+     * @param {string} name
+     * @param {string} product
+     * @param {number} count
+     * @param {number} late
+     * @returns {Array}
+     */
+    function lineTrips(name, product, count, late) {
+      return Array.from({ length: count }, (_, i) => ({
+        tripId: `${name}-${i}`,
+        delay: i < late ? 600 : 0,
+        cancelled: false,
+        line: { name, product },
+        remarks: [],
+      }));
+    }
+
+    const departures = [
+      ...lineTrips('U8', 'subway', 10, 8),
+      ...lineTrips('S41', 'suburban', 10, 0),
+      ...lineTrips('100', 'bus', 20, 0),
+    ];
+
+    it('computes the status over the given lines only', async () => {
+      const poller = createPoller({ client: createMockClient(departures), stations: TEST_STATION });
+
+      await poller.poll();
+
+      const network = poller.getStatus();
+      const u8 = poller.getStatus({ lines: ['u8'] });
+      expect(network.state).toBe('FINE');
+      expect(u8.state).toBe('FUCKED');
+      expect(u8.lines).toEqual(['u8']);
+      expect(u8.metrics).toEqual(expect.objectContaining({ totalServices: 10, delayedCount: 8 }));
+      expect(u8.transitBoxes.ubahn.total).toBe(10);
+      expect(u8.transitBoxes.bus.total).toBe(0);
+      expect(u8.raw).toEqual(u8.smoothed);
+      expect(u8.stations).toEqual(network.stations);
+      expect(network.lines).toBeUndefined();
+    });
+
+    it('combines several lines', async () => {
+      const poller = createPoller({ client: createMockClient(departures), stations: TEST_STATION });
+
+      await poller.poll();
+
+      const status = poller.getStatus({ lines: ['U8', 'S41'] });
+      expect(status.metrics.totalServices).toBe(20);
+      expect(status.state).toBe('DEGRADED');
+    });
+
+    it('reports UNKNOWN for a line no polled station serves', async () => {
+      const poller = createPoller({ client: createMockClient(departures), stations: TEST_STATION });
+
+      await poller.poll();
+
+      const status = poller.getStatus({ lines: ['U55'] });
+      expect(status.state).toBe('UNKNOWN');
+      expect(status.metrics.totalServices).toBe(0);
+    });
+
+    it('keeps only the HAFAS warnings affecting the lines', async () => {
+      const poller = createPoller({ client: createMockClient(remarkDepartures), stations: TEST_STATION });
+
+      await poller.poll();
+
+      expect(poller.getStatus({ lines: ['U2'] }).disruptions.map((d) => d.lines)).toEqual([['U2']]);
+      expect(poller.getStatus({ lines: ['200'] }).disruptions).toEqual([]);
+    });
+
+    it('counts the causes of the lines\' warnings only', async () => {
+      const poller = createPoller({ client: createMockClient(remarkDepartures), stations: TEST_STATION });
+
+      await poller.poll();
+
+      expect(poller.getStatus({ lines: ['U2'] }).causes.main).toEqual({ id: 'signal', label: 'Signalstörung' });
+      expect(poller.getStatus({ lines: ['200'] }).causes).toEqual({ main: null, counts: [] });
+      expect(poller.getLine('U2').cause).toEqual({ id: 'signal', label: 'Signalstörung' });
+      expect(poller.getLines().find((line) => line.name !== 'U2').cause).toBeNull();
+    });
+
+    it('explains the verdict of the lines only', async () => {
+      const poller = createPoller({ client: createMockClient(departures), stations: TEST_STATION });
+
+      await poller.poll();
+
+      expect(poller.getStatus({ lines: ['U55'] }).explanation).toBe('Keine Abfahrten an den abgefragten Stationen.');
+    });
+
+    it('reports UNKNOWN with the filter attached while the data is stale', async () => {
+      jest.useFakeTimers();
+      const poller = createPoller({ client: createMockClient(departures), stations: TEST_STATION });
+
+      await poller.poll();
+      jest.advanceTimersByTime(config.stalenessThreshold + 1);
+
+      const status = poller.getStatus({ lines: ['U8'] });
+      expect(status.state).toBe('UNKNOWN');
+      expect(status.lines).toEqual(['U8']);
+
+      jest.useRealTimers();
+    });
+
+    it('summarizes every line seen with the same verdict as the filter', async () => {
+      const poller = createPoller({ client: createMockClient(departures), stations: TEST_STATION });
+
+      await poller.poll();
+
+      const lines = poller.getLines();
+      expect(lines.map((line) => [line.name, line.box, line.state])).toEqual([
+        ['100', 'bus', 'FINE'],
+        ['S41', 'sbahn', 'FINE'],
+        ['U8', 'ubahn', 'FUCKED'],
+      ]);
+      expect(lines[2].metrics).toEqual(poller.getStatus({ lines: ['U8'] }).metrics);
+      expect(poller.getLine('U 8')).toEqual(expect.objectContaining({
+        name: 'U8',
+        disruptedDepartures: expect.objectContaining({ omitted: 0 }),
+      }));
+      expect(poller.getLine('U55')).toBeNull();
+    });
+
+    it('reports no lines before the first poll and while the data is stale', async () => {
+      jest.useFakeTimers();
+      const poller = createPoller({ client: createMockClient(departures), stations: TEST_STATION });
+
+      expect(poller.getLines()).toEqual([]);
+
+      await poller.poll();
+      jest.advanceTimersByTime(config.stalenessThreshold + 1);
+
+      expect(poller.getLines()).toEqual([]);
+      expect(poller.getLine('U8')).toBeNull();
+
+      jest.useRealTimers();
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  // Suspended lines
+  // -------------------------------------------------------------------------
+
+  describe('suspended lines', () => {
+    /**
+     * Departures of the U8 (all cancelled) and the U2 (running) of one poll.
+     *
+     * @param {string} prefix - tripId prefix, unique per poll
+     * @returns {Array}
+     */
+    function u8Down(prefix) {
+      return [
+        { tripId: `${prefix}-1`, delay: null, cancelled: true, line: { name: 'U8', product: 'subway' }, remarks: [] },
+        { tripId: `${prefix}-2`, delay: null, cancelled: true, line: { name: 'U8', product: 'subway' }, remarks: [] },
+        { tripId: `${prefix}-3`, delay: 0, cancelled: false, line: { name: 'U2', product: 'subway' }, remarks: [] },
+      ];
+    }
+
+    it('reports lines down for the configured number of polls with a message', async () => {
+      const client = {
+        getDepartures: jest.fn()
+          .mockResolvedValueOnce(u8Down('a'))
+          .mockResolvedValueOnce(u8Down('b')),
+      };
+      const poller = createPoller({
+        client,
+        stations: TEST_STATION,
+        suspensions: createSuspensionTracker({ polls: 2, minTrips: 2 }),
+      });
+
+      await poller.poll();
+      expect(poller.getStatus().suspensions).toEqual([]);
+
+      await poller.poll();
+      const [suspension] = poller.getStatus().suspensions;
+      expect(suspension).toEqual(expect.objectContaining({
+        line: 'U8',
+        scope: 'line',
+        message: 'U8 fährt nicht.',
+        since: expect.any(Number),
+      }));
+      expect(suspension.stations).toEqual([
+        expect.objectContaining({ id: '900003201', reason: 'cancelled', polls: 2 }),
+      ]);
+    });
+
+    it('keeps only the suspensions of filtered lines and the line details', async () => {
+      const poller = createPoller({
+        client: createMockClient(u8Down('a')),
+        stations: TEST_STATION,
+        suspensions: createSuspensionTracker({ polls: 1, minTrips: 1 }),
+      });
+
+      await poller.poll();
+
+      expect(poller.getStatus({ lines: ['U8'] }).suspensions).toHaveLength(1);
+      expect(poller.getStatus({ lines: ['U2'] }).suspensions).toEqual([]);
+      expect(poller.getLine('U8').suspension).toEqual(expect.objectContaining({ line: 'U8' }));
+      expect(poller.getLine('U2').suspension).toBeNull();
+    });
+
+    it('reports no suspensions when the tracker is disabled or the data is stale', async () => {
+      jest.useFakeTimers();
+      const poller = createPoller({ client: createMockClient(u8Down('a')), stations: TEST_STATION, suspensions: null });
+
+      await poller.poll();
+      expect(poller.getStatus().suspensions).toEqual([]);
+
+      const tracked = createPoller({
+        client: createMockClient(u8Down('a')),
+        stations: TEST_STATION,
+        suspensions: createSuspensionTracker({ polls: 1, minTrips: 1 }),
+      });
+      await tracked.poll();
+      jest.advanceTimersByTime(config.stalenessThreshold + 1);
+      expect(tracked.getStatus().suspensions).toEqual([]);
+
+      jest.useRealTimers();
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  // Events
+  // -------------------------------------------------------------------------
+
+  describe('events', () => {
+    it("emits 'poll' with the new status after every successful poll", async () => {
+      const client = createMockClient(fineDepartures);
+      const poller = createPoller({ client, interval: TEST_INTERVAL, stations: TEST_STATION });
+      const listener = jest.fn();
+      poller.on('poll', listener);
+
+      await poller.poll();
+      await poller.poll();
+
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(listener.mock.calls[0][0].state).toBe('FINE');
+    });
+
+    it("emits 'transition' only when the headline state changes", async () => {
+      const client = {
+        getDepartures: jest.fn()
+          .mockResolvedValueOnce(fineDepartures)
+          .mockResolvedValueOnce(fineDepartures)
+          .mockResolvedValueOnce(fuckedDepartures),
+      };
+      const poller = createPoller({ client, interval: TEST_INTERVAL, stations: TEST_STATION, smoother: null });
+      const listener = jest.fn();
+      poller.on('transition', listener);
+
+      await poller.poll();
+      await poller.poll();
+      await poller.poll();
+
+      expect(listener.mock.calls.map(([t]) => [t.previous, t.current])).toEqual([
+        ['UNKNOWN', 'FINE'],
+        ['FINE', 'FUCKED'],
+      ]);
+      expect(listener.mock.calls[1][0].status.state).toBe('FUCKED');
+    });
+
+    it('stops notifying listeners removed with off()', async () => {
+      const poller = createPoller({ client: createMockClient(fineDepartures), stations: TEST_STATION });
+      const listener = jest.fn();
+      poller.on('poll', listener);
+      poller.off('poll', listener);
+
+      await poller.poll();
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it("passes the poll duration along with 'poll'", async () => {
+      const poller = createPoller({ client: createMockClient(fineDepartures), stations: TEST_STATION });
+      const listener = jest.fn();
+      poller.on('poll', listener);
+
+      await poller.poll();
+
+      expect(listener.mock.calls[0][1]).toEqual({ duration: expect.any(Number) });
+    });
+
+    it("emits 'fetch' for every station request", async () => {
+      const client = {
+        getDepartures: jest.fn()
+          .mockResolvedValueOnce(fineDepartures)
+          .mockRejectedValueOnce(new Error('timeout')),
+      };
+      const poller = createPoller({ client, stations: ['900003201', '900100003'] });
+      const listener = jest.fn();
+      poller.on('fetch', listener);
+
+      await poller.poll();
+
+      expect(listener.mock.calls.map(([e]) => [e.station.id, e.ok])).toEqual([
+        ['900003201', true],
+        ['900100003', false],
+      ]);
+      expect(typeof listener.mock.calls[0][0].latency).toBe('number');
+    });
+
+    it("emits 'failure' when the poll fails unexpectedly", async () => {
+      const client = createMockClient();
+      client.getDepartures.mockImplementation(() => {
+        throw new Error('unexpected sync error');
+      });
+      const poller = createPoller({ client, stations: TEST_STATION });
+      const listener = jest.fn();
+      poller.on('failure', listener);
+
+      await poller.poll();
+
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ message: 'unexpected sync error' }));
+    });
+
+    it('keeps a throwing listener from failing the poll or silencing the others', async () => {
+      const client = {
+        getDepartures: jest.fn()
+          .mockResolvedValueOnce(fineDepartures)
+          .mockResolvedValueOnce(fuckedDepartures),
+      };
+      const poller = createPoller({ client, interval: TEST_INTERVAL, stations: TEST_STATION, smoother: null });
+      const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+      const failure = jest.fn();
+      const transition = jest.fn();
+      poller.on('poll', () => {
+        throw new Error('broadcast failed');
+      });
+      poller.on('fetch', async () => {
+        throw new Error('metrics failed');
+      });
+      poller.on('failure', failure);
+      poller.on('transition', transition);
+
+      await poller.poll();
+      await poller.poll();
+      const written = stderr.mock.calls.map(([text]) => text).join('');
+      stderr.mockRestore();
+
+      expect(failure).not.toHaveBeenCalled();
+      expect(transition).toHaveBeenCalledTimes(2);
+      expect(poller.getStatus().polling.reason).not.toBe('backoff');
+      expect(written).toContain("[bvg-poller] 'poll' listener error: broadcast failed");
+      expect(written).toContain("[bvg-poller] 'fetch' listener error: metrics failed");
+    });
+
+    it('does not emit when the poll fails unexpectedly', async () => {
+      const client = createMockClient();
+      client.getDepartures.mockImplementation(() => {
+        throw new Error('unexpected sync error');
+      });
+      const poller = createPoller({ client, interval: TEST_INTERVAL, stations: TEST_STATION });
+      const listener = jest.fn();
+      poller.on('poll', listener);
+
+      await poller.poll();
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  // History recording
+  // -------------------------------------------------------------------------
+
+  describe('history recording', () => {
+    it('appends a snapshot to the history store after each poll', async () => {
+      const history = { append: jest.fn().mockResolvedValue(), query: jest.fn() };
+      const client = createMockClient(fineDepartures);
+      const poller = createPoller({ client, interval: TEST_INTERVAL, stations: TEST_STATION, history });
+
+      await poller.poll();
+
+      expect(history.append).toHaveBeenCalledTimes(1);
+      const [snapshot] = history.append.mock.calls[0];
+      expect(snapshot.state).toBe('FINE');
+      expect(snapshot.timestamp).toBe(poller.getStatus().timestamp);
+    });
+
+    it('keeps the cache updated when the history store fails', async () => {
+      const history = {
+        append: jest.fn().mockRejectedValue(new Error('disk full')),
+        query: jest.fn(),
+      };
+      const client = createMockClient(fuckedDepartures);
+      const poller = createPoller({ client, interval: TEST_INTERVAL, stations: TEST_STATION, history });
+
+      await poller.poll();
+
+      expect(poller.getStatus().state).toBe('FUCKED');
+    });
+
+    it('delegates getHistory() to the store', () => {
+      const points = [{ timestamp: 1, state: 'FINE' }];
+      const history = { append: jest.fn(), query: jest.fn().mockReturnValue(points) };
+      const poller = createPoller({ client: createMockClient(), stations: TEST_STATION, history });
+
+      expect(poller.getHistory({ from: 0, to: 2 })).toBe(points);
+      expect(history.query).toHaveBeenCalledWith({ from: 0, to: 2 });
+    });
+
+    it('returns an empty history when no store is configured', () => {
+      const poller = createPoller({ client: createMockClient(), stations: TEST_STATION });
+
+      expect(poller.getHistory({ from: 0, to: 2 })).toEqual([]);
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  // Warm start
+  // -------------------------------------------------------------------------
+
+  describe('warm start', () => {
+    /**
+     * A status as saved by a previous process, `age` ms ago.
+     *
+     * @param {number} age
+     * @returns {object}
+     */
+    function savedStatus(age) {
+      return {
+        state: 'FUCKED',
+        metrics: { totalServices: 40, disruptedCount: 24 },
+        text: { message: 'outdated wording', emoji: '', cssClass: 'status-fucked' },
+        transitBoxes: {},
+        disruptions: [],
+        stations: [{
+          id: '900003201',
+          name: '900003201',
+          latency: 120,
+          lastSuccess: Date.now() - age,
+          lastError: null,
+        }],
+        smoothed: { state: 'FUCKED', ratio: 0.6 },
+        raw: { state: 'FUCKED', ratio: 0.6 },
+        timestamp: Date.now() - age,
+        stale: false,
+        restored: false,
+      };
+    }
+
+    /**
+     * Client whose requests never settle, so the restored cache stays in place.
+     *
+     * @returns {{ getDepartures: jest.Mock }}
+     */
+    function pendingClient() {
+      return { getDepartures: jest.fn(() => new Promise(() => {})) };
+    }
+
+    it('saves the cache to the state store after each poll', async () => {
+      const state = { save: jest.fn().mockResolvedValue(), load: jest.fn() };
+      const poller = createPoller({ client: createMockClient(fineDepartures), stations: TEST_STATION, state });
+
+      await poller.poll();
+
+      expect(state.save).toHaveBeenCalledWith(expect.objectContaining({ state: 'FINE', restored: false }));
+    });
+
+    it('keeps polling when saving the state fails', async () => {
+      const state = { save: jest.fn().mockRejectedValue(new Error('read-only fs')), load: jest.fn() };
+      const poller = createPoller({ client: createMockClient(fuckedDepartures), stations: TEST_STATION, state });
+
+      await poller.poll();
+
+      expect(poller.getStatus().state).toBe('FUCKED');
+    });
+
+    it('serves a recent saved status on start(), flagged as restored', () => {
+      const saved = savedStatus(60000);
+      const state = { save: jest.fn(), load: jest.fn().mockReturnValue(saved) };
+      const poller = createPoller({ client: pendingClient(), stations: TEST_STATION, state });
+
+      poller.start();
+      const status = poller.getStatus();
+      poller.stop();
+
+      expect(status.state).toBe('FUCKED');
+      expect(status.restored).toBe(true);
+      expect(status.stale).toBe(false);
+      expect(status.timestamp).toBe(saved.timestamp);
+      // Display text is re-derived from the state, not taken from the file
+      expect(status.text.message).not.toBe('outdated wording');
+    });
+
+    it('clears the restored flag with the first poll', async () => {
+      const state = { save: jest.fn().mockResolvedValue(), load: jest.fn().mockReturnValue(savedStatus(60000)) };
+      const poller = createPoller({ client: createMockClient(fineDepartures), stations: TEST_STATION, state, smoother: null });
+
+      poller.start();
+      poller.stop();
+      await poller.poll();
+
+      expect(poller.getStatus().restored).toBe(false);
+    });
+
+    it('ignores a saved status older than the staleness threshold', () => {
+      const saved = savedStatus(config.stalenessThreshold + 1000);
+      const state = { save: jest.fn(), load: jest.fn().mockReturnValue(saved) };
+      const poller = createPoller({ client: pendingClient(), stations: TEST_STATION, state });
+
+      poller.start();
+      const status = poller.getStatus();
+      poller.stop();
+
+      expect(status.state).toBe('UNKNOWN');
+      expect(status.restored).toBe(false);
+    });
+
+    it('restores station health and seeds the smoother', () => {
+      const saved = savedStatus(60000);
+      const state = { save: jest.fn(), load: jest.fn().mockReturnValue(saved) };
+      const smoother = { update: jest.fn(), seed: jest.fn() };
+      const poller = createPoller({ client: pendingClient(), stations: TEST_STATION, state, smoother });
+
+      poller.start();
+      poller.stop();
+
+      expect(poller.getStatus().stations[0].lastSuccess).toBe(saved.stations[0].lastSuccess);
+      expect(smoother.seed).toHaveBeenCalledWith('FUCKED', 0.6, saved.timestamp);
+    });
+
+    it('reports a transition away from the restored state', async () => {
+      const state = { save: jest.fn().mockResolvedValue(), load: jest.fn().mockReturnValue(savedStatus(60000)) };
+      const poller = createPoller({ client: createMockClient(fineDepartures), stations: TEST_STATION, state, smoother: null });
+      const listener = jest.fn();
+      poller.on('transition', listener);
+
+      poller.start();
+      poller.stop();
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ previous: 'FUCKED', current: 'FINE' }));
+    });
+  });
+
   // -------------------------------------------------------------------------
   // Error handling
   // -------------------------------------------------------------------------
@@ -214,10 +1174,31 @@ describe('BVG Poller', () => {
       await poller.poll();
 
       const status = poller.getStatus();
-      // All rejected → empty departures → UNKNOWN, but with a timestamp
+      // All rejected → no data yet → UNKNOWN and stale, with the poll's timestamp
       expect(status.state).toBe('UNKNOWN');
       expect(status.timestamp).toBeGreaterThan(0);
-      expect(status.stale).toBe(false);
+      expect(status.lastSuccessfulPoll).toBeNull();
+      expect(status.stale).toBe(true);
+    });
+
+    it('measures staleness from the last poll in which a station answered', async () => {
+      const client = {
+        getDepartures: jest.fn()
+          .mockResolvedValueOnce(fineDepartures)
+          .mockRejectedValue(new Error('all stations down')),
+      };
+      const poller = createPoller({ client, interval: TEST_INTERVAL, stations: TEST_STATION });
+      const dateNowSpy = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+
+      await poller.poll();
+      dateNowSpy.mockReturnValue(1_000_000 + 200_000);
+      await poller.poll();
+      dateNowSpy.mockReturnValue(1_000_000 + 300_001);
+      const status = poller.getStatus();
+      dateNowSpy.mockRestore();
+
+      expect(status.lastSuccessfulPoll).toBe(1_000_000);
+      expect(status.stale).toBe(true);
     });
 
     it('never throws from poll() regardless of error type', async () => {
@@ -403,7 +1384,7 @@ describe('BVG Poller', () => {
       poller.stop();
     });
 
-    it('uses the configured interval for setInterval', () => {
+    it('uses the configured interval for the first scheduled poll', () => {
       const customInterval = 30_000;
       const client = createMockClient([]);
       const poller = createPoller({ client, interval: customInterval, stations: TEST_STATION });
@@ -422,4 +1403,91 @@ describe('BVG Poller', () => {
       poller.stop();
     });
   });
+
+  // -------------------------------------------------------------------------
+  // Adaptive schedule
+  // -------------------------------------------------------------------------
+
+  describe('adaptive schedule', () => {
+    const schedule = createPollSchedule({
+      interval: TEST_INTERVAL,
+      profile: '',
+      factors: { DEGRADED: 0.5, FUCKED: 0.5 },
+      minInterval: 1000,
+      maxInterval: 10 * TEST_INTERVAL,
+    });
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('exposes the interval in effect and the next poll time', async () => {
+      const client = createMockClient(fineDepartures);
+      const poller = createPoller({ client, stations: TEST_STATION, schedule, smoother: null });
+
+      expect(poller.getStatus().polling).toEqual({ interval: TEST_INTERVAL, reason: 'base', nextPollAt: null });
+
+      poller.start();
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(poller.getStatus().polling).toEqual({
+        interval: TEST_INTERVAL,
+        reason: 'base',
+        nextPollAt: Date.now() + TEST_INTERVAL,
+      });
+
+      poller.stop();
+      expect(poller.getStatus().polling.nextPollAt).toBeNull();
+    });
+
+    it('pulls the next poll in once a poll reports FUCKED', async () => {
+      const client = createMockClient(fuckedDepartures);
+      const poller = createPoller({ client, stations: TEST_STATION, schedule, smoother: null });
+
+      poller.start();
+      await jest.advanceTimersByTimeAsync(TEST_INTERVAL / 2);
+
+      expect(client.getDepartures).toHaveBeenCalledTimes(2);
+      expect(poller.getStatus().polling.reason).toBe('state');
+
+      poller.stop();
+    });
+
+    it('backs off after polls in which no station answered', async () => {
+      const client = createMockClient();
+      client.getDepartures.mockRejectedValue(new Error('HAFAS down'));
+      const poller = createPoller({ client, stations: TEST_STATION, schedule, smoother: null });
+
+      poller.start();
+      await jest.advanceTimersByTimeAsync(TEST_INTERVAL);
+      expect(client.getDepartures).toHaveBeenCalledTimes(1);
+      expect(poller.getStatus().polling).toEqual(expect.objectContaining({
+        interval: 2 * TEST_INTERVAL,
+        reason: 'backoff',
+      }));
+
+      await jest.advanceTimersByTimeAsync(TEST_INTERVAL);
+      expect(client.getDepartures).toHaveBeenCalledTimes(2);
+
+      poller.stop();
+    });
+
+    it('returns to the normal interval after a successful poll', async () => {
+      const client = createMockClient(fineDepartures);
+      client.getDepartures.mockRejectedValueOnce(new Error('HAFAS down'));
+      const poller = createPoller({ client, stations: TEST_STATION, schedule, smoother: null });
+
+      poller.start();
+      await jest.advanceTimersByTimeAsync(2 * TEST_INTERVAL);
+
+      expect(client.getDepartures).toHaveBeenCalledTimes(2);
+      expect(poller.getStatus().polling.interval).toBe(TEST_INTERVAL);
+
+      poller.stop();
+    });
+  });
 });
@@ -0,0 +1,154 @@
+/**
+ * Unit tests for the cause classification of HAFAS warnings.
+ *
+ * Tests the built-in keyword catalog (whole words, compounds, umlaut
+ * folding, priority), summary-before-text matching, extra keywords and
+ * labels from the configuration, and the aggregation into counts and a
+ * main cause.
+ */
+
+import {
+  parseCauseKeywords,
+  parseCauseLabels,
+  buildCauseCatalog,
+  classifyCause,
+  aggregateCauses,
+} from '../../src/models/causes.js';
+
+const CATALOG = buildCauseCatalog();
+
+/**
+ * Cause ID of a remark summary.
+ *
+ * @param {string} summary
+ * @param {string|null} [text]
+ * @returns {string}
+ */
+function causeOf(summary, text = null) {
+  return classifyCause({ summary, text }, CATALOG).id;
+}
+
+describe('classifyCause', () => {
+  it.each([
+    ['U8: Polizeieinsatz', 'police'],
+    ['S5: Einsatz der Bundespolizei am Bahnhof Lichtenberg', 'police'],
+    ['U6: Notarzteinsatz', 'medical'],
+    ['S7: Bauarbeiten zwischen Ostkreuz und Lichtenberg', 'construction'],
+    ['Streik bei der BVG', 'strike'],
+    ['Warnstreik', 'strike'],
+    ['U2: Signalstörung', 'signal'],
+    ['S41: Stellwerksstörung in Westend', 'signal'],
+    ['S3: Weichenstörung', 'switch'],
+    ['U5: Fahrzeugstörung', 'vehicle'],
+    ['S1: Störung an der Oberleitung', 'power'],
+    ['M10: Verkehrsunfall', 'traffic'],
+    ['S9: Personen im Gleis', 'person'],
+    ['U7: Personalmangel', 'staff'],
+    ['S75: Feuerwehreinsatz', 'fire'],
+    ['S8: Sturmschäden', 'weather'],
+    ['M4: Umleitung wegen einer Demonstration', 'event'],
+  ])('classifies "%s" as %s', (summary, cause) => {
+    expect(causeOf(summary)).toBe(cause);
+  });
+
+  it('returns the German label with the ID', () => {
+    expect(classifyCause({ summary: 'U2: Signalstörung' }, CATALOG)).toEqual({ id: 'signal', label: 'Signalstörung' });
+  });
+
+  it('reads umlauts and their ASCII spellings alike', () => {
+    expect(causeOf('U6: Weichenstoerung')).toBe('switch');
+    expect(causeOf('Aerztliche Versorgung eines Fahrgastes')).toBe('medical');
+  });
+
+  it('matches whole words only, unless a keyword has a wildcard', () => {
+    expect(causeOf('RE1: Umleitung über Brandenburg')).toBe('unknown');
+    expect(causeOf('Großbrand in der Nähe der Strecke')).toBe('fire');
+  });
+
+  it('prefers specific causes over generic ones', () => {
+    expect(causeOf('S3: Personenunfall')).toBe('person');
+    expect(causeOf('Notarzteinsatz nach einem Unfall')).toBe('medical');
+  });
+
+  it('matches the summary before the text', () => {
+    expect(causeOf('S7: Bauarbeiten', 'Die Signale werden erneuert.')).toBe('construction');
+    expect(causeOf('S7: Unregelmäßiger Zugverkehr', 'Grund ist eine Signalstörung.')).toBe('signal');
+  });
+
+  it('tags warnings without a known cause as unknown', () => {
+    expect(classifyCause({ summary: 'U8: Unregelmäßige Abstände', text: null }, CATALOG))
+      .toEqual({ id: 'unknown', label: 'Unbekannt' });
+    expect(causeOf(null, null)).toBe('unknown');
+  });
+});
+
+describe('configured keywords and labels', () => {
+  it('parses keywords per cause and skips malformed pairs', () => {
+    expect(parseCauseKeywords('weather:*gewitter*|blitz*, Drone:drohne*,broken,empty:|')).toEqual({
+      weather: ['*gewitter*', 'blitz*'],
+      drone: ['drohne*'],
+    });
+    expect(parseCauseKeywords('')).toEqual({});
+  });
+
+  it('parses labels per cause', () => {
+    expect(parseCauseLabels('drone:Drohnensichtung, staff: Personalausfall,broken')).toEqual({
+      drone: 'Drohnensichtung',
+      staff: 'Personalausfall',
+    });
+  });
+
+  it('adds keywords to built-in causes and appends new causes', () => {
+    const catalog = buildCauseCatalog({
+      keywords: { weather: ['*gewitter*'], drone: ['drohne*'] },
+      labels: { drone: 'Drohnensichtung', staff: 'Personalausfall' },
+    });
+
+    expect(classifyCause({ summary: 'S1: Gewitterschäden' }, catalog).id).toBe('weather');
+    expect(classifyCause({ summary: 'Drohne über dem Gleis' }, catalog)).toEqual({ id: 'drone', label: 'Drohnensichtung' });
+    expect(classifyCause({ summary: 'U7: Personalmangel' }, catalog).label).toBe('Personalausfall');
+    expect(catalog.map((cause) => cause.id).at(-1)).toBe('drone');
+  });
+
+  it('labels new causes without a label by their ID', () => {
+    const catalog = buildCauseCatalog({ keywords: { drone: ['drohne*'] } });
+
+    expect(classifyCause({ summary: 'Drohnenflug' }, catalog)).toEqual({ id: 'drone', label: 'drone' });
+  });
+});
+
+describe('aggregateCauses', () => {
+  const SIGNAL = { id: 'signal', label: 'Signalstörung' };
+  const CONSTRUCTION = { id: 'construction', label: 'Bauarbeiten' };
+  const UNKNOWN = { id: 'unknown', label: 'Unbekannt' };
+
+  it('counts disruptions and departures per cause, most departures first', () => {
+    const { main, counts } = aggregateCauses([
+      { cause: CONSTRUCTION, departures: 3 },
+      { cause: SIGNAL, departures: 4 },
+      { cause: SIGNAL, departures: 2 },
+    ]);
+
+    expect(main).toEqual(SIGNAL);
+    expect(counts).toEqual([
+      { ...SIGNAL, disruptions: 2, departures: 6 },
+      { ...CONSTRUCTION, disruptions: 1, departures: 3 },
+    ]);
+  });
+
+  it('never names unclassified warnings as the main cause', () => {
+    const { main, counts } = aggregateCauses([
+      { cause: UNKNOWN, departures: 10 },
+      { cause: CONSTRUCTION, departures: 1 },
+    ]);
+
+    expect(main).toEqual(CONSTRUCTION);
+    expect(counts[0].id).toBe('unknown');
+    expect(aggregateCauses([{ cause: UNKNOWN, departures: 10 }]).main).toBeNull();
+  });
+
+  it('returns no main cause and no counts without disruptions', () => {
+    expect(aggregateCauses([])).toEqual({ main: null, counts: [] });
+    expect(aggregateCauses(undefined)).toEqual({ main: null, counts: [] });
+  });
+});
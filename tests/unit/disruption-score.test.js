@@ -0,0 +1,117 @@
+/**
+ * Unit tests for the severity-weighted disruption score.
+ *
+ * Tests parsing of the delay buckets and product weights, the score of
+ * delays, cancellations and products, and the delay distribution.
+ */
+
+import {
+  parseDelayBuckets,
+  parseProductValues,
+  scoreDepartures,
+  delayDistribution,
+} from '../../src/models/disruption-score.js';
+
+/** Model used by most tests: 5+ min weighs 1, 20+ min 1.5, cancelled 2 */
+const MODEL = {
+  delayBuckets: [
+    { above: 120, weight: 0.25 },
+    { above: 300, weight: 1 },
+    { above: 1200, weight: 1.5 },
+  ],
+  cancelledWeight: 2,
+  productWeights: {},
+};
+
+/**
+ * Minimal departure.
+ *
+ * @param {number|null} delay - Seconds; null = cancelled
+ * @param {string} [product]
+ * @returns {object}
+ */
+function departure(delay, product = 'bus') {
+  return { delay, cancelled: delay === null, line: { product } };
+}
+
+describe('parseDelayBuckets', () => {
+  it('parses and sorts "<seconds>:<weight>" pairs', () => {
+    expect(parseDelayBuckets('600:1.25, 120:0.25,300:1')).toEqual([
+      { above: 120, weight: 0.25 },
+      { above: 300, weight: 1 },
+      { above: 600, weight: 1.25 },
+    ]);
+  });
+
+  it('skips malformed pairs', () => {
+    expect(parseDelayBuckets('x:1,300,300:1,-5:2')).toEqual([{ above: 300, weight: 1 }]);
+    expect(parseDelayBuckets(undefined)).toEqual([]);
+  });
+});
+
+describe('parseProductValues', () => {
+  it('parses "<product>:<weight>" pairs', () => {
+    expect(parseProductValues('suburban:1.5, bus:0.75')).toEqual({ suburban: 1.5, bus: 0.75 });
+  });
+
+  it('skips malformed pairs', () => {
+    expect(parseProductValues('suburban,tram:fast,bus:0.5')).toEqual({ bus: 0.5 });
+    expect(parseProductValues('')).toEqual({});
+  });
+});
+
+describe('scoreDepartures', () => {
+  it('returns 0 without departures', () => {
+    expect(scoreDepartures([], MODEL)).toBe(0);
+    expect(scoreDepartures(null, MODEL)).toBe(0);
+  });
+
+  it('weighs delays by the highest bucket they exceed', () => {
+    expect(scoreDepartures([departure(120), departure(0)], MODEL)).toBe(0);
+    expect(scoreDepartures([departure(121), departure(0)], MODEL)).toBe(12.5);
+    expect(scoreDepartures([departure(360), departure(0)], MODEL)).toBe(50);
+    expect(scoreDepartures([departure(2700), departure(0), departure(0)], MODEL)).toBe(50);
+  });
+
+  it('weighs a cancellation more than any delay', () => {
+    expect(scoreDepartures([departure(null), departure(0), departure(0), departure(0)], MODEL)).toBe(50);
+  });
+
+  it('ignores departures without real-time data', () => {
+    expect(scoreDepartures([{ delay: null, cancelled: false }, departure('late')], MODEL)).toBe(0);
+  });
+
+  it('caps the score at 100', () => {
+    expect(scoreDepartures([departure(null), departure(null)], MODEL)).toBe(100);
+  });
+
+  it('applies product weights', () => {
+    const model = { ...MODEL, productWeights: { suburban: 3 } };
+
+    // One late S-Bahn (weight 3) next to one on-time bus (weight 1)
+    expect(scoreDepartures([departure(600, 'suburban'), departure(0, 'bus')], model)).toBe(75);
+    expect(scoreDepartures([departure(0, 'suburban'), departure(600, 'bus')], model)).toBe(25);
+  });
+
+  it('uses the configured model by default', () => {
+    expect(scoreDepartures([departure(600), departure(0)])).toBe(50);
+  });
+});
+
+describe('delayDistribution', () => {
+  it('reports median, p90 and max of known delays in seconds', () => {
+    const departures = [0, 0, 60, 60, 120, 180, 240, 300, 600, 2700].map((d) => departure(d));
+
+    expect(delayDistribution(departures)).toEqual({ median: 120, p90: 600, max: 2700 });
+  });
+
+  it('ignores cancelled departures and missing delays', () => {
+    const departures = [departure(null), { delay: null, cancelled: false }, departure(300)];
+
+    expect(delayDistribution(departures)).toEqual({ median: 300, p90: 300, max: 300 });
+  });
+
+  it('returns nulls without any known delay', () => {
+    expect(delayDistribution([departure(null)])).toEqual({ median: null, p90: null, max: null });
+  });
+});
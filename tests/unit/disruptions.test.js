@@ -0,0 +1,142 @@
+/**
+ * Unit tests for the disruption feed model.
+ *
+ * Tests collectDisruptions(), which gathers the HAFAS warnings attached to
+ * departures, deduplicates them across stations and filters them by their
+ * validity window.
+ */
+
+import { collectDisruptions } from '../../src/models/disruptions.js';
+import { normalizeDeparture } from '../../src/services/bvg-client.js';
+import { remarkDepartures, fineDepartures, REMARKS } from '../fixtures/departures.js';
+
+const NOW = Date.parse('2026-01-26T12:00:00+01:00');
+
+describe('collectDisruptions', () => {
+  it('returns an empty list for missing or empty input', () => {
+    expect(collectDisruptions([], NOW)).toEqual([]);
+    expect(collectDisruptions(null, NOW)).toEqual([]);
+    expect(collectDisruptions(undefined, NOW)).toEqual([]);
+  });
+
+  it('returns an empty list when no departure carries remarks', () => {
+    expect(collectDisruptions(fineDepartures, NOW)).toEqual([]);
+  });
+
+  it('deduplicates a warning seen at several stations', () => {
+    const disruptions = collectDisruptions(remarkDepartures, NOW);
+
+    const s7 = disruptions.find((d) => d.id === REMARKS.s7Construction.id);
+    expect(s7).toEqual({
+      id: REMARKS.s7Construction.id,
+      summary: REMARKS.s7Construction.summary,
+      text: REMARKS.s7Construction.text,
+      url: REMARKS.s7Construction.url,
+      validFrom: REMARKS.s7Construction.validFrom,
+      validUntil: REMARKS.s7Construction.validUntil,
+      lines: ['S7'],
+      stations: [
+        { id: '900003201', name: 'S+U Berlin Hauptbahnhof' },
+        { id: '900100001', name: 'S+U Friedrichstr.' },
+      ],
+      departures: 3,
+      cause: { id: 'construction', label: 'Bauarbeiten' },
+    });
+  });
+
+  it('includes status remarks that carry a HAFAS message ID', () => {
+    const disruptions = collectDisruptions(remarkDepartures, NOW);
+
+    const u2 = disruptions.find((d) => d.id === REMARKS.u2Signal.id);
+    expect(u2.lines).toEqual(['U2']);
+    expect(u2.validUntil).toBeNull();
+    expect(u2.departures).toBe(2);
+  });
+
+  it('tags each warning with its cause', () => {
+    const disruptions = collectDisruptions(remarkDepartures, NOW);
+
+    expect(disruptions.map((d) => d.cause.id)).toEqual(['construction', 'signal']);
+  });
+
+  it('ignores hints and expired warnings', () => {
+    const disruptions = collectDisruptions(remarkDepartures, NOW);
+
+    expect(disruptions.map((d) => d.id)).toEqual([
+      REMARKS.s7Construction.id,
+      REMARKS.u2Signal.id,
+    ]);
+  });
+
+  it('ignores warnings that are not valid yet', () => {
+    const before = Date.parse('2026-01-26T10:00:00+01:00');
+
+    const disruptions = collectDisruptions(remarkDepartures, before);
+
+    expect(disruptions.map((d) => d.id)).toEqual([REMARKS.s7Construction.id]);
+  });
+
+  it('deduplicates warnings without an ID by summary and text', () => {
+    const warning = { type: 'warning', summary: 'Polizeieinsatz', text: 'Verzögerungen.' };
+    const departures = remarkDepartures.slice(0, 2).map((dep) => ({ ...dep, remarks: [warning] }));
+
+    const disruptions = collectDisruptions(departures, NOW);
+
+    expect(disruptions).toHaveLength(1);
+    expect(disruptions[0].id).toBe('Polizeieinsatz|Verzögerungen.');
+    expect(disruptions[0].departures).toBe(2);
+  });
+
+  it('works on departures normalized by the BVG client', () => {
+    const normalized = remarkDepartures.map(normalizeDeparture);
+
+    expect(collectDisruptions(normalized, NOW)).toEqual(collectDisruptions(remarkDepartures, NOW));
+  });
+});
+
+describe('normalizeDeparture', () => {
+  it('keeps trip, stop, platform and remark fields', () => {
+    const normalized = normalizeDeparture(remarkDepartures[0]);
+
+    expect(normalized.tripId).toBe(remarkDepartures[0].tripId);
+    expect(normalized.stop).toEqual({ id: '900003201', name: 'S+U Berlin Hauptbahnhof' });
+    expect(normalized.platform).toBe('15');
+    expect(normalized.plannedPlatform).toBe('15');
+    expect(normalized.remarks).toEqual([
+      {
+        type: 'hint',
+        id: null,
+        code: 'FB',
+        summary: null,
+        text: 'Fahrradmitnahme begrenzt möglich',
+        validFrom: null,
+        validUntil: null,
+        url: null,
+      },
+      expect.objectContaining({ id: REMARKS.s7Construction.id, url: REMARKS.s7Construction.url }),
+    ]);
+  });
+
+  it('drops remark links that are not absolute http(s) URLs', () => {
+    const urls = ['javascript:alert(1)', 'data:text/html,<b>x</b>', '/relative', 42, 'http://www.bvg.de/x']
+      .map((url) => normalizeDeparture({ remarks: [{ type: 'warning', url }] }).remarks[0].url);
+
+    expect(urls).toEqual([null, null, null, null, 'http://www.bvg.de/x']);
+  });
+
+  it('defaults missing fields to null and remarks to an empty list', () => {
+    expect(normalizeDeparture({})).toEqual({
+      tripId: null,
+      stop: null,
+      delay: null,
+      cancelled: false,
+      when: null,
+      plannedWhen: null,
+      platform: null,
+      plannedPlatform: null,
+      direction: null,
+      line: null,
+      remarks: [],
+    });
+  });
+});
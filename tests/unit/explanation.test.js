@@ -0,0 +1,150 @@
+/**
+ * Unit tests for the verdict explanation.
+ *
+ * Tests that DEGRADED and FUCKED verdicts are explained by the lines, the
+ * station and the transit boxes contributing most (with the causes of
+ * their warnings), that scattered disruptions fall back to a count, that
+ * UNKNOWN verdicts are explained by the missing data, and that FINE needs
+ * no explanation.
+ */
+
+import { explainStatus } from '../../src/services/explanation.js';
+
+const OSTKREUZ = { id: '900120005', name: 'Ostkreuz' };
+const ALEX = { id: '900100003', name: 'Alexanderplatz' };
+const FRIEDRICHSTR = { id: '900100001', name: 'Friedrichstraße' };
+const ZOO = { id: '900023201', name: 'Zoologischer Garten' };
+const STATIONS = [OSTKREUZ, ALEX, FRIEDRICHSTR, ZOO];
+
+let tripCounter = 0;
+
+/**
+ * `count` departures of a line at a station.
+ *
+ * @param {string} name
+ * @param {object} stop
+ * @param {number} count
+ * @param {{ delay?: number, cancelled?: boolean }} [what] - Default: on time
+ * @returns {Array}
+ */
+function trips(name, stop, count, { delay = 0, cancelled = false } = {}) {
+  return Array.from({ length: count }, () => ({
+    tripId: `trip-${(tripCounter += 1)}`,
+    stop: { id: stop.id, name: `S+U ${stop.name} (Berlin)` },
+    delay: cancelled ? null : delay,
+    cancelled,
+    line: { name, product: 'suburban' },
+  }));
+}
+
+/**
+ * A disrupted status over the given departures.
+ *
+ * @param {Array} departures
+ * @param {object} [extra]
+ * @returns {object}
+ */
+function status(departures, extra = {}) {
+  return {
+    state: 'FUCKED',
+    metrics: { totalServices: departures.length, disruptedCount: 0 },
+    transitBoxes: {},
+    disruptions: [],
+    stations: STATIONS,
+    coverage: { stationsTotal: 4, stationsSucceeded: 4 },
+    ...extra,
+  };
+}
+
+/**
+ * Explain a status whose departures were polled and observed alike.
+ *
+ * @param {Array} departures
+ * @param {object} [extra]
+ * @returns {string|null}
+ */
+function explain(departures, extra) {
+  return explainStatus(status(departures, extra), { observed: departures, polled: departures });
+}
+
+describe('explainStatus', () => {
+  it('names the top lines, the worst station and the most disrupted transit boxes', () => {
+    const departures = [
+      ...trips('S41', OSTKREUZ, 4, { cancelled: true }),
+      ...trips('S42', OSTKREUZ, 3, { delay: 600 }),
+      ...trips('U8', ALEX, 4, { delay: 900 }),
+      ...trips('M10', ALEX, 1, { delay: 600 }),
+      ...trips('M10', ALEX, 10),
+    ];
+    const disruptions = [
+      { lines: ['U8'], stations: [ALEX], cause: { id: 'signal', label: 'Signalstörung' }, departures: 4 },
+    ];
+    const transitBoxes = {
+      sbahn: { state: 'FUCKED', percent: 70 },
+      ubahn: { state: 'DEGRADED', percent: 40 },
+      tram: { state: 'FINE', percent: 9 },
+    };
+
+    expect(explain(departures, { disruptions, transitBoxes })).toBe(
+      'Vor allem S-Bahn Ring und U8 (Signalstörung) betroffen, 4 Ausfälle und 3 Verspätungen am Ostkreuz. ' +
+      'Am stärksten gestört: S-Bahn (70 %) und U-Bahn (40 %).'
+    );
+  });
+
+  it('names at most three lines, each with at least half the disruptions of the worst', () => {
+    const departures = [
+      ...trips('U1', ALEX, 8, { delay: 600 }),
+      ...trips('U2', FRIEDRICHSTR, 4, { delay: 600 }),
+      ...trips('U3', ZOO, 4, { delay: 600 }),
+      ...trips('U4', ZOO, 4, { delay: 600 }),
+      ...trips('U5', ZOO, 3, { delay: 600 }),
+    ];
+
+    expect(explain(departures)).toMatch(/^Vor allem U1, U2 und U3 betroffen, /);
+  });
+
+  it('names the station with its article and the cause of its warnings, unless a line already names it', () => {
+    const friedrichstr = [...trips('S1', FRIEDRICHSTR, 1, { cancelled: true }), ...trips('S1', FRIEDRICHSTR, 1, { delay: 600 })];
+    const zoo = trips('S5', ZOO, 2, { cancelled: true });
+    const disruptions = [
+      { lines: ['S1'], stations: [FRIEDRICHSTR], cause: { id: 'police', label: 'Polizeieinsatz' }, departures: 2 },
+    ];
+
+    expect(explain(friedrichstr, { disruptions }))
+      .toBe('Vor allem S1 (Polizeieinsatz) betroffen, 1 Ausfall und 1 Verspätung an der Friedrichstraße.');
+    expect(explain(zoo, { disruptions: [{ ...disruptions[0], lines: ['S41'], stations: [ZOO] }] }))
+      .toBe('Vor allem S5 betroffen, 2 Ausfälle an der Station Zoologischer Garten (Polizeieinsatz).');
+  });
+
+  it('falls back to the station name of the departures for stations that are not polled', () => {
+    const departures = trips('S3', { id: '900000001', name: 'Erkner' }, 2, { cancelled: true });
+
+    expect(explain(departures)).toBe('Vor allem S3 betroffen, 2 Ausfälle an der Station S+U Erkner (Berlin).');
+  });
+
+  it('counts the disrupted departures when nothing stands out', () => {
+    const departures = [
+      ...trips('U1', ALEX, 1, { delay: 600 }),
+      ...trips('U2', OSTKREUZ, 1, { delay: 600 }),
+      ...trips('U3', ZOO, 1, { cancelled: true }),
+      ...trips('U4', ZOO, 27),
+    ];
+
+    expect(explain(departures, { state: 'DEGRADED', metrics: { totalServices: 30, disruptedCount: 3 } }))
+      .toBe('3 von 30 Abfahrten verspätet oder ausgefallen.');
+  });
+
+  it('explains an UNKNOWN verdict by the missing data', () => {
+    const none = { stationsTotal: 5, stationsSucceeded: 0 };
+    const few = { stationsTotal: 5, stationsSucceeded: 2 };
+
+    expect(explain([], { state: 'UNKNOWN', coverage: none })).toBe('Keine der 5 Stationen hat geantwortet.');
+    expect(explain([], { state: 'UNKNOWN', coverage: few })).toBe('Keine Abfahrten an den abgefragten Stationen.');
+    expect(explain(trips('U8', ALEX, 8), { state: 'UNKNOWN', coverage: few }))
+      .toBe('Zu wenige Daten für ein Urteil: 8 Abfahrten von 2 der 5 Stationen.');
+  });
+
+  it('does not explain a FINE verdict', () => {
+    expect(explain(trips('U8', ALEX, 20), { state: 'FINE' })).toBeNull();
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Unit tests for the poll snapshot history store.
+ *
+ * Uses a temporary directory per test so the JSONL file can be inspected
+ * and re-loaded.  Covers appending, range queries, retention pruning,
+ * reloading from disk, memory-only mode and downsampling.
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createHistoryStore, downsample } from '../../src/services/history-store.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const MINUTE = 60 * 1000;
+const BASE = Date.parse('2026-01-26T06:00:00Z');
+
+/**
+ * Build a snapshot at the given offset (minutes) from BASE.
+ *
+ * @param {number} minutes
+ * @param {string} state
+ * @param {number} percentDisrupted
+ * @returns {object}
+ */
+function snapshot(minutes, state = 'FINE', percentDisrupted = 10) {
+  return {
+    timestamp: BASE + minutes * MINUTE,
+    state,
+    metrics: { totalServices: 100, percentDisrupted },
+    transitBoxes: { bus: { delayed: percentDisrupted, cancelled: 0 } },
+    text: { cssClass: 'ignored' },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('history store', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bvg-history-'));
+    file = path.join(dir, 'nested', 'history.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('appends snapshots as JSON lines, keeping only the stored fields', async () => {
+    const store = createHistoryStore({ file, retention: 60 * MINUTE });
+
+    await store.append(snapshot(0));
+    await store.append(snapshot(1, 'DEGRADED', 30));
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+    expect(lines).toHaveLength(2);
+    expect(JSON.parse(lines[1])).toEqual({
+      timestamp: BASE + MINUTE,
+      state: 'DEGRADED',
+      metrics: { totalServices: 100, percentDisrupted: 30 },
+      transitBoxes: { bus: { delayed: 30, cancelled: 0 } },
+    });
+  });
+
+  it('returns raw snapshots within the requested range', async () => {
+    const store = createHistoryStore({ file, retention: 60 * MINUTE });
+    for (let m = 0; m < 5; m++) {
+      await store.append(snapshot(m));
+    }
+
+    const points = store.query({ from: BASE + MINUTE, to: BASE + 3 * MINUTE });
+
+    expect(points.map((p) => p.timestamp)).toEqual([
+      BASE + MINUTE,
+      BASE + 2 * MINUTE,
+      BASE + 3 * MINUTE,
+    ]);
+    expect(points[0].samples).toBe(1);
+  });
+
+  it('prunes snapshots older than the retention window', async () => {
+    const store = createHistoryStore({ file, retention: 10 * MINUTE });
+
+    await store.append(snapshot(0));
+    await store.append(snapshot(5));
+    await store.append(snapshot(20));
+
+    expect(store.query().map((p) => p.timestamp)).toEqual([BASE + 20 * MINUTE]);
+  });
+
+  it('compacts the file once pruned lines outnumber live ones', async () => {
+    const store = createHistoryStore({ file, retention: 10 * MINUTE });
+
+    await store.append(snapshot(0));
+    await store.append(snapshot(1));
+    await store.append(snapshot(30));
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+    expect(lines).toHaveLength(1);
+    expect(JSON.parse(lines[0]).timestamp).toBe(BASE + 30 * MINUTE);
+  });
+
+  it('keeps appends made while a compaction is being written', async () => {
+    const store = createHistoryStore({ file, retention: 10 * MINUTE });
+
+    await store.append(snapshot(0));
+    await store.append(snapshot(1));
+    await Promise.all([store.append(snapshot(30)), store.append(snapshot(31)), store.append(snapshot(32))]);
+
+    const timestamps = fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line).timestamp);
+    expect(timestamps).toEqual([30, 31, 32].map((minutes) => BASE + minutes * MINUTE));
+  });
+
+  it('reloads existing snapshots from disk and skips corrupt lines', async () => {
+    const first = createHistoryStore({ file, retention: 60 * MINUTE });
+    await first.append(snapshot(0));
+    await first.append(snapshot(1));
+    fs.appendFileSync(file, '{"timestamp": 12');
+
+    const second = createHistoryStore({ file, retention: 60 * MINUTE });
+
+    expect(second.query()).toHaveLength(2);
+  });
+
+  it('keeps history in memory only when no file is configured', async () => {
+    const store = createHistoryStore({ file: '', retention: 60 * MINUTE });
+
+    await store.append(snapshot(0));
+
+    expect(store.query()).toHaveLength(1);
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  it('downsamples when a resolution is given', async () => {
+    const store = createHistoryStore({ file: '', retention: 60 * MINUTE });
+    for (let m = 0; m < 10; m++) {
+      await store.append(snapshot(m));
+    }
+
+    const points = store.query({ resolution: 5 * MINUTE });
+
+    expect(points).toHaveLength(2);
+    expect(points[0].samples).toBe(5);
+  });
+});
+
+describe('downsample', () => {
+  it('reports the worst state and mean metrics per bucket', () => {
+    const points = downsample(
+      [
+        snapshot(0, 'FINE', 10),
+        snapshot(1, 'FUCKED', 60),
+        snapshot(2, 'DEGRADED', 30),
+        snapshot(15, 'FINE', 5),
+      ],
+      15 * MINUTE
+    );
+
+    expect(points).toEqual([
+      {
+        timestamp: BASE,
+        samples: 3,
+        state: 'FUCKED',
+        metrics: { totalServices: 100, percentDisrupted: 33 },
+        transitBoxes: { bus: { delayed: 33, cancelled: 0 } },
+      },
+      {
+        timestamp: BASE + 15 * MINUTE,
+        samples: 1,
+        state: 'FINE',
+        metrics: { totalServices: 100, percentDisrupted: 5 },
+        transitBoxes: { bus: { delayed: 5, cancelled: 0 } },
+      },
+    ]);
+  });
+
+  it('prefers a known state over UNKNOWN', () => {
+    const [point] = downsample(
+      [snapshot(0, 'UNKNOWN', 0), snapshot(1, 'FINE', 0)],
+      5 * MINUTE
+    );
+
+    expect(point.state).toBe('FINE');
+  });
+});
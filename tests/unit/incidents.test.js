@@ -0,0 +1,253 @@
+/**
+ * Unit tests for the incident tracker.
+ *
+ * Tests that disrupted verdicts of the network and of single lines open
+ * incidents, that incidents record their peak, lines, stations and HAFAS
+ * warnings, close after the recovery window (continuing on a relapse),
+ * and survive a restart through the incidents file.
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createIncidentTracker } from '../../src/services/incidents.js';
+
+const MINUTE = 60 * 1000;
+const T0 = Date.parse('2026-01-26T12:00:00Z');
+
+const ALEX = { id: '900100003', name: 'Alexanderplatz' };
+const OSTKREUZ = { id: '900120005', name: 'Ostkreuz' };
+
+/**
+ * Network status as the poller caches it.
+ *
+ * @param {string} state
+ * @param {object} [extra]
+ * @returns {object}
+ */
+function status(state, extra = {}) {
+  return {
+    state,
+    metrics: { score: { FINE: 5, DEGRADED: 30, FUCKED: 60, UNKNOWN: 0 }[state] },
+    stations: [],
+    disruptions: [],
+    suspensions: [],
+    stale: false,
+    ...extra,
+  };
+}
+
+/**
+ * Line summary as poller.getLines() returns it.
+ *
+ * @param {string} name
+ * @param {string} state
+ * @param {number} [score]
+ * @returns {object}
+ */
+function line(name, state, score = 40) {
+  return { name, product: 'subway', state, metrics: { score }, stations: [ALEX] };
+}
+
+/**
+ * A disruption feed entry.
+ *
+ * @param {string} id
+ * @param {string[]} lines
+ * @returns {object}
+ */
+function warning(id, lines) {
+  return { id, summary: `Störung ${id}`, text: null, url: null, validFrom: null, validUntil: null, lines, stations: [] };
+}
+
+describe('incident tracker', () => {
+  it('opens a network incident when the network is disrupted', () => {
+    const tracker = createIncidentTracker({ file: '' });
+
+    tracker.update(status('FINE'), [], T0);
+    expect(tracker.list()).toEqual([]);
+
+    tracker.update(status('DEGRADED', { stations: [{ ...ALEX, state: 'DEGRADED' }, { ...OSTKREUZ, state: 'FINE' }] }), [], T0 + MINUTE);
+
+    const [incident] = tracker.list();
+    expect(incident).toEqual(expect.objectContaining({
+      id: `network-${T0 + MINUTE}`,
+      scope: 'network',
+      line: null,
+      open: true,
+      start: T0 + MINUTE,
+      end: null,
+      polls: 1,
+      peak: { state: 'DEGRADED', score: 30, at: T0 + MINUTE },
+      stations: [ALEX],
+    }));
+    expect(incident).not.toHaveProperty('key');
+  });
+
+  it('opens an incident per disrupted line and lists the line in the network incident', () => {
+    const tracker = createIncidentTracker({ file: '' });
+
+    tracker.update(status('DEGRADED'), [line('U8', 'FUCKED'), line('U2', 'FINE')], T0);
+
+    const incidents = tracker.list();
+    expect(incidents.map((i) => [i.scope, i.line])).toEqual(
+      expect.arrayContaining([['network', null], ['line', 'U8']])
+    );
+    expect(incidents).toHaveLength(2);
+    expect(tracker.list({ line: 'u8' })).toHaveLength(2);
+    expect(tracker.list({ line: 'U2' })).toEqual([]);
+    expect(incidents.find((i) => i.scope === 'network').lines).toEqual(['U8']);
+  });
+
+  it('tracks the peak severity and merges lines, stations and warnings', () => {
+    const tracker = createIncidentTracker({ file: '' });
+
+    tracker.update(status('DEGRADED', { disruptions: [warning('A', ['U8'])] }), [line('U8', 'DEGRADED', 30)], T0);
+    tracker.update(status('FUCKED', { disruptions: [warning('A', ['U8']), warning('B', ['S41'])] }),
+      [line('U8', 'FUCKED', 70), line('S41', 'DEGRADED')], T0 + MINUTE);
+    tracker.update(status('DEGRADED'), [line('U8', 'FUCKED', 50)], T0 + 2 * MINUTE);
+
+    const network = tracker.list().find((i) => i.scope === 'network');
+    expect(network.peak).toEqual({ state: 'FUCKED', score: 60, at: T0 + MINUTE });
+    expect(network.lines).toEqual(['U8', 'S41']);
+    expect(network.remarks.map((r) => r.id)).toEqual(['A', 'B']);
+    expect(network.polls).toBe(3);
+
+    const u8 = tracker.list({ line: 'U8' }).find((i) => i.scope === 'line');
+    expect(u8.peak).toEqual({ state: 'FUCKED', score: 70, at: T0 + MINUTE });
+    expect(u8.remarks.map((r) => r.id)).toEqual(['A']);
+  });
+
+  it('closes an incident after the recovery window, ending at the first undisrupted poll', () => {
+    const tracker = createIncidentTracker({ file: '', recovery: 10 * MINUTE });
+
+    tracker.update(status('FUCKED'), [], T0);
+    tracker.update(status('FINE'), [], T0 + MINUTE);
+    expect(tracker.list({ open: true })[0].recoveringSince).toBe(T0 + MINUTE);
+
+    tracker.update(status('FINE'), [], T0 + 10 * MINUTE);
+    expect(tracker.list({ open: true })).toHaveLength(1);
+
+    tracker.update(status('FINE'), [], T0 + 11 * MINUTE);
+    expect(tracker.list({ open: true })).toEqual([]);
+
+    const [incident] = tracker.list({ open: false });
+    expect(incident).toEqual(expect.objectContaining({ open: false, start: T0, end: T0 + MINUTE, duration: MINUTE }));
+  });
+
+  it('continues the same incident on a relapse within the recovery window', () => {
+    const tracker = createIncidentTracker({ file: '', recovery: 10 * MINUTE });
+
+    tracker.update(status('DEGRADED'), [], T0);
+    tracker.update(status('FINE'), [], T0 + MINUTE);
+    tracker.update(status('DEGRADED'), [], T0 + 5 * MINUTE);
+
+    const incidents = tracker.list();
+    expect(incidents).toHaveLength(1);
+    expect(incidents[0]).toEqual(expect.objectContaining({ open: true, recoveringSince: null, polls: 2 }));
+  });
+
+  it('counts lines that are no longer seen towards the recovery', () => {
+    const tracker = createIncidentTracker({ file: '', recovery: 5 * MINUTE });
+
+    tracker.update(status('FINE'), [line('U8', 'FUCKED')], T0);
+    tracker.update(status('FINE'), [], T0 + MINUTE);
+    tracker.update(status('FINE'), [], T0 + 6 * MINUTE);
+
+    expect(tracker.list({ line: 'U8' })[0]).toEqual(expect.objectContaining({ open: false, end: T0 + MINUTE }));
+  });
+
+  it('treats a suspended line as FUCKED, even without trips', () => {
+    const tracker = createIncidentTracker({ file: '' });
+    const suspensions = [{ line: 'U8', product: 'subway', scope: 'line', since: T0, stations: [ALEX] }];
+
+    tracker.update(status('FINE', { suspensions }), [line('U2', 'FINE')], T0);
+
+    const [incident] = tracker.list({ line: 'U8' });
+    expect(incident).toEqual(expect.objectContaining({ scope: 'line', line: 'U8', stations: [ALEX] }));
+    expect(incident.peak.state).toBe('FUCKED');
+  });
+
+  it('ignores stale statuses', () => {
+    const tracker = createIncidentTracker({ file: '' });
+
+    tracker.update(status('UNKNOWN', { stale: true }), [line('U8', 'FUCKED')], T0);
+
+    expect(tracker.list()).toEqual([]);
+  });
+
+  it('drops closed incidents after the retention', () => {
+    const tracker = createIncidentTracker({ file: '', recovery: MINUTE, retention: 60 * MINUTE });
+
+    tracker.update(status('FUCKED'), [], T0);
+    tracker.update(status('FINE'), [], T0 + MINUTE);
+    tracker.update(status('FINE'), [], T0 + 2 * MINUTE);
+    expect(tracker.list()).toHaveLength(1);
+
+    tracker.update(status('FINE'), [], T0 + 62 * MINUTE);
+    expect(tracker.list()).toEqual([]);
+  });
+
+  it('looks up incidents by ID and limits the list, newest first', () => {
+    const tracker = createIncidentTracker({ file: '' });
+
+    tracker.update(status('FINE'), [line('U8', 'FUCKED')], T0);
+    tracker.update(status('FINE'), [line('U8', 'FUCKED'), line('U2', 'DEGRADED')], T0 + MINUTE);
+
+    expect(tracker.list({ limit: 1 }).map((i) => i.id)).toEqual([`u2-${T0 + MINUTE}`]);
+    expect(tracker.get(`u8-${T0}`)).toEqual(expect.objectContaining({ line: 'U8' }));
+    expect(tracker.get('u8-0')).toBeNull();
+  });
+
+  it('feeds on the poller\'s poll events', () => {
+    const tracker = createIncidentTracker({ file: '' });
+    const listeners = {};
+    const poller = {
+      on: (event, listener) => { listeners[event] = listener; },
+      getLines: () => [line('U8', 'FUCKED')],
+    };
+
+    tracker.attach(poller);
+    listeners.poll(status('FINE', { timestamp: T0 }));
+
+    expect(tracker.list().map((i) => i.id)).toEqual([`u8-${T0}`]);
+  });
+
+  describe('persistence', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bvg-incidents-'));
+      file = path.join(dir, 'nested', 'incidents.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('saves incidents and continues them after a restart', async () => {
+      const tracker = createIncidentTracker({ file });
+      tracker.update(status('DEGRADED'), [], T0);
+
+      // Saved in the background; wait for the write to land
+      for (let i = 0; i < 100 && !fs.existsSync(file); i += 1) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+
+      const restarted = createIncidentTracker({ file });
+      restarted.update(status('FUCKED'), [], T0 + MINUTE);
+
+      const [incident] = restarted.list();
+      expect(incident).toEqual(expect.objectContaining({ id: `network-${T0}`, polls: 2 }));
+      expect(incident.peak.state).toBe('FUCKED');
+    });
+
+    it('starts empty when the file is unreadable', () => {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, '{not json');
+
+      expect(createIncidentTracker({ file }).list()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit tests for the line filter.
+ *
+ * Tests parsing of the ?lines= query value, filtering departures by line
+ * name (ignoring case and spaces), and extracting lines and their stations.
+ */
+
+import {
+  parseLineFilter,
+  filterByLines,
+  lineKey,
+  extractLines,
+  lineStations,
+} from '../../src/models/lines.js';
+
+/**
+ * Minimal departure of a line.
+ *
+ * @param {string|null} name
+ * @returns {object}
+ */
+function departure(name) {
+  return { tripId: `${name}-1`, delay: 0, cancelled: false, line: name ? { name } : null };
+}
+
+describe('lineKey', () => {
+  it('ignores case and spaces', () => {
+    expect(lineKey('u 8')).toBe('U8');
+    expect(lineKey('M41')).toBe('M41');
+  });
+});
+
+describe('parseLineFilter', () => {
+  it('returns no lines without a value', () => {
+    expect(parseLineFilter(undefined)).toEqual([]);
+    expect(parseLineFilter('')).toEqual([]);
+    expect(parseLineFilter(' , ')).toEqual([]);
+  });
+
+  it('splits a comma-separated list and trims the names', () => {
+    expect(parseLineFilter('U8, S41 ,M10')).toEqual(['U8', 'S41', 'M10']);
+  });
+
+  it('accepts a repeated parameter', () => {
+    expect(parseLineFilter(['U8', 'S41,S42'])).toEqual(['U8', 'S41', 'S42']);
+  });
+
+  it('drops duplicates and overlong names', () => {
+    expect(parseLineFilter(`U8,u8,U 8,${'X'.repeat(21)},S1`)).toEqual(['U8', 'S1']);
+  });
+
+  it('ignores values that are not strings', () => {
+    expect(parseLineFilter({ U8: '1' })).toEqual([]);
+  });
+
+  it('caps the list at 20 lines', () => {
+    const value = Array.from({ length: 25 }, (_, i) => `${100 + i}`).join(',');
+
+    expect(parseLineFilter(value)).toHaveLength(20);
+  });
+});
+
+describe('filterByLines', () => {
+  const departures = [departure('U8'), departure('S41'), departure('M10'), departure(null)];
+
+  it('keeps the departures of the given lines', () => {
+    expect(filterByLines(departures, ['u8', 'S 41']).map((d) => d.line.name)).toEqual(['U8', 'S41']);
+  });
+
+  it('keeps everything without a filter', () => {
+    expect(filterByLines(departures, [])).toBe(departures);
+  });
+
+  it('returns nothing for invalid departures', () => {
+    expect(filterByLines(null, ['U8'])).toEqual([]);
+  });
+});
+
+describe('extractLines', () => {
+  it('lists each line once with its product, in natural order', () => {
+    const departures = [
+      { line: { name: 'M10', product: 'tram' } },
+      { line: { name: 'U8', product: 'subway' } },
+      { line: { name: 'M4', product: 'tram' } },
+      { line: { name: 'u8', product: 'subway' } },
+      { line: null },
+      null,
+    ];
+
+    expect(extractLines(departures)).toEqual([
+      { name: 'M4', product: 'tram' },
+      { name: 'M10', product: 'tram' },
+      { name: 'U8', product: 'subway' },
+    ]);
+  });
+
+  it('returns nothing for invalid departures', () => {
+    expect(extractLines(undefined)).toEqual([]);
+  });
+});
+
+describe('lineStations', () => {
+  it('lists each station once, in order of first observation', () => {
+    const alex = { id: '900100003', name: 'S+U Alexanderplatz' };
+    const zoo = { id: '900023201', name: null };
+
+    expect(lineStations([{ stop: alex }, { stop: zoo }, { stop: alex }, { stop: null }])).toEqual([
+      alex,
+      { id: '900023201', name: '900023201' },
+    ]);
+  });
+});
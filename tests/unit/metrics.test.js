@@ -0,0 +1,149 @@
+/**
+ * Unit tests for the Prometheus metrics module.
+ *
+ * Tests the text exposition output of the generic registry and the
+ * application metrics recorded from poller events.
+ */
+
+import { EventEmitter } from 'node:events';
+
+import { createRegistry, createMetrics } from '../../src/services/metrics.js';
+
+/**
+ * Create a mock poller: an EventEmitter with a fixed getStatus().
+ *
+ * @param {object} status
+ * @returns {EventEmitter & { getStatus: Function }}
+ */
+function createMockPoller(status) {
+  const poller = new EventEmitter();
+  poller.getStatus = () => status;
+  return poller;
+}
+
+describe('createRegistry', () => {
+  it('renders counters with HELP and TYPE lines', () => {
+    const registry = createRegistry();
+    const requests = registry.counter('requests_total', 'Requests.', ['route']);
+
+    requests.inc({ route: '/a' });
+    requests.inc({ route: '/a' }, 2);
+    requests.inc({ route: '/b' });
+
+    expect(registry.render()).toBe([
+      '# HELP requests_total Requests.',
+      '# TYPE requests_total counter',
+      'requests_total{route="/a"} 3',
+      'requests_total{route="/b"} 1',
+      '',
+    ].join('\n'));
+  });
+
+  it('renders unlabelled gauges without braces', () => {
+    const registry = createRegistry();
+    registry.gauge('temperature', 'Temperature.').set({}, 21.5);
+
+    expect(registry.render()).toContain('\ntemperature 21.5\n');
+  });
+
+  it('renders cumulative histogram buckets, sum and count', () => {
+    const registry = createRegistry();
+    const latency = registry.histogram('latency_seconds', 'Latency.', ['station'], [0.1, 1]);
+
+    latency.observe({ station: 'x' }, 0.05);
+    latency.observe({ station: 'x' }, 0.5);
+    latency.observe({ station: 'x' }, 3);
+
+    const output = registry.render();
+    expect(output).toContain('latency_seconds_bucket{station="x",le="0.1"} 1');
+    expect(output).toContain('latency_seconds_bucket{station="x",le="1"} 2');
+    expect(output).toContain('latency_seconds_bucket{station="x",le="+Inf"} 3');
+    expect(output).toContain('latency_seconds_sum{station="x"} 3.55');
+    expect(output).toContain('latency_seconds_count{station="x"} 3');
+  });
+
+  it('escapes label values', () => {
+    const registry = createRegistry();
+    registry.counter('c', 'C.', ['name']).inc({ name: 'a "b"\\c\nd' });
+
+    expect(registry.render()).toContain('c{name="a \\"b\\"\\\\c\\nd"} 1');
+  });
+
+  it('runs collectors before rendering', () => {
+    const registry = createRegistry();
+    const gauge = registry.gauge('g', 'G.');
+    let value = 1;
+    registry.collect(() => gauge.set({}, value));
+
+    expect(registry.render()).toContain('\ng 1\n');
+    value = 2;
+    expect(registry.render()).toContain('\ng 2\n');
+  });
+});
+
+describe('createMetrics', () => {
+  const STATUS = {
+    state: 'DEGRADED',
+    metrics: { totalServices: 80, score: 34.6, duplicatesRemoved: 12 },
+    raw: { state: 'FUCKED', ratio: 0.52 },
+    smoothed: { state: 'DEGRADED', ratio: 0.31 },
+    confidence: { score: 0.9 },
+    coverage: { stationsTotal: 5, stationsSucceeded: 4, stationsFailed: 1 },
+    timestamp: 1769425200000,
+    stale: false,
+  };
+
+  it('records polls and per-station fetches from poller events', () => {
+    const poller = createMockPoller(STATUS);
+    const metrics = createMetrics(poller);
+    const station = { id: '900100003', name: 'Alexanderplatz' };
+
+    poller.emit('fetch', { station, ok: true, latency: 320 });
+    poller.emit('fetch', { station, ok: false, latency: 5000 });
+    poller.emit('poll', STATUS, { duration: 5100 });
+    poller.emit('failure', new Error('boom'));
+
+    const output = metrics.render();
+    expect(output).toContain('bvg_polls_total{result="success"} 1');
+    expect(output).toContain('bvg_polls_total{result="failure"} 1');
+    expect(output).toContain('bvg_poll_duration_seconds_sum 5.1');
+    expect(output).toContain('bvg_last_successful_poll_timestamp_seconds 1769425200');
+    expect(output).toContain('bvg_station_fetches_total{station="900100003",name="Alexanderplatz",result="success"} 1');
+    expect(output).toContain('bvg_station_fetches_total{station="900100003",name="Alexanderplatz",result="failure"} 1');
+    expect(output).toContain('bvg_station_fetch_duration_seconds_bucket{station="900100003",name="Alexanderplatz",le="0.5"} 1');
+    expect(output).toContain('bvg_station_fetch_duration_seconds_count{station="900100003",name="Alexanderplatz"} 2');
+  });
+
+  it('counts a poll in which no station answered as a failure', () => {
+    const poller = createMockPoller(STATUS);
+    const metrics = createMetrics(poller);
+
+    poller.emit('poll', STATUS, { duration: 5100 });
+    poller.emit('poll', {
+      ...STATUS,
+      coverage: { stationsTotal: 5, stationsSucceeded: 0, stationsFailed: 5 },
+      timestamp: 1769425260000,
+    }, { duration: 5000 });
+
+    const output = metrics.render();
+    expect(output).toContain('bvg_polls_total{result="success"} 1');
+    expect(output).toContain('bvg_polls_total{result="failure"} 1');
+    expect(output).toContain('bvg_last_successful_poll_timestamp_seconds 1769425200');
+  });
+
+  it('reads state and ratio gauges from getStatus() at scrape time', () => {
+    const metrics = createMetrics(createMockPoller(STATUS));
+
+    const output = metrics.render();
+    expect(output).toContain('bvg_state{state="DEGRADED"} 1');
+    expect(output).toContain('bvg_state{state="FINE"} 0');
+    expect(output).toContain('bvg_disruption_ratio{kind="raw"} 0.52');
+    expect(output).toContain('bvg_disruption_ratio{kind="smoothed"} 0.31');
+    expect(output).toContain('# HELP bvg_disruption_ratio Disruption score of the latest poll / 100 (0-1), raw and smoothed.');
+    expect(output).toContain('bvg_disruption_score 34.6');
+    expect(output).toContain('bvg_departures 80');
+    expect(output).toContain('bvg_duplicate_departures 12');
+    expect(output).toContain('bvg_confidence_score 0.9');
+    expect(output).toContain('bvg_data_stale 0');
+  });
+});
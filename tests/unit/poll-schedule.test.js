@@ -0,0 +1,145 @@
+/**
+ * Unit tests for the adaptive poll schedule.
+ *
+ * Tests profile parsing, time-of-day slots (in Europe/Berlin time),
+ * faster polling while DEGRADED/FUCKED, the backoff after failed polls
+ * and clamping to the configured bounds.
+ */
+
+import { createPollSchedule, parseProfile } from '../../src/services/poll-schedule.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Epoch ms for a Berlin wall-clock time on a winter day (UTC+1).
+ *
+ * @param {string} time - 'HH:MM'
+ * @returns {number}
+ */
+function berlin(time) {
+  return Date.parse(`2026-01-26T${time}:00+01:00`);
+}
+
+/**
+ * Create a schedule with test defaults.
+ *
+ * @param {object} [overrides]
+ * @returns {ReturnType<typeof createPollSchedule>}
+ */
+function createSchedule(overrides = {}) {
+  return createPollSchedule({
+    interval: MINUTE,
+    profile: '',
+    factors: { DEGRADED: 0.75, FUCKED: 0.5 },
+    minInterval: 15000,
+    maxInterval: 10 * MINUTE,
+    timeZone: 'Europe/Berlin',
+    ...overrides,
+  });
+}
+
+describe('parseProfile', () => {
+  it('parses slots into minutes after midnight', () => {
+    expect(parseProfile('01:00-05:00=300000, 07:30-09:00=30000')).toEqual([
+      { from: 60, to: 300, interval: 300000 },
+      { from: 450, to: 540, interval: 30000 },
+    ]);
+  });
+
+  it('skips malformed slots', () => {
+    expect(parseProfile('nonsense,25:00-26:00=1000,01:00-02:00=0,01:00-02:00=5000')).toEqual([
+      { from: 60, to: 120, interval: 5000 },
+    ]);
+  });
+
+  it('returns no slots for an empty profile', () => {
+    expect(parseProfile('')).toEqual([]);
+    expect(parseProfile(undefined)).toEqual([]);
+  });
+});
+
+describe('createPollSchedule', () => {
+  it('uses the base interval outside any profile slot', () => {
+    expect(createSchedule().next({ state: 'FINE', now: berlin('12:00') })).toEqual({
+      interval: MINUTE,
+      reason: 'base',
+    });
+  });
+
+  describe('time-of-day profile', () => {
+    const schedule = createSchedule({ profile: '01:00-05:00=300000,07:00-09:00=30000' });
+
+    it.each([
+      ['03:00', 300000, 'profile'],
+      ['07:00', 30000, 'profile'],
+      ['08:59', 30000, 'profile'],
+      ['09:00', MINUTE, 'base'],
+    ])('at %s Berlin time polls every %d ms', (time, interval, reason) => {
+      expect(schedule.next({ state: 'FINE', now: berlin(time) })).toEqual({ interval, reason });
+    });
+
+    it('supports slots that wrap midnight', () => {
+      const night = createSchedule({ profile: '23:00-05:00=300000' });
+
+      expect(night.next({ now: berlin('23:30') }).interval).toBe(300000);
+      expect(night.next({ now: berlin('00:30') }).interval).toBe(300000);
+      expect(night.next({ now: berlin('05:00') }).interval).toBe(MINUTE);
+    });
+  });
+
+  describe('state', () => {
+    it.each([
+      ['FINE', MINUTE, 'base'],
+      ['UNKNOWN', MINUTE, 'base'],
+      ['DEGRADED', 45000, 'state'],
+      ['FUCKED', 30000, 'state'],
+    ])('%s → %d ms', (state, interval, reason) => {
+      expect(createSchedule().next({ state, now: berlin('12:00') })).toEqual({ interval, reason });
+    });
+
+    it('applies the state factor on top of the profile slot', () => {
+      const schedule = createSchedule({ profile: '01:00-05:00=300000' });
+
+      expect(schedule.next({ state: 'FUCKED', now: berlin('03:00') }).interval).toBe(150000);
+    });
+
+    it('never goes below the minimum interval', () => {
+      const schedule = createSchedule({ factors: { FUCKED: 0.1 } });
+
+      expect(schedule.next({ state: 'FUCKED', now: berlin('12:00') }).interval).toBe(15000);
+    });
+
+    it('polls at the minimum interval for a factor of 0', () => {
+      const schedule = createSchedule({ factors: { DEGRADED: 0 } });
+
+      expect(schedule.next({ state: 'DEGRADED', now: berlin('12:00') })).toEqual({ interval: 15000, reason: 'state' });
+    });
+  });
+
+  describe('error backoff', () => {
+    it('doubles the interval per consecutive failure', () => {
+      const schedule = createSchedule();
+
+      expect(schedule.next({ failures: 1, now: berlin('12:00') })).toEqual({ interval: 2 * MINUTE, reason: 'backoff' });
+      expect(schedule.next({ failures: 3, now: berlin('12:00') }).interval).toBe(8 * MINUTE);
+    });
+
+    it('takes precedence over faster polling while disrupted', () => {
+      const schedule = createSchedule();
+
+      expect(schedule.next({ state: 'FUCKED', failures: 1, now: berlin('12:00') }).reason).toBe('backoff');
+    });
+
+    it('is capped at the maximum interval', () => {
+      const schedule = createSchedule();
+
+      expect(schedule.next({ failures: 50, now: berlin('12:00') }).interval).toBe(10 * MINUTE);
+    });
+  });
+
+  it('never raises an explicitly short base interval to the minimum', () => {
+    const schedule = createSchedule({ interval: 5000 });
+
+    expect(schedule.next({ state: 'FINE', now: berlin('12:00') }).interval).toBe(5000);
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * Unit tests for the BVG request resilience helpers.
+ *
+ * Tests the transient/permanent error classification, retries with
+ * jittered backoff, the per-key circuit breaker state machine and the
+ * resilient client wrapper that combines both.
+ */
+
+import { jest } from '@jest/globals';
+import {
+  isTransientError,
+  withRetry,
+  createCircuitBreaker,
+  createResilientClient,
+} from '../../src/services/resilience.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Create an error the way the BVG clients report them.
+ *
+ * @param {string} code
+ * @param {object} [extra] - Additional properties (status, cause)
+ * @returns {Error}
+ */
+function clientError(code, extra = {}) {
+  return Object.assign(new Error(code), { code }, extra);
+}
+
+/**
+ * Wrapped HAFAS error, as createBvgClient rejects with it.
+ *
+ * @param {string} hafasCode - HAFAS error code, e.g. 'NOT_FOUND'
+ * @returns {Error}
+ */
+function hafasError(hafasCode) {
+  return clientError('EAPI', { cause: { isHafasError: true, code: hafasCode } });
+}
+
+const noJitter = () => 0;
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('isTransientError', () => {
+  it.each([
+    ['a timeout', clientError('ETIMEDOUT')],
+    ['a connection reset', clientError('ECONNRESET')],
+    ['a DNS failure', clientError('EAI_AGAIN')],
+    ['a network error wrapped as cause', clientError('EAPI', { cause: { code: 'ECONNREFUSED' } })],
+    ['an HTTP 503', clientError('EHTTP', { status: 503 })],
+    ['an HTTP 429', clientError('EHTTP', { status: 429 })],
+    ['a HAFAS server error', hafasError('SERVER_ERROR')],
+  ])('retries %s', (label, err) => {
+    expect(isTransientError(err)).toBe(true);
+  });
+
+  it.each([
+    ['an unknown station', hafasError('NOT_FOUND')],
+    ['an invalid request', hafasError('INVALID_REQUEST')],
+    ['an exceeded quota', hafasError('QUOTA_EXCEEDED')],
+    ['an HTTP 404', clientError('EHTTP', { status: 404 })],
+    ['an unclassified API error', clientError('EAPI')],
+    ['a missing error', undefined],
+  ])('does not retry %s', (label, err) => {
+    expect(isTransientError(err)).toBe(false);
+  });
+});
+
+describe('withRetry', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('returns the first successful result', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(clientError('ETIMEDOUT'))
+      .mockResolvedValueOnce('ok');
+
+    await expect(withRetry(fn, { random: noJitter })).resolves.toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it('gives up after the configured retries and reports the attempts', async () => {
+    const fn = jest.fn().mockRejectedValue(clientError('ETIMEDOUT'));
+
+    await expect(withRetry(fn, { retries: 2, random: noJitter }))
+      .rejects.toMatchObject({ code: 'ETIMEDOUT', attempts: 3 });
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry permanent errors', async () => {
+    const fn = jest.fn().mockRejectedValue(hafasError('NOT_FOUND'));
+
+    await expect(withRetry(fn, { retries: 2, random: noJitter })).rejects.toMatchObject({ attempts: 1 });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('waits a jittered, exponentially growing and capped delay between attempts', async () => {
+    jest.useFakeTimers();
+    const fn = jest.fn().mockRejectedValue(clientError('ETIMEDOUT'));
+    const result = withRetry(fn, { retries: 3, baseDelay: 1000, maxDelay: 3000, random: () => 0.5 })
+      .catch((err) => err);
+
+    // Delays: 0.5 × 1000, 0.5 × 2000, 0.5 × min(3000, 4000)
+    await jest.advanceTimersByTimeAsync(499);
+    expect(fn).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(fn).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(fn).toHaveBeenCalledTimes(3);
+    await jest.advanceTimersByTimeAsync(1500);
+    expect(fn).toHaveBeenCalledTimes(4);
+
+    expect((await result).attempts).toBe(4);
+  });
+});
+
+describe('createCircuitBreaker', () => {
+  const T0 = Date.parse('2026-01-26T12:00:00Z');
+
+  /**
+   * Record `count` failures for a key at time T0.
+   *
+   * @param {ReturnType<typeof createCircuitBreaker>} breaker
+   * @param {number} count
+   */
+  function fail(breaker, count) {
+    for (let i = 0; i < count; i++) {
+      breaker.failure('A', T0);
+    }
+  }
+
+  it('starts closed and lets requests through', () => {
+    const breaker = createCircuitBreaker({ threshold: 3, cooldown: 60000 });
+
+    expect(breaker.get('A', T0)).toEqual({ state: 'closed', failures: 0, openedAt: null, retryAt: null });
+    expect(breaker.canRequest('A', T0)).toBe(true);
+  });
+
+  it('opens after the threshold of consecutive failures', () => {
+    const breaker = createCircuitBreaker({ threshold: 3, cooldown: 60000 });
+
+    fail(breaker, 2);
+    expect(breaker.get('A', T0).state).toBe('closed');
+
+    fail(breaker, 1);
+    expect(breaker.get('A', T0)).toEqual({ state: 'open', failures: 3, openedAt: T0, retryAt: T0 + 60000 });
+    expect(breaker.canRequest('A', T0 + 59999)).toBe(false);
+  });
+
+  it('resets the failure count on success', () => {
+    const breaker = createCircuitBreaker({ threshold: 3, cooldown: 60000 });
+
+    fail(breaker, 2);
+    breaker.success('A');
+    fail(breaker, 2);
+
+    expect(breaker.get('A', T0).state).toBe('closed');
+  });
+
+  it('keeps a circuit per key', () => {
+    const breaker = createCircuitBreaker({ threshold: 1, cooldown: 60000 });
+
+    fail(breaker, 1);
+
+    expect(breaker.canRequest('A', T0)).toBe(false);
+    expect(breaker.canRequest('B', T0)).toBe(true);
+  });
+
+  describe('half-open', () => {
+    it('lets a single trial request through after the cooldown', () => {
+      const breaker = createCircuitBreaker({ threshold: 1, cooldown: 60000 });
+      fail(breaker, 1);
+
+      expect(breaker.get('A', T0 + 60000).state).toBe('half-open');
+      expect(breaker.canRequest('A', T0 + 60000)).toBe(true);
+      expect(breaker.canRequest('A', T0 + 60000)).toBe(false);
+    });
+
+    it('closes when the trial succeeds', () => {
+      const breaker = createCircuitBreaker({ threshold: 1, cooldown: 60000 });
+      fail(breaker, 1);
+
+      breaker.canRequest('A', T0 + 60000);
+      breaker.success('A');
+
+      expect(breaker.get('A', T0 + 60000).state).toBe('closed');
+    });
+
+    it('re-opens for another cooldown when the trial fails', () => {
+      const breaker = createCircuitBreaker({ threshold: 3, cooldown: 60000 });
+      fail(breaker, 3);
+
+      breaker.canRequest('A', T0 + 60000);
+      breaker.failure('A', T0 + 60000);
+
+      expect(breaker.get('A', T0 + 60000)).toEqual(expect.objectContaining({
+        state: 'open',
+        retryAt: T0 + 120000,
+      }));
+    });
+  });
+});
+
+describe('createResilientClient', () => {
+  it('passes station and options through to the wrapped client', async () => {
+    const inner = { getDepartures: jest.fn().mockResolvedValue(['dep']) };
+    const client = createResilientClient(inner);
+
+    await expect(client.getDepartures('900003201', { results: 30 })).resolves.toEqual(['dep']);
+    expect(inner.getDepartures).toHaveBeenCalledWith('900003201', { results: 30 });
+  });
+
+  it('retries transient failures before counting one breaker failure', async () => {
+    const inner = { getDepartures: jest.fn().mockRejectedValue(clientError('ETIMEDOUT')) };
+    const client = createResilientClient(inner, { retries: 2, random: noJitter });
+
+    await expect(client.getDepartures('A')).rejects.toMatchObject({ code: 'ETIMEDOUT' });
+
+    expect(inner.getDepartures).toHaveBeenCalledTimes(3);
+    expect(client.getCircuit('A').failures).toBe(1);
+  });
+
+  it('skips a station with an open circuit without sending a request', async () => {
+    const inner = { getDepartures: jest.fn().mockRejectedValue(hafasError('NOT_FOUND')) };
+    const breaker = createCircuitBreaker({ threshold: 2, cooldown: 60000 });
+    const client = createResilientClient(inner, { breaker });
+
+    await expect(client.getDepartures('A')).rejects.toMatchObject({ code: 'EAPI' });
+    await expect(client.getDepartures('A')).rejects.toMatchObject({ code: 'EAPI' });
+    await expect(client.getDepartures('A')).rejects.toMatchObject({ code: 'ECIRCUITOPEN' });
+
+    expect(inner.getDepartures).toHaveBeenCalledTimes(2);
+    expect(client.getCircuit('A').state).toBe('open');
+  });
+
+  it('closes the circuit again after a successful trial', async () => {
+    const inner = {
+      getDepartures: jest.fn()
+        .mockRejectedValueOnce(hafasError('NOT_FOUND'))
+        .mockResolvedValue([]),
+    };
+    const breaker = createCircuitBreaker({ threshold: 1, cooldown: 60000 });
+    const client = createResilientClient(inner, { breaker });
+    const now = Date.now();
+    const dateNowSpy = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    try {
+      await expect(client.getDepartures('A')).rejects.toBeDefined();
+      expect(client.getCircuit('A').state).toBe('open');
+
+      dateNowSpy.mockReturnValue(now + 60000);
+      expect(client.getCircuit('A').state).toBe('half-open');
+      await expect(client.getDepartures('A')).resolves.toEqual([]);
+
+      expect(client.getCircuit('A').state).toBe('closed');
+    } finally {
+      dateNowSpy.mockRestore();
+    }
+  });
+});
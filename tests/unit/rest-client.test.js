@@ -0,0 +1,150 @@
+/**
+ * Unit tests for the transport.rest client.
+ *
+ * Runs the client against a local stub HTTP server that mimics the
+ * hafas-rest-api `/stops/:id/departures` endpoint, so no real network
+ * requests are made.  Covers response normalization, query parameters,
+ * HTTP error wrapping and timeout handling.
+ */
+
+import http from 'node:http';
+import { createRestClient } from '../../src/services/rest-client.js';
+import { fineDepartures } from '../fixtures/departures.js';
+
+// ---------------------------------------------------------------------------
+// Stub server
+// ---------------------------------------------------------------------------
+
+/**
+ * Start a stub server on a random local port.
+ *
+ * @param {Function} handler - Node request handler
+ * @returns {Promise<{ baseUrl: string, close: Function, requests: string[] }>}
+ */
+function startStubServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    handler(req, res);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        baseUrl: `http://127.0.0.1:${port}`,
+        requests,
+        close: () => new Promise((done) => {
+          server.closeAllConnections();
+          server.close(done);
+        }),
+      });
+    });
+  });
+}
+
+/**
+ * Handler that replies with the given JSON body.
+ *
+ * @param {*} body
+ * @param {number} [status=200]
+ * @returns {Function}
+ */
+function jsonHandler(body, status = 200) {
+  return (req, res) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('REST client', () => {
+  let stub = null;
+
+  afterEach(async () => {
+    if (stub) {
+      await stub.close();
+      stub = null;
+    }
+  });
+
+  it('returns normalized departures from a { departures } response', async () => {
+    stub = await startStubServer(jsonHandler({ departures: fineDepartures, realtimeDataUpdatedAt: 1 }));
+    const client = createRestClient({ baseUrl: stub.baseUrl });
+
+    const departures = await client.getDepartures('900003201');
+
+    expect(departures).toHaveLength(fineDepartures.length);
+    expect(departures[0]).toEqual(expect.objectContaining({
+      delay: 0,
+      cancelled: false,
+      direction: 'S Potsdam Hbf',
+    }));
+    expect(departures[0].line.product).toBe('suburban');
+  });
+
+  it('accepts a bare array response', async () => {
+    stub = await startStubServer(jsonHandler(fineDepartures.slice(0, 3)));
+    const client = createRestClient({ baseUrl: stub.baseUrl });
+
+    const departures = await client.getDepartures('900003201');
+
+    expect(departures).toHaveLength(3);
+  });
+
+  it('requests the stop departures endpoint with results and duration', async () => {
+    stub = await startStubServer(jsonHandler({ departures: [] }));
+    const client = createRestClient({ baseUrl: `${stub.baseUrl}/` });
+
+    await client.getDepartures('900100003', { results: 10, duration: 20 });
+
+    expect(stub.requests).toEqual(['/stops/900100003/departures?results=10&duration=20']);
+  });
+
+  it('defaults to 30 results', async () => {
+    stub = await startStubServer(jsonHandler({ departures: [] }));
+    const client = createRestClient({ baseUrl: stub.baseUrl });
+
+    await client.getDepartures('900100003');
+
+    expect(stub.requests[0]).toBe('/stops/900100003/departures?results=30');
+  });
+
+  it('wraps non-2xx responses with code EHTTP and the status', async () => {
+    stub = await startStubServer(jsonHandler({ message: 'bad gateway' }, 502));
+    const client = createRestClient({ baseUrl: stub.baseUrl });
+
+    await expect(client.getDepartures('900003201')).rejects.toMatchObject({
+      code: 'EHTTP',
+      status: 502,
+      message: expect.stringContaining('900003201'),
+    });
+  });
+
+  it('rejects with ETIMEDOUT when the server does not answer in time', async () => {
+    stub = await startStubServer(() => {
+      // Never respond
+    });
+    const client = createRestClient({ baseUrl: stub.baseUrl, timeout: 50 });
+
+    await expect(client.getDepartures('900003201')).rejects.toMatchObject({
+      code: 'ETIMEDOUT',
+    });
+  });
+
+  it('wraps network errors with the underlying error code', async () => {
+    const fetch = () => {
+      const err = new TypeError('fetch failed');
+      err.cause = { code: 'ECONNREFUSED' };
+      return Promise.reject(err);
+    };
+    const client = createRestClient({ baseUrl: 'http://localhost:1', fetch });
+
+    await expect(client.getDepartures('900003201')).rejects.toMatchObject({
+      code: 'ECONNREFUSED',
+    });
+  });
+});
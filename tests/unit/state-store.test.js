@@ -0,0 +1,83 @@
+/**
+ * Unit tests for the warm-start status store.
+ *
+ * Uses a temporary directory per test. Covers saving and loading,
+ * atomic replacement, rejection of unreadable files and the disabled
+ * (empty path) mode.
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createStateStore } from '../../src/services/state-store.js';
+
+const STATUS = {
+  state: 'DEGRADED',
+  metrics: { totalServices: 80 },
+  timestamp: Date.parse('2026-01-26T12:00:00Z'),
+};
+
+describe('state store', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bvg-state-'));
+    file = path.join(dir, 'nested', 'state.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('returns null when nothing has been saved yet', () => {
+    expect(createStateStore({ file }).load()).toBeNull();
+  });
+
+  it('saves a status and loads it back, creating the directory', async () => {
+    await createStateStore({ file }).save(STATUS);
+
+    expect(createStateStore({ file }).load()).toEqual(STATUS);
+  });
+
+  it('replaces the file without leaving the temp file behind', async () => {
+    const store = createStateStore({ file });
+
+    await store.save(STATUS);
+    await store.save({ ...STATUS, state: 'FINE' });
+
+    expect(store.load().state).toBe('FINE');
+    expect(fs.readdirSync(path.dirname(file))).toEqual(['state.json']);
+  });
+
+  it('keeps the order of overlapping saves', async () => {
+    const store = createStateStore({ file });
+
+    await Promise.all([
+      store.save({ ...STATUS, timestamp: 1 }),
+      store.save({ ...STATUS, timestamp: 2 }),
+    ]);
+
+    expect(store.load().timestamp).toBe(2);
+  });
+
+  it.each([
+    ['truncated JSON', '{"state":"FINE","timest'],
+    ['a missing timestamp', '{"state":"FINE"}'],
+    ['a non-object', '42'],
+  ])('returns null for %s', (label, content) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+
+    expect(createStateStore({ file }).load()).toBeNull();
+  });
+
+  it('does nothing when the file path is empty', async () => {
+    const store = createStateStore({ file: '' });
+
+    await store.save(STATUS);
+
+    expect(store.load()).toBeNull();
+    expect(fs.existsSync(path.dirname(file))).toBe(false);
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Unit tests for the verdict smoother.
+ *
+ * Tests the EWMA over the rolling window, the enter/exit hysteresis and
+ * the minimum dwell time that keep the headline from flapping when the
+ * disruption ratio hovers around a threshold.
+ */
+
+import { createStatusSmoother } from '../../src/services/status-smoother.js';
+
+const THRESHOLDS = {
+  degraded: { enter: 0.25, exit: 0.2 },
+  fucked: { enter: 0.5, exit: 0.45 },
+};
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Create a smoother with test defaults: no averaging, no dwell time.
+ *
+ * @param {object} [overrides]
+ * @returns {ReturnType<typeof createStatusSmoother>}
+ */
+function createSmoother(overrides = {}) {
+  return createStatusSmoother({
+    alpha: 1,
+    window: 1,
+    minDwell: 0,
+    thresholds: THRESHOLDS,
+    ...overrides,
+  });
+}
+
+describe('createStatusSmoother', () => {
+  describe('first sample', () => {
+    it.each([
+      [0.1, 'FINE'],
+      [0.3, 'DEGRADED'],
+      [0.6, 'FUCKED'],
+    ])('adopts the state for ratio %d immediately', (ratio, expected) => {
+      const smoother = createSmoother({ minDwell: 10 * MINUTE });
+
+      expect(smoother.update(ratio, 0)).toEqual({ state: expected, ratio });
+    });
+  });
+
+  describe('EWMA', () => {
+    it('weights the newest sample by alpha', () => {
+      const smoother = createSmoother({ alpha: 0.5, window: 5 });
+
+      smoother.update(0, 0);
+      const result = smoother.update(0.4, MINUTE);
+
+      expect(result.ratio).toBeCloseTo(0.2);
+    });
+
+    it('only averages over the rolling window', () => {
+      const smoother = createSmoother({ alpha: 0.5, window: 2 });
+
+      smoother.update(1, 0);
+      smoother.update(0, MINUTE);
+      const result = smoother.update(0, 2 * MINUTE);
+
+      // The 1.0 sample has left the two-sample window
+      expect(result.ratio).toBe(0);
+    });
+
+    it('does not flip on a single spike', () => {
+      const smoother = createSmoother({ alpha: 0.3, window: 5 });
+
+      smoother.update(0.1, 0);
+      const result = smoother.update(0.4, MINUTE);
+
+      expect(result.ratio).toBeCloseTo(0.19);
+      expect(result.state).toBe('FINE');
+    });
+  });
+
+  describe('hysteresis', () => {
+    it('stays DEGRADED between the exit and enter thresholds', () => {
+      const smoother = createSmoother();
+
+      smoother.update(0.3, 0);
+
+      expect(smoother.update(0.22, MINUTE).state).toBe('DEGRADED');
+      expect(smoother.update(0.24, 2 * MINUTE).state).toBe('DEGRADED');
+      expect(smoother.update(0.19, 3 * MINUTE).state).toBe('FINE');
+    });
+
+    it('does not enter DEGRADED from FINE below the enter threshold', () => {
+      const smoother = createSmoother();
+
+      smoother.update(0.1, 0);
+
+      expect(smoother.update(0.24, MINUTE).state).toBe('FINE');
+    });
+
+    it('steps down from FUCKED to DEGRADED below the FUCKED exit threshold', () => {
+      const smoother = createSmoother();
+
+      smoother.update(0.6, 0);
+
+      expect(smoother.update(0.47, MINUTE).state).toBe('FUCKED');
+      expect(smoother.update(0.4, 2 * MINUTE).state).toBe('DEGRADED');
+    });
+  });
+
+  describe('minimum dwell time', () => {
+    it('holds a state until the dwell time has passed', () => {
+      const smoother = createSmoother({ minDwell: 5 * MINUTE });
+
+      smoother.update(0.1, 0);
+
+      expect(smoother.update(0.6, MINUTE).state).toBe('FINE');
+      expect(smoother.update(0.6, 4 * MINUTE).state).toBe('FINE');
+      expect(smoother.update(0.6, 5 * MINUTE).state).toBe('FUCKED');
+    });
+
+    it('restarts the dwell time after each transition', () => {
+      const smoother = createSmoother({ minDwell: 5 * MINUTE });
+
+      smoother.update(0.1, 0);
+      smoother.update(0.6, 5 * MINUTE);
+
+      expect(smoother.update(0.1, 6 * MINUTE).state).toBe('FUCKED');
+      expect(smoother.update(0.1, 10 * MINUTE).state).toBe('FINE');
+    });
+  });
+
+  describe('hold()', () => {
+    it('keeps the verdict until the dwell time after the latest sample has passed', () => {
+      const smoother = createSmoother({ minDwell: 5 * MINUTE });
+
+      smoother.update(0.6, 0);
+
+      expect(smoother.hold(MINUTE)).toEqual({ state: 'FUCKED', ratio: 0.6 });
+      expect(smoother.hold(5 * MINUTE)).toBeNull();
+    });
+
+    it('starts over once UNKNOWN is due', () => {
+      const smoother = createSmoother({ minDwell: 5 * MINUTE });
+
+      smoother.update(0.6, 0);
+      smoother.hold(5 * MINUTE);
+
+      expect(smoother.update(0.1, 6 * MINUTE).state).toBe('FINE');
+    });
+
+    it('holds nothing before the first sample', () => {
+      expect(createSmoother({ minDwell: 5 * MINUTE }).hold(0)).toBeNull();
+    });
+  });
+
+  describe('seed()', () => {
+    it('continues from a restored verdict instead of adopting the next sample', () => {
+      const smoother = createSmoother();
+
+      smoother.seed('DEGRADED', 0.3, 0);
+
+      // Between exit and enter threshold: a fresh smoother would say FINE
+      expect(smoother.update(0.22, MINUTE).state).toBe('DEGRADED');
+    });
+
+    it('keeps the dwell time running from the restored timestamp', () => {
+      const smoother = createSmoother({ minDwell: 5 * MINUTE });
+
+      smoother.seed('FINE', 0.1, 0);
+
+      expect(smoother.update(0.6, 2 * MINUTE).state).toBe('FINE');
+      expect(smoother.update(0.6, 5 * MINUTE).state).toBe('FUCKED');
+    });
+
+    it('ignores states it does not know', () => {
+      const smoother = createSmoother({ minDwell: 10 * MINUTE });
+
+      smoother.seed('UNKNOWN', 0, 0);
+
+      expect(smoother.update(0.6, MINUTE).state).toBe('FUCKED');
+    });
+  });
+
+  it('reset() forgets samples and state', () => {
+    const smoother = createSmoother({ minDwell: 10 * MINUTE, window: 5, alpha: 0.5 });
+
+    smoother.update(0.9, 0);
+    smoother.reset();
+
+    expect(smoother.update(0.1, MINUTE)).toEqual({ state: 'FINE', ratio: 0.1 });
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Unit tests for the suspension tracker.
+ *
+ * Tests that a line is reported once all its departures at a station are
+ * cancelled, or it vanished from a board it ran on every poll, for the
+ * configured number of polls; that single cancelled trips, infrequent
+ * lines, lines whose headway exceeds the board and lines missing after the
+ * end of service are not reported; and how the scope and start time are
+ * derived.
+ */
+
+import { createSuspensionTracker, parseServiceHours } from '../../src/services/suspension-tracker.js';
+
+const MINUTE = 60 * 1000;
+const T0 = Date.parse('2026-01-26T12:00:00Z');
+/** 00:30 in Berlin, after the end of service */
+const NIGHT = Date.parse('2026-01-26T23:30:00Z');
+
+const ALEX = { id: '900100003', name: 'Alexanderplatz' };
+const HBF = { id: '900003201', name: 'Berlin Hauptbahnhof' };
+
+/**
+ * Minimal departure of a line.
+ *
+ * @param {string} line
+ * @param {string} tripId
+ * @param {boolean} [cancelled]
+ * @returns {object}
+ */
+function departure(line, tripId, cancelled = false) {
+  return { tripId, cancelled, line: { name: line, product: 'subway' } };
+}
+
+/**
+ * Departure of a line planned the given minutes after a start time.
+ *
+ * @param {string} line
+ * @param {number} minutes
+ * @param {number} [start]
+ * @returns {object}
+ */
+function timed(line, minutes, start = T0) {
+  const when = new Date(start + minutes * MINUTE).toISOString();
+  return { ...departure(line, `${line}-${minutes}`), when, plannedWhen: when };
+}
+
+/**
+ * Feed the tracker one poll per entry, a minute apart.
+ *
+ * @param {object} tracker
+ * @param {Array<Array<{ station: object, departures: Array|null }>>} polls
+ * @param {number} [start] - Time of the first poll
+ * @returns {Array} Suspensions after the last poll
+ */
+function run(tracker, polls, start = T0) {
+  let suspensions = [];
+  polls.forEach((results, i) => {
+    suspensions = tracker.update(results, start + i * MINUTE);
+  });
+  return suspensions;
+}
+
+describe('suspension tracker', () => {
+  describe('cancelled departures', () => {
+    it('reports a line whose departures are all cancelled for the configured polls', () => {
+      const tracker = createSuspensionTracker({ polls: 3, minTrips: 2 });
+      const poll = (n) => [{
+        station: ALEX,
+        departures: [departure('U8', `a${n}`, true), departure('U8', `b${n}`, true), departure('U2', `c${n}`)],
+      }];
+
+      expect(run(tracker, [poll(1), poll(2)])).toEqual([]);
+
+      const suspensions = tracker.update(poll(3), T0 + 2 * MINUTE);
+      expect(suspensions).toEqual([
+        {
+          line: 'U8',
+          product: 'subway',
+          scope: 'line',
+          since: T0,
+          stations: [{ id: ALEX.id, name: ALEX.name, reason: 'cancelled', since: T0, polls: 3 }],
+        },
+      ]);
+    });
+
+    it('does not report a single cancelled trip that stays on the board', () => {
+      const tracker = createSuspensionTracker({ polls: 3, minTrips: 2 });
+      const poll = [{ station: ALEX, departures: [departure('U8', 'a', true)] }];
+
+      expect(run(tracker, [poll, poll, poll, poll])).toEqual([]);
+    });
+
+    it('does not report a line that still has a running departure', () => {
+      const tracker = createSuspensionTracker({ polls: 2, minTrips: 1 });
+      const poll = [{ station: ALEX, departures: [departure('U8', 'a', true), departure('U8', 'b')] }];
+
+      expect(run(tracker, [poll, poll, poll])).toEqual([]);
+    });
+
+    it('starts over once the line runs again', () => {
+      const tracker = createSuspensionTracker({ polls: 2, minTrips: 1 });
+      const down = [{ station: ALEX, departures: [departure('U8', 'a', true)] }];
+      const up = [{ station: ALEX, departures: [departure('U8', 'b')] }];
+
+      expect(run(tracker, [down, down])).toHaveLength(1);
+      expect(tracker.update(up, T0 + 2 * MINUTE)).toEqual([]);
+      expect(tracker.update(down, T0 + 3 * MINUTE)).toEqual([]);
+      expect(tracker.update(down, T0 + 4 * MINUTE)[0].since).toBe(T0 + 3 * MINUTE);
+    });
+
+    it('keeps a suspension while the cancelled trips leave the board', () => {
+      const tracker = createSuspensionTracker({ polls: 3, minTrips: 1 });
+      const down = [{ station: ALEX, departures: [departure('U8', 'a', true)] }];
+      const gone = [{ station: ALEX, departures: [departure('U2', 'c')] }];
+
+      const suspensions = run(tracker, [down, gone, gone]);
+      expect(suspensions).toHaveLength(1);
+      expect(suspensions[0].stations[0]).toMatchObject({ reason: 'cancelled', since: T0, polls: 3 });
+    });
+
+    it('forgets a cancelled line that has left the board after the end of service', () => {
+      const tracker = createSuspensionTracker({ polls: 1, minTrips: 1, serviceHours: '05:00-00:00', timeZone: 'Europe/Berlin' });
+      const down = [{ station: ALEX, departures: [departure('U8', 'a', true)] }];
+      const gone = [{ station: ALEX, departures: [departure('U2', 'c')] }];
+
+      // 23:58 and 00:01 in Berlin
+      expect(tracker.update(down, NIGHT - 32 * MINUTE)).toHaveLength(1);
+      expect(tracker.update(gone, NIGHT - 29 * MINUTE)).toEqual([]);
+    });
+  });
+
+  describe('vanished lines', () => {
+    // U8 every 5 minutes; the board reaches 40 minutes ahead through U2
+    const up = [{ station: ALEX, departures: [timed('U8', 2), timed('U8', 7), timed('U2', 30), timed('U2', 40)] }];
+    const gone = [{ station: ALEX, departures: [timed('U2', 30), timed('U2', 40)] }];
+
+    it('reports a line that ran every poll and vanished from the board', () => {
+      const tracker = createSuspensionTracker({ polls: 2, history: 3 });
+
+      expect(run(tracker, [up, up, up, gone])).toEqual([]);
+
+      const suspensions = tracker.update(gone, T0 + 4 * MINUTE);
+      expect(suspensions).toHaveLength(1);
+      expect(suspensions[0]).toMatchObject({ line: 'U8', scope: 'line', since: T0 + 3 * MINUTE });
+      expect(suspensions[0].stations[0]).toMatchObject({ reason: 'vanished', polls: 2 });
+    });
+
+    it('does not miss a line that did not run long enough', () => {
+      const tracker = createSuspensionTracker({ polls: 2, history: 3 });
+
+      expect(run(tracker, [up, up, gone, gone, gone])).toEqual([]);
+    });
+
+    it('does not miss a line whose headway is longer than the board reaches', () => {
+      const tracker = createSuspensionTracker({ polls: 2, history: 3 });
+      // Every 20 minutes, while the board only reaches 10 minutes ahead
+      const rare = [{ station: ALEX, departures: [timed('U8', 2), timed('U8', 22), timed('U2', 5), timed('U2', 10)] }];
+      const busy = [{ station: ALEX, departures: [timed('U2', 5), timed('U2', 10)] }];
+
+      expect(run(tracker, [rare, rare, rare, busy, busy, busy])).toEqual([]);
+    });
+
+    it('does not miss a line that ended service for the night', () => {
+      const tracker = createSuspensionTracker({ polls: 5, history: 10, serviceHours: '05:00-00:00', timeZone: 'Europe/Berlin' });
+      const late = [{ station: ALEX, departures: [timed('U8', 2, NIGHT), timed('U8', 7, NIGHT), timed('U2', 30, NIGHT), timed('U2', 40, NIGHT)] }];
+      const night = [{ station: ALEX, departures: [timed('U2', 30, NIGHT), timed('U2', 40, NIGHT)] }];
+
+      expect(run(tracker, [...Array(12).fill(late), ...Array(5).fill(night)], NIGHT)).toEqual([]);
+    });
+
+    it('looks for missing lines around the clock without service hours', () => {
+      const tracker = createSuspensionTracker({ polls: 1, history: 1, serviceHours: '', timeZone: 'Europe/Berlin' });
+      const late = [{ station: ALEX, departures: [timed('U8', 2, NIGHT), timed('U8', 7, NIGHT), timed('U2', 30, NIGHT)] }];
+      const night = [{ station: ALEX, departures: [timed('U2', 30, NIGHT)] }];
+
+      expect(run(tracker, [late, night], NIGHT)).toHaveLength(1);
+    });
+
+    it('drops a vanished line after the maximum age', () => {
+      const tracker = createSuspensionTracker({ polls: 1, history: 1, vanishedMaxAge: 2 * MINUTE });
+
+      expect(run(tracker, [up, gone, gone, gone])).toHaveLength(1);
+      expect(tracker.update(gone, T0 + 4 * MINUTE)).toEqual([]);
+      expect(tracker.update(gone, T0 + 5 * MINUTE)).toEqual([]);
+    });
+  });
+
+  describe('scope and stations', () => {
+    it('reports a segment when the line still runs at another station', () => {
+      const tracker = createSuspensionTracker({ polls: 1, minTrips: 1 });
+      const suspensions = tracker.update([
+        { station: ALEX, departures: [departure('U8', 'a', true)] },
+        { station: HBF, departures: [departure('U8', 'b')] },
+      ], T0);
+
+      expect(suspensions).toHaveLength(1);
+      expect(suspensions[0].scope).toBe('segment');
+      expect(suspensions[0].stations.map((s) => s.id)).toEqual([ALEX.id]);
+    });
+
+    it('leaves the segments of a station that did not answer untouched', () => {
+      const tracker = createSuspensionTracker({ polls: 2, minTrips: 1, history: 1 });
+      const down = { station: ALEX, departures: [departure('U8', 'a', true)] };
+
+      tracker.update([down], T0);
+      expect(tracker.update([{ station: ALEX, departures: null }], T0 + MINUTE)).toEqual([]);
+      expect(tracker.update([down], T0 + 2 * MINUTE)).toHaveLength(1);
+    });
+
+    it('matches line names by lineKey and orders suspensions by start', () => {
+      const tracker = createSuspensionTracker({ polls: 1, minTrips: 1 });
+
+      tracker.update([{ station: ALEX, departures: [departure('U 8', 'a', true)] }], T0);
+      const suspensions = tracker.update([
+        { station: ALEX, departures: [departure('U8', 'b', true), departure('M4', 'c', true)] },
+      ], T0 + MINUTE);
+
+      expect(suspensions.map((s) => [s.line, s.since])).toEqual([['U8', T0], ['M4', T0 + MINUTE]]);
+    });
+
+    it('forgets everything on reset', () => {
+      const tracker = createSuspensionTracker({ polls: 1, minTrips: 1 });
+      const down = [{ station: ALEX, departures: [departure('U8', 'a', true)] }];
+
+      tracker.update(down, T0);
+      tracker.reset();
+
+      expect(tracker.update([{ station: ALEX, departures: [] }], T0 + MINUTE)).toEqual([]);
+    });
+  });
+});
+
+describe('parseServiceHours', () => {
+  it('parses a range in minutes after midnight', () => {
+    expect(parseServiceHours('05:00-00:30')).toEqual({ from: 300, to: 30 });
+  });
+
+  it('returns null (always) for empty or malformed values', () => {
+    expect(parseServiceHours('')).toBeNull();
+    expect(parseServiceHours('5-24')).toBeNull();
+    expect(parseServiceHours('05:00-25:00')).toBeNull();
+  });
+});
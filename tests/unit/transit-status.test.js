@@ -10,10 +10,21 @@
  *   - FUCKED:   >50% disrupted
  *   - UNKNOWN:  no data
  *
- * A departure is "disrupted" when cancelled OR delay > 300s (5 min).
+ * A departure is "disrupted" when cancelled OR delay > 300s (5 min). The
+ * state follows the severity-weighted score; with the default weights a
+ * 5-10 minute delay weighs 1, so the fixtures land in the same bands.
  */
 
-import { determineStatus } from '../../src/models/transit-status.js';
+import { jest } from '@jest/globals';
+import config from '../../src/config.js';
+import {
+  determineStatus,
+  assessConfidence,
+  aggregateDisruptionsByType,
+  listDisruptedDepartures,
+  productThresholds,
+  transitBoxOf,
+} from '../../src/models/transit-status.js';
 import {
   fineDepartures,
   degradedDepartures,
@@ -241,6 +252,8 @@ describe('determineStatus', () => {
         'percentDelayed',
         'percentCancelled',
         'percentDisrupted',
+        'score',
+        'delays',
       ];
 
       for (const departures of [fineDepartures, degradedDepartures, fuckedDepartures, emptyDepartures]) {
@@ -271,3 +284,302 @@ describe('determineStatus', () => {
     });
   });
 });
+
+// ---------------------------------------------------------------------------
+// Severity score
+// ---------------------------------------------------------------------------
+
+describe('determineStatus severity score', () => {
+  /**
+   * Departures of one product with the given delays (null = cancelled).
+   *
+   * @param {Array<number|null>} delays
+   * @returns {Array}
+   */
+  function departures(delays) {
+    return delays.map((delay) => ({
+      delay,
+      cancelled: delay === null,
+      line: { product: 'suburban' },
+    }));
+  }
+
+  it('reports the score and delay distribution in metrics', () => {
+    const result = determineStatus(degradedDepartures);
+
+    expect(result.metrics.score).toBe(47.5);
+    expect(result.metrics.delays).toEqual({ median: 0, p90: 600, max: 900 });
+  });
+
+  it('derives the state from the score rather than the share of disrupted departures', () => {
+    // 4 of 20 are 45 minutes late, 1 cancelled: 25 % disrupted, but severe
+    const result = determineStatus(departures([
+      2700, 2700, 2700, 2700, null,
+      ...Array(15).fill(0),
+    ]));
+
+    expect(result.metrics.percentDisrupted).toBe(25);
+    expect(result.metrics.score).toBe(40);
+    expect(result.state).toBe('DEGRADED');
+  });
+
+  it('counts delays below the delay threshold towards the score', () => {
+    const result = determineStatus(departures([240, 240, 0, 0]));
+
+    expect(result.metrics.disruptedCount).toBe(0);
+    expect(result.metrics.score).toBe(12.5);
+    expect(result.state).toBe('FINE');
+  });
+
+  it('reports a zero score and no distribution without departures', () => {
+    expect(determineStatus([]).metrics).toEqual(expect.objectContaining({
+      score: 0,
+      delays: { median: null, p90: null, max: null },
+    }));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Per-product status
+// ---------------------------------------------------------------------------
+
+describe('aggregateDisruptionsByType', () => {
+  /**
+   * Departures of one product with the given delays (null = cancelled).
+   *
+   * @param {string} product - HAFAS product
+   * @param {Array<number|null>} delays
+   * @returns {Array}
+   */
+  function departures(product, delays) {
+    return delays.map((delay) => ({ delay, cancelled: delay === null, line: { product } }));
+  }
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('computes total, counts, percent and state per product', () => {
+    const result = aggregateDisruptionsByType([
+      ...departures('bus', [0, 0, 0, 600]),
+      ...departures('subway', [600, null, 0]),
+      ...departures('suburban', [0, 400, 0]),
+    ]);
+
+    expect(result).toEqual({
+      bus: { total: 4, delayed: 1, cancelled: 0, percent: 25, state: 'FINE' },
+      ubahn: { total: 3, delayed: 1, cancelled: 1, percent: 67, state: 'FUCKED' },
+      tram: { total: 0, delayed: 0, cancelled: 0, percent: 0, state: 'UNKNOWN' },
+      sbahn: { total: 3, delayed: 1, cancelled: 0, percent: 33, state: 'DEGRADED' },
+      ferry: { total: 0, delayed: 0, cancelled: 0, percent: 0, state: 'UNKNOWN' },
+      other: { total: 0, delayed: 0, cancelled: 0, percent: 0, state: 'UNKNOWN' },
+    });
+  });
+
+  it('puts ferries in their own box and regional, express and unknown products in other', () => {
+    const result = aggregateDisruptionsByType([
+      ...departures('ferry', [0, 900]),
+      ...departures('regional', [0, null]),
+      ...departures('express', [600]),
+      { delay: 0 },
+      { delay: 0, line: { product: 'hovercraft' } },
+    ]);
+
+    expect(result.ferry).toEqual({ total: 2, delayed: 1, cancelled: 0, percent: 50, state: 'DEGRADED' });
+    expect(result.other).toEqual({ total: 5, delayed: 1, cancelled: 1, percent: 40, state: 'DEGRADED' });
+  });
+
+  it('adds up to the number of departures', () => {
+    const result = aggregateDisruptionsByType([
+      ...fuckedDepartures,
+      ...departures('ferry', [0]),
+      ...departures('express', [0]),
+    ]);
+
+    const total = Object.values(result).reduce((sum, box) => sum + box.total, 0);
+    expect(total).toBe(fuckedDepartures.length + 2);
+  });
+
+  it('returns UNKNOWN boxes for invalid input', () => {
+    expect(aggregateDisruptionsByType(null).bus).toEqual({
+      total: 0, delayed: 0, cancelled: 0, percent: 0, state: 'UNKNOWN',
+    });
+  });
+
+  it('assigns each departure to its box', () => {
+    expect(transitBoxOf({ line: { product: 'subway' } })).toBe('ubahn');
+    expect(transitBoxOf({ line: { product: 'ferry' } })).toBe('ferry');
+    expect(transitBoxOf({ line: { product: 'regional' } })).toBe('other');
+    expect(transitBoxOf({})).toBe('other');
+  });
+
+  it('applies per-product thresholds', () => {
+    jest.replaceProperty(config, 'productThresholds', {
+      delay: 'bus:600',
+      degraded: 'bus:0.4',
+      fucked: '',
+    });
+
+    const result = aggregateDisruptionsByType([
+      ...departures('bus', [420, 660, 0]),
+      ...departures('subway', [420, 0, 0]),
+    ]);
+
+    // 7 minutes is on time for a bus, but late for the U-Bahn; a third
+    // of the buses late is still FINE with the higher bus threshold
+    expect(result.bus).toEqual(expect.objectContaining({ delayed: 1, percent: 33, state: 'FINE' }));
+    expect(result.ubahn).toEqual(expect.objectContaining({ delayed: 1, percent: 33, state: 'DEGRADED' }));
+    expect(productThresholds('bus')).toEqual({ delay: 600, degraded: 0.4, fucked: config.thresholds.fucked });
+    expect(productThresholds('subway')).toEqual({
+      delay: config.thresholds.delay,
+      degraded: config.thresholds.degraded,
+      fucked: config.thresholds.fucked,
+    });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// listDisruptedDepartures
+// ---------------------------------------------------------------------------
+
+describe('listDisruptedDepartures', () => {
+  /**
+   * Normalized departure of a line.
+   *
+   * @param {string} name    - Line name
+   * @param {string} product - HAFAS product
+   * @param {object} [extra]
+   * @returns {object}
+   */
+  function departure(name, product, extra = {}) {
+    return {
+      tripId: `${name}-trip`,
+      stop: { id: '900100003', name: 'Alexanderplatz' },
+      delay: 0,
+      cancelled: false,
+      when: '2026-01-26T12:07:00+01:00',
+      plannedWhen: '2026-01-26T12:00:00+01:00',
+      direction: 'Ruhleben',
+      line: { name, product },
+      remarks: [],
+      ...extra,
+    };
+  }
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lists an empty set for every box without departures', () => {
+    const result = listDisruptedDepartures([]);
+
+    expect(Object.keys(result)).toEqual(['bus', 'ubahn', 'tram', 'sbahn', 'ferry', 'other']);
+    expect(result.bus).toEqual({ departures: [], omitted: 0 });
+  });
+
+  it('lists exactly the departures counted as disrupted in each box', () => {
+    const departures = [
+      departure('U2', 'subway', { delay: 420 }),
+      departure('U8', 'subway', { delay: 120 }),
+      departure('M10', 'tram', { delay: null, cancelled: true }),
+      departure('RE1', 'regional', { delay: 900 }),
+    ];
+
+    const result = listDisruptedDepartures(departures);
+    const boxes = aggregateDisruptionsByType(departures);
+
+    expect(result.ubahn.departures.map((d) => d.line)).toEqual(['U2']);
+    expect(result.tram.departures.map((d) => d.line)).toEqual(['M10']);
+    expect(result.other.departures.map((d) => d.line)).toEqual(['RE1']);
+    for (const [box, list] of Object.entries(result)) {
+      expect(list.departures).toHaveLength(boxes[box].delayed + boxes[box].cancelled);
+    }
+  });
+
+  it('describes each departure with line, direction, times, delay and source link', () => {
+    const result = listDisruptedDepartures([
+      departure('U2', 'subway', {
+        delay: 420,
+        remarks: [{ type: 'hint', url: null }, { type: 'warning', url: 'https://www.bvg.de/de/verbindungen/stoerungsmeldungen' }],
+      }),
+    ]);
+
+    expect(result.ubahn.departures).toEqual([{
+      tripId: 'U2-trip',
+      line: 'U2',
+      product: 'subway',
+      direction: 'Ruhleben',
+      stop: 'Alexanderplatz',
+      plannedWhen: '2026-01-26T12:00:00+01:00',
+      when: '2026-01-26T12:07:00+01:00',
+      delay: 420,
+      cancelled: false,
+      url: 'https://www.bvg.de/de/verbindungen/stoerungsmeldungen',
+    }]);
+  });
+
+  it('lists cancellations first, then the longest delays', () => {
+    const result = listDisruptedDepartures([
+      departure('S5', 'suburban', { delay: 400 }),
+      departure('S7', 'suburban', { delay: 1200 }),
+      departure('S3', 'suburban', { delay: null, cancelled: true }),
+    ]);
+
+    expect(result.sbahn.departures.map((d) => d.line)).toEqual(['S3', 'S7', 'S5']);
+  });
+
+  it('caps each list and counts the departures left out', () => {
+    const departures = [400, 500, 600, 700].map((delay) => departure('100', 'bus', { delay }));
+
+    const result = listDisruptedDepartures(departures, 3);
+
+    expect(result.bus.departures.map((d) => d.delay)).toEqual([700, 600, 500]);
+    expect(result.bus.omitted).toBe(1);
+  });
+
+  it('defaults the cap to config.disruptedDepartures.limit', () => {
+    jest.replaceProperty(config, 'disruptedDepartures', { limit: 1 });
+
+    const result = listDisruptedDepartures([
+      departure('U2', 'subway', { delay: 400 }),
+      departure('U5', 'subway', { delay: 500 }),
+    ]);
+
+    expect(result.ubahn).toEqual({ departures: [expect.objectContaining({ line: 'U5' })], omitted: 1 });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// assessConfidence
+// ---------------------------------------------------------------------------
+
+describe('assessConfidence', () => {
+  it('returns high confidence when all stations answer with enough departures', () => {
+    expect(assessConfidence({ stationsTotal: 5, stationsSucceeded: 5, totalServices: 150 }))
+      .toEqual({ level: 'high', score: 1 });
+  });
+
+  it('scales the score by the share of stations that answered', () => {
+    expect(assessConfidence({ stationsTotal: 5, stationsSucceeded: 3, totalServices: 90 }))
+      .toEqual({ level: 'medium', score: 0.6 });
+  });
+
+  it('scales the score down for small samples', () => {
+    // 10 of the 20 required departures
+    expect(assessConfidence({ stationsTotal: 1, stationsSucceeded: 1, totalServices: 10 }))
+      .toEqual({ level: 'medium', score: 0.5 });
+  });
+
+  it('returns low confidence below the floor', () => {
+    // 1 of 5 stations answered
+    expect(assessConfidence({ stationsTotal: 5, stationsSucceeded: 1, totalServices: 30 }))
+      .toEqual({ level: 'low', score: 0.2 });
+  });
+
+  it('returns low confidence with a zero score when nothing was sampled', () => {
+    expect(assessConfidence({ stationsTotal: 5, stationsSucceeded: 0, totalServices: 0 }))
+      .toEqual({ level: 'low', score: 0 });
+    expect(assessConfidence({ stationsTotal: 5, stationsSucceeded: 5, totalServices: 0 }))
+      .toEqual({ level: 'low', score: 0 });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit tests for the rolling trip window.
+ *
+ * Tests that trips are kept for the configured span after they were last
+ * observed, that a new observation replaces the old one, and that
+ * departures without a tripId only count for the latest poll.
+ */
+
+import { createTripWindow } from '../../src/services/trip-window.js';
+
+const MINUTE = 60 * 1000;
+const T0 = Date.parse('2026-01-26T12:00:00Z');
+
+/**
+ * Minimal departure of a trip.
+ *
+ * @param {string|null} tripId
+ * @param {number} [delay]
+ * @returns {object}
+ */
+function departure(tripId, delay = 0) {
+  return { tripId, delay, cancelled: false };
+}
+
+describe('trip window', () => {
+  it('reports its span', () => {
+    expect(createTripWindow({ span: 15 * MINUTE }).span).toBe(15 * MINUTE);
+  });
+
+  it('keeps trips from earlier polls within the span', () => {
+    const window = createTripWindow({ span: 15 * MINUTE });
+
+    window.add([departure('A'), departure('B')], T0);
+    window.add([departure('C')], T0 + MINUTE);
+
+    expect(window.departures(T0 + MINUTE).map((d) => d.tripId)).toEqual(['A', 'B', 'C']);
+  });
+
+  it('drops trips not observed for longer than the span', () => {
+    const window = createTripWindow({ span: 15 * MINUTE });
+
+    window.add([departure('A'), departure('B')], T0);
+    window.add([departure('B')], T0 + 10 * MINUTE);
+
+    expect(window.departures(T0 + 15 * MINUTE).map((d) => d.tripId)).toEqual(['A', 'B']);
+    expect(window.departures(T0 + 15 * MINUTE + 1).map((d) => d.tripId)).toEqual(['B']);
+    expect(window.departures(T0 + 26 * MINUTE)).toEqual([]);
+  });
+
+  it('replaces an earlier observation of the same trip', () => {
+    const window = createTripWindow({ span: 15 * MINUTE });
+
+    window.add([departure('A', 600)], T0);
+    window.add([departure('A', 120)], T0 + MINUTE);
+
+    expect(window.departures(T0 + MINUTE)).toEqual([departure('A', 120)]);
+  });
+
+  it('counts departures without a tripId for the latest poll only', () => {
+    const window = createTripWindow({ span: 15 * MINUTE });
+
+    window.add([departure(null, 600), departure('A')], T0);
+    expect(window.departures(T0)).toHaveLength(2);
+
+    window.add([departure(null)], T0 + MINUTE);
+    expect(window.departures(T0 + MINUTE)).toEqual([departure('A'), departure(null)]);
+  });
+
+  it('forgets everything on reset', () => {
+    const window = createTripWindow({ span: 15 * MINUTE });
+
+    window.add([departure('A'), departure(null)], T0);
+    window.reset();
+
+    expect(window.departures(T0)).toEqual([]);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Unit tests for the per-trip deduplication of departures.
+ *
+ * Tests that a trip seen at several stations is kept once, that the most
+ * disrupted copy wins, and that departures without a tripId are kept.
+ */
+
+import { deduplicateTrips } from '../../src/models/trips.js';
+
+/**
+ * Minimal departure of a trip at a station.
+ *
+ * @param {string|null} tripId
+ * @param {string} stopId
+ * @param {object} [extra] - delay / cancelled
+ * @returns {object}
+ */
+function departure(tripId, stopId, extra = {}) {
+  return { tripId, stop: { id: stopId }, delay: 0, cancelled: false, ...extra };
+}
+
+describe('deduplicateTrips', () => {
+  it('returns nothing for empty or invalid input', () => {
+    expect(deduplicateTrips([])).toEqual({ departures: [], duplicates: 0 });
+    expect(deduplicateTrips(null)).toEqual({ departures: [], duplicates: 0 });
+  });
+
+  it('keeps each trip once and counts the removed copies', () => {
+    const departures = [
+      departure('S5-1', 'hbf'),
+      departure('U2-1', 'alex'),
+      departure('S5-1', 'friedrichstr'),
+      departure('S5-1', 'alex'),
+    ];
+
+    const result = deduplicateTrips(departures);
+
+    expect(result.duplicates).toBe(2);
+    expect(result.departures.map((d) => d.tripId)).toEqual(['S5-1', 'U2-1']);
+  });
+
+  it('keeps the most delayed copy of a trip', () => {
+    const result = deduplicateTrips([
+      departure('S5-1', 'hbf', { delay: 60 }),
+      departure('S5-1', 'friedrichstr', { delay: 420 }),
+      departure('S5-1', 'alex', { delay: null }),
+    ]);
+
+    expect(result.departures).toEqual([departure('S5-1', 'friedrichstr', { delay: 420 })]);
+  });
+
+  it('prefers a cancelled copy over any delay', () => {
+    const result = deduplicateTrips([
+      departure('S5-1', 'hbf', { delay: 900 }),
+      departure('S5-1', 'alex', { delay: null, cancelled: true }),
+    ]);
+
+    expect(result.departures[0].cancelled).toBe(true);
+  });
+
+  it('keeps every departure without a tripId', () => {
+    const result = deduplicateTrips([
+      departure(null, 'hbf'),
+      departure(null, 'hbf'),
+      departure('S5-1', 'hbf'),
+    ]);
+
+    expect(result).toEqual({ departures: expect.any(Array), duplicates: 0 });
+    expect(result.departures).toHaveLength(3);
+  });
+});
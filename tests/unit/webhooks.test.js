@@ -0,0 +1,248 @@
+/**
+ * Unit tests for the webhook dispatcher.
+ *
+ * Deliveries go to a real HTTP receiver on a random local port, so the
+ * tests cover the actual request (method, headers, body, signature)
+ * rather than a fetch mock. The receiver answers with a queue of status
+ * codes to exercise retries.
+ */
+
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'node:events';
+import crypto from 'node:crypto';
+import http from 'node:http';
+
+import { createWebhookDispatcher, signPayload } from '../../src/services/webhooks.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Start a local webhook receiver.
+ *
+ * @param {number[]} [statuses] - Status codes to answer with, in order
+ *                                (200 once exhausted)
+ * @returns {Promise<{ url: string, requests: Array<{ headers: object, body: string }>, close: Function }>}
+ */
+function startReceiver(statuses = []) {
+  const requests = [];
+  const queue = [...statuses];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ method: req.method, headers: req.headers, body });
+      res.statusCode = queue.length > 0 ? queue.shift() : 200;
+      res.end();
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+/** A FINE → FUCKED transition as emitted by the poller. */
+const TRANSITION = {
+  previous: 'FINE',
+  current: 'FUCKED',
+  status: {
+    state: 'FUCKED',
+    metrics: { totalServices: 100, disruptedCount: 60 },
+    text: { message: 'Ja. BVG ist gefickt.' },
+    timestamp: 1769425200000,
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('createWebhookDispatcher', () => {
+  let receiver = null;
+
+  afterEach(async () => {
+    if (receiver) {
+      await receiver.close();
+      receiver = null;
+    }
+  });
+
+  describe('registration', () => {
+    it('registers URLs from config as read-only webhooks', () => {
+      const webhooks = createWebhookDispatcher({ urls: ['https://example.com/a'], secret: null });
+
+      const [webhook] = webhooks.list();
+      expect(webhook).toEqual(expect.objectContaining({
+        url: 'https://example.com/a',
+        source: 'config',
+        signed: false,
+      }));
+      expect(() => webhooks.unregister(webhook.id)).toThrow(expect.objectContaining({ code: 'EREADONLY' }));
+    });
+
+    it('skips malformed URLs from config with a warning', () => {
+      const stderrSpy = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+
+      const webhooks = createWebhookDispatcher({ urls: ['not a url', 'https://example.com/a'], secret: null });
+      const warnings = stderrSpy.mock.calls.map(([text]) => text);
+      stderrSpy.mockRestore();
+
+      expect(webhooks.list().map((webhook) => webhook.url)).toEqual(['https://example.com/a']);
+      expect(warnings).toEqual(['[webhooks] skipping WEBHOOK_URLS entry: Invalid webhook URL "not a url".\n']);
+    });
+
+    it('registers and removes webhooks at runtime without exposing secrets', () => {
+      const webhooks = createWebhookDispatcher({ urls: [], secret: null });
+
+      const webhook = webhooks.register({ url: 'https://example.com/b', secret: 's3cret' });
+
+      expect(webhook).toEqual(expect.objectContaining({ source: 'api', signed: true }));
+      expect(webhooks.list()[0]).not.toHaveProperty('secret');
+      expect(webhooks.unregister(webhook.id)).toBe(true);
+      expect(webhooks.unregister(webhook.id)).toBe(false);
+      expect(webhooks.list()).toEqual([]);
+    });
+
+    it.each(['not a url', 'ftp://example.com/hook'])('rejects %s', (url) => {
+      const webhooks = createWebhookDispatcher({ urls: [] });
+
+      expect(() => webhooks.register({ url })).toThrow(expect.objectContaining({ code: 'EINVAL' }));
+    });
+  });
+
+  describe('delivery', () => {
+    it('POSTs the transition as JSON with an HMAC signature', async () => {
+      receiver = await startReceiver();
+      const webhooks = createWebhookDispatcher({ urls: [receiver.url], secret: 'topsecret', backoff: 0 });
+
+      const [delivery] = await webhooks.dispatch(TRANSITION);
+
+      expect(delivery.status).toBe('delivered');
+      expect(receiver.requests).toHaveLength(1);
+
+      const { method, headers, body } = receiver.requests[0];
+      expect(method).toBe('POST');
+      expect(headers['content-type']).toBe('application/json');
+      expect(headers['x-webhook-event']).toBe('transition');
+      expect(headers['x-webhook-delivery']).toBe(delivery.id);
+
+      const expected = `sha256=${crypto.createHmac('sha256', 'topsecret').update(body).digest('hex')}`;
+      expect(headers['x-webhook-signature-256']).toBe(expected);
+      expect(signPayload(body, 'topsecret')).toBe(expected);
+
+      expect(JSON.parse(body)).toEqual({
+        event: 'transition',
+        previous: 'FINE',
+        current: 'FUCKED',
+        message: 'Ja. BVG ist gefickt.',
+        metrics: { totalServices: 100, disruptedCount: 60 },
+        timestamp: 1769425200000,
+        deliveryId: delivery.id,
+      });
+    });
+
+    it('signs with a per-webhook secret and omits the header without any secret', async () => {
+      receiver = await startReceiver();
+      const webhooks = createWebhookDispatcher({ urls: [], secret: null, backoff: 0 });
+      webhooks.register({ url: receiver.url, secret: 'own' });
+      webhooks.register({ url: receiver.url });
+
+      await webhooks.dispatch(TRANSITION);
+
+      const signed = receiver.requests.filter((r) => r.headers['x-webhook-signature-256']);
+      expect(signed).toHaveLength(1);
+      expect(signed[0].headers['x-webhook-signature-256']).toBe(signPayload(signed[0].body, 'own'));
+    });
+
+    it('retries server errors with backoff until delivered', async () => {
+      receiver = await startReceiver([503, 500]);
+      const webhooks = createWebhookDispatcher({ urls: [receiver.url], retries: 3, backoff: 1 });
+
+      const [delivery] = await webhooks.dispatch(TRANSITION);
+
+      expect(delivery.status).toBe('delivered');
+      expect(delivery.attempts.map((a) => a.status)).toEqual([503, 500, 200]);
+      // Every attempt carries the same body, so the signature stays valid
+      expect(new Set(receiver.requests.map((r) => r.body)).size).toBe(1);
+    });
+
+    it('gives up after the configured number of retries', async () => {
+      receiver = await startReceiver([500, 500, 500]);
+      const webhooks = createWebhookDispatcher({ urls: [receiver.url], retries: 2, backoff: 1 });
+
+      const [delivery] = await webhooks.dispatch(TRANSITION);
+
+      expect(delivery.status).toBe('failed');
+      expect(delivery.attempts).toHaveLength(3);
+      expect(delivery.attempts[2].error).toBe('HTTP 500');
+      expect(delivery.completedAt).not.toBeNull();
+    });
+
+    it('does not retry client errors other than 408/425/429', async () => {
+      receiver = await startReceiver([404]);
+      const webhooks = createWebhookDispatcher({ urls: [receiver.url], retries: 3, backoff: 1 });
+
+      const [delivery] = await webhooks.dispatch(TRANSITION);
+
+      expect(delivery.status).toBe('failed');
+      expect(delivery.attempts).toHaveLength(1);
+    });
+
+    it('retries network errors', async () => {
+      const fetch = jest.fn()
+        .mockRejectedValueOnce(Object.assign(new TypeError('fetch failed'), { cause: new Error('connect ECONNREFUSED') }))
+        .mockResolvedValueOnce({ ok: true, status: 204 });
+      const webhooks = createWebhookDispatcher({ urls: ['http://127.0.0.1:1/hook'], retries: 1, backoff: 1, fetch });
+
+      const [delivery] = await webhooks.dispatch(TRANSITION);
+
+      expect(delivery.attempts).toEqual([
+        expect.objectContaining({ status: null, error: 'connect ECONNREFUSED' }),
+        expect.objectContaining({ status: 204, error: null }),
+      ]);
+      expect(delivery.status).toBe('delivered');
+    });
+  });
+
+  describe('delivery log', () => {
+    it('lists deliveries newest first and keeps only logSize entries', async () => {
+      const fetch = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+      const webhooks = createWebhookDispatcher({ urls: ['https://example.com/hook'], logSize: 2, fetch });
+
+      await webhooks.dispatch({ ...TRANSITION, previous: 'FINE', current: 'DEGRADED' });
+      await webhooks.dispatch({ ...TRANSITION, previous: 'DEGRADED', current: 'FUCKED' });
+      await webhooks.dispatch({ ...TRANSITION, previous: 'FUCKED', current: 'FINE' });
+
+      expect(webhooks.deliveries().map((d) => d.current)).toEqual(['FINE', 'FUCKED']);
+      expect(webhooks.deliveries(1)).toHaveLength(1);
+    });
+  });
+
+  describe('attach', () => {
+    it('dispatches poller transitions but skips the first verdict after boot', async () => {
+      const fetch = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+      const webhooks = createWebhookDispatcher({ urls: ['https://example.com/hook'], fetch });
+      const poller = new EventEmitter();
+
+      webhooks.attach(poller);
+      poller.emit('transition', { ...TRANSITION, previous: 'UNKNOWN', current: 'FINE' });
+      poller.emit('transition', { ...TRANSITION, previous: 'FINE', current: 'FUCKED' });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(fetch.mock.calls[0][1].body).current).toBe('FUCKED');
+    });
+  });
+});